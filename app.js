@@ -0,0 +1,126 @@
+const express = require("express");
+const cors = require("cors");
+const { createRepositories } = require("./repositories");
+const { createStorage } = require("./lib/storage");
+const { createMailer } = require("./lib/mailer");
+const { createOutbox } = require("./lib/outbox");
+const { createNotifications } = require("./lib/notifications");
+const { createWebhooks } = require("./lib/webhooks");
+const { createMemoryRateLimitStore } = require("./lib/rateLimit");
+const { createCaptcha } = require("./lib/captcha");
+const { spamConfig, createSpamGuard } = require("./middleware/spamGuard");
+const { reportTimeZone } = require("./lib/reports");
+const { quoteConfig } = require("./lib/quotes");
+const { orderConfig } = require("./lib/orders");
+const { dealerConfig } = require("./lib/dealers");
+const { demoBookingConfig } = require("./lib/demoBookings");
+const { loadPincodeDirectory } = require("./lib/pincodes");
+
+/**
+ * Builds the Express application on top of a PostgreSQL pool.
+ * Nothing here touches the database or the network until a request arrives, so tests can
+ * pass in any pg-compatible pool (e.g. pg-mem).
+ *
+ * @param {object} options
+ * @param {object} options.pool - pg Pool (or compatible)
+ * @param {object} [options.storage] - storage for uploaded media and resumes (lib/storage.js); configured from the environment by default
+ * @param {object} [options.mailer] - outgoing email (lib/mailer.js); configured from the environment by default
+ * @param {function} [options.fetch] - fetch used to deliver webhooks; the global fetch by default
+ * @param {object} [options.rateLimitStore] - counters for the public forms' rate limits (lib/rateLimit.js); in memory by default
+ * @param {object|null} [options.captcha] - CAPTCHA verifier for the public forms (lib/captcha.js); configured from the environment by default
+ * @param {object} [options.spam] - spam protection settings (middleware/spamGuard.js); read from the environment by default
+ * @param {string} [options.timeZone] - time zone whole days are counted in: the admin reports (lib/reports.js) and the
+ *        date-only filters of the lists (lib/listQuery.js); REPORTS_TIME_ZONE by default
+ * @param {object} [options.quoteSettings] - seller details and defaults for quotations (lib/quotes.js); read from the environment by default
+ * @param {object} [options.orderSettings] - payment and lookup settings for orders (lib/orders.js); read from the environment by default
+ * @param {object} [options.dealerSettings] - dealer search and assignment settings (lib/dealers.js); read from the environment by default
+ * @param {object} [options.demoBookingSettings] - lookup limit for customers' demo bookings (lib/demoBookings.js); read from the environment by default
+ * @param {object} [options.pincodes] - PIN code directory locating customers (lib/pincodes.js); PINCODE_DATA_FILE or the bundled one by default
+ *
+ * The email outbox and the webhooks are available as app.locals.outbox and app.locals.webhooks; call
+ * their start() to deliver what is queued (server.js does).
+ */
+const createApp = ({
+    pool, storage = createStorage(), mailer = createMailer(), fetch,
+    rateLimitStore = createMemoryRateLimitStore(), captcha = createCaptcha(), spam = spamConfig(),
+    timeZone = reportTimeZone(), quoteSettings = quoteConfig(), orderSettings = orderConfig(),
+    dealerSettings = dealerConfig(), demoBookingSettings = demoBookingConfig(), pincodes = loadPincodeDirectory(),
+}) => {
+    const app = express();
+    const repos = createRepositories(pool, { timeZone });
+    const outbox = createOutbox({ repo: repos.emailOutbox, mailer });
+    const notifications = createNotifications({ outbox, timeZone });
+    const webhooks = createWebhooks({ repo: repos.webhooks, fetch });
+    const spamGuard = createSpamGuard({ store: rateLimitStore, captcha, blockedSubmissions: repos.blockedSubmissions, config: spam });
+    app.locals.outbox = outbox;
+    app.locals.webhooks = webhooks;
+
+    // Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address (used by the spam rate limits),
+    // e.g. 1 for a single proxy hop. See Express's 'trust proxy' setting.
+    if (process.env.TRUST_PROXY) {
+        app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+    }
+
+    // Middleware
+    app.use(cors({
+        credentials : true,
+        origin : process.env.FRONTEND_URL,
+        exposedHeaders : ['ETag']
+    })) // Enable CORS for all origins (for development)
+    app.use(express.json()); // Parse JSON request bodies
+
+    // Uploaded media, when stored on local disk
+    if (storage.serve) {
+        app.use(storage.serve.path, storage.serve.handler);
+    }
+
+    // --- General API Routes ---
+
+    /**
+     * @route GET /
+     * @desc Welcome message for the API
+     * @access Public
+     */
+    app.get('/', (req, res) => {
+        res.send('Welcome to Bullwork Mobility Backend API!');
+    });
+
+    app.use('/api/auth', require("./routes/auth")(repos));
+    app.use('/api/admin/users', require("./routes/adminUsers")(repos));
+    app.use('/api/admin/email-outbox', require("./routes/emailOutbox")(repos));
+    app.use('/api/admin/webhooks', require("./routes/webhooks")(repos));
+    app.use('/api/admin/blocked-submissions', require("./routes/blockedSubmissions")(repos));
+    app.use('/api/admin/audit', require("./routes/audit")(repos));
+    app.use('/api/admin/reports', require("./routes/reports")(repos, { timeZone }));
+    app.use('/api/blogs', require("./routes/blogs")(repos));
+    app.use('/api/tags', require("./routes/tags")(repos));
+    app.use('/api/categories', require("./routes/categories")(repos));
+    app.use('/api/products', require("./routes/products")(repos, { webhooks, spamGuard }));
+    app.use('/api/spec-definitions', require("./routes/specDefinitions")(repos));
+    app.use('/api/qna', require("./routes/qna")(repos));
+    app.use('/api/awards', require("./routes/awards")(repos));
+    app.use('/api/media', require("./routes/media")(repos));
+    app.use('/api/media-library', require("./routes/mediaLibrary")(repos, { storage }));
+    app.use('/api/dealers', require("./routes/dealers")(repos, { pincodes, dealerSettings }));
+    app.use('/api/demo-slots', require("./routes/demoSlots")(repos, { notifications }));
+    app.use('/api/requests/:requestId/demo-booking', require("./routes/demoBookings")(repos, { notifications, demoBookingSettings, rateLimitStore }));
+    app.use('/api/requests/:requestId/quotes', require("./routes/quotes")(repos, { timeZone, quoteSettings }));
+    app.use('/api/requests', require("./routes/requests")(repos, { notifications, webhooks, spamGuard, pincodes, dealerSettings }));
+    app.use('/api/orders', require("./routes/orders")(repos, { notifications, orderSettings, quoteSettings, rateLimitStore, timeZone }));
+    app.use('/api/jobs', require("./routes/jobs")(repos));
+    app.use('/api/apply', require("./routes/apply")(repos, { storage, notifications, webhooks, spamGuard }));
+    app.use('/api/subscribe', require("./routes/subscribe")(repos, { notifications, webhooks, spamGuard }));
+
+    // --- Error Handling Middleware ---
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Malformed JSON body' });
+        }
+        console.error(err.stack);
+        res.status(500).json({ error: 'Server error' });
+    });
+
+    return app;
+};
+
+module.exports = { createApp };
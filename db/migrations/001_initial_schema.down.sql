@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS subscribe;
+DROP TABLE IF EXISTS apply;
+DROP TABLE IF EXISTS requests;
+DROP TABLE IF EXISTS media;
+DROP TABLE IF EXISTS awards;
+DROP TABLE IF EXISTS qna;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS blogs;
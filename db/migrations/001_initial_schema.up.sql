@@ -0,0 +1,85 @@
+-- Baseline schema: the tables the API was originally written against.
+-- IF NOT EXISTS lets existing databases adopt the migration history without changes.
+
+CREATE TABLE IF NOT EXISTS blogs (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL UNIQUE,
+    content TEXT NOT NULL,
+    author VARCHAR(255) NOT NULL,
+    image_url TEXT,
+    video_url TEXT,
+    tags TEXT[],
+    publication_date TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    tagline VARCHAR(500),
+    description TEXT,
+    price NUMERIC(12, 2),
+    main_image_url TEXT,
+    image_urls TEXT[],
+    video_url TEXT,
+    category VARCHAR(100),
+    features_text TEXT,
+    tco_savings_text TEXT,
+    tco_savings_image_url TEXT,
+    specifications JSONB,
+    related_products_ids INTEGER[]
+);
+
+CREATE TABLE IF NOT EXISTS qna (
+    id SERIAL PRIMARY KEY,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS awards (
+    id SERIAL PRIMARY KEY,
+    image_url TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS media (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL
+);
+
+-- Demo and order requests submitted from the website.
+CREATE TABLE IF NOT EXISTS requests (
+    id SERIAL PRIMARY KEY,
+    request_type VARCHAR(20) NOT NULL,
+    product_name VARCHAR(255),
+    full_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    company_name VARCHAR(255),
+    address TEXT,
+    country VARCHAR(100),
+    state VARCHAR(100),
+    city VARCHAR(100),
+    pincode VARCHAR(10),
+    aadhar_number VARCHAR(12),
+    pan_number VARCHAR(10),
+    message TEXT,
+    quantity INTEGER,
+    status VARCHAR(20) DEFAULT 'pending',
+    request_date TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Job applications.
+CREATE TABLE IF NOT EXISTS apply (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    position VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Newsletter subscriptions.
+CREATE TABLE IF NOT EXISTS subscribe (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    subscribed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
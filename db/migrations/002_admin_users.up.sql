@@ -0,0 +1,14 @@
+-- Admin users for the back-office API (see /api/auth/* in routes/auth.js).
+-- role: admin | editor | sales | hr
+-- token_version is embedded in refresh tokens; incrementing it revokes every session of the user.
+CREATE TABLE IF NOT EXISTS admin_users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    full_name VARCHAR(255),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'editor', 'sales', 'hr')),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    token_version INTEGER NOT NULL DEFAULT 0,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
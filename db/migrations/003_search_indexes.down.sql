@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS subscribe_subscribed_at_id_idx;
+DROP INDEX IF EXISTS requests_request_date_id_idx;
+DROP INDEX IF EXISTS products_search_idx;
+DROP INDEX IF EXISTS blogs_search_idx;
@@ -0,0 +1,11 @@
+-- GIN indexes backing ?q= full-text search on GET /api/blogs and GET /api/products.
+-- The indexed expressions must match searchVector() in lib/listQuery.js exactly, otherwise Postgres won't use them.
+CREATE INDEX IF NOT EXISTS blogs_search_idx ON blogs
+    USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(content, '')));
+
+CREATE INDEX IF NOT EXISTS products_search_idx ON products
+    USING GIN (to_tsvector('english', coalesce(name, '') || ' ' || coalesce(tagline, '') || ' ' || coalesce(description, '')));
+
+-- Keyset pagination indexes for the default sort orders of the larger lists.
+CREATE INDEX IF NOT EXISTS requests_request_date_id_idx ON requests (request_date DESC, id DESC);
+CREATE INDEX IF NOT EXISTS subscribe_subscribed_at_id_idx ON subscribe (subscribed_at DESC, id DESC);
@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS request_activities;
+
+DROP INDEX IF EXISTS requests_follow_up_at_idx;
+
+ALTER TABLE requests
+    DROP COLUMN IF EXISTS follow_up_at,
+    DROP COLUMN IF EXISTS assigned_to,
+    DROP CONSTRAINT IF EXISTS requests_status_check,
+    ALTER COLUMN status DROP NOT NULL,
+    ALTER COLUMN status SET DEFAULT 'pending';
@@ -0,0 +1,29 @@
+-- Sales pipeline for demo/order requests (see PIPELINE_STAGES in lib/pipeline.js).
+-- Existing free-form statuses that are not a pipeline stage are reset to 'new'.
+UPDATE requests SET status = 'new'
+WHERE status IS NULL OR status NOT IN ('new', 'contacted', 'demo_scheduled', 'quoted', 'won', 'lost');
+
+ALTER TABLE requests
+    ALTER COLUMN status SET DEFAULT 'new',
+    ALTER COLUMN status SET NOT NULL,
+    DROP CONSTRAINT IF EXISTS requests_status_check,
+    ADD CONSTRAINT requests_status_check
+        CHECK (status IN ('new', 'contacted', 'demo_scheduled', 'quoted', 'won', 'lost')),
+    ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS follow_up_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS requests_follow_up_at_idx ON requests (follow_up_at) WHERE follow_up_at IS NOT NULL;
+
+-- Activity history per request: status changes, notes, assignments and follow-up changes.
+CREATE TABLE IF NOT EXISTS request_activities (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    activity_type VARCHAR(20) NOT NULL CHECK (activity_type IN ('status_change', 'note', 'assignment', 'follow_up')),
+    from_status VARCHAR(20),
+    to_status VARCHAR(20),
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS request_activities_request_id_idx ON request_activities (request_id, created_at);
@@ -0,0 +1,9 @@
+-- Only reversible once scripts/encrypt-request-pii.js has not yet run, or after the values have
+-- been decrypted again: ciphertext does not fit the original VARCHAR(12)/VARCHAR(10) columns.
+DROP TABLE IF EXISTS pii_access_log;
+
+ALTER TABLE requests
+    DROP COLUMN IF EXISTS pan_last4,
+    DROP COLUMN IF EXISTS aadhar_last4,
+    ALTER COLUMN pan_number TYPE VARCHAR(10),
+    ALTER COLUMN aadhar_number TYPE VARCHAR(12);
@@ -0,0 +1,21 @@
+-- Aadhaar/PAN encryption at rest (see lib/pii.js).
+-- The number columns hold "enc:<keyId>:..." ciphertext; the last 4 characters are kept in plain text
+-- so responses can be masked without decrypting. Run scripts/encrypt-request-pii.js afterwards
+-- to encrypt existing rows.
+ALTER TABLE requests
+    ALTER COLUMN aadhar_number TYPE TEXT,
+    ALTER COLUMN pan_number TYPE TEXT,
+    ADD COLUMN IF NOT EXISTS aadhar_last4 CHAR(4),
+    ADD COLUMN IF NOT EXISTS pan_last4 CHAR(4);
+
+-- Audit trail of every POST /api/requests/:id/pii/reveal call.
+CREATE TABLE IF NOT EXISTS pii_access_log (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER REFERENCES requests(id) ON DELETE SET NULL,
+    actor_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS pii_access_log_request_id_idx ON pii_access_log (request_id);
@@ -0,0 +1,8 @@
+ALTER TABLE subscribe DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
+ALTER TABLE apply DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
+ALTER TABLE requests DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
+ALTER TABLE media DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
+ALTER TABLE awards DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
+ALTER TABLE qna DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
+ALTER TABLE products DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
+ALTER TABLE blogs DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version;
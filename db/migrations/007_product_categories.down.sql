@@ -0,0 +1,9 @@
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category VARCHAR(100);
+
+UPDATE products SET category = categories.name
+FROM categories
+WHERE categories.id = products.category_id;
+
+DROP INDEX IF EXISTS products_category_id_idx;
+ALTER TABLE products DROP COLUMN IF EXISTS category_id;
+DROP TABLE IF EXISTS categories CASCADE;
@@ -0,0 +1,33 @@
+-- First-class product categories, replacing the free-text products.category column.
+-- sort_order controls the order categories are listed in (lowest first).
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    description TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    version INTEGER NOT NULL DEFAULT 1,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS products_category_id_idx ON products (category_id);
+
+-- One category per distinct existing value; values differing only in case/punctuation share a slug.
+INSERT INTO categories (name, slug)
+SELECT MIN(name), slug FROM (
+    SELECT btrim(category) AS name, btrim(REGEXP_REPLACE(LOWER(category), '[^a-z0-9]+', '-', 'g'), '-') AS slug
+    FROM products
+    WHERE category IS NOT NULL AND btrim(category) <> ''
+) AS existing
+WHERE slug <> ''
+GROUP BY slug
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE products SET category_id = categories.id
+FROM categories
+WHERE categories.slug = btrim(REGEXP_REPLACE(LOWER(products.category), '[^a-z0-9]+', '-', 'g'), '-');
+
+ALTER TABLE products DROP COLUMN IF EXISTS category;
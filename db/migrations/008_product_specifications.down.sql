@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS product_specs;
+DROP TABLE IF EXISTS spec_definitions;
@@ -0,0 +1,29 @@
+-- Typed product specifications. spec_definitions declares each comparable attribute
+-- (e.g. battery_kwh, range_km) with its unit and display group; product_specs holds the
+-- per-product values in the column matching the definition's data_type.
+-- products.specifications (free-form JSON) is kept for attributes that are not compared;
+-- scripts/import-product-specs.js copies its values into this model.
+CREATE TABLE IF NOT EXISTS spec_definitions (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(60) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    unit VARCHAR(20),
+    group_name VARCHAR(60),
+    data_type VARCHAR(10) NOT NULL DEFAULT 'number' CHECK (data_type IN ('number', 'text', 'boolean')),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    version INTEGER NOT NULL DEFAULT 1,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS product_specs (
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    spec_id INTEGER NOT NULL REFERENCES spec_definitions(id) ON DELETE CASCADE,
+    value_number NUMERIC,
+    value_text TEXT,
+    value_boolean BOOLEAN,
+    PRIMARY KEY (product_id, spec_id)
+);
+
+-- Range filters (?spec=range_km:gte:80) look up products by spec and value.
+CREATE INDEX IF NOT EXISTS product_specs_spec_value_idx ON product_specs (spec_id, value_number);
@@ -0,0 +1,3 @@
+ALTER TABLE requests DROP COLUMN IF EXISTS tco_calculation_id;
+DROP TABLE IF EXISTS tco_calculations CASCADE;
+DROP TABLE IF EXISTS product_tco_params;
@@ -0,0 +1,31 @@
+-- Total cost of ownership (see lib/tco.js). One parameter row per product: the electric product's
+-- running costs and the diesel baseline it is compared with. All amounts are in INR.
+CREATE TABLE IF NOT EXISTS product_tco_params (
+    product_id INTEGER PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    energy_kwh_per_hour NUMERIC(10, 3),
+    energy_kwh_per_km NUMERIC(10, 3),
+    battery_replacement_hours INTEGER,
+    battery_replacement_cost NUMERIC(12, 2),
+    maintenance_cost_per_hour NUMERIC(10, 2),
+    annual_maintenance_cost NUMERIC(12, 2),
+    diesel_purchase_price NUMERIC(12, 2),
+    diesel_litres_per_hour NUMERIC(10, 3),
+    diesel_litres_per_km NUMERIC(10, 3),
+    diesel_maintenance_cost_per_hour NUMERIC(10, 2),
+    diesel_annual_maintenance_cost NUMERIC(12, 2),
+    version INTEGER NOT NULL DEFAULT 1,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Saved calculator results, so a customer's scenario can be attached to their demo/order request.
+-- `parameters` snapshots the product's TCO parameters used, as they may change later.
+CREATE TABLE IF NOT EXISTS tco_calculations (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    inputs JSONB NOT NULL,
+    parameters JSONB NOT NULL,
+    result JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS tco_calculation_id INTEGER REFERENCES tco_calculations(id) ON DELETE SET NULL;
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS blog_revisions;
+DROP INDEX IF EXISTS blogs_status_publication_date_idx;
+-- Without a status every post is live again; posts that were never published are dated now.
+UPDATE blogs SET publication_date = NOW() WHERE publication_date IS NULL;
+ALTER TABLE blogs ALTER COLUMN publication_date SET DEFAULT NOW();
+ALTER TABLE blogs ALTER COLUMN publication_date SET NOT NULL;
+ALTER TABLE blogs DROP COLUMN IF EXISTS status;
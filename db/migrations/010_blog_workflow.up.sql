@@ -0,0 +1,31 @@
+-- Blog publishing workflow (see lib/blogWorkflow.js). Existing posts were live, so they become
+-- 'published'; new posts start as drafts. publication_date is set when a post is published
+-- (a future date schedules it) and is NULL for posts that have never been published.
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'review', 'published', 'archived'));
+ALTER TABLE blogs ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE blogs ALTER COLUMN publication_date DROP NOT NULL;
+ALTER TABLE blogs ALTER COLUMN publication_date DROP DEFAULT;
+
+CREATE INDEX IF NOT EXISTS blogs_status_publication_date_idx ON blogs (status, publication_date DESC);
+
+-- A snapshot of a post's content after every save, for history and restore.
+CREATE TABLE IF NOT EXISTS blog_revisions (
+    id SERIAL PRIMARY KEY,
+    blog_id INTEGER NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+    blog_version INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    author VARCHAR(255) NOT NULL,
+    image_url TEXT,
+    video_url TEXT,
+    tags TEXT[],
+    editor_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS blog_revisions_blog_id_idx ON blog_revisions (blog_id, id DESC);
+
+INSERT INTO blog_revisions (blog_id, blog_version, title, slug, content, author, image_url, video_url, tags)
+SELECT id, version, title, slug, content, author, image_url, video_url, tags FROM blogs;
@@ -0,0 +1,3 @@
+ALTER TABLE blogs DROP COLUMN IF EXISTS product_ids;
+DROP TABLE IF EXISTS blog_tags;
+DROP TABLE IF EXISTS tags;
@@ -0,0 +1,46 @@
+-- Normalized blog tags. Tags are matched by slug, so 'Battery' and 'battery ' are the same tag;
+-- blog_tags is what tag filters and counts use; blogs.tags still holds each post's tag names for
+-- display and revisions, and saves write the canonical names to both (see repositories/blogs.js).
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    slug VARCHAR(60) NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS blog_tags (
+    blog_id INTEGER NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (blog_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS blog_tags_tag_id_idx ON blog_tags (tag_id);
+
+-- Products a post mentions ("featured in" on the product). Deleting a product removes its id, see repositories/products.js.
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS product_ids INTEGER[];
+
+-- blog_tag_values has one row per (post, tag value); positions 1-20 cover every tag, as schemas.blogs
+-- allows at most 20 per post. Values differing only in case/punctuation share a slug.
+INSERT INTO tags (name, slug)
+SELECT MIN(name), slug FROM (
+    SELECT blogs.id AS blog_id, btrim(blogs.tags[positions.i]) AS name,
+        btrim(REGEXP_REPLACE(LOWER(blogs.tags[positions.i]), '[^a-z0-9]+', '-', 'g'), '-') AS slug
+    FROM blogs
+    JOIN (VALUES (1), (2), (3), (4), (5), (6), (7), (8), (9), (10), (11), (12), (13), (14), (15), (16), (17), (18), (19), (20)) AS positions(i)
+        ON blogs.tags[positions.i] IS NOT NULL
+) AS blog_tag_values
+WHERE slug <> ''
+GROUP BY slug
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO blog_tags (blog_id, tag_id)
+SELECT DISTINCT blog_tag_values.blog_id, tags.id
+FROM (
+    SELECT blogs.id AS blog_id, btrim(blogs.tags[positions.i]) AS name,
+        btrim(REGEXP_REPLACE(LOWER(blogs.tags[positions.i]), '[^a-z0-9]+', '-', 'g'), '-') AS slug
+    FROM blogs
+    JOIN (VALUES (1), (2), (3), (4), (5), (6), (7), (8), (9), (10), (11), (12), (13), (14), (15), (16), (17), (18), (19), (20)) AS positions(i)
+        ON blogs.tags[positions.i] IS NOT NULL
+) AS blog_tag_values
+JOIN tags ON tags.slug = blog_tag_values.slug
+ON CONFLICT DO NOTHING;
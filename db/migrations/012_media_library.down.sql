@@ -0,0 +1,2 @@
+-- Stored files are not deleted; remove them from the storage backend separately if needed.
+DROP TABLE IF EXISTS media_assets;
@@ -0,0 +1,23 @@
+-- Media library: uploaded files with their resized variants (see lib/media.js). Files live in the
+-- configured storage backend (lib/storage.js); url and variants hold their public URLs, which is
+-- what blogs, products and awards reference.
+CREATE TABLE IF NOT EXISTS media_assets (
+    id SERIAL PRIMARY KEY,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    storage_key VARCHAR(255) NOT NULL UNIQUE,
+    url TEXT NOT NULL,
+    -- variant name -> { key, url, width, height, size_bytes }
+    variants JSONB NOT NULL DEFAULT '{}',
+    alt_text VARCHAR(255),
+    caption TEXT,
+    uploaded_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    version INTEGER NOT NULL DEFAULT 1,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS media_assets_created_at_idx ON media_assets (created_at DESC);
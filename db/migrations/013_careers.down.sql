@@ -0,0 +1,13 @@
+-- Stored resumes are not deleted; remove them from the storage backend separately if needed.
+DROP TABLE IF EXISTS application_activities;
+DROP INDEX IF EXISTS apply_job_id_stage_idx;
+ALTER TABLE apply
+    DROP COLUMN IF EXISTS stage,
+    DROP COLUMN IF EXISTS resume_size_bytes,
+    DROP COLUMN IF EXISTS resume_mime_type,
+    DROP COLUMN IF EXISTS resume_name,
+    DROP COLUMN IF EXISTS resume_key,
+    DROP COLUMN IF EXISTS cover_letter,
+    DROP COLUMN IF EXISTS phone,
+    DROP COLUMN IF EXISTS job_id;
+DROP TABLE IF EXISTS jobs;
@@ -0,0 +1,44 @@
+-- Careers: job postings, and applications tied to a posting with a resume and a hiring stage
+-- (see lib/applicationStages.js). Resumes live in the storage backend under the private prefix
+-- and are only downloadable by HR; the apply table keeps their key and metadata.
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    department VARCHAR(100),
+    location VARCHAR(100),
+    description TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    version INTEGER NOT NULL DEFAULT 1,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status);
+
+-- Existing applications keep their free-text position and have no job.
+ALTER TABLE apply
+    ADD COLUMN IF NOT EXISTS job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS phone VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS cover_letter TEXT,
+    ADD COLUMN IF NOT EXISTS resume_key VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS resume_name VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS resume_mime_type VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS resume_size_bytes INTEGER,
+    ADD COLUMN IF NOT EXISTS stage VARCHAR(20) NOT NULL DEFAULT 'applied'
+        CHECK (stage IN ('applied', 'screening', 'interview', 'offer', 'hired', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS apply_job_id_stage_idx ON apply (job_id, stage);
+
+-- Activity history per application: stage changes and reviewer notes.
+CREATE TABLE IF NOT EXISTS application_activities (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES apply(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    activity_type VARCHAR(20) NOT NULL CHECK (activity_type IN ('stage_change', 'note')),
+    from_stage VARCHAR(20),
+    to_stage VARCHAR(20),
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS application_activities_application_id_idx ON application_activities (application_id, created_at);
@@ -0,0 +1,7 @@
+-- Suppressed addresses are forgotten; pending subscribers become plain subscribers again.
+DROP TABLE IF EXISTS email_suppressions;
+DROP INDEX IF EXISTS subscribe_status_idx;
+ALTER TABLE subscribe
+    DROP COLUMN IF EXISTS topics,
+    DROP COLUMN IF EXISTS confirmed_at,
+    DROP COLUMN IF EXISTS status;
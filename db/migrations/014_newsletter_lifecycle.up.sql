@@ -0,0 +1,21 @@
+-- Newsletter double opt-in, topics and suppression list (see lib/newsletter.js).
+-- Existing subscribers signed up before double opt-in and stay active; new ones start pending.
+ALTER TABLE subscribe
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('pending', 'active')),
+    ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS topics TEXT[] NOT NULL DEFAULT ARRAY['blogs', 'product_launches', 'events', 'offers'];
+
+UPDATE subscribe SET confirmed_at = subscribed_at WHERE confirmed_at IS NULL;
+
+ALTER TABLE subscribe ALTER COLUMN status SET DEFAULT 'pending';
+
+CREATE INDEX IF NOT EXISTS subscribe_status_idx ON subscribe (status);
+
+-- Addresses that must never be (re-)subscribed, e.g. after unsubscribing. Unsubscribing removes the
+-- subscriber row, so this is the only record that the address opted out.
+CREATE TABLE IF NOT EXISTS email_suppressions (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('unsubscribed', 'bounced', 'manual')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,2 @@
+-- Queued messages that were not sent yet are lost.
+DROP TABLE IF EXISTS email_outbox;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS apply_email_created_at_idx;
+DROP INDEX IF EXISTS requests_email_request_date_idx;
+DROP TABLE IF EXISTS blocked_submissions;
@@ -0,0 +1,19 @@
+-- Submissions to the public forms rejected as spam (see middleware/spamGuard.js), kept for review.
+CREATE TABLE IF NOT EXISTS blocked_submissions (
+    id SERIAL PRIMARY KEY,
+    -- 'requests', 'apply' or 'subscribe'
+    form VARCHAR(20) NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('rate_limit_ip', 'rate_limit_email', 'honeypot', 'captcha', 'duplicate')),
+    ip VARCHAR(45),
+    email VARCHAR(255),
+    user_agent TEXT,
+    -- the submitted fields, without Aadhaar/PAN numbers
+    payload JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS blocked_submissions_created_at_idx ON blocked_submissions (created_at);
+
+-- Duplicate detection looks up recent submissions by email.
+CREATE INDEX IF NOT EXISTS requests_email_request_date_idx ON requests (email, request_date);
+CREATE INDEX IF NOT EXISTS apply_email_created_at_idx ON apply (email, created_at);
@@ -0,0 +1,20 @@
+-- Administrative changes (see lib/audit.js). Entries are never updated. actor_id has no foreign
+-- key and the actor's email is copied, so entries outlive the user they name.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER,
+    actor_email VARCHAR(255),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    -- e.g. 'products', 'requests'
+    resource VARCHAR(50) NOT NULL,
+    resource_id INTEGER NOT NULL,
+    -- the whole row for creates/deletes, the changed fields only for updates
+    before_values JSONB,
+    after_values JSONB,
+    ip VARCHAR(45),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_resource_idx ON audit_log (resource, resource_id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_id_idx ON audit_log (actor_id);
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
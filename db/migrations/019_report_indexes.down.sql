@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS email_suppressions_created_at_idx;
+DROP INDEX IF EXISTS subscribe_confirmed_at_idx;
+DROP INDEX IF EXISTS apply_created_at_idx;
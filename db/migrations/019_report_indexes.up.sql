@@ -0,0 +1,4 @@
+-- Date-range scans for the admin reports (routes/reports.js). requests.request_date is already indexed.
+CREATE INDEX IF NOT EXISTS apply_created_at_idx ON apply (created_at);
+CREATE INDEX IF NOT EXISTS subscribe_confirmed_at_idx ON subscribe (confirmed_at);
+CREATE INDEX IF NOT EXISTS email_suppressions_created_at_idx ON email_suppressions (created_at);
@@ -0,0 +1,40 @@
+-- Quotations for order requests (see lib/quotes.js). Revising a quote adds a row with the same
+-- quote_number and the next revision; the revised row gets superseded_at. Amounts are in INR.
+CREATE TABLE IF NOT EXISTS quotes (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+    quote_number VARCHAR(20) NOT NULL,
+    revision INTEGER NOT NULL DEFAULT 1,
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    product_name VARCHAR(255) NOT NULL,
+    unit_price NUMERIC(12, 2) NOT NULL,
+    quantity INTEGER NOT NULL,
+    -- set when the discount was given as a percentage; discount_amount is always the amount in INR
+    discount_percent NUMERIC(5, 2),
+    discount_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    subtotal NUMERIC(14, 2) NOT NULL,
+    taxable_amount NUMERIC(14, 2) NOT NULL,
+    gst_rate NUMERIC(5, 2) NOT NULL,
+    place_of_supply VARCHAR(100) NOT NULL,
+    -- intra_state: CGST + SGST; inter_state: IGST
+    gst_type VARCHAR(20) NOT NULL CHECK (gst_type IN ('intra_state', 'inter_state')),
+    cgst NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    sgst NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    igst NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total NUMERIC(14, 2) NOT NULL,
+    -- the end of the last day the quote is valid
+    expires_at TIMESTAMPTZ NOT NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    superseded_at TIMESTAMPTZ,
+    UNIQUE (quote_number, revision)
+);
+
+CREATE INDEX IF NOT EXISTS quotes_request_id_idx ON quotes (request_id);
+
+-- The last quote number handed out per financial year, e.g. ('2026-27', 14).
+CREATE TABLE IF NOT EXISTS quote_sequences (
+    financial_year VARCHAR(7) PRIMARY KEY,
+    last_number INTEGER NOT NULL
+);
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS order_sequences;
+DROP TABLE IF EXISTS order_status_history;
+DROP TABLE IF EXISTS order_vehicles;
+DROP TABLE IF EXISTS order_payments;
+DROP TABLE IF EXISTS order_items;
+DROP TABLE IF EXISTS orders;
@@ -0,0 +1,76 @@
+-- Orders placed for won requests and their fulfilment (see lib/orders.js). Amounts are in INR.
+-- The customer's name and email are copied from the request, so an order outlives its request.
+CREATE TABLE IF NOT EXISTS orders (
+    id SERIAL PRIMARY KEY,
+    order_number VARCHAR(20) NOT NULL UNIQUE,
+    request_id INTEGER UNIQUE REFERENCES requests(id) ON DELETE SET NULL,
+    quote_id INTEGER REFERENCES quotes(id) ON DELETE SET NULL,
+    customer_name VARCHAR(255) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed'
+        CHECK (status IN ('confirmed', 'manufacturing', 'dispatched', 'delivered', 'cancelled')),
+    total_amount NUMERIC(14, 2) NOT NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS orders_status_idx ON orders (status, created_at);
+
+CREATE TABLE IF NOT EXISTS order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    product_name VARCHAR(255) NOT NULL,
+    unit_price NUMERIC(12, 2) NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    amount NUMERIC(14, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS order_items_order_id_idx ON order_items (order_id);
+
+-- Payment milestones; paid_at is set when the payment is received.
+CREATE TABLE IF NOT EXISTS order_payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    milestone VARCHAR(20) NOT NULL CHECK (milestone IN ('advance', 'balance')),
+    amount NUMERIC(14, 2) NOT NULL,
+    paid_at TIMESTAMPTZ,
+    method VARCHAR(20),
+    reference VARCHAR(100),
+    recorded_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    UNIQUE (order_id, milestone)
+);
+
+-- The vehicles delivered against each order line, one row per unit.
+CREATE TABLE IF NOT EXISTS order_vehicles (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    vin VARCHAR(17) NOT NULL UNIQUE,
+    serial_number VARCHAR(100),
+    assigned_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_vehicles_order_id_idx ON order_vehicles (order_id);
+
+-- Every change of an order's stage, starting with its creation (from_status NULL -> 'confirmed').
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    note TEXT,
+    actor_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_id_idx ON order_status_history (order_id, created_at);
+
+-- The last order number handed out per financial year, e.g. ('2026-27', 14).
+CREATE TABLE IF NOT EXISTS order_sequences (
+    financial_year VARCHAR(7) PRIMARY KEY,
+    last_number INTEGER NOT NULL
+);
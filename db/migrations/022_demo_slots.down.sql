@@ -0,0 +1,3 @@
+ALTER TABLE email_outbox DROP COLUMN IF EXISTS attachments;
+DROP TABLE IF EXISTS demo_bookings;
+DROP TABLE IF EXISTS demo_slots;
@@ -0,0 +1,38 @@
+-- Demo availability slots, managed by sales, and the demo requests booked into them (routes/demoSlots.js).
+-- A slot with no product_id is open for a demo of any product.
+CREATE TABLE IF NOT EXISTS demo_slots (
+    id SERIAL PRIMARY KEY,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    state VARCHAR(100),
+    -- the venue, e.g. a dealership's address
+    location TEXT,
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    -- the sales rep giving the demo
+    rep_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    notes TEXT,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS demo_slots_starts_at_idx ON demo_slots (starts_at);
+
+-- The booking of a demo request. A request has one booking and a slot at most one, so a slot cannot be
+-- double-booked; a cancelled booking has no slot. sequence counts the changes the calendar invites went
+-- through (see lib/calendar.js).
+CREATE TABLE IF NOT EXISTS demo_bookings (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL UNIQUE REFERENCES requests(id) ON DELETE CASCADE,
+    slot_id INTEGER UNIQUE REFERENCES demo_slots(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled')),
+    sequence INTEGER NOT NULL DEFAULT 0,
+    booked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    cancelled_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Files attached to queued email, e.g. calendar invites: [{ filename, contentType, content }].
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS attachments JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS requests_dealer_id_idx;
+ALTER TABLE requests DROP COLUMN IF EXISTS dealer_id;
+DROP TABLE IF EXISTS dealers;
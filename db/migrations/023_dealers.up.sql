@@ -0,0 +1,28 @@
+-- Dealers and service centres (routes/dealers.js), found by distance from their coordinates (lib/dealers.js).
+-- services lists what the site offers (DEALER_SERVICES); product_ids the products it stocks.
+CREATE TABLE IF NOT EXISTS dealers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    phone_number VARCHAR(20),
+    address TEXT NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    state VARCHAR(100),
+    pincode VARCHAR(10),
+    country VARCHAR(100),
+    latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    services TEXT[] NOT NULL,
+    product_ids INTEGER[],
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The nearby search narrows candidates down by latitude before measuring distances.
+CREATE INDEX IF NOT EXISTS dealers_latitude_idx ON dealers (latitude);
+
+-- The dealer a demo/order request is routed to, assigned automatically when it is submitted.
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS dealer_id INTEGER REFERENCES dealers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS requests_dealer_id_idx ON requests (dealer_id);
@@ -0,0 +1,5 @@
+-- Revisions also snapshot the products a post links to, so restoring one restores its links
+-- (see repositories/blogs.js). Earlier revisions take the post's current links, the best record there is.
+ALTER TABLE blog_revisions ADD COLUMN IF NOT EXISTS product_ids INTEGER[];
+
+UPDATE blog_revisions SET product_ids = blogs.product_ids FROM blogs WHERE blogs.id = blog_revisions.blog_id;
@@ -0,0 +1,10 @@
+ALTER TABLE orders
+    DROP COLUMN IF EXISTS subtotal,
+    DROP COLUMN IF EXISTS discount_amount,
+    DROP COLUMN IF EXISTS taxable_amount,
+    DROP COLUMN IF EXISTS gst_rate,
+    DROP COLUMN IF EXISTS place_of_supply,
+    DROP COLUMN IF EXISTS gst_type,
+    DROP COLUMN IF EXISTS cgst,
+    DROP COLUMN IF EXISTS sgst,
+    DROP COLUMN IF EXISTS igst;
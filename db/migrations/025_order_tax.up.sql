@@ -0,0 +1,21 @@
+-- The tax breakdown of orders, as on quotes (see lib/orders.js): the item amounts add up to subtotal, less
+-- discount_amount to taxable_amount, plus CGST and SGST (intra_state) or IGST (inter_state) to total_amount.
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS subtotal NUMERIC(14, 2),
+    ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS taxable_amount NUMERIC(14, 2),
+    ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5, 2),
+    ADD COLUMN IF NOT EXISTS place_of_supply VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS gst_type VARCHAR(20) CHECK (gst_type IN ('intra_state', 'inter_state')),
+    ADD COLUMN IF NOT EXISTS cgst NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS sgst NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS igst NUMERIC(14, 2) NOT NULL DEFAULT 0;
+
+-- Orders of a quote take the quote's breakdown.
+UPDATE orders SET subtotal = quotes.subtotal, discount_amount = quotes.discount_amount, taxable_amount = quotes.taxable_amount,
+    gst_rate = quotes.gst_rate, place_of_supply = quotes.place_of_supply, gst_type = quotes.gst_type,
+    cgst = quotes.cgst, sgst = quotes.sgst, igst = quotes.igst
+FROM quotes WHERE quotes.id = orders.quote_id;
+
+-- Orders of line items were charged no GST until now; their place of supply was not recorded.
+UPDATE orders SET subtotal = total_amount, taxable_amount = total_amount, gst_rate = 0 WHERE subtotal IS NULL;
@@ -0,0 +1,6 @@
+-- Local development admin accounts, one per role. Password for all of them: ChangeMe123!
+INSERT INTO admin_users (email, password_hash, full_name, role) VALUES
+    ('admin@bullwork.local', '$2b$12$PCo4RZVauIuGBkmPS1DaVe2S5preBvyihLTOuyuzUOXyyfr5iieQK', 'Local Admin', 'admin'),
+    ('editor@bullwork.local', '$2b$12$PCo4RZVauIuGBkmPS1DaVe2S5preBvyihLTOuyuzUOXyyfr5iieQK', 'Local Editor', 'editor'),
+    ('sales@bullwork.local', '$2b$12$PCo4RZVauIuGBkmPS1DaVe2S5preBvyihLTOuyuzUOXyyfr5iieQK', 'Local Sales', 'sales'),
+    ('hr@bullwork.local', '$2b$12$PCo4RZVauIuGBkmPS1DaVe2S5preBvyihLTOuyuzUOXyyfr5iieQK', 'Local HR', 'hr');
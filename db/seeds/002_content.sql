@@ -0,0 +1,82 @@
+-- Sample website content: categories, products with their specs and TCO parameters, blogs and their tags, Q&A, awards and media.
+INSERT INTO categories (name, slug, description, sort_order) VALUES
+    ('Tractors', 'tractors', 'Electric tractors for orchards, small farms and large farms.', 1),
+    ('Vehicles', 'vehicles', 'Electric utility vehicles and loaders.', 2);
+
+INSERT INTO products (name, tagline, description, price, main_image_url, image_urls, category_id, features_text, tco_savings_text, specifications, related_products_ids) VALUES
+    ('Volt Tractor 25', 'The electric compact tractor', 'A 25 HP-class electric tractor for orchards and small farms.', 650000.00,
+        'https://example.com/images/volt-25.jpg', ARRAY['https://example.com/images/volt-25-side.jpg'], 1,
+        'Zero emissions, low noise, 6 hour runtime.', 'Save up to 70% on running costs compared with diesel.',
+        '{"horsepower": 25, "battery_kwh": 18, "runtime_hours": 6}', ARRAY[2]),
+    ('Volt Tractor 45', 'Electric power for large farms', 'A 45 HP-class electric tractor with fast charging.', 980000.00,
+        'https://example.com/images/volt-45.jpg', ARRAY['https://example.com/images/volt-45-side.jpg'], 1,
+        'Fast charging, regenerative braking.', 'Breakeven against diesel in under three years.',
+        '{"horsepower": 45, "battery_kwh": 32, "runtime_hours": 7}', ARRAY[1]),
+    ('Cargo Loader L1', 'Electric utility vehicle', 'A compact electric loader for warehouses and yards.', 420000.00,
+        'https://example.com/images/loader-l1.jpg', NULL, 2,
+        'Payload of 1 tonne, 80 km range.', NULL,
+        '{"payload_kg": 1000, "range_km": 80, "battery_kwh": 12}', NULL);
+
+
+INSERT INTO spec_definitions (key, label, unit, group_name, data_type, sort_order) VALUES
+    ('battery_kwh', 'Battery capacity', 'kWh', 'Battery', 'number', 1),
+    ('runtime_hours', 'Runtime', 'h', 'Battery', 'number', 2),
+    ('range_km', 'Range', 'km', 'Battery', 'number', 3),
+    ('horsepower', 'Power', 'HP', 'Performance', 'number', 1),
+    ('payload_kg', 'Payload', 'kg', 'Performance', 'number', 2),
+    ('fast_charging', 'Fast charging', NULL, 'Battery', 'boolean', 4);
+
+INSERT INTO product_specs (product_id, spec_id, value_number, value_boolean) VALUES
+    (1, 1, 18, NULL), (1, 2, 6, NULL), (1, 4, 25, NULL), (1, 6, NULL, FALSE),
+    (2, 1, 32, NULL), (2, 2, 7, NULL), (2, 4, 45, NULL), (2, 6, NULL, TRUE),
+    (3, 1, 12, NULL), (3, 3, 80, NULL), (3, 5, 1000, NULL), (3, 6, NULL, FALSE);
+
+INSERT INTO product_tco_params (product_id, energy_kwh_per_hour, energy_kwh_per_km, battery_replacement_hours, battery_replacement_cost,
+        maintenance_cost_per_hour, annual_maintenance_cost, diesel_purchase_price, diesel_litres_per_hour, diesel_litres_per_km,
+        diesel_maintenance_cost_per_hour, diesel_annual_maintenance_cost) VALUES
+    (1, 3.000, NULL, 5000, 180000.00, 15.00, 5000.00, 550000.00, 2.500, NULL, 60.00, 10000.00),
+    (2, 5.500, NULL, 5000, 300000.00, 20.00, 8000.00, 850000.00, 4.200, NULL, 80.00, 15000.00),
+    (3, NULL, 0.150, NULL, NULL, NULL, 6000.00, 380000.00, NULL, 0.120, NULL, 18000.00);
+
+INSERT INTO blogs (title, slug, content, author, image_url, tags, product_ids, status, publication_date) VALUES
+    ('Why electric tractors pay for themselves', 'why-electric-tractors-pay-for-themselves',
+        'Diesel prices keep rising while electricity on the farm is cheap. Here is how the numbers work out.',
+        'Bullwork Team', 'https://example.com/images/blog-tco.jpg', ARRAY['tco', 'tractors'], ARRAY[1, 2], 'published', NOW() - INTERVAL '10 days'),
+    ('Caring for your tractor battery', 'caring-for-your-tractor-battery',
+        'A few simple charging habits will keep your battery healthy for years.',
+        'Service Team', NULL, ARRAY['maintenance', 'battery'], ARRAY[1], 'published', NOW() - INTERVAL '3 days'),
+    ('Monsoon checklist for electric farm vehicles', 'monsoon-checklist-for-electric-farm-vehicles',
+        'Draft: charging point covers, connector care and storage tips for the rainy season.',
+        'Service Team', NULL, ARRAY['maintenance'], NULL, 'draft', NULL);
+
+INSERT INTO tags (name, slug) VALUES
+    ('tco', 'tco'),
+    ('tractors', 'tractors'),
+    ('maintenance', 'maintenance'),
+    ('battery', 'battery');
+
+INSERT INTO blog_tags (blog_id, tag_id) VALUES
+    (1, 1), (1, 2),
+    (2, 3), (2, 4),
+    (3, 3);
+
+INSERT INTO blog_revisions (blog_id, blog_version, title, slug, content, author, image_url, video_url, tags)
+SELECT id, version, title, slug, content, author, image_url, video_url, tags FROM blogs;
+
+INSERT INTO qna (question, answer) VALUES
+    ('How long does a full charge take?', 'About 4 hours on a standard 15 A socket, or 1.5 hours with the fast charger.'),
+    ('Is there a warranty on the battery?', 'Yes, batteries carry a 5 year or 5000 hour warranty, whichever comes first.');
+
+INSERT INTO awards (image_url) VALUES
+    ('https://example.com/images/award-agritech-2024.png');
+
+INSERT INTO media (url) VALUES
+    ('https://example.com/press/electric-farming-feature');
+
+INSERT INTO jobs (title, department, location, description, status) VALUES
+    ('Embedded Engineer', 'Engineering', 'Bengaluru',
+        'Design and test firmware for our battery management and motor control units.', 'open'),
+    ('Sales Executive', 'Sales', 'Pune',
+        'Grow our dealer network and run field demos for farmers across Maharashtra.', 'open'),
+    ('Service Technician', 'Service', 'Hyderabad',
+        'Maintain and repair electric tractors at customer sites.', 'closed');
@@ -0,0 +1,19 @@
+-- Sample leads: demo/order requests, job applications and newsletter subscribers.
+-- Aadhaar/PAN are left empty because they have to be encrypted by the application.
+INSERT INTO requests (request_type, product_name, full_name, email, phone_number, company_name, address, country, state, city, pincode, message, quantity, status, request_date) VALUES
+    ('demo', 'Volt Tractor 25', 'Ravi Kumar', 'ravi@example.com', '+91 98450 12345', NULL, 'Near bus stand', 'India', 'Karnataka', 'Mysuru', '570001', 'Would like a demo at my farm.', NULL, 'new', NOW() - INTERVAL '2 days'),
+    ('order', 'Volt Tractor 45', 'Anita Sharma', 'anita@example.com', '+91 99000 54321', 'Sharma Agro', 'Plot 12, APMC Yard', 'India', 'Maharashtra', 'Pune', '411001', 'Need two units before the monsoon.', 2, 'quoted', NOW() - INTERVAL '9 days'),
+    ('demo', 'Cargo Loader L1', 'Mohammed Irfan', 'irfan@example.com', '+91 97400 11122', 'Irfan Logistics', 'Industrial Area Phase 2', 'India', 'Telangana', 'Hyderabad', '500032', NULL, NULL, 'contacted', NOW() - INTERVAL '5 days');
+
+INSERT INTO apply (name, email, job_id, position, phone, cover_letter, stage) VALUES
+    ('Priya Nair', 'priya@example.com', 1, 'Embedded Engineer', '+91 98450 12345',
+        'Five years of firmware work on automotive BMS units.', 'interview'),
+    ('Arjun Rao', 'arjun@example.com', 2, 'Sales Executive', NULL, NULL, 'applied');
+
+INSERT INTO subscribe (email, status, confirmed_at, topics) VALUES
+    ('farmer1@example.com', 'active', NOW(), ARRAY['blogs', 'product_launches', 'events', 'offers']),
+    ('dealer@example.com', 'active', NOW(), ARRAY['product_launches']),
+    ('newcomer@example.com', 'pending', NULL, ARRAY['blogs']);
+
+INSERT INTO email_suppressions (email, reason) VALUES
+    ('former@example.com', 'unsubscribed');
@@ -0,0 +1,17 @@
+// Hiring stages of a job application and the transitions allowed out of each one.
+// 'hired' is terminal; a 'rejected' applicant can be reconsidered by moving them back to 'screening'.
+const APPLICATION_STAGES = ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected'];
+const APPLICATION_TRANSITIONS = {
+    applied: ['screening', 'rejected'],
+    screening: ['interview', 'rejected'],
+    interview: ['offer', 'rejected'],
+    offer: ['hired', 'rejected'],
+    hired: [],
+    rejected: ['screening'],
+};
+
+const allowedStageTransitions = (from) => APPLICATION_TRANSITIONS[from] || [];
+
+const canTransitionStage = (from, to) => allowedStageTransitions(from).includes(to);
+
+module.exports = { APPLICATION_STAGES, APPLICATION_TRANSITIONS, allowedStageTransitions, canTransitionStage };
@@ -0,0 +1,62 @@
+const { isDeepStrictEqual } = require("util");
+
+// Audit log of administrative changes: who created, updated or deleted what, from which IP, and
+// the values before and after. Entries are written after the change itself, by routes/crud.js for
+// the standard routes and by the routes with their own write endpoints. Public submissions (no
+// signed-in user, e.g. demo requests from the website) are not administrative changes and are
+// not recorded. Browse it with GET /api/admin/audit.
+
+// Bookkeeping and secrets, never recorded.
+const IGNORED_FIELDS = ['version', 'updated_at', 'password_hash'];
+
+const withoutIgnored = (row) => Object.fromEntries(Object.entries(row).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+
+/**
+ * The before/after values of a change: the whole row for creates (after only) and deletes
+ * (before only), only the fields that changed for updates.
+ * @returns {{ before: object|null, after: object|null }}
+ */
+const auditDiff = (before, after) => {
+    if (!before || !after) {
+        return { before: before ? withoutIgnored(before) : null, after: after ? withoutIgnored(after) : null };
+    }
+    const changed = Object.keys(withoutIgnored({ ...before, ...after }))
+        .filter((field) => !isDeepStrictEqual(before[field], after[field]));
+    return {
+        before: Object.fromEntries(changed.map((field) => [field, before[field] === undefined ? null : before[field]])),
+        after: Object.fromEntries(changed.map((field) => [field, after[field] === undefined ? null : after[field]])),
+    };
+};
+
+/**
+ * Records a change made through `req`. Never throws: the change has already been made, so a
+ * failure is only logged.
+ * @param {object} auditLog - repositories/auditLog.js
+ * @param {object} req - the request that made the change (for the actor and IP)
+ * @param {object} entry
+ * @param {'create'|'update'|'delete'} entry.action
+ * @param {string} entry.resource - e.g. 'products'
+ * @param {number} entry.resourceId
+ * @param {object} [entry.before] - the row before the change (omit for creates)
+ * @param {object} [entry.after] - the row after the change (omit for deletes)
+ */
+const recordAudit = async (auditLog, req, { action, resource, resourceId, before = null, after = null }) => {
+    if (!req.user) return;
+    try {
+        const diff = auditDiff(before, after);
+        await auditLog.record({
+            actor_id: req.user.id,
+            actor_email: req.user.email || null,
+            action,
+            resource,
+            resource_id: resourceId,
+            before_values: diff.before,
+            after_values: diff.after,
+            ip: req.ip || null,
+        });
+    } catch (err) {
+        console.error(`Error recording ${action} of ${resource} ${resourceId} in the audit log:`, err.message);
+    }
+};
+
+module.exports = { auditDiff, recordAudit };
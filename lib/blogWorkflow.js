@@ -0,0 +1,19 @@
+// Blog post states and the transitions allowed out of each one.
+// Only 'published' posts are public, and only once their publication_date has passed, so
+// publishing with a future date schedules the post. Archived posts can be reworked as drafts.
+const BLOG_STATUSES = ['draft', 'review', 'published', 'archived'];
+const BLOG_TRANSITIONS = {
+    draft: ['review', 'published', 'archived'],
+    review: ['draft', 'published'],
+    published: ['draft', 'archived'],
+    archived: ['draft'],
+};
+
+// SQL condition matching the posts the public may see: published, and not scheduled for later.
+const PUBLISHED_BLOG_CONDITION = "status = 'published' AND publication_date <= NOW()";
+
+const allowedBlogTransitions = (from) => BLOG_TRANSITIONS[from] || [];
+
+const canTransitionBlog = (from, to) => allowedBlogTransitions(from).includes(to);
+
+module.exports = { BLOG_STATUSES, BLOG_TRANSITIONS, PUBLISHED_BLOG_CONDITION, allowedBlogTransitions, canTransitionBlog };
@@ -0,0 +1,82 @@
+// Calendar invitations in iCalendar form (RFC 5545), sent as .ics email attachments (e.g. for demo
+// bookings, see lib/notifications.js). Calendar apps match an update or a cancellation to the event
+// they already have by its UID, and apply it when its SEQUENCE is higher than the one they have.
+
+const PRODUCT_ID = '-//Bullwork Mobility//Demo bookings//EN';
+// Longest line, in octets, before it is folded onto the next one.
+const MAX_LINE_OCTETS = 75;
+
+// Text values escape backslashes, semicolons, commas and line breaks.
+const escapeText = (text) => String(text).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+
+// Parameter values (e.g. CN) are quoted, and cannot contain quotes or line breaks.
+const paramValue = (text) => `"${String(text).replace(/["\r\n]/g, '')}"`;
+
+// UTC date-time, e.g. 20261019T103000Z.
+const formatTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Folds a content line into lines of at most 75 octets; each continuation line starts with a space.
+const fold = (line) => {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        if (octets + size > MAX_LINE_OCTETS) {
+            lines.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+};
+
+const person = (property, { name, email }, params = '') =>
+    `${property}${name ? `;CN=${paramValue(name)}` : ''}${params}:mailto:${email}`;
+
+/**
+ * Renders a single-event calendar invitation.
+ * @param {object} event
+ * @param {'REQUEST'|'CANCEL'} [event.method] - REQUEST to add or update the event, CANCEL to remove it
+ * @param {string} event.uid - stays the same for every update of the event
+ * @param {number} [event.sequence] - revision of the event; raise it with every update
+ * @param {Date|string} event.start
+ * @param {Date|string} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {{ name?: string, email: string }} event.organizer
+ * @param {Array<{ name?: string, email: string }>} [event.attendees]
+ * @returns {string} the .ics file
+ */
+const calendarInvite = ({
+    method = 'REQUEST', uid, sequence = 0, start, end, summary, description, location, organizer, attendees = [],
+}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatTime(new Date())}`,
+        `DTSTART:${formatTime(start)}`,
+        `DTEND:${formatTime(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+        person('ORGANIZER', organizer),
+        ...attendees.map((attendee) => person('ATTENDEE', attendee, ';ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE')),
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+};
+
+module.exports = { calendarInvite, escapeText, formatTime };
@@ -0,0 +1,64 @@
+// CAPTCHA verification for public forms (see middleware/spamGuard.js). Clients send the widget's
+// token in the `captcha_token` body field or the X-Captcha-Token header.
+//
+// Configuration (environment):
+//   CAPTCHA_PROVIDER     'none' (default: no CAPTCHA), 'turnstile', 'hcaptcha', 'recaptcha', or 'stub'
+//                        for local development and tests, which accepts only CAPTCHA_STUB_TOKEN
+//   CAPTCHA_SECRET       the provider's secret key (required for real providers)
+//   CAPTCHA_STUB_TOKEN   the token the stub accepts (default: 'captcha-ok')
+
+// The three providers share the same siteverify protocol: a form POST of secret/response/remoteip
+// answered with { success: boolean, ... }.
+const VERIFY_URLS = {
+    turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    hcaptcha: 'https://api.hcaptcha.com/siteverify',
+    recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+};
+
+const VERIFY_TIMEOUT_MS = 5000;
+
+/**
+ * @typedef {object} Captcha
+ * @property {(token: string|undefined, ip: string) => Promise<boolean>} verify - throws when the provider cannot be reached
+ */
+
+/**
+ * Creates the CAPTCHA verifier configured in the environment.
+ * @param {object} [env]
+ * @param {object} [options]
+ * @param {function} [options.fetch] - fetch implementation (default: the global fetch)
+ * @returns {Captcha|null} null when CAPTCHA is disabled
+ */
+const createCaptcha = (env = process.env, { fetch = globalThis.fetch } = {}) => {
+    const provider = env.CAPTCHA_PROVIDER || 'none';
+    if (provider === 'none') {
+        return null;
+    }
+    if (provider === 'stub') {
+        const expected = env.CAPTCHA_STUB_TOKEN || 'captcha-ok';
+        return { verify: async (token) => token === expected };
+    }
+    const url = VERIFY_URLS[provider];
+    if (!url) {
+        throw new Error(`Unknown CAPTCHA_PROVIDER '${provider}'. Use none, stub, ${Object.keys(VERIFY_URLS).join(', ')}`);
+    }
+    if (!env.CAPTCHA_SECRET) {
+        throw new Error(`CAPTCHA_PROVIDER=${provider} needs CAPTCHA_SECRET`);
+    }
+    return {
+        verify: async (token, ip) => {
+            if (!token) return false;
+            const response = await fetch(url, {
+                method: 'POST',
+                body: new URLSearchParams({ secret: env.CAPTCHA_SECRET, response: String(token), remoteip: ip || '' }),
+                signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS),
+            });
+            if (!response.ok) {
+                throw new Error(`CAPTCHA verification failed with HTTP ${response.status}`);
+            }
+            return (await response.json()).success === true;
+        },
+    };
+};
+
+module.exports = { createCaptcha };
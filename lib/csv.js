@@ -0,0 +1,24 @@
+// CSV output (RFC 4180) for exports and reports.
+
+// Spreadsheet apps run cells starting with these characters as formulas; such text values get a leading quote.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(';') : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders rows as CSV with a header line. Arrays are joined with ';' and dates written as ISO 8601.
+ * @param {string[]} columns - row keys, in order; also the header
+ * @param {object[]} rows
+ * @returns {string}
+ */
+const toCsv = (columns, rows) =>
+    [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(cell).join(','))
+        .join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
@@ -0,0 +1,35 @@
+// Calendar dates (YYYY-MM-DD) and the instants they start at in a time zone.
+// Used wherever a whole day is meant: list date filters (lib/listQuery.js), reports, quote validity.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Whether a value is a calendar date written as YYYY-MM-DD. */
+const isCalendarDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value)
+    && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+/** The date (YYYY-MM-DD) a number of days after (or before) another. */
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+/** The calendar date (YYYY-MM-DD) of an instant in the time zone. */
+const zonedDate = (instant, timeZone) =>
+    new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(instant);
+
+// How far ahead of UTC the time zone's clocks are at an instant, in milliseconds.
+const zoneOffset = (instant, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(instant).forEach(({ type, value }) => { parts[type] = Number(value); });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - (instant.getTime() - instant.getUTCMilliseconds());
+};
+
+/** The instant a calendar date (YYYY-MM-DD) starts in the time zone. */
+const startOfDay = (date, timeZone) => {
+    const midnightUtc = Date.parse(date);
+    const guess = midnightUtc - zoneOffset(new Date(midnightUtc), timeZone);
+    return new Date(midnightUtc - zoneOffset(new Date(guess), timeZone));
+};
+
+module.exports = { DAY_MS, isCalendarDate, addDays, zonedDate, startOfDay };
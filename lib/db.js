@@ -0,0 +1,40 @@
+const { Pool } = require("pg");
+
+/**
+ * Creates a PostgreSQL connection pool from the DB_* environment variables.
+ */
+const createPool = () => new Pool({
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_DATABASE,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+    ssl: {
+        rejectUnauthorized: false // WARNING: Use 'rejectUnauthorized: false' for development/testing only.
+                                  // For production, always use 'rejectUnauthorized: true' and provide a CA certificate.
+        // For production, uncomment the line below and replace 'path/to/your/aiven_ca.pem'
+        // with the actual path to the Aiven CA certificate file you download.
+        // ca: fs.readFileSync('path/to/your/aiven_ca.pem').toString(),
+    },
+});
+
+/**
+ * Runs `work(client)` inside a transaction on a dedicated pool client.
+ * Commits on success, rolls back and rethrows on failure.
+ */
+const withTransaction = async (pool, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { createPool, withTransaction };
@@ -0,0 +1,86 @@
+const { numberOr } = require("./numbers");
+
+// Dealers and service centres (routes/dealers.js) and the search for the ones nearest to a customer.
+//
+// Each dealer has coordinates, the services it offers and the products it stocks. GET /api/dealers/nearby ranks
+// active dealers by great-circle distance from a point, given as coordinates or as a PIN code located through the
+// PIN code directory (lib/pincodes.js). New demo and order requests are assigned to the nearest active dealer that
+// offers the request's service (see REQUEST_SERVICES) and stocks its product, if one is within
+// DEALER_ASSIGN_RADIUS_KM of the request's PIN code; sales can change the dealer later.
+//
+// Configuration (environment):
+//   DEALER_ASSIGN_RADIUS_KM   furthest a new request is assigned to a dealer, in km (default: 300)
+//   DEALER_NEARBY_LIMIT       dealers returned by the nearby search unless ?limit= says otherwise (default: 10)
+
+const DEALER_SERVICES = ['sales', 'demo', 'service', 'spares'];
+
+// The service a dealer must offer to take a new request of each type.
+const REQUEST_SERVICES = { demo: 'demo', order: 'sales' };
+
+// Most dealers one nearby search returns.
+const MAX_NEARBY_LIMIT = 50;
+
+// Mean radius of the Earth (IUGG).
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Reads the dealer search settings from the environment.
+ * @throws {Error} when a setting is not a positive number
+ */
+const dealerConfig = (env = process.env) => {
+    const assignRadiusKm = numberOr(env.DEALER_ASSIGN_RADIUS_KM, 300);
+    if (!(assignRadiusKm > 0)) {
+        throw new Error(`Invalid DEALER_ASSIGN_RADIUS_KM: ${env.DEALER_ASSIGN_RADIUS_KM}`);
+    }
+    const nearbyLimit = numberOr(env.DEALER_NEARBY_LIMIT, 10);
+    if (!(Number.isInteger(nearbyLimit) && nearbyLimit >= 1 && nearbyLimit <= MAX_NEARBY_LIMIT)) {
+        throw new Error(`Invalid DEALER_NEARBY_LIMIT: ${env.DEALER_NEARBY_LIMIT}`);
+    }
+    return { assignRadiusKm, nearbyLimit };
+};
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @returns {number} kilometres
+ */
+const distanceKm = (from, to) => {
+    const dLat = radians(to.latitude - from.latitude);
+    const dLng = radians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * The latitudes within `radiusKm` of a point, for narrowing down candidates before measuring distances.
+ * @returns {{ min: number, max: number }}
+ */
+const latitudeRange = (origin, radiusKm) => {
+    const degrees = (radiusKm / (Math.PI * EARTH_RADIUS_KM)) * 180;
+    return { min: Math.max(-90, origin.latitude - degrees), max: Math.min(90, origin.latitude + degrees) };
+};
+
+/**
+ * Orders dealers by their distance from `origin`, nearest first (ties by id).
+ * @param {object[]} dealers - rows with latitude and longitude
+ * @param {{ latitude: number, longitude: number }} origin
+ * @param {object} [options]
+ * @param {number} [options.radiusKm] - leave out dealers further away
+ * @param {number} [options.limit] - return at most this many
+ * @returns {object[]} the dealers with distance_km (rounded to 0.1 km)
+ */
+const rankByDistance = (dealers, origin, { radiusKm, limit } = {}) => {
+    const ranked = dealers
+        .map((dealer) => ({ dealer, distance: distanceKm(origin, { latitude: Number(dealer.latitude), longitude: Number(dealer.longitude) }) }))
+        .filter(({ distance }) => radiusKm === undefined || distance <= radiusKm)
+        .sort((a, b) => a.distance - b.distance || a.dealer.id - b.dealer.id)
+        .map(({ dealer, distance }) => ({ ...dealer, distance_km: Math.round(distance * 10) / 10 }));
+    return limit === undefined ? ranked : ranked.slice(0, limit);
+};
+
+module.exports = {
+    DEALER_SERVICES, REQUEST_SERVICES, MAX_NEARBY_LIMIT, dealerConfig, distanceKm, latitudeRange, rankByDistance,
+};
@@ -0,0 +1,48 @@
+const jwt = require("jsonwebtoken");
+const { numberOr } = require("./numbers");
+const { apiUrl } = require("./newsletter");
+
+// Demo bookings (routes/demoBookings.js): the links customers manage their booking with.
+//
+// The acknowledgement of a demo request and every email about its booking carry a link with a token signed
+// for the request. Customers book, reschedule and cancel with it (as `token` in the body, or the query for
+// GET). It does not expire, but only gives access to the booking of that one request.
+//
+// Configuration (environment):
+//   DEMO_BOOKING_TOKEN_SECRET   secret the links are signed with (default: JWT_SECRET)
+//   DEMO_BOOKING_LOOKUP_LIMIT   failed customer lookups (missing or wrong token) per IP address per hour
+//                               (default: 20; 0 disables the limit)
+
+const tokenSecret = () => process.env.DEMO_BOOKING_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Reads the demo booking settings from the environment.
+ * @throws {Error} when DEMO_BOOKING_LOOKUP_LIMIT is not a whole number
+ */
+const demoBookingConfig = (env = process.env) => {
+    const lookupLimit = numberOr(env.DEMO_BOOKING_LOOKUP_LIMIT, 20);
+    if (!(Number.isInteger(lookupLimit) && lookupLimit >= 0)) {
+        throw new Error(`Invalid DEMO_BOOKING_LOOKUP_LIMIT: ${env.DEMO_BOOKING_LOOKUP_LIMIT}`);
+    }
+    return { lookupLimit };
+};
+
+/** Signs the token that manages the demo booking of a request. */
+const signDemoBookingToken = (requestId) => jwt.sign({ sub: String(requestId), type: 'demo_booking' }, tokenSecret());
+
+/**
+ * Verifies a token against the request it should be for.
+ * @returns {boolean} false if the token is invalid, for another purpose or for another request
+ */
+const verifyDemoBookingToken = (token, requestId) => {
+    try {
+        const payload = jwt.verify(String(token), tokenSecret());
+        return payload.type === 'demo_booking' && payload.sub === String(requestId);
+    } catch (err) {
+        return false;
+    }
+};
+
+const demoBookingUrl = (requestId) => `${apiUrl()}/api/requests/${requestId}/demo-booking?token=${signDemoBookingToken(requestId)}`;
+
+module.exports = { demoBookingConfig, signDemoBookingToken, verifyDemoBookingToken, demoBookingUrl };
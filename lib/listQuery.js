@@ -0,0 +1,191 @@
+const { isCalendarDate, addDays, startOfDay } = require("./dates");
+
+// Shared query layer for list endpoints: pagination, filtering, sorting and full-text search.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Express parses repeated query params into arrays; list endpoints only honour the first value.
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+// The same expression is used by the GIN indexes in db/migrations/003_search_indexes.up.sql, so keep them in sync.
+const searchVector = (columns) =>
+    `to_tsvector('english', ${columns.map((column) => `coalesce(${column}, '')`).join(` || ' ' || `)})`;
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return parsed && parsed.id !== undefined ? parsed : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Translates list query parameters into SQL for the given resource.
+ *
+ * Supports ?page=&limit= offset pagination, ?cursor= keyset pagination (cursor taken from the
+ * previous response's pagination.nextCursor), ?sort=&order=, per-resource filters and ?q= search.
+ * Sorting always uses NULLS LAST with id as a tiebreaker so keyset cursors are stable.
+ *
+ * @param {object} config - declared by each repository:
+ *   - table: the table to query.
+ *   - filters: query parameter -> { column, op, type }. Ops: eq, ieq (case-insensitive), any (array contains), gte, lte.
+ *     Types: number, date, boolean ('true' or 'false'); values of other filters are compared as given.
+ *     A date-only value (YYYY-MM-DD) of a 'date' filter is a whole day in options.timeZone (lib/dates.js):
+ *     gte counts from the start of that day, lte up to its end.
+ *     A filter may instead provide build(raw, param) => { sql } | { error } for conditions that need a subquery;
+ *     `param(value)` adds a bound parameter and returns its placeholder.
+ *   - sortable: whitelisted columns for ?sort=. 'relevance' is added automatically when searchColumns is set.
+ *   - defaultSort: { field, order }.
+ *   - searchColumns: text columns combined into a tsvector for ?q= full-text search.
+ *   - where: optional fixed SQL condition (no parameters) applied before the query filters, e.g. a visibility rule.
+ * @param {object} query - the request's query parameters
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - time zone of date-only values (default: UTC)
+ * @returns {{ error: string }} on invalid input, otherwise the built queries and pagination info.
+ */
+const buildListQuery = (config, query, { timeZone = 'UTC' } = {}) => {
+    const values = [];
+    const conditions = config.where ? [config.where] : [];
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    for (const [name, filter] of Object.entries(config.filters)) {
+        const raw = firstValue(query[name]);
+        if (raw === undefined || raw === '') continue;
+        if (filter.build) {
+            const built = filter.build(String(raw), param);
+            if (built.error) {
+                return { error: built.error };
+            }
+            conditions.push(built.sql);
+            continue;
+        }
+        if (filter.type === 'number' && !Number.isFinite(Number(raw))) {
+            return { error: `Invalid value for ${name}: expected a number` };
+        }
+        if (filter.type === 'date' && Number.isNaN(Date.parse(raw))) {
+            return { error: `Invalid value for ${name}: expected a date` };
+        }
+        if (filter.type === 'boolean' && raw !== 'true' && raw !== 'false') {
+            return { error: `Invalid value for ${name}: expected 'true' or 'false'` };
+        }
+        const wholeDay = filter.type === 'date' && isCalendarDate(raw);
+        switch (filter.op) {
+            case 'ieq': conditions.push(`LOWER(${filter.column}) = LOWER(${param(raw)})`); break;
+            case 'any': conditions.push(`${param(raw)} = ANY(${filter.column})`); break;
+            case 'gte':
+                conditions.push(`${filter.column} >= ${param(wholeDay ? startOfDay(raw, timeZone).toISOString() : raw)}`);
+                break;
+            case 'lte':
+                conditions.push(wholeDay
+                    ? `${filter.column} < ${param(startOfDay(addDays(raw, 1), timeZone).toISOString())}`
+                    : `${filter.column} <= ${param(raw)}`);
+                break;
+            default: conditions.push(`${filter.column} = ${param(raw)}`);
+        }
+    }
+
+    const q = firstValue(query.q);
+    let rankExpression = null;
+    if (q) {
+        if (!config.searchColumns) {
+            return { error: 'Full-text search is not supported for this resource' };
+        }
+        const tsQuery = `websearch_to_tsquery('english', ${param(q)})`;
+        conditions.push(`${searchVector(config.searchColumns)} @@ ${tsQuery}`);
+        rankExpression = `ts_rank(${searchVector(config.searchColumns)}, ${tsQuery})`;
+    }
+
+    const sortable = rankExpression ? [...config.sortable, 'relevance'] : config.sortable;
+    const sortField = firstValue(query.sort) || (rankExpression ? 'relevance' : config.defaultSort.field);
+    if (!sortable.includes(sortField)) {
+        return { error: `Invalid sort field. Must be one of: ${sortable.join(', ')}` };
+    }
+    const defaultOrder = sortField === 'relevance' ? 'desc' : (sortField === config.defaultSort.field ? config.defaultSort.order : 'asc');
+    const order = String(firstValue(query.order) || defaultOrder).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: "Invalid order. Must be 'asc' or 'desc'" };
+    }
+    if (sortField === 'relevance' && order !== 'desc') {
+        return { error: "Relevance can only be sorted in 'desc' order" };
+    }
+
+    const limit = firstValue(query.limit) === undefined ? DEFAULT_PAGE_SIZE : Number(firstValue(query.limit));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `Invalid limit. Must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    const page = firstValue(query.page) === undefined ? 1 : Number(firstValue(query.page));
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'Invalid page. Must be a positive integer' };
+    }
+
+    // The total ignores the cursor so it always reflects the full filtered result set.
+    const countValues = [...values];
+    const countText = `SELECT COUNT(*)::int AS total FROM ${config.table}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`;
+
+    const rawCursor = firstValue(query.cursor);
+    if (rawCursor) {
+        if (sortField === 'relevance') {
+            return { error: 'Cursor pagination is not supported when sorting by relevance' };
+        }
+        const cursor = decodeCursor(rawCursor);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+        const cmp = order === 'desc' ? '<' : '>';
+        const idParam = param(cursor.id);
+        if (cursor.v === null) {
+            conditions.push(`(${sortField} IS NULL AND id ${cmp} ${idParam})`);
+        } else {
+            const valueParam = param(cursor.v);
+            conditions.push(`(${sortField} ${cmp} ${valueParam} OR (${sortField} = ${valueParam} AND id ${cmp} ${idParam}) OR ${sortField} IS NULL)`);
+        }
+    }
+
+    const orderBy = sortField === 'relevance'
+        ? `${rankExpression} DESC, id DESC`
+        : `${sortField} ${order.toUpperCase()} NULLS LAST, id ${order.toUpperCase()}`;
+    // Fetch one extra row to know whether another page exists.
+    const text = `SELECT * FROM ${config.table}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY ${orderBy} LIMIT ${param(limit + 1)}${rawCursor ? '' : ` OFFSET ${param((page - 1) * limit)}`}`;
+
+    return { text, values, countText, countValues, limit, page: rawCursor ? null : page, sortField };
+};
+
+/**
+ * Runs a paginated list query.
+ * @param {object} db - pool or client
+ * @param {object} [options] - see buildListQuery()
+ * @returns {Promise<{ error: string } | { data: Array, pagination: object }>}
+ */
+const runListQuery = async (db, config, query, options) => {
+    const built = buildListQuery(config, query, options);
+    if (built.error) {
+        return { error: built.error };
+    }
+    const [result, count] = await Promise.all([
+        db.query(built.text, built.values),
+        db.query(built.countText, built.countValues),
+    ]);
+    const hasMore = result.rows.length > built.limit;
+    const data = hasMore ? result.rows.slice(0, built.limit) : result.rows;
+    const last = data[data.length - 1];
+    const total = count.rows[0].total;
+    return {
+        data,
+        pagination: {
+            total,
+            limit: built.limit,
+            page: built.page,
+            totalPages: Math.ceil(total / built.limit),
+            nextCursor: hasMore && built.sortField !== 'relevance' ? encodeCursor(last[built.sortField], last.id) : null,
+        },
+    };
+};
+
+module.exports = { buildListQuery, runListQuery, encodeCursor, decodeCursor };
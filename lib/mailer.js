@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// Outgoing email. A mailer sends messages through a transport; the rest of the app only calls
+// mailer.send() and never deals with how mail leaves the server.
+//
+// Configuration (environment):
+//   MAIL_TRANSPORT   'console' (default), 'file' or 'smtp'
+//   MAIL_FROM        sender address (default: Bullwork Mobility <no-reply@localhost>)
+//   MAIL_DIR         file only: directory the messages are written to, one .eml file each (default: ./mail)
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for implicit TLS, usually port 465)
+//   and optionally SMTP_USER / SMTP_PASS
+//
+// Mail is not sent from request handlers directly: they queue it in the outbox (lib/outbox.js),
+// which delivers it through the mailer and retries failures.
+
+/**
+ * @typedef {object} MailMessage
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text - plain-text body
+ * @property {Object<string, string>} [headers] - extra headers, e.g. List-Unsubscribe
+ * @property {MailAttachment[]} [attachments]
+ */
+
+/**
+ * @typedef {object} MailAttachment
+ * @property {string} filename
+ * @property {string} contentType - e.g. 'text/calendar; method=REQUEST'
+ * @property {string} content - the file's text (sent as UTF-8)
+ */
+
+/**
+ * @typedef {object} Mailer
+ * @property {(message: MailMessage) => Promise<void>} send
+ */
+
+// Header values must not carry line breaks, or a crafted value could inject extra headers.
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const TEXT_PART_HEADERS = ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: 8bit'];
+
+// Base64 in lines of 76 characters, as MIME requires.
+const base64Lines = (content) => Buffer.from(content, 'utf8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+
+// Renders a message in RFC 5322 form (plain text, UTF-8); with attachments, as multipart/mixed.
+const formatMessage = (from, { to, subject, text, headers = {}, attachments = [] }) => {
+    const boundary = `part-${crypto.randomUUID()}`;
+    const lines = [
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${headerValue(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${headerValue(from).replace(/^.*@|>.*$/g, '') || 'localhost'}>`,
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${headerValue(value)}`),
+        'MIME-Version: 1.0',
+        ...(attachments.length > 0 ? [`Content-Type: multipart/mixed; boundary="${boundary}"`] : TEXT_PART_HEADERS),
+    ];
+    const body = `${text.replace(/\r?\n/g, '\r\n')}\r\n`;
+    if (attachments.length === 0) {
+        return `${lines.join('\r\n')}\r\n\r\n${body}`;
+    }
+    const parts = [
+        `${TEXT_PART_HEADERS.join('\r\n')}\r\n\r\n${body}`,
+        ...attachments.map(({ filename, contentType, content }) => [
+            `Content-Type: ${headerValue(contentType)}; name="${headerValue(filename)}"`,
+            `Content-Disposition: attachment; filename="${headerValue(filename)}"`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            `${base64Lines(content)}\r\n`,
+        ].join('\r\n')),
+    ];
+    return `${lines.join('\r\n')}\r\n\r\n${parts.map((part) => `--${boundary}\r\n${part}`).join('')}--${boundary}--\r\n`;
+};
+
+/**
+ * Prints every message to the console instead of sending it.
+ * @returns {Mailer}
+ */
+const createConsoleMailer = ({ from, log = console.log }) => ({
+    send: async (message) => {
+        log(`--- mail ---\n${formatMessage(from, message)}--- end of mail ---`);
+    },
+});
+
+/**
+ * Writes every message to `dir` as an .eml file, which any mail client can open.
+ * @returns {Mailer}
+ */
+const createFileMailer = ({ from, dir }) => ({
+    send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`);
+        await fs.writeFile(file, formatMessage(from, message));
+    },
+});
+
+/**
+ * Sends every message through an SMTP server.
+ * @returns {Mailer}
+ */
+const createSmtpMailer = ({ from, host, port, secure, user, pass }) => {
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+    return {
+        send: async ({ to, subject, text, headers, attachments = [] }) => {
+            await transporter.sendMail({ from, to, subject, text, headers, attachments });
+        },
+    };
+};
+
+// The sender of every message, e.g. 'Bullwork Mobility <no-reply@bullwork.in>'.
+const mailFrom = (env = process.env) => env.MAIL_FROM || 'Bullwork Mobility <no-reply@localhost>';
+
+/**
+ * Creates the mailer configured in the environment.
+ * @returns {Mailer}
+ */
+const createMailer = (env = process.env) => {
+    const from = mailFrom(env);
+    const transport = env.MAIL_TRANSPORT || 'console';
+    if (transport === 'console') {
+        return createConsoleMailer({ from });
+    }
+    if (transport === 'file') {
+        return createFileMailer({ from, dir: path.resolve(env.MAIL_DIR || 'mail') });
+    }
+    if (transport === 'smtp') {
+        if (!env.SMTP_HOST) {
+            throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+        }
+        return createSmtpMailer({
+            from,
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT || 587),
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+        });
+    }
+    throw new Error(`Unknown MAIL_TRANSPORT '${transport}'. Use 'console', 'file' or 'smtp'`);
+};
+
+module.exports = { formatMessage, mailFrom, createMailer, createConsoleMailer, createFileMailer, createSmtpMailer };
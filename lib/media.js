@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Uploaded files: type detection, size limits and image variants.
+//
+// The type is detected from the file contents, never from the client's Content-Type. Media library
+// images get resized variants (fitted inside a square box, never enlarged); PDFs (brochures, spec
+// sheets) are stored as they are. Resumes may be PDF or Word documents.
+
+// sharp format -> MIME type, for the image formats we accept.
+const IMAGE_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' };
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'application/pdf': 'pdf' };
+
+const ALLOWED_TYPES = Object.keys(EXTENSIONS);
+
+// Variant name -> longest side in pixels.
+const VARIANTS = { thumbnail: 150, medium: 600, large: 1200 };
+
+const RESUME_TYPES = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+const megabytes = (value, fallback) => Math.round(Number(value || fallback) * 1024 * 1024);
+
+// Media library upload limit in bytes, from MEDIA_MAX_UPLOAD_MB (default 10).
+const maxUploadBytes = (env = process.env) => megabytes(env.MEDIA_MAX_UPLOAD_MB, 10);
+
+// Resume upload limit in bytes, from RESUME_MAX_UPLOAD_MB (default 5).
+const maxResumeBytes = (env = process.env) => megabytes(env.RESUME_MAX_UPLOAD_MB, 5);
+
+const startsWith = (buffer, signature) => buffer.subarray(0, signature.length).equals(Buffer.from(signature, 'latin1'));
+
+const isPdf = (buffer) => startsWith(buffer, '%PDF-');
+
+/**
+ * Detects the type of an uploaded resume. Word files are recognised by their container format
+ * (ZIP for .docx, OLE for .doc), which they share with other Office files, so the extension must match too.
+ * @returns {{ mime_type: string, extension: string } | { error: string }}
+ */
+const detectResumeType = (buffer, originalName) => {
+    const extension = String(originalName).toLowerCase().split('.').pop();
+    if (isPdf(buffer)) {
+        return { mime_type: RESUME_TYPES.pdf, extension: 'pdf' };
+    }
+    if (extension === 'docx' && startsWith(buffer, 'PK\x03\x04')) {
+        return { mime_type: RESUME_TYPES.docx, extension };
+    }
+    if (extension === 'doc' && startsWith(buffer, '\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1')) {
+        return { mime_type: RESUME_TYPES.doc, extension };
+    }
+    return { error: 'Unsupported resume format. Upload a PDF or Word (.doc, .docx) file' };
+};
+
+/**
+ * Detects the type of an uploaded file and builds its image variants.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ error: string } | { mime_type: string, width: number|null, height: number|null,
+ *          variants: Array<{ name: string, body: Buffer, width: number, height: number }> }>}
+ */
+const processUpload = async (buffer) => {
+    if (isPdf(buffer)) {
+        return { mime_type: 'application/pdf', width: null, height: null, variants: [] };
+    }
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        metadata = null;
+    }
+    const mimeType = metadata && IMAGE_TYPES[metadata.format];
+    if (!mimeType) {
+        return { error: `Unsupported file type. Allowed: ${ALLOWED_TYPES.join(', ')}` };
+    }
+    // EXIF orientations 5-8 are rotated by 90 degrees, so the displayed size is transposed.
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const variants = [];
+    for (const [name, size] of Object.entries(VARIANTS)) {
+        const { data, info } = await sharp(buffer)
+            .rotate()
+            .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+            .toFormat(metadata.format)
+            .toBuffer({ resolveWithObject: true });
+        variants.push({ name, body: data, width: info.width, height: info.height });
+    }
+    return { mime_type: mimeType, width, height, variants };
+};
+
+// Storage keys for a new upload: media/<random id>/<original|variant>.<ext>
+const storageKeysFor = (mimeType, variantNames) => {
+    const prefix = `media/${crypto.randomUUID()}`;
+    const extension = EXTENSIONS[mimeType];
+    return {
+        original: `${prefix}/original.${extension}`,
+        variants: Object.fromEntries(variantNames.map((name) => [name, `${prefix}/${name}.${extension}`])),
+    };
+};
+
+module.exports = { ALLOWED_TYPES, VARIANTS, maxUploadBytes, maxResumeBytes, processUpload, detectResumeType, storageKeysFor };
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned SQL migrations. Each migration is a pair of files in db/migrations:
+//   NNN_description.up.sql / NNN_description.down.sql
+// Applied versions are tracked in the schema_migrations table.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+// Arbitrary constant used with pg_advisory_lock so two deploys never migrate at once.
+const LOCK_ID = 727454301;
+
+/**
+ * Reads the migration files, sorted by version.
+ * @returns {Array<{ version: number, name: string, up: string, down: string }>}
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const byVersion = new Map();
+    for (const file of fs.readdirSync(dir)) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) continue;
+        const [, rawVersion, name, direction] = match;
+        const version = Number(rawVersion);
+        const migration = byVersion.get(version) || { version, name };
+        if (migration.name !== name) {
+            throw new Error(`Migration ${rawVersion} has mismatched file names: ${migration.name} / ${name}`);
+        }
+        migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, migration);
+    }
+    const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+    for (const migration of migrations) {
+        if (migration.up === undefined || migration.down === undefined) {
+            throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+        }
+    }
+    return migrations;
+};
+
+const ensureMigrationsTable = (client) => client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`
+);
+
+const appliedVersions = async (client) => {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return result.rows.map((row) => row.version);
+};
+
+// Runs `work` on a dedicated client while holding the migration lock.
+const withMigrationLock = async (pool, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+        try {
+            await ensureMigrationsTable(client);
+            return await work(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+};
+
+// Each migration runs in its own transaction together with its schema_migrations bookkeeping.
+const runInTransaction = async (client, sql, bookkeeping) => {
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        await bookkeeping();
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+};
+
+/**
+ * Applies pending migrations in order.
+ * @param {number} [steps] - apply at most this many (default: all)
+ * @returns {Promise<Array>} the migrations that were applied
+ */
+const migrateUp = (pool, { steps = Infinity, migrations = loadMigrations(), log = () => {} } = {}) =>
+    withMigrationLock(pool, async (client) => {
+        const applied = new Set(await appliedVersions(client));
+        const pending = migrations.filter((migration) => !applied.has(migration.version)).slice(0, steps);
+        for (const migration of pending) {
+            log(`Applying ${migration.version}_${migration.name}`);
+            await runInTransaction(client, migration.up, () => client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            ));
+        }
+        return pending;
+    });
+
+/**
+ * Rolls back the most recently applied migrations.
+ * @param {number} [steps] - number of migrations to roll back (default: 1)
+ * @returns {Promise<Array>} the migrations that were rolled back
+ */
+const migrateDown = (pool, { steps = 1, migrations = loadMigrations(), log = () => {} } = {}) =>
+    withMigrationLock(pool, async (client) => {
+        const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+        const rolledBack = [];
+        for (const version of applied) {
+            const migration = migrations.find((candidate) => candidate.version === version);
+            if (!migration) {
+                throw new Error(`Applied migration ${version} has no files in db/migrations; cannot roll it back`);
+            }
+            log(`Rolling back ${migration.version}_${migration.name}`);
+            await runInTransaction(client, migration.down, () => client.query(
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [version]
+            ));
+            rolledBack.push(migration);
+        }
+        return rolledBack;
+    });
+
+/**
+ * Lists every known migration with whether (and when) it has been applied.
+ */
+const migrationStatus = (pool, { migrations = loadMigrations() } = {}) =>
+    withMigrationLock(pool, async (client) => {
+        const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+        const appliedAt = new Map(result.rows.map((row) => [row.version, row.applied_at]));
+        return migrations.map(({ version, name }) => ({
+            version,
+            name,
+            applied: appliedAt.has(version),
+            applied_at: appliedAt.get(version) || null,
+        }));
+    });
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus };
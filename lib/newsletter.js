@@ -0,0 +1,94 @@
+const jwt = require("jsonwebtoken");
+
+// Newsletter subscriptions: topics, signed links and the emails sent to subscribers.
+//
+// A new subscription stays 'pending' until its email address is confirmed through the link in the
+// confirmation email (double opt-in). Every email also carries a manage link, which unsubscribes in
+// one click and lets the subscriber change their topics; it does not expire.
+//
+// Configuration (environment):
+//   NEWSLETTER_TOKEN_SECRET  secret the links are signed with (default: JWT_SECRET)
+//   PUBLIC_API_URL           public base URL of this API, for links in emails (default: http://localhost:<PORT>)
+
+const NEWSLETTER_TOPICS = ['blogs', 'product_launches', 'events', 'offers'];
+
+const CONFIRM_TOKEN_TTL = '7d';
+
+const tokenSecret = () => process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Also used for the links in other emails (lib/demoBookings.js).
+const apiUrl = () => (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+/**
+ * Signs a link token for an email address.
+ * @param {'confirm'|'manage'} purpose - confirm tokens expire after CONFIRM_TOKEN_TTL, manage tokens never do
+ */
+const signNewsletterToken = (email, purpose) =>
+    jwt.sign({ sub: email, type: `newsletter_${purpose}` }, tokenSecret(), purpose === 'confirm' ? { expiresIn: CONFIRM_TOKEN_TTL } : {});
+
+/**
+ * Verifies a link token.
+ * @returns {string|null} the email address, or null if the token is invalid, expired or for another purpose
+ */
+const verifyNewsletterToken = (token, purpose) => {
+    try {
+        const payload = jwt.verify(String(token), tokenSecret());
+        return payload.type === `newsletter_${purpose}` ? payload.sub : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+const confirmUrl = (email) => `${apiUrl()}/api/subscribe/confirm?token=${signNewsletterToken(email, 'confirm')}`;
+
+const unsubscribeUrl = (email) => `${apiUrl()}/api/subscribe/unsubscribe?token=${signNewsletterToken(email, 'manage')}`;
+
+/**
+ * Headers for one-click unsubscribe from the mail client (RFC 8058). Add them to every newsletter email.
+ */
+const unsubscribeHeaders = (email) => ({
+    'List-Unsubscribe': `<${unsubscribeUrl(email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+});
+
+/**
+ * The double opt-in email sent to a new (or still pending) subscriber.
+ * @returns {import('./mailer').MailMessage}
+ */
+const confirmationEmail = (email) => ({
+    to: email,
+    subject: 'Confirm your Bullwork Mobility newsletter subscription',
+    text: [
+        'Thanks for subscribing to the Bullwork Mobility newsletter.',
+        '',
+        'Please confirm your email address by opening this link:',
+        confirmUrl(email),
+        '',
+        'The link is valid for 7 days. If you did not subscribe, ignore this email and you will not hear from us again.',
+        '',
+        `Unsubscribe: ${unsubscribeUrl(email)}`,
+    ].join('\n'),
+    headers: unsubscribeHeaders(email),
+});
+
+const manageUrl = (email) => `${apiUrl()}/api/subscribe/preferences?token=${signNewsletterToken(email, 'manage')}`;
+
+/**
+ * Sent once a subscription is confirmed.
+ * @returns {import('./mailer').MailMessage}
+ */
+const welcomeEmail = (email) => ({
+    to: email,
+    subject: 'Welcome to the Bullwork Mobility newsletter',
+    text: [
+        'Your subscription is confirmed. You will hear from us about the topics you chose.',
+        '',
+        `Change your topics: ${manageUrl(email)}`,
+        `Unsubscribe: ${unsubscribeUrl(email)}`,
+    ].join('\n'),
+    headers: unsubscribeHeaders(email),
+});
+
+module.exports = {
+    NEWSLETTER_TOPICS, apiUrl, signNewsletterToken, verifyNewsletterToken, unsubscribeUrl, unsubscribeHeaders, confirmationEmail, welcomeEmail,
+};
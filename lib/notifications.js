@@ -0,0 +1,249 @@
+const { confirmationEmail, welcomeEmail } = require("./newsletter");
+const { calendarInvite } = require("./calendar");
+const { mailFrom } = require("./mailer");
+const { reportTimeZone } = require("./reports");
+const { demoBookingUrl } = require("./demoBookings");
+
+// Transactional email: what is sent when leads, applications and subscriptions come in or change, and as orders progress.
+// Messages are rendered here and queued in the outbox (lib/outbox.js), which sends them. Demo bookings carry
+// a calendar invite (.ics, lib/calendar.js) for the customer and the sales rep; their times are written out in
+// the reporting time zone (REPORTS_TIME_ZONE, see lib/reports.js).
+//
+// Internal alerts go to comma-separated routing lists (environment); an empty list sends no alert:
+//   NOTIFY_DEMO_REQUESTS_TO    new demo requests   (default: NOTIFY_SALES_TO)
+//   NOTIFY_ORDER_REQUESTS_TO   new order requests  (default: NOTIFY_SALES_TO)
+//   NOTIFY_APPLICATIONS_TO     new job applications
+// Demo bookings go to the slot's sales rep, or to NOTIFY_DEMO_REQUESTS_TO when the slot has none.
+
+// What each pipeline stage means for the customer, for status-change emails.
+const STAGE_UPDATES = {
+    new: 'Your request has been reopened and our team will get back to you shortly.',
+    contacted: 'A member of our sales team has picked up your request and will be in touch.',
+    demo_scheduled: 'Your demo has been scheduled. Our team will confirm the date, time and place with you.',
+    quoted: 'We have prepared a quotation for you. Our team will share it with you shortly.',
+    won: 'Thank you for your order! Our team will be in touch about the next steps.',
+    lost: 'Your request has been closed. If you still need help, simply reply to this email or submit a new request.',
+};
+
+// What each order stage means for the customer, for order status emails (lib/orders.js).
+const ORDER_UPDATES = {
+    confirmed: 'Thank you for your order! It has been confirmed.',
+    manufacturing: 'Your order has gone into production.',
+    dispatched: 'Your order has been dispatched and is on its way to you.',
+    delivered: 'Your order has been delivered. Thank you for choosing Bullwork Mobility!',
+    cancelled: 'Your order has been cancelled. If you have any questions, simply reply to this email.',
+};
+
+// What happened to a demo booking, for the customer: subject and first sentence (before the date).
+const DEMO_CHANGES = {
+    booked: { subject: 'Your demo is booked', text: 'Your demo is booked for' },
+    rescheduled: { subject: 'Your demo has been rescheduled', text: 'Your demo has been rescheduled to' },
+    updated: { subject: 'Your demo has changed', text: 'The details of your demo have changed. It is now on' },
+    cancelled: { subject: 'Your demo has been cancelled', text: 'Your demo has been cancelled. It was booked for' },
+};
+
+const recipients = (value) => String(value || '').split(',').map((address) => address.trim()).filter(Boolean);
+
+// Routing list name -> recipients.
+const ROUTING_LISTS = {
+    demo: (env) => recipients(env.NOTIFY_DEMO_REQUESTS_TO || env.NOTIFY_SALES_TO),
+    order: (env) => recipients(env.NOTIFY_ORDER_REQUESTS_TO || env.NOTIFY_SALES_TO),
+    applications: (env) => recipients(env.NOTIFY_APPLICATIONS_TO),
+};
+
+// "Label: value" lines for the fields that are set.
+const details = (pairs) => pairs.filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `${label}: ${value}`).join('\n');
+
+const signature = '\n\nBullwork Mobility';
+
+// --- Templates: each returns a MailMessage (see lib/mailer.js) ---
+
+// Demo requests are acknowledged with the link to book their demo (lib/demoBookings.js).
+const demoBookingLink = (request) =>
+    (request.request_type === 'demo' ? `\n\nBook a time for your demo, or change your booking: ${demoBookingUrl(request.id)}` : '');
+
+const requestAcknowledgement = (request) => ({
+    to: request.email,
+    subject: `We received your ${request.request_type} request (#${request.id})`,
+    text: `Hello ${request.full_name},\n\n`
+        + `Thank you for your ${request.request_type} request${request.product_name ? ` for the ${request.product_name}` : ''}. `
+        + `Our sales team will contact you shortly. Your reference number is #${request.id}.${demoBookingLink(request)}${signature}`,
+});
+
+// Internal alert. Aadhaar/PAN are never included.
+const requestAlert = (request, to) => ({
+    to: to.join(', '),
+    subject: `New ${request.request_type} request #${request.id}: ${request.full_name}${request.product_name ? ` (${request.product_name})` : ''}`,
+    text: details([
+        ['Request', `#${request.id} (${request.request_type})`],
+        ['Name', request.full_name],
+        ['Email', request.email],
+        ['Phone', request.phone_number],
+        ['Company', request.company_name],
+        ['Product', request.product_name],
+        ['Quantity', request.quantity],
+        ['Location', [request.city, request.state, request.country].filter(Boolean).join(', ')],
+        ['PIN code', request.pincode],
+        ['Message', request.message],
+    ]),
+});
+
+const requestStatusChanged = (request) => ({
+    to: request.email,
+    subject: `Update on your ${request.request_type} request (#${request.id})`,
+    text: `Hello ${request.full_name},\n\n${STAGE_UPDATES[request.status]}\n\nReference: #${request.id}${signature}`,
+});
+
+const orderStatusChanged = (order) => ({
+    to: order.customer_email,
+    subject: `Your order ${order.order_number}: ${order.status}`,
+    text: `Hello ${order.customer_name},\n\n${ORDER_UPDATES[order.status]}\n\n`
+        + `Order number: ${order.order_number}\nYou can check its status on our website with the order number and this email address.${signature}`,
+});
+
+// "Name <address>" -> { name, email }.
+const mailbox = (address) => {
+    const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(address);
+    return match ? { name: match[1] || undefined, email: match[2] } : { email: address.trim() };
+};
+
+/**
+ * The calendar invite of a demo booking. The rep (or else the sender, MAIL_FROM) organizes it and the
+ * customer attends; one UID per booking, so rescheduling moves the event people already have.
+ * @param {object} demo - { change, booking, slot, request, rep, product }; see demoBookingEmail()
+ */
+const demoInvite = ({ change, booking, slot, request, rep, product }, env = process.env) => {
+    const organizer = rep ? { name: rep.full_name || undefined, email: rep.email } : mailbox(mailFrom(env));
+    const productName = product ? product.name : request.product_name;
+    const ics = calendarInvite({
+        method: change === 'cancelled' ? 'CANCEL' : 'REQUEST',
+        uid: `demo-booking-${booking.id}@bullwork-mobility`,
+        sequence: booking.sequence,
+        start: slot.starts_at,
+        end: slot.ends_at,
+        summary: `Bullwork Mobility demo${productName ? `: ${productName}` : ''}`,
+        description: `Demo for ${request.full_name} (request #${request.id}).${slot.notes ? `\n${slot.notes}` : ''}`,
+        location: [slot.location, slot.city, slot.state].filter(Boolean).join(', '),
+        organizer,
+        attendees: [{ name: request.full_name, email: request.email }],
+    });
+    return { filename: 'demo.ics', contentType: `text/calendar; charset=utf-8; method=${change === 'cancelled' ? 'CANCEL' : 'REQUEST'}`, content: ics };
+};
+
+const demoTime = (slot, timeZone) =>
+    new Intl.DateTimeFormat('en-IN', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(new Date(slot.starts_at));
+
+/**
+ * The customer's email about a change to their demo booking.
+ * @param {object} demo
+ * @param {'booked'|'rescheduled'|'updated'|'cancelled'} demo.change
+ * @param {object} demo.booking - demo_bookings row
+ * @param {object} demo.slot - the slot booked (for a cancellation: the slot that was booked)
+ * @param {object} demo.request - the demo request
+ * @param {object} [demo.rep] - the slot's sales rep (admin_users row)
+ * @param {object} [demo.product] - the slot's product
+ * @param {string} timeZone
+ */
+const demoBookingEmail = (demo, timeZone, env = process.env) => {
+    const { change, slot, request } = demo;
+    const place = [slot.location, slot.city, slot.state].filter(Boolean).join(', ');
+    const next = change === 'cancelled'
+        ? `To book another time, open ${demoBookingUrl(request.id)} or simply reply to this email.`
+        : `The calendar invite is attached. To reschedule or cancel, open ${demoBookingUrl(request.id)} or simply reply to this email.`;
+    return {
+        to: request.email,
+        subject: `${DEMO_CHANGES[change].subject} (#${request.id})`,
+        text: `Hello ${request.full_name},\n\n${DEMO_CHANGES[change].text} ${demoTime(slot, timeZone)}.\n`
+            + `${place ? `Place: ${place}\n` : ''}\n${next}\n\nReference: #${request.id}${signature}`,
+        attachments: [demoInvite(demo, env)],
+    };
+};
+
+// Internal alert for the rep giving the demo.
+const demoBookingAlert = (demo, to, timeZone, env = process.env) => {
+    const { change, slot, request } = demo;
+    return {
+        to: to.join(', '),
+        subject: `Demo ${change}: request #${request.id}, ${request.full_name} (${demoTime(slot, timeZone)})`,
+        text: details([
+            ['Request', `#${request.id}`],
+            ['Demo', `${change} for ${demoTime(slot, timeZone)}`],
+            ['Place', [slot.location, slot.city, slot.state].filter(Boolean).join(', ')],
+            ['Product', demo.product ? demo.product.name : request.product_name],
+            ['Name', request.full_name],
+            ['Email', request.email],
+            ['Phone', request.phone_number],
+        ]),
+        attachments: [demoInvite(demo, env)],
+    };
+};
+
+const applicationAcknowledgement = (application) => ({
+    to: application.email,
+    subject: `Your application for ${application.position}`,
+    text: `Hello ${application.name},\n\nThank you for applying for the ${application.position} position. `
+        + `Our HR team will review your application and get back to you.${signature}`,
+});
+
+const applicationAlert = (application, to) => ({
+    to: to.join(', '),
+    subject: `New application #${application.id}: ${application.name} for ${application.position}`,
+    text: details([
+        ['Application', `#${application.id}`],
+        ['Position', application.position],
+        ['Name', application.name],
+        ['Email', application.email],
+        ['Phone', application.phone],
+        ['Resume', application.resume_name],
+        ['Cover letter', application.cover_letter],
+    ]),
+});
+
+/**
+ * Queues the emails for each event. Methods never throw, so callers can notify after a
+ * successful write without risking the response.
+ * @param {object} options
+ * @param {object} options.outbox - see lib/outbox.js
+ * @param {object} [options.env]
+ * @param {string} [options.timeZone] - for the times in demo booking emails (default: REPORTS_TIME_ZONE)
+ */
+const createNotifications = ({ outbox, env = process.env, timeZone = reportTimeZone(env) }) => {
+    const alert = async (template, list, render) => {
+        const to = ROUTING_LISTS[list](env);
+        if (to.length > 0) await outbox.enqueue(template, render(to));
+    };
+
+    return {
+        requestCreated: async (request) => {
+            await outbox.enqueue('request_acknowledgement', requestAcknowledgement(request));
+            await alert('request_alert', request.request_type, (to) => requestAlert(request, to));
+        },
+
+        requestStatusChanged: (request) => outbox.enqueue('request_status_changed', requestStatusChanged(request)),
+
+        // Also sent for a new order ('confirmed').
+        orderStatusChanged: (order) => outbox.enqueue('order_status_changed', orderStatusChanged(order)),
+
+        // See demoBookingEmail() for `demo`.
+        demoBookingChanged: async (demo) => {
+            await outbox.enqueue('demo_booking', demoBookingEmail(demo, timeZone, env));
+            if (demo.rep) {
+                await outbox.enqueue('demo_booking_alert', demoBookingAlert(demo, [demo.rep.email], timeZone, env));
+            } else {
+                await alert('demo_booking_alert', 'demo', (to) => demoBookingAlert(demo, to, timeZone, env));
+            }
+        },
+
+        applicationCreated: async (application) => {
+            await outbox.enqueue('application_acknowledgement', applicationAcknowledgement(application));
+            await alert('application_alert', 'applications', (to) => applicationAlert(application, to));
+        },
+
+        subscriptionPending: (email) => outbox.enqueue('subscription_confirmation', confirmationEmail(email)),
+
+        subscriptionConfirmed: (email) => outbox.enqueue('subscription_welcome', welcomeEmail(email)),
+    };
+};
+
+module.exports = { createNotifications, requestAcknowledgement, requestAlert, requestStatusChanged, orderStatusChanged, demoBookingEmail, demoBookingAlert, applicationAcknowledgement, applicationAlert };
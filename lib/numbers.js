@@ -0,0 +1,10 @@
+// Number helpers shared by the settings readers and the money calculations (quotes, orders).
+
+/** A number read from the environment, or `fallback` when it is unset or empty. */
+const numberOr = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+// Amounts in INR are calculated in whole paise, so every calculation rounds the same way.
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const toRupees = (paise) => paise / 100;
+
+module.exports = { numberOr, toPaise, toRupees };
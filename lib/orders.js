@@ -0,0 +1,194 @@
+const { validate } = require("./validation");
+const { numberOr, toPaise, toRupees } = require("./numbers");
+const { stateName, gstOn } = require("./quotes");
+
+// Orders placed once a demo/order request has been won (routes/orders.js).
+//
+// An order is created from the won request, either from one of its quotes (the quoted product, quantity,
+// discount and GST) or from line items priced at the products' current prices, plus GST worked out as for
+// quotes (lib/quotes.js). The order keeps its tax breakdown: the item amounts add up to its subtotal, less the
+// discount to the taxable amount, plus CGST and SGST or IGST to the total. The total is split into two
+// payment milestones: an advance (ORDER_ADVANCE_PERCENT of the total unless given) and the balance.
+//
+// Delivery stages, in order: confirmed -> manufacturing -> dispatched -> delivered. Production starts once
+// the advance is paid; an order is dispatched once the balance is paid and every vehicle has its VIN.
+// Orders can be cancelled until they are dispatched. Every change of stage is kept with its time in
+// order_status_history, which customers see through the public lookup (order number plus email).
+//
+// Orders are numbered per Indian financial year, like quotes (lib/quotes.js), e.g. ORD-2026-27-0001.
+//
+// Configuration (environment):
+//   ORDER_ADVANCE_PERCENT   default advance, in percent of the order total (default: 10)
+//   ORDER_LOOKUP_LIMIT      public order lookups per IP address per hour (default: 20; 0 disables the limit)
+
+const ORDER_STATUSES = ['confirmed', 'manufacturing', 'dispatched', 'delivered', 'cancelled'];
+const ORDER_TRANSITIONS = {
+    confirmed: ['manufacturing', 'cancelled'],
+    manufacturing: ['dispatched', 'cancelled'],
+    dispatched: ['delivered'],
+    delivered: [],
+    cancelled: [],
+};
+
+const allowedOrderTransitions = (from) => ORDER_TRANSITIONS[from] || [];
+
+const canTransitionOrder = (from, to) => allowedOrderTransitions(from).includes(to);
+
+const PAYMENT_MILESTONES = ['advance', 'balance'];
+const PAYMENT_METHODS = ['bank_transfer', 'upi', 'cheque', 'card', 'cash', 'finance'];
+
+// 17 characters; I, O and Q are never used (ISO 3779).
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+/**
+ * Reads the order settings from the environment.
+ * @throws {Error} when ORDER_ADVANCE_PERCENT is not between 0 and 100
+ */
+const orderConfig = (env = process.env) => {
+    const advancePercent = numberOr(env.ORDER_ADVANCE_PERCENT, 10);
+    if (!(advancePercent >= 0 && advancePercent <= 100)) {
+        throw new Error(`Invalid ORDER_ADVANCE_PERCENT: ${env.ORDER_ADVANCE_PERCENT}`);
+    }
+    return { advancePercent, lookupLimit: numberOr(env.ORDER_LOOKUP_LIMIT, 20) };
+};
+
+const formatOrderNumber = (year, sequence) => `ORD-${year}-${String(sequence).padStart(4, '0')}`;
+
+// One line of an order without a quote (schemas.orders items).
+const orderItem = {
+    product_id: { type: 'integer', required: true, min: 1 },
+    quantity: { type: 'integer', required: true, min: 1, max: 10000 },
+    // Default: the product's current price
+    unit_price: { type: 'number', min: 0 },
+};
+
+/**
+ * Validates the line items of an order.
+ * @returns {{ items: object[] } | { error: string }} the items with numbers coerced
+ */
+const checkItems = (items) => {
+    const checked = [];
+    for (let i = 0; i < items.length; i++) {
+        const { value, errors } = validate(orderItem, items[i]);
+        if (errors.length > 0) {
+            return { error: `item ${i} ${errors[0].field} ${errors[0].message}` };
+        }
+        checked.push(value);
+    }
+    return { items: checked };
+};
+
+// The tax breakdown of an order, as for quotes.
+const TAX_COLUMNS = ['subtotal', 'discount_amount', 'taxable_amount', 'gst_rate', 'place_of_supply', 'gst_type', 'cgst', 'sgst', 'igst'];
+
+/**
+ * Prices an order, with GST, and splits it into payment milestones. An order of a quote takes the quote's prices
+ * and GST. Line items are not discounted and are charged GST at input.gst_rate (default: the quotes' default rate)
+ * for input.place_of_supply (default: the request's state).
+ * @param {object} input - the validated body (schemas.orders): items or quote_id, gst_rate, place_of_supply, advance_amount, notes
+ * @param {object} sources
+ * @param {object} [sources.quote] - the quote ordered, when input.quote_id is set
+ * @param {Map<number, object>} [sources.products] - the products of input.items by id
+ * @param {object} [sources.request] - the request ordered
+ * @param {object} settings - orderConfig()
+ * @param {object} quoteSettings - quoteConfig(), for the seller's state and the default GST rate
+ * @returns {{ errors: Array<{ field: string, message: string }> } | { errors: [], order: object, items: object[], payments: object[] }}
+ *          the columns to store for the order, its items and its payments
+ */
+const buildOrder = (input, { quote, products = new Map(), request = {} }, settings, quoteSettings) => {
+    let items;
+    let tax;
+    let total;
+    if (quote) {
+        const errors = ['gst_rate', 'place_of_supply']
+            .filter((field) => input[field] !== undefined)
+            .map((field) => ({ field, message: 'cannot be combined with quote_id (the quote sets the GST)' }));
+        if (errors.length > 0) {
+            return { errors };
+        }
+        items = [{ product_id: quote.product_id, product_name: quote.product_name, unit_price: Number(quote.unit_price), quantity: quote.quantity }];
+        tax = Object.fromEntries(TAX_COLUMNS.map((column) => [column, quote[column]]));
+        total = toPaise(quote.total);
+    } else {
+        const errors = [];
+        items = input.items.map((item, i) => {
+            const product = products.get(item.product_id);
+            if (!product) {
+                errors.push({ field: 'items', message: `item ${i} references an unknown product` });
+                return null;
+            }
+            const price = item.unit_price !== undefined && item.unit_price !== null ? item.unit_price : product.price;
+            if (price === null || price === undefined) {
+                errors.push({ field: 'items', message: `item ${i} needs a unit_price (the product has no price)` });
+                return null;
+            }
+            return { product_id: product.id, product_name: product.name, unit_price: toRupees(toPaise(price)), quantity: item.quantity };
+        });
+        const givenPlace = input.place_of_supply !== undefined ? input.place_of_supply : request.state;
+        const placeOfSupply = stateName(givenPlace);
+        if (!placeOfSupply) {
+            errors.push(givenPlace
+                ? { field: 'place_of_supply', message: 'must be an Indian state or union territory' }
+                : { field: 'place_of_supply', message: 'is required (the request has no state)' });
+        }
+        if (errors.length > 0) {
+            return { errors };
+        }
+        const subtotal = items.reduce((sum, item) => sum + toPaise(item.unit_price) * item.quantity, 0);
+        const gstRate = input.gst_rate !== undefined ? input.gst_rate : quoteSettings.gstRate;
+        const gst = gstOn(subtotal, gstRate, placeOfSupply, quoteSettings.sellerState);
+        tax = {
+            subtotal: toRupees(subtotal),
+            discount_amount: 0,
+            taxable_amount: toRupees(subtotal),
+            gst_rate: gstRate,
+            place_of_supply: placeOfSupply,
+            gst_type: gst.gst_type,
+            cgst: toRupees(gst.cgst),
+            sgst: toRupees(gst.sgst),
+            igst: toRupees(gst.igst),
+        };
+        total = subtotal + gst.cgst + gst.sgst + gst.igst;
+    }
+
+    const advance = input.advance_amount !== undefined && input.advance_amount !== null
+        ? toPaise(input.advance_amount)
+        // Rounded to the rupee.
+        : Math.round((total * settings.advancePercent) / 10000) * 100;
+    if (advance > total) {
+        return { errors: [{ field: 'advance_amount', message: 'cannot be more than the order total' }] };
+    }
+    // An order paid in full up front has no balance to collect.
+    const payments = [{ milestone: 'advance', amount: toRupees(advance) }];
+    if (total > advance) payments.push({ milestone: 'balance', amount: toRupees(total - advance) });
+
+    return {
+        errors: [],
+        order: { ...tax, total_amount: toRupees(total), notes: input.notes || null },
+        items: items.map((item) => ({ ...item, amount: toRupees(toPaise(item.unit_price) * item.quantity) })),
+        payments,
+    };
+};
+
+/**
+ * What an order's stage requires before it can be entered, as messages; empty when it can be.
+ * @param {string} status - the stage to enter
+ * @param {object} progress - { payments: [{ milestone, paid_at }], vehicles_required, vehicles_assigned }
+ */
+const unmetRequirements = (status, { payments, vehicles_required, vehicles_assigned }) => {
+    const unpaid = (milestone) => payments.some((payment) => payment.milestone === milestone && payment.paid_at === null);
+    const unmet = [];
+    if (status === 'manufacturing' && unpaid('advance')) {
+        unmet.push('the advance has not been paid');
+    }
+    if (status === 'dispatched') {
+        if (payments.some((payment) => payment.paid_at === null)) unmet.push('the order has not been paid in full');
+        if (vehicles_assigned < vehicles_required) unmet.push(`${vehicles_required - vehicles_assigned} of ${vehicles_required} vehicles have no VIN`);
+    }
+    return unmet;
+};
+
+module.exports = {
+    ORDER_STATUSES, ORDER_TRANSITIONS, PAYMENT_MILESTONES, PAYMENT_METHODS, VIN_PATTERN,
+    allowedOrderTransitions, canTransitionOrder, orderConfig, formatOrderNumber, checkItems, buildOrder, unmetRequirements,
+};
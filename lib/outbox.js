@@ -0,0 +1,84 @@
+const { startPolling, backoffDelayMs } = require("./poller");
+
+// Delivery of queued email (the email_outbox table). Request handlers only queue messages, so a
+// slow or failing mail server never fails or delays an API call; a worker started by server.js
+// sends what is due and retries failures with exponential backoff.
+//
+// Configuration (environment):
+//   OUTBOX_POLL_INTERVAL_MS   how often the worker looks for due messages (default: 10000)
+//   OUTBOX_MAX_ATTEMPTS       attempts before a message is marked failed (default: 6)
+
+const BATCH_SIZE = 20;
+// A claimed message is left alone by other workers for this long, then becomes due again.
+const LEASE_MS = 5 * 60 * 1000;
+// Delay before the 2nd attempt; doubled for each further attempt.
+const FIRST_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Delay before retrying a message that has failed `attempts` times: 1 min, 2 min, 4 min, ...
+ */
+const retryDelayMs = (attempts) => backoffDelayMs(attempts, FIRST_RETRY_DELAY_MS);
+
+/**
+ * @param {object} options
+ * @param {object} options.repo - repositories/emailOutbox.js
+ * @param {import('./mailer').Mailer} options.mailer
+ * @param {number} [options.maxAttempts]
+ */
+const createOutbox = ({ repo, mailer, maxAttempts = Number(process.env.OUTBOX_MAX_ATTEMPTS || 6) }) => {
+    let stopPolling = null;
+
+    /**
+     * Queues a message. Never throws: failing to queue an email must not fail the caller.
+     * @param {string} template - name of the template it was rendered from, for filtering and diagnosis
+     * @param {import('./mailer').MailMessage} message
+     * @returns {Promise<object|undefined>} the outbox row
+     */
+    const enqueue = async (template, message) => {
+        try {
+            return await repo.enqueue(template, message);
+        } catch (err) {
+            console.error(`Error queueing ${template} email:`, err.message);
+            return undefined;
+        }
+    };
+
+    /**
+     * Sends the messages that are due.
+     * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+     */
+    const deliverDue = async ({ limit = BATCH_SIZE } = {}) => {
+        const counts = { sent: 0, retrying: 0, failed: 0 };
+        const due = await repo.claimDue(limit, new Date(Date.now() + LEASE_MS));
+        for (const message of due) {
+            try {
+                await mailer.send({
+                    to: message.to_address, subject: message.subject, text: message.body_text, headers: message.headers, attachments: message.attachments,
+                });
+                await repo.markSent(message.id);
+                counts.sent += 1;
+            } catch (err) {
+                const giveUp = message.attempts >= maxAttempts;
+                console.error(`Error sending email ${message.id} (attempt ${message.attempts}):`, err.message);
+                await repo.markFailed(message.id, err.message, giveUp ? null : new Date(Date.now() + retryDelayMs(message.attempts)));
+                counts[giveUp ? 'failed' : 'retrying'] += 1;
+            }
+        }
+        return counts;
+    };
+
+    // Polls for due messages every `intervalMs`.
+    const start = (intervalMs = Number(process.env.OUTBOX_POLL_INTERVAL_MS || 10000)) => {
+        if (stopPolling) return;
+        stopPolling = startPolling(() => deliverDue(), intervalMs, 'delivering queued email');
+    };
+
+    const stop = () => {
+        if (stopPolling) stopPolling();
+        stopPolling = null;
+    };
+
+    return { enqueue, deliverDue, start, stop };
+};
+
+module.exports = { createOutbox, retryDelayMs };
@@ -0,0 +1,153 @@
+// A small PDF writer for generated documents (e.g. quotations, see lib/quotes.js): A4 pages with
+// text in Helvetica and Helvetica-Bold, and straight lines. The fonts are the standard PDF fonts every
+// reader has, so nothing is embedded; text is limited to Latin-1 (other characters print as '?').
+//
+// Coordinates are in points from the top-left corner of the page.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) of the printable ASCII characters, from the fonts' AFM metrics.
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+        556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778,
+        722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+        278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+        556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778,
+        722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+        278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ],
+};
+// Used for the Latin-1 characters above ASCII.
+const DEFAULT_WIDTH = 556;
+
+// Keeps what the fonts' WinAnsi encoding can show.
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escape = (text) => text.replace(/[\\()]/g, '\\$&');
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Width of a line of text, in points.
+ * @param {string} text
+ * @param {number} size - font size
+ * @param {boolean} [bold]
+ */
+const textWidth = (text, size, bold = false) => {
+    const widths = WIDTHS[bold ? 'bold' : 'regular'];
+    let units = 0;
+    for (const char of toLatin1(text)) {
+        const code = char.charCodeAt(0);
+        units += code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (units * size) / 1000;
+};
+
+/**
+ * Splits text into lines no wider than `width`, breaking between words (and inside words longer than a line).
+ * Line breaks in the text are kept.
+ * @returns {string[]}
+ */
+const wrapText = (text, width, size, bold = false) => {
+    const lines = [];
+    for (const paragraph of String(text).split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, size, bold) <= width) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+            line = word;
+            while (textWidth(line, size, bold) > width && line.length > 1) {
+                let fits = line.length - 1;
+                while (fits > 1 && textWidth(line.slice(0, fits), size, bold) > width) fits--;
+                lines.push(line.slice(0, fits));
+                line = line.slice(fits);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+};
+
+/**
+ * Starts a new PDF document with one empty page.
+ * @param {object} [options]
+ * @param {string} [options.title] - shown by PDF readers as the document title
+ * @example
+ *   const pdf = createPdf({ title: 'Quotation' });
+ *   pdf.text('Hello', 50, 60, { size: 14, bold: true });
+ *   res.type('application/pdf').send(pdf.toBuffer());
+ */
+const createPdf = ({ title } = {}) => {
+    const pages = [[]];
+    const current = () => pages[pages.length - 1];
+
+    return {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+
+        addPage: () => {
+            pages.push([]);
+        },
+
+        /**
+         * Writes one line of text with its baseline at y.
+         * @param {object} [options] - size (default 10), bold, align ('left', 'right' or 'center' around x)
+         */
+        text: (text, x, y, { size = 10, bold = false, align = 'left' } = {}) => {
+            const line = toLatin1(text);
+            const width = textWidth(line, size, bold);
+            const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+            current().push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${number(left)} ${number(PAGE_HEIGHT - y)} Td (${escape(line)}) Tj ET`);
+        },
+
+        line: (x1, y1, x2, y2, { width = 0.5 } = {}) => {
+            current().push(`${width} w ${number(x1)} ${number(PAGE_HEIGHT - y1)} m ${number(x2)} ${number(PAGE_HEIGHT - y2)} l S`);
+        },
+
+        /** @returns {Buffer} the PDF file */
+        toBuffer: () => {
+            // Objects 1-4: catalog, page tree, fonts; 5: document info; then a page and its content per page.
+            const pageIds = pages.map((_, i) => 6 + i * 2);
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+                title ? `<< /Title (${escape(toLatin1(title))}) >>` : '<< >>',
+            ];
+            pages.forEach((operations, i) => {
+                const content = operations.join('\n');
+                objects.push(
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+                    + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+                    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+                );
+            });
+
+            let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+            const offsets = objects.map((body, i) => {
+                const offset = Buffer.byteLength(output, 'latin1');
+                output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xref = Buffer.byteLength(output, 'latin1');
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+            return Buffer.from(output, 'latin1');
+        },
+    };
+};
+
+module.exports = { createPdf, textWidth, wrapText };
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+
+// Helpers for the Aadhaar and PAN numbers captured on demo/order requests:
+// input validation, AES-256-GCM encryption at rest with a rotatable keyring, and masking.
+
+// --- Validation ---
+
+// Verhoeff checksum tables (dihedral group D5 multiplication and position permutation).
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+const verhoeffIsValid = (digits) => {
+    let check = 0;
+    const reversed = digits.split('').reverse();
+    for (let i = 0; i < reversed.length; i++) {
+        check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(reversed[i])]];
+    }
+    return check === 0;
+};
+
+// Aadhaar numbers may be entered with spaces or hyphens ("1234 5678 9012").
+const normalizeAadhaar = (value) => String(value).replace(/[\s-]/g, '');
+
+const normalizePan = (value) => String(value).trim().toUpperCase();
+
+// 12 digits, not starting with 0 or 1, with a valid Verhoeff check digit.
+const isValidAadhaar = (value) => {
+    const digits = normalizeAadhaar(value);
+    return /^[2-9]\d{11}$/.test(digits) && verhoeffIsValid(digits);
+};
+
+// 5 letters (4th is the holder type), 4 digits, 1 check letter, e.g. ABCPE1234F.
+const isValidPan = (value) => /^[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]$/.test(normalizePan(value));
+
+// --- Encryption ---
+
+const CIPHER = 'aes-256-gcm';
+const CIPHERTEXT_PREFIX = 'enc';
+
+let keyring = null;
+
+/**
+ * Parses PII_ENCRYPTION_KEYS ("<keyId>:<base64 32-byte key>,...") once.
+ * New values are encrypted with PII_ACTIVE_KEY_ID (default: the first key); older keys stay
+ * available for decryption until scripts/encrypt-request-pii.js has re-encrypted every row.
+ */
+const getKeyring = () => {
+    if (keyring) return keyring;
+    const keys = new Map();
+    for (const entry of (process.env.PII_ENCRYPTION_KEYS || '').split(',').filter(Boolean)) {
+        const [keyId, encoded] = entry.trim().split(':');
+        const key = Buffer.from(encoded || '', 'base64');
+        if (!keyId || key.length !== 32) {
+            throw new Error(`Invalid PII encryption key '${keyId}': expected <keyId>:<base64 32-byte key>`);
+        }
+        keys.set(keyId, key);
+    }
+    const activeKeyId = process.env.PII_ACTIVE_KEY_ID || keys.keys().next().value;
+    if (!activeKeyId || !keys.has(activeKeyId)) {
+        throw new Error('PII encryption key is not configured (set PII_ENCRYPTION_KEYS / PII_ACTIVE_KEY_ID)');
+    }
+    keyring = { keys, activeKeyId };
+    return keyring;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${CIPHERTEXT_PREFIX}:`);
+
+// Returns the id of the key a stored value was encrypted with, or null for plaintext.
+const keyIdOf = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+/**
+ * Encrypts a value with the active key.
+ * @returns {string} "enc:<keyId>:<iv>:<authTag>:<ciphertext>" (base64 parts)
+ */
+const encrypt = (plaintext) => {
+    const { keys, activeKeyId } = getKeyring();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, keys.get(activeKeyId), iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [CIPHERTEXT_PREFIX, activeKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+const decrypt = (stored) => {
+    if (!isEncrypted(stored)) {
+        return stored; // Rows not yet migrated by scripts/encrypt-request-pii.js
+    }
+    const [, keyId, iv, tag, data] = stored.split(':');
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+        throw new Error(`PII encryption key '${keyId}' is not configured`);
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// --- Masking ---
+
+const maskAadhaar = (last4) => (last4 ? `XXXX-XXXX-${last4}` : null);
+
+const maskPan = (last4) => (last4 ? `XXXXXX${last4}` : null);
+
+// True if a value submitted by a client is a masked placeholder echoed back from a GET.
+const isMasked = (value) => typeof value === 'string' && /^(X{4}-X{4}-\d{4}|X{6}\d{3}[A-Z])$/.test(value);
+
+const last4 = (value) => String(value).slice(-4);
+
+module.exports = {
+    normalizeAadhaar,
+    normalizePan,
+    isValidAadhaar,
+    isValidPan,
+    isEncrypted,
+    keyIdOf,
+    getKeyring,
+    encrypt,
+    decrypt,
+    maskAadhaar,
+    maskPan,
+    isMasked,
+    last4,
+};
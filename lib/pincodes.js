@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+
+// PIN code directory used to locate customers for the dealer search (lib/dealers.js).
+//
+// Entries are JSON objects { pincode, latitude, longitude, city, state } where pincode is either a full 6-digit
+// PIN code or its first three digits (a sorting district). A lookup tries the full PIN code first, then its
+// district. The bundled data/pincodes.json covers the main sorting districts at district level, with the
+// coordinates of each district's main town; point PINCODE_DATA_FILE at a fuller file of the same format for
+// finer results.
+//
+// Configuration (environment):
+//   PINCODE_DATA_FILE   path to the directory file (default: data/pincodes.json)
+
+const DEFAULT_FILE = path.join(__dirname, "..", "data", "pincodes.json");
+
+/**
+ * Builds a directory from its entries.
+ * @param {Array<{ pincode: string, latitude: number, longitude: number, city?: string, state?: string }>} entries
+ * @returns {{ size: number, lookup: function(string): object|undefined }} lookup(pincode) returns
+ *          { pincode, latitude, longitude, city, state, precision: 'pincode'|'district' } or undefined
+ */
+const createPincodeDirectory = (entries) => {
+    const byCode = new Map();
+    for (const entry of entries) {
+        const code = String(entry.pincode).trim();
+        if (!/^\d{3}(\d{3})?$/.test(code) || !Number.isFinite(entry.latitude) || !Number.isFinite(entry.longitude)) {
+            throw new Error(`Invalid PIN code directory entry: ${JSON.stringify(entry)}`);
+        }
+        byCode.set(code, entry);
+    }
+
+    const lookup = (pincode) => {
+        const code = String(pincode).trim();
+        const entry = byCode.get(code) || byCode.get(code.slice(0, 3));
+        if (!/^\d{6}$/.test(code) || !entry) return undefined;
+        return {
+            pincode: code,
+            latitude: entry.latitude,
+            longitude: entry.longitude,
+            city: entry.city || null,
+            state: entry.state || null,
+            precision: byCode.has(code) ? 'pincode' : 'district',
+        };
+    };
+
+    return { size: byCode.size, lookup };
+};
+
+/**
+ * Reads the directory from PINCODE_DATA_FILE, or the bundled one.
+ * @throws {Error} when the file cannot be read or has an invalid entry
+ */
+const loadPincodeDirectory = (env = process.env) =>
+    createPincodeDirectory(JSON.parse(fs.readFileSync(env.PINCODE_DATA_FILE || DEFAULT_FILE, 'utf8')));
+
+module.exports = { createPincodeDirectory, loadPincodeDirectory };
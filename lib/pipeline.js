@@ -0,0 +1,20 @@
+// Sales pipeline stages for demo/order requests and the transitions allowed out of each one.
+// 'won' is terminal; a 'lost' lead can be reopened by moving it back to 'contacted'.
+const PIPELINE_STAGES = ['new', 'contacted', 'demo_scheduled', 'quoted', 'won', 'lost'];
+const PIPELINE_TRANSITIONS = {
+    new: ['contacted', 'lost'],
+    contacted: ['demo_scheduled', 'quoted', 'lost'],
+    demo_scheduled: ['contacted', 'quoted', 'lost'],
+    quoted: ['won', 'lost'],
+    won: [],
+    lost: ['contacted'],
+};
+
+// Stages of leads that are no longer being worked on (until a lost one is reopened).
+const CLOSED_STAGES = ['won', 'lost'];
+
+const allowedTransitions = (from) => PIPELINE_TRANSITIONS[from] || [];
+
+const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+module.exports = { PIPELINE_STAGES, PIPELINE_TRANSITIONS, CLOSED_STAGES, allowedTransitions, canTransition };
@@ -0,0 +1,29 @@
+/**
+ * Runs `task` every `intervalMs` in the background, for queue workers (email outbox, webhooks).
+ * Runs never overlap and errors are logged; the timer does not keep the process alive.
+ * @param {() => Promise<*>} task
+ * @param {number} intervalMs
+ * @param {string} label - for error messages, e.g. 'delivering queued email'
+ * @returns {() => void} stops polling
+ */
+const startPolling = (task, intervalMs, label) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await task();
+        } catch (err) {
+            console.error(`Error ${label}:`, err.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+};
+
+// Delay before retrying after `attempts` failed attempts: firstDelayMs, then doubling each time.
+const backoffDelayMs = (attempts, firstDelayMs) => firstDelayMs * 2 ** (attempts - 1);
+
+module.exports = { startPolling, backoffDelayMs };
@@ -0,0 +1,356 @@
+const { createPdf, wrapText } = require("./pdf");
+const { addDays, zonedDate, startOfDay } = require("./dates");
+const { numberOr, toPaise, toRupees } = require("./numbers");
+
+// Quotations for order requests (routes/quotes.js).
+//
+// A quote prices one product from the catalogue: unit price x quantity, less a discount (a percentage
+// or an amount), plus GST on the taxable value. Product prices are taken as excluding GST. GST is split
+// into CGST and SGST (half the rate each) when the place of supply is the seller's own state, and
+// charged as IGST otherwise. Amounts are in INR, rounded to the paisa.
+//
+// Quotes are numbered per Indian financial year (April to March), e.g. Q-2026-27-0001. Revising a quote
+// keeps its number and adds a revision; the revised one is marked superseded. Dates (the quote date,
+// the financial year, validity) are in the reporting time zone (REPORTS_TIME_ZONE, see lib/reports.js).
+//
+// Configuration (environment):
+//   QUOTE_SELLER_NAME      shown as the issuer (default: 'Bullwork Mobility')
+//   QUOTE_SELLER_ADDRESS   issuer address; ', ' or line breaks separate its lines
+//   QUOTE_SELLER_GSTIN     issuer GSTIN
+//   QUOTE_SELLER_STATE     state the seller is registered in, deciding CGST/SGST vs IGST (default: 'Karnataka')
+//   QUOTE_GST_RATE         default GST rate in percent (default: 5, the rate for electric vehicles)
+//   QUOTE_VALIDITY_DAYS    default validity of a new quote (default: 30)
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// GST state codes of the Indian states and union territories, used for the place of supply.
+const STATE_CODES = {
+    'Jammu and Kashmir': '01', 'Himachal Pradesh': '02', 'Punjab': '03', 'Chandigarh': '04', 'Uttarakhand': '05',
+    'Haryana': '06', 'Delhi': '07', 'Rajasthan': '08', 'Uttar Pradesh': '09', 'Bihar': '10', 'Sikkim': '11',
+    'Arunachal Pradesh': '12', 'Nagaland': '13', 'Manipur': '14', 'Mizoram': '15', 'Tripura': '16', 'Meghalaya': '17',
+    'Assam': '18', 'West Bengal': '19', 'Jharkhand': '20', 'Odisha': '21', 'Chhattisgarh': '22', 'Madhya Pradesh': '23',
+    'Gujarat': '24', 'Dadra and Nagar Haveli and Daman and Diu': '26', 'Maharashtra': '27', 'Karnataka': '29', 'Goa': '30',
+    'Lakshadweep': '31', 'Kerala': '32', 'Tamil Nadu': '33', 'Puducherry': '34', 'Andaman and Nicobar Islands': '35',
+    'Telangana': '36', 'Andhra Pradesh': '37', 'Ladakh': '38',
+};
+// Other spellings found in addresses.
+const STATE_ALIASES = {
+    'new delhi': 'Delhi', 'nct of delhi': 'Delhi', 'orissa': 'Odisha', 'pondicherry': 'Puducherry', 'uttaranchal': 'Uttarakhand',
+    'jammu & kashmir': 'Jammu and Kashmir', 'andaman & nicobar islands': 'Andaman and Nicobar Islands',
+};
+
+const normalize = (text) => String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+const STATES_BY_KEY = new Map(Object.keys(STATE_CODES).map((name) => [normalize(name), name]));
+
+/**
+ * The canonical name of an Indian state or union territory, or null if `text` is not one.
+ * @example stateName(' tamil  nadu') // 'Tamil Nadu'
+ */
+const stateName = (text) => {
+    if (text === null || text === undefined) return null;
+    const key = normalize(text);
+    return STATES_BY_KEY.get(key) || STATE_ALIASES[key] || null;
+};
+
+/**
+ * Reads the quotation settings from the environment.
+ * @throws {Error} when QUOTE_SELLER_STATE is not an Indian state or QUOTE_GST_RATE is not a GST rate
+ */
+const quoteConfig = (env = process.env) => {
+    const sellerState = stateName(env.QUOTE_SELLER_STATE || 'Karnataka');
+    if (!sellerState) {
+        throw new Error(`Invalid QUOTE_SELLER_STATE: ${env.QUOTE_SELLER_STATE}`);
+    }
+    const gstRate = numberOr(env.QUOTE_GST_RATE, 5);
+    if (!GST_RATES.includes(gstRate)) {
+        throw new Error(`Invalid QUOTE_GST_RATE: ${env.QUOTE_GST_RATE}`);
+    }
+    return {
+        sellerName: env.QUOTE_SELLER_NAME || 'Bullwork Mobility',
+        sellerAddress: env.QUOTE_SELLER_ADDRESS || '',
+        sellerGstin: env.QUOTE_SELLER_GSTIN || '',
+        sellerState,
+        gstRate,
+        validityDays: numberOr(env.QUOTE_VALIDITY_DAYS, 30),
+    };
+};
+
+/** The Indian financial year a date (YYYY-MM-DD) falls in, e.g. '2026-27' for 2026-10-19. */
+const financialYear = (date) => {
+    const year = Number(date.slice(0, 4));
+    const start = Number(date.slice(5, 7)) >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * GST on a taxable value: CGST and SGST (half the rate each) when the place of supply is the seller's state,
+ * IGST otherwise. Also used for orders (lib/orders.js).
+ * @param {number} taxable - in paise
+ * @returns {{ gst_type: 'intra_state'|'inter_state', cgst: number, sgst: number, igst: number }} the taxes in paise
+ */
+const gstOn = (taxable, gstRate, placeOfSupply, sellerState) => {
+    const intraState = placeOfSupply === sellerState;
+    const halfTax = intraState ? Math.round((taxable * gstRate) / 200) : 0;
+    return {
+        gst_type: intraState ? 'intra_state' : 'inter_state',
+        cgst: halfTax,
+        sgst: halfTax,
+        igst: intraState ? 0 : Math.round((taxable * gstRate) / 100),
+    };
+};
+
+const formatQuoteNumber = (year, sequence) => `Q-${year}-${String(sequence).padStart(4, '0')}`;
+
+/**
+ * Prices a quote and checks it, filling in what the caller left out from `defaults`.
+ * @param {object} input - the validated body (schemas.quotes); null clears a default
+ * @param {object} defaults - quantity, discount_percent, discount_amount, gst_rate, place_of_supply and notes (from the
+ *        request and settings for a new quote, from the revised quote for a revision). valid_until defaults to
+ *        settings.validityDays from today.
+ * @param {{ id: number, name: string, price: * }} product - what is quoted, at product.price per unit
+ * @param {{ settings: object, timeZone: string, today: string }} context - quoteConfig(), the reporting time zone and today's date in it
+ * @returns {{ errors: Array<{ field: string, message: string }> } | { errors: [], quote: object }} the columns to store
+ */
+const buildQuote = (input, defaults, product, { settings, timeZone, today }) => {
+    const pick = (field) => (input[field] !== undefined ? input[field] : defaults[field]);
+    const errors = [];
+    const quantity = pick('quantity');
+    if (quantity === null || quantity === undefined) {
+        errors.push({ field: 'quantity', message: 'is required (the request has no quantity)' });
+    }
+    if (product.price === null || product.price === undefined) {
+        errors.push({ field: 'product_id', message: 'the product has no price' });
+    }
+    // A discount in the body replaces the default one, whichever kind either is.
+    const discountInBody = input.discount_percent !== undefined || input.discount_amount !== undefined;
+    const discountPercent = discountInBody ? input.discount_percent : defaults.discount_percent;
+    const discountAmount = discountInBody ? input.discount_amount : defaults.discount_amount;
+    const hasPercent = discountPercent !== null && discountPercent !== undefined;
+    const hasAmount = discountAmount !== null && discountAmount !== undefined && Number(discountAmount) !== 0;
+    if (hasPercent && hasAmount) {
+        errors.push({ field: 'discount_amount', message: 'cannot be combined with discount_percent' });
+    }
+    const placeOfSupply = stateName(pick('place_of_supply'));
+    if (!placeOfSupply) {
+        errors.push(pick('place_of_supply')
+            ? { field: 'place_of_supply', message: 'must be an Indian state or union territory' }
+            : { field: 'place_of_supply', message: "is required (the request has no state)" });
+    }
+    const gstRate = Number(pick('gst_rate'));
+    const validUntil = pick('valid_until') || addDays(today, settings.validityDays);
+    if (validUntil < today) {
+        errors.push({ field: 'valid_until', message: 'cannot be in the past' });
+    }
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const subtotal = toPaise(product.price) * quantity;
+    const discount = hasPercent ? Math.round((subtotal * Number(discountPercent)) / 100) : hasAmount ? toPaise(discountAmount) : 0;
+    if (discount > subtotal) {
+        return { errors: [{ field: 'discount_amount', message: 'cannot be more than the subtotal' }] };
+    }
+    const taxable = subtotal - discount;
+    const gst = gstOn(taxable, gstRate, placeOfSupply, settings.sellerState);
+    return {
+        errors: [],
+        quote: {
+            product_id: product.id,
+            product_name: product.name,
+            unit_price: toRupees(toPaise(product.price)),
+            quantity,
+            discount_percent: hasPercent ? Number(discountPercent) : null,
+            discount_amount: toRupees(discount),
+            subtotal: toRupees(subtotal),
+            taxable_amount: toRupees(taxable),
+            gst_rate: gstRate,
+            place_of_supply: placeOfSupply,
+            gst_type: gst.gst_type,
+            cgst: toRupees(gst.cgst),
+            sgst: toRupees(gst.sgst),
+            igst: toRupees(gst.igst),
+            total: toRupees(taxable + gst.cgst + gst.sgst + gst.igst),
+            // The quote is valid up to the end of valid_until.
+            expires_at: startOfDay(addDays(validUntil, 1), timeZone),
+            notes: pick('notes') || null,
+        },
+    };
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+    'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' '));
+const belowThousand = (n) => [n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : '', belowHundred(n % 100)].filter(Boolean).join(' ');
+
+// Whole numbers in words with the Indian crore/lakh grouping.
+const inWords = (n) => {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    if (n >= 10000000) parts.push(`${inWords(Math.floor(n / 10000000))} Crore`);
+    const rest = n % 10000000;
+    if (rest >= 100000) parts.push(`${belowHundred(Math.floor(rest / 100000))} Lakh`);
+    if (rest % 100000 >= 1000) parts.push(`${belowHundred(Math.floor((rest % 100000) / 1000))} Thousand`);
+    if (rest % 1000 > 0) parts.push(belowThousand(rest % 1000));
+    return parts.join(' ');
+};
+
+/**
+ * An amount in words, as printed on Indian commercial documents.
+ * @example amountInWords(125000.5) // 'Indian Rupees One Lakh Twenty Five Thousand and Fifty Paise Only'
+ */
+const amountInWords = (amount) => {
+    const paise = toPaise(amount);
+    const rupees = Math.floor(paise / 100);
+    return `Indian Rupees ${inWords(rupees)}${paise % 100 ? ` and ${belowHundred(paise % 100)} Paise` : ''} Only`;
+};
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(Number(amount));
+
+const formatRate = (rate) => `${Number(rate)}%`;
+
+/**
+ * Renders a quote as a PDF document.
+ * @param {object} quote - a quotes row, as returned by serializeQuote() in routes/quotes.js
+ * @param {object} request - the order request (customer details; Aadhaar/PAN are never printed)
+ * @param {object} settings - quoteConfig()
+ * @param {string} timeZone - dates are printed in this time zone
+ * @returns {Buffer}
+ */
+const renderQuotePdf = (quote, request, settings, timeZone) => {
+    const reference = quote.revision > 1 ? `${quote.quote_number} (Revision ${quote.revision})` : quote.quote_number;
+    const pdf = createPdf({ title: `Quotation ${reference}` });
+    const left = 50;
+    const right = pdf.width - 50;
+    let y = 60;
+    const newPageIfNeeded = (space) => {
+        if (y + space > pdf.height - 50) {
+            pdf.addPage();
+            y = 60;
+        }
+    };
+
+    pdf.text('QUOTATION', right, y, { size: 18, bold: true, align: 'right' });
+    pdf.text(settings.sellerName, left, y, { size: 14, bold: true });
+    y += 16;
+    // The seller details stay left of the quote number and dates.
+    for (const line of settings.sellerAddress.split(/,\s*|\r?\n/).filter(Boolean).flatMap((part) => wrapText(part, 250, 10))) {
+        pdf.text(line, left, y);
+        y += 12;
+    }
+    if (settings.sellerGstin) {
+        pdf.text(`GSTIN: ${settings.sellerGstin}`, left, y);
+        y += 12;
+    }
+    pdf.text(`State: ${STATE_CODES[settings.sellerState]}-${settings.sellerState}`, left, y);
+
+    let metaY = 82;
+    for (const [label, value] of [
+        ['Quote no.', reference],
+        ['Date', zonedDate(new Date(quote.created_at), timeZone)],
+        ['Valid until', quote.valid_until],
+    ]) {
+        pdf.text(label, right - 230, metaY, { bold: true });
+        pdf.text(value, right, metaY, { align: 'right' });
+        metaY += 14;
+    }
+
+    y = Math.max(y, metaY) + 24;
+    pdf.text('Quotation for', left, y, { bold: true });
+    y += 14;
+    const customer = [
+        request.full_name,
+        request.company_name,
+        request.address,
+        [request.city, request.state, request.pincode].filter(Boolean).join(', '),
+        request.country,
+        [request.phone_number, request.email].filter(Boolean).join(' | '),
+    ].filter(Boolean);
+    for (const line of customer) {
+        for (const wrapped of wrapText(line, 300, 10)) {
+            pdf.text(wrapped, left, y);
+            y += 12;
+        }
+    }
+    pdf.text(`Place of supply: ${STATE_CODES[quote.place_of_supply]}-${quote.place_of_supply}`, left, y + 4);
+    y += 30;
+
+    // Line items
+    const columns = { index: left, description: left + 25, quantity: right - 210, unitPrice: right - 100, amount: right };
+    pdf.line(left, y - 12, right, y - 12);
+    pdf.text('#', columns.index, y, { bold: true });
+    pdf.text('Description', columns.description, y, { bold: true });
+    pdf.text('Qty', columns.quantity, y, { bold: true, align: 'right' });
+    pdf.text('Unit price', columns.unitPrice, y, { bold: true, align: 'right' });
+    pdf.text('Amount', columns.amount, y, { bold: true, align: 'right' });
+    pdf.line(left, y + 6, right, y + 6);
+    y += 22;
+    pdf.text('1', columns.index, y);
+    const description = wrapText(quote.product_name, columns.quantity - columns.description - 40, 10);
+    description.forEach((line, i) => pdf.text(line, columns.description, y + i * 12));
+    pdf.text(String(quote.quantity), columns.quantity, y, { align: 'right' });
+    pdf.text(formatAmount(quote.unit_price), columns.unitPrice, y, { align: 'right' });
+    pdf.text(formatAmount(quote.subtotal), columns.amount, y, { align: 'right' });
+    y += description.length * 12 + 4;
+    pdf.line(left, y, right, y);
+    y += 18;
+
+    // Totals
+    const totals = [['Subtotal', quote.subtotal]];
+    if (Number(quote.discount_amount) > 0) {
+        const label = quote.discount_percent !== null ? `Discount (${formatRate(quote.discount_percent)})` : 'Discount';
+        totals.push([label, -Number(quote.discount_amount)], ['Taxable value', quote.taxable_amount]);
+    }
+    if (quote.gst_type === 'intra_state') {
+        totals.push([`CGST @ ${formatRate(Number(quote.gst_rate) / 2)}`, quote.cgst], [`SGST @ ${formatRate(Number(quote.gst_rate) / 2)}`, quote.sgst]);
+    } else {
+        totals.push([`IGST @ ${formatRate(quote.gst_rate)}`, quote.igst]);
+    }
+    newPageIfNeeded(totals.length * 16 + 60);
+    for (const [label, amount] of totals) {
+        pdf.text(label, right - 130, y, { align: 'right' });
+        pdf.text(formatAmount(amount), right, y, { align: 'right' });
+        y += 16;
+    }
+    pdf.line(right - 230, y - 8, right, y - 8);
+    y += 4;
+    pdf.text('Total (INR)', right - 130, y, { bold: true, align: 'right' });
+    pdf.text(formatAmount(quote.total), right, y, { bold: true, align: 'right' });
+    y += 24;
+    for (const line of wrapText(amountInWords(quote.total), right - left, 10)) {
+        pdf.text(line, left, y);
+        y += 12;
+    }
+
+    if (quote.notes) {
+        y += 16;
+        newPageIfNeeded(40);
+        pdf.text('Notes', left, y, { bold: true });
+        y += 14;
+        for (const line of wrapText(quote.notes, right - left, 10)) {
+            newPageIfNeeded(12);
+            pdf.text(line, left, y);
+            y += 12;
+        }
+    }
+
+    y += 24;
+    newPageIfNeeded(30);
+    pdf.text(`Prices are in Indian Rupees. This quotation is valid until ${quote.valid_until}.`, left, y, { size: 9 });
+    pdf.text('This is a computer-generated quotation and does not require a signature.', left, y + 12, { size: 9 });
+    return pdf.toBuffer();
+};
+
+module.exports = {
+    GST_RATES,
+    STATE_CODES,
+    stateName,
+    quoteConfig,
+    gstOn,
+    financialYear,
+    formatQuoteNumber,
+    buildQuote,
+    amountInWords,
+    renderQuotePdf,
+};
@@ -0,0 +1,42 @@
+// Fixed-window rate limiting for public forms (see middleware/spamGuard.js).
+//
+// The counters live in a store, so several app instances can share them. A store implements
+//   hit(key, windowMs) => Promise<{ count, resetAt }>
+// counting one more hit of `key` in the current window (which starts with the first hit and lasts
+// windowMs) and returning the hits so far and when the window ends (epoch ms). With Redis, for
+// example, that is INCR plus PEXPIRE on the first hit. The in-memory store below suits a single instance.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps rate-limit counters in process memory. Expired windows are swept out periodically.
+ * @param {object} [options]
+ * @param {() => number} [options.now] - clock, for tests
+ */
+const createMemoryRateLimitStore = ({ now = Date.now } = {}) => {
+    const windows = new Map();
+    let nextSweep = 0;
+
+    const sweep = (time) => {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= time) windows.delete(key);
+        }
+        nextSweep = time + SWEEP_INTERVAL_MS;
+    };
+
+    return {
+        hit: async (key, windowMs) => {
+            const time = now();
+            if (time >= nextSweep) sweep(time);
+            let window = windows.get(key);
+            if (!window || window.resetAt <= time) {
+                window = { count: 0, resetAt: time + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+    };
+};
+
+module.exports = { createMemoryRateLimitStore };
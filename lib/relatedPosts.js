@@ -0,0 +1,48 @@
+// Related-post ranking: shared tags first, text similarity as the tiebreaker.
+//
+// A post's score is the number of tags it shares with the source post plus the Jaccard
+// similarity (0-1) of the two posts' keyword sets (title and content), so one shared tag
+// outweighs any amount of similar wording. Posts scoring 0 are not related.
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'from', 'they',
+    'have', 'has', 'was', 'were', 'will', 'can', 'how', 'what', 'when', 'why', 'out', 'our', 'more',
+    'into', 'its', 'about', 'than', 'then', 'there', 'here', 'which', 'who', 'all', 'also', 'keep',
+]);
+
+const keywords = (post) => new Set(
+    `${post.title || ''} ${post.content || ''}`
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+);
+
+const jaccard = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const word of a) {
+        if (b.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Ranks candidate posts against `post`.
+ * @param {object} post - the source post (title, content)
+ * @param {Array<object>} candidates - posts with title, content, publication_date and shared_tags
+ * @param {number} limit
+ * @returns {Array<object>} the best `limit` candidates without their content, with `score` added
+ */
+const rankRelated = (post, candidates, limit) => {
+    const source = keywords(post);
+    return candidates
+        .map(({ content, ...candidate }) => ({
+            ...candidate,
+            score: Math.round((candidate.shared_tags + jaccard(source, keywords({ title: candidate.title, content }))) * 1000) / 1000,
+        }))
+        .filter((candidate) => candidate.score > 0)
+        .sort((a, b) => b.score - a.score || new Date(b.publication_date) - new Date(a.publication_date))
+        .slice(0, limit);
+};
+
+module.exports = { rankRelated };
@@ -0,0 +1,147 @@
+const { PIPELINE_STAGES } = require("./pipeline");
+const { DAY_MS, isCalendarDate, addDays, zonedDate, startOfDay } = require("./dates");
+
+// Date ranges and periods for the admin reports (routes/reports.js).
+// Reports cover whole calendar days in the reporting time zone: from and to are dates (YYYY-MM-DD),
+// both included, and counts are bucketed per day, week (starting on Monday) or month of that zone.
+//
+// Configuration (environment):
+//   REPORTS_TIME_ZONE  IANA time zone the days are counted in (default: 'Asia/Kolkata')
+
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+// The columns lead counts can be split by.
+const LEAD_GROUPS = ['request_type', 'product_name', 'country', 'state', 'city', 'status'];
+// Without ?from=, a report covers the last 30 days up to ?to= (default: today).
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 1830;
+// Forward moves through the sales pipeline (lib/pipeline.js) that conversion rates are reported for.
+const CONVERSION_STEPS = [
+    ['new', 'contacted'],
+    ['contacted', 'demo_scheduled'],
+    ['contacted', 'quoted'],
+    ['demo_scheduled', 'quoted'],
+    ['quoted', 'won'],
+];
+
+/**
+ * Reads the reporting time zone from the environment.
+ * @throws {Error} when REPORTS_TIME_ZONE is not a time zone
+ */
+const reportTimeZone = (env = process.env) => {
+    const timeZone = env.REPORTS_TIME_ZONE || 'Asia/Kolkata';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (err) {
+        throw new Error(`Invalid REPORTS_TIME_ZONE: ${timeZone}`);
+    }
+    return timeZone;
+};
+
+/** The first day of the period a date falls in. */
+const periodStart = (date, interval) => {
+    if (interval === 'month') return `${date.slice(0, 7)}-01`;
+    if (interval === 'week') return addDays(date, -((new Date(date).getUTCDay() + 6) % 7));
+    return date;
+};
+
+const nextPeriod = (start, interval) => {
+    if (interval === 'month') {
+        const next = new Date(start);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        return next.toISOString().slice(0, 10);
+    }
+    return addDays(start, interval === 'week' ? 7 : 1);
+};
+
+/** The first days of the periods between two dates, in order. */
+const periodsBetween = (from, to, interval) => {
+    const periods = [];
+    for (let period = periodStart(from, interval); period <= to; period = nextPeriod(period, interval)) {
+        periods.push(period);
+    }
+    return periods;
+};
+
+/**
+ * Parses a report's ?from=, ?to= and ?interval=.
+ * @returns {{ from: string, to: string, interval: string, since: Date, until: Date } | { error: string }}
+ *          since/until bound the range as instants (until excluded)
+ */
+const parseReportRange = (query, timeZone, now = new Date()) => {
+    const to = query.to === undefined ? zonedDate(now, timeZone) : query.to;
+    if (!isCalendarDate(to)) {
+        return { error: 'Invalid value for to: expected a date (YYYY-MM-DD)' };
+    }
+    const from = query.from === undefined ? addDays(to, 1 - DEFAULT_RANGE_DAYS) : query.from;
+    if (!isCalendarDate(from)) {
+        return { error: 'Invalid value for from: expected a date (YYYY-MM-DD)' };
+    }
+    if (from > to) {
+        return { error: 'from must not be after to' };
+    }
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+        return { error: `The date range cannot be longer than ${MAX_RANGE_DAYS} days` };
+    }
+    const interval = query.interval === undefined ? 'day' : query.interval;
+    if (!REPORT_INTERVALS.includes(interval)) {
+        return { error: `Invalid interval. Must be one of: ${REPORT_INTERVALS.join(', ')}` };
+    }
+    return { from, to, interval, since: startOfDay(from, timeZone), until: startOfDay(addDays(to, 1), timeZone) };
+};
+
+/**
+ * Adds up daily counts per period of the range. Every period is listed, with a 0 for every key it has no rows for.
+ * @param {{ day: Date, key: string, count: number }[]} rows - counts per day (the instant the day starts) and key
+ * @param {{ from: string, to: string, interval: string }} range
+ * @param {string[]} keys - keys every period lists, even without rows
+ * @returns {{ period: string, total: number, counts: object }[]}
+ */
+const countsByPeriod = (rows, { from, to, interval }, timeZone, keys = []) => {
+    const periods = new Map(periodsBetween(from, to, interval)
+        .map((period) => [period, { period, total: 0, counts: Object.fromEntries(keys.map((key) => [key, 0])) }]));
+    for (const { day, key, count } of rows) {
+        const entry = periods.get(periodStart(zonedDate(day, timeZone), interval));
+        entry.counts[key] = (entry.counts[key] || 0) + count;
+        entry.total += count;
+    }
+    return [...periods.values()];
+};
+
+const rate = (part, whole) => (whole === 0 ? null : Math.round((part / whole) * 10000) / 10000);
+
+/**
+ * Conversion between pipeline stages for a set of requests: how many reached each stage, and for each
+ * step in CONVERSION_STEPS the share of requests that reached the first stage and went on to the second.
+ * Every request starts as 'new'. Rates are fractions (0.25 = 25%), or null when nothing reached the first stage.
+ * @param {{ request_id: number, stage: string }[]} rows - the stages each request has been in
+ */
+const conversionRates = (rows) => {
+    const reached = new Map();
+    for (const { request_id, stage } of rows) {
+        if (!reached.has(request_id)) reached.set(request_id, new Set(['new']));
+        reached.get(request_id).add(stage);
+    }
+    const count = (...stages) => [...reached.values()].filter((seen) => stages.every((stage) => seen.has(stage))).length;
+    const total = reached.size;
+    return {
+        total,
+        stages: Object.fromEntries(PIPELINE_STAGES.map((stage) => [stage, count(stage)])),
+        steps: CONVERSION_STEPS.map(([fromStage, toStage]) => {
+            const fromCount = count(fromStage);
+            const toCount = count(fromStage, toStage);
+            return { from_stage: fromStage, to_stage: toStage, from_count: fromCount, to_count: toCount, rate: rate(toCount, fromCount) };
+        }),
+        win_rate: rate(count('won'), total),
+        loss_rate: rate(count('lost'), total),
+    };
+};
+
+module.exports = {
+    REPORT_INTERVALS,
+    LEAD_GROUPS,
+    reportTimeZone,
+    periodsBetween,
+    parseReportRange,
+    countsByPeriod,
+    conversionRates,
+};
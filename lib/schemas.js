@@ -0,0 +1,296 @@
+const pii = require("./pii");
+const { SPEC_DATA_TYPES, SPEC_KEY_PATTERN } = require("./specs");
+const { validate } = require("./validation");
+const { tagSlug } = require("./tags");
+const { NEWSLETTER_TOPICS } = require("./newsletter");
+const { WEBHOOK_EVENTS } = require("./webhooks");
+const { GST_RATES } = require("./quotes");
+const { isCalendarDate } = require("./dates");
+const { PAYMENT_METHODS, VIN_PATTERN, checkItems } = require("./orders");
+const { DEALER_SERVICES } = require("./dealers");
+const { ROLES } = require("../middleware/auth");
+
+// Request body schemas for each resource, used with validateBody() from ./validation.
+// Column limits mirror the database schema.
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const blogs = {
+    title: { type: 'string', required: true, maxLength: 255 },
+    slug: { type: 'string', required: true, maxLength: 255, pattern: SLUG_PATTERN, patternMessage: 'must contain only lowercase letters, digits and hyphens' },
+    content: { type: 'string', required: true },
+    author: { type: 'string', required: true, maxLength: 255 },
+    image_url: { type: 'url', maxLength: 2048 },
+    video_url: { type: 'url', maxLength: 2048 },
+    tags: {
+        type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 },
+        validate: (tags) => (tags.some((tag) => !tagSlug(tag)) ? 'each tag must contain a letter or digit' : undefined),
+    },
+    // Products the post mentions; it is listed under "featured_in" on each of them.
+    product_ids: { type: 'array', maxItems: 20, items: { type: 'integer', min: 1 } },
+};
+
+const categories = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    slug: { type: 'string', required: true, maxLength: 120, pattern: SLUG_PATTERN, patternMessage: 'must contain only lowercase letters, digits and hyphens' },
+    description: { type: 'string' },
+    sort_order: { type: 'integer' },
+};
+
+const products = {
+    name: { type: 'string', required: true, maxLength: 255 },
+    tagline: { type: 'string', maxLength: 500 },
+    description: { type: 'string' },
+    price: { type: 'number', min: 0 },
+    main_image_url: { type: 'url', maxLength: 2048 },
+    image_urls: { type: 'array', maxItems: 30, items: { type: 'url', maxLength: 2048 } },
+    video_url: { type: 'url', maxLength: 2048 },
+    category_id: { type: 'integer', min: 1 },
+    features_text: { type: 'string' },
+    tco_savings_text: { type: 'string' },
+    tco_savings_image_url: { type: 'url', maxLength: 2048 },
+    specifications: { type: 'json' },
+    related_products_ids: { type: 'array', maxItems: 20, items: { type: 'integer', min: 1 } },
+};
+
+const specDefinitions = {
+    key: { type: 'string', required: true, maxLength: 60, pattern: SPEC_KEY_PATTERN, patternMessage: 'must be snake_case, e.g. battery_kwh' },
+    label: { type: 'string', required: true, maxLength: 100 },
+    unit: { type: 'string', maxLength: 20 },
+    group_name: { type: 'string', maxLength: 60 },
+    data_type: { type: 'string', required: true, enum: SPEC_DATA_TYPES },
+    sort_order: { type: 'integer' },
+};
+
+// Per-product TCO parameters (PUT /api/products/:id/tco-params); amounts in INR.
+const tcoParams = {
+    energy_kwh_per_hour: { type: 'number', min: 0 },
+    energy_kwh_per_km: { type: 'number', min: 0 },
+    battery_replacement_hours: { type: 'integer', min: 1 },
+    battery_replacement_cost: { type: 'number', min: 0 },
+    maintenance_cost_per_hour: { type: 'number', min: 0 },
+    annual_maintenance_cost: { type: 'number', min: 0 },
+    diesel_purchase_price: { type: 'number', min: 0 },
+    diesel_litres_per_hour: { type: 'number', min: 0 },
+    diesel_litres_per_km: { type: 'number', min: 0 },
+    diesel_maintenance_cost_per_hour: { type: 'number', min: 0 },
+    diesel_annual_maintenance_cost: { type: 'number', min: 0 },
+};
+
+// Diesel baseline overrides accepted by the calculator, see BASELINE_FIELDS in ./tco.
+const tcoBaseline = {
+    purchase_price: { type: 'number', min: 0 },
+    litres_per_hour: { type: 'number', min: 0 },
+    litres_per_km: { type: 'number', min: 0 },
+    maintenance_cost_per_hour: { type: 'number', min: 0 },
+    annual_maintenance_cost: { type: 'number', min: 0 },
+};
+
+// Customer scenario for POST /api/products/:id/tco.
+const tcoInput = {
+    hours_per_year: { type: 'number', min: 0, max: 8760 },
+    km_per_year: { type: 'number', min: 0, max: 500000 },
+    diesel_price: { type: 'number', required: true, min: 0 },
+    electricity_price: { type: 'number', required: true, min: 0 },
+    years: { type: 'integer', required: true, min: 1, max: 20 },
+    diesel_price_escalation_pct: { type: 'number', min: -50, max: 100 },
+    electricity_price_escalation_pct: { type: 'number', min: -50, max: 100 },
+    baseline: {
+        type: 'json',
+        validate: (value) => {
+            const { errors } = validate(tcoBaseline, value);
+            return errors.length > 0 ? errors.map((error) => `${error.field} ${error.message}`).join('; ') : null;
+        },
+    },
+    save: { type: 'boolean' },
+};
+
+const qna = {
+    question: { type: 'string', required: true, maxLength: 1000 },
+    answer: { type: 'string', required: true },
+};
+
+const awards = {
+    image_url: { type: 'url', required: true, maxLength: 2048 },
+};
+
+const media = {
+    url: { type: 'url', required: true, maxLength: 2048 },
+};
+
+// Editable details of an uploaded file (the file itself is sent as multipart form data).
+const mediaAssets = {
+    alt_text: { type: 'string', maxLength: 255 },
+    caption: { type: 'string', maxLength: 2000 },
+};
+
+// Aadhaar/PAN may also be the masked placeholder returned by GET, which means "keep the stored value".
+const requests = {
+    request_type: { type: 'string', required: true, enum: ['demo', 'order'] },
+    product_name: { type: 'string', maxLength: 255 },
+    full_name: { type: 'string', required: true, maxLength: 255 },
+    email: { type: 'email', required: true, maxLength: 255 },
+    phone_number: { type: 'phone', required: true },
+    company_name: { type: 'string', maxLength: 255 },
+    address: { type: 'string', maxLength: 1000 },
+    country: { type: 'string', maxLength: 100 },
+    state: { type: 'string', maxLength: 100 },
+    city: { type: 'string', maxLength: 100 },
+    pincode: { type: 'pincode' },
+    aadhar_number: {
+        type: 'string',
+        validate: (value) => (pii.isMasked(value) || pii.isValidAadhaar(value) ? null : 'must be a valid 12-digit Aadhaar number'),
+    },
+    pan_number: {
+        type: 'string',
+        validate: (value) => (pii.isMasked(value) || pii.isValidPan(value) ? null : 'must be a valid PAN, e.g. ABCPE1234F'),
+    },
+    message: { type: 'string', maxLength: 5000 },
+    quantity: { type: 'integer', min: 1, max: 10000 },
+    tco_calculation_id: { type: 'integer', min: 1 },
+};
+
+const jobs = {
+    title: { type: 'string', required: true, maxLength: 255 },
+    department: { type: 'string', maxLength: 100 },
+    location: { type: 'string', maxLength: 100 },
+    description: { type: 'string', required: true },
+    status: { type: 'string', enum: ['open', 'closed'], nullable: false },
+};
+
+// The resume is sent as multipart form data; position is taken from the job's title.
+const apply = {
+    name: { type: 'string', required: true, maxLength: 255 },
+    email: { type: 'email', required: true, maxLength: 255 },
+    job_id: { type: 'integer', required: true, min: 1 },
+    phone: { type: 'phone', maxLength: 20 },
+    cover_letter: { type: 'string', maxLength: 10000 },
+};
+
+const newsletterTopics = {
+    type: 'array', maxItems: NEWSLETTER_TOPICS.length, items: { type: 'string', enum: NEWSLETTER_TOPICS },
+    validate: (topics) => (topics.length === 0 ? 'must include at least one topic' : undefined),
+};
+
+// Omitted topics default to all of them.
+const subscribe = {
+    email: { type: 'email', required: true, maxLength: 255 },
+    topics: newsletterTopics,
+};
+
+// PUT /api/subscribe/preferences, authorized by the manage token from the subscriber's emails.
+const subscribePreferences = {
+    token: { type: 'string', required: true },
+    topics: { ...newsletterTopics, required: true },
+};
+
+// The secret is required when creating a webhook (see routes/webhooks.js) and kept when a PUT omits it.
+const webhooks = {
+    url: { type: 'url', required: true, maxLength: 2048 },
+    secret: { type: 'string', minLength: 16, maxLength: 255, nullable: false },
+    events: {
+        type: 'array', required: true, maxItems: WEBHOOK_EVENTS.length, items: { type: 'string', enum: WEBHOOK_EVENTS },
+        validate: (events) => (events.length === 0 ? 'must include at least one event' : undefined),
+    },
+    description: { type: 'string', maxLength: 255 },
+    active: { type: 'boolean', nullable: false },
+};
+
+// Building (POST /api/requests/:id/quotes) or revising a quote; see lib/quotes.js. Omitted fields default to
+// the request's (or, for a revision, the revised quote's) values. Amounts in INR.
+const quotes = {
+    product_id: { type: 'integer', min: 1 },
+    quantity: { type: 'integer', min: 1, max: 10000 },
+    discount_percent: { type: 'number', min: 0, max: 100 },
+    discount_amount: { type: 'number', min: 0 },
+    gst_rate: { type: 'number', nullable: false, validate: (rate) => (GST_RATES.includes(rate) ? null : `must be one of: ${GST_RATES.join(', ')}`) },
+    place_of_supply: { type: 'string', maxLength: 100 },
+    valid_until: { type: 'string', validate: (date) => (isCalendarDate(date) ? null : 'must be a date (YYYY-MM-DD)') },
+    notes: { type: 'string', maxLength: 2000 },
+};
+
+// Creating an order for a won request (POST /api/orders); see lib/orders.js. Give either quote_id (one of the
+// request's quotes, latest revision) or items. Amounts in INR.
+const orders = {
+    request_id: { type: 'integer', required: true, min: 1 },
+    quote_id: { type: 'integer', min: 1 },
+    items: {
+        type: 'array', maxItems: 20, items: { type: 'json' },
+        validate: (items) => (items.length === 0 ? 'must have at least one item' : checkItems(items).error),
+    },
+    // GST of line items (an order of a quote has the quote's)
+    gst_rate: { type: 'number', nullable: false, validate: (rate) => (GST_RATES.includes(rate) ? null : `must be one of: ${GST_RATES.join(', ')}`) },
+    place_of_supply: { type: 'string', maxLength: 100 },
+    advance_amount: { type: 'number', min: 0 },
+    notes: { type: 'string', maxLength: 2000 },
+};
+
+// Recording a payment milestone as paid (PATCH /api/orders/:id/payments/:milestone).
+const orderPayments = {
+    method: { type: 'string', required: true, enum: PAYMENT_METHODS },
+    reference: { type: 'string', maxLength: 100 },
+    // Default: now
+    paid_at: { type: 'date' },
+};
+
+// Assigning a vehicle to an order line (POST /api/orders/:id/vehicles).
+const orderVehicles = {
+    order_item_id: { type: 'integer', required: true, min: 1 },
+    vin: { type: 'string', required: true, validate: (vin) => (VIN_PATTERN.test(vin.toUpperCase()) ? null : 'must be a 17-character VIN') },
+    serial_number: { type: 'string', maxLength: 100 },
+};
+
+// The public order status lookup (POST /api/orders/lookup).
+const orderLookup = {
+    order_number: { type: 'string', required: true, maxLength: 30 },
+    email: { type: 'email', required: true, maxLength: 255 },
+};
+
+// Demo availability slots (/api/demo-slots). A slot without product_id is open for any product.
+const demoSlots = {
+    starts_at: { type: 'date', required: true, nullable: false },
+    ends_at: { type: 'date', required: true, nullable: false },
+    city: { type: 'string', required: true, maxLength: 100 },
+    state: { type: 'string', maxLength: 100 },
+    location: { type: 'string', maxLength: 1000 },
+    product_id: { type: 'integer', min: 1 },
+    rep_id: { type: 'integer', min: 1 },
+    notes: { type: 'string', maxLength: 2000 },
+};
+
+// Booking or rescheduling the demo of a request (PUT /api/requests/:id/demo-booking). token is the customer's
+// (lib/demoBookings.js); sales users leave it out.
+const demoBookings = {
+    slot_id: { type: 'integer', required: true, min: 1 },
+    token: { type: 'string', maxLength: 1000 },
+};
+
+// Dealers and service centres (/api/dealers). Coordinates are decimal degrees.
+const dealers = {
+    name: { type: 'string', required: true, maxLength: 255 },
+    email: { type: 'email', maxLength: 255 },
+    phone_number: { type: 'phone', maxLength: 20 },
+    address: { type: 'string', required: true, maxLength: 1000 },
+    city: { type: 'string', required: true, maxLength: 100 },
+    state: { type: 'string', maxLength: 100 },
+    pincode: { type: 'pincode' },
+    country: { type: 'string', maxLength: 100 },
+    latitude: { type: 'number', required: true, min: -90, max: 90 },
+    longitude: { type: 'number', required: true, min: -180, max: 180 },
+    services: {
+        type: 'array', required: true, maxItems: DEALER_SERVICES.length, items: { type: 'string', enum: DEALER_SERVICES },
+        validate: (services) => (services.length === 0 ? 'must include at least one service' : undefined),
+    },
+    product_ids: { type: 'array', maxItems: 100, items: { type: 'integer', min: 1 } },
+    active: { type: 'boolean', nullable: false },
+};
+
+// Changes to an admin user (PUT /api/admin/users/:id); omitted fields are kept.
+const adminUserUpdates = {
+    full_name: { type: 'string', maxLength: 255, nullable: false },
+    role: { type: 'string', enum: ROLES, nullable: false },
+    password: { type: 'string', maxLength: 255, nullable: false },
+    is_active: { type: 'boolean', nullable: false },
+};
+
+module.exports = { blogs, categories, products, specDefinitions, tcoParams, tcoInput, qna, awards, media, mediaAssets, requests, jobs, apply, subscribe, subscribePreferences, webhooks, quotes, orders, orderPayments, orderVehicles, orderLookup, demoSlots, demoBookings, dealers, adminUserUpdates };
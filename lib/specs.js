@@ -0,0 +1,84 @@
+// Typed product specifications: value handling and the ?spec= list filter.
+
+const SPEC_DATA_TYPES = ['number', 'text', 'boolean'];
+
+// Spec keys are snake_case identifiers, e.g. battery_kwh, range_km.
+const SPEC_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const MAX_SPEC_FILTERS = 10;
+
+/**
+ * Checks a value against a spec definition's data_type.
+ * @returns {{ columns: object } | { error: string }} the product_specs value columns to store
+ */
+const toValueColumns = (definition, value) => {
+    const columns = { value_number: null, value_text: null, value_boolean: null };
+    switch (definition.data_type) {
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { error: 'must be a number' };
+            }
+            return { columns: { ...columns, value_number: number } };
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return { error: 'must be true or false' };
+            }
+            return { columns: { ...columns, value_boolean: value } };
+        default:
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return { error: 'must be a string' };
+            }
+            if (String(value).length > 255) {
+                return { error: 'must be at most 255 characters' };
+            }
+            return { columns: { ...columns, value_text: String(value) } };
+    }
+};
+
+// Reads the typed value back from a product_specs row (NUMERIC arrives from pg as a string).
+const valueOf = (row) => {
+    if (row.value_number !== null && row.value_number !== undefined) return Number(row.value_number);
+    if (row.value_boolean !== null && row.value_boolean !== undefined) return row.value_boolean;
+    return row.value_text === undefined ? null : row.value_text;
+};
+
+/**
+ * list filter for ?spec=<key>:<op>:<value>[,<key>:<op>:<value>...], see buildListQuery() in ./listQuery.
+ * Ops: gte and lte compare numbers; eq matches numbers, booleans or (case-insensitively) text.
+ * @example ?spec=range_km:gte:80,battery_kwh:lte:20
+ */
+const buildSpecFilter = (raw, param) => {
+    const terms = raw.split(',');
+    if (terms.length > MAX_SPEC_FILTERS) {
+        return { error: `Invalid spec filter: at most ${MAX_SPEC_FILTERS} conditions are allowed` };
+    }
+    const conditions = [];
+    for (const term of terms) {
+        const [key, op, ...rest] = term.trim().split(':');
+        const value = rest.join(':');
+        if (!SPEC_KEY_PATTERN.test(key || '') || !['eq', 'gte', 'lte'].includes(op) || value === '') {
+            return { error: `Invalid spec filter '${term}'. Expected <key>:<eq|gte|lte>:<value>` };
+        }
+        const isNumber = Number.isFinite(Number(value));
+        let comparison;
+        if (op !== 'eq') {
+            if (!isNumber) {
+                return { error: `Invalid spec filter '${term}': ${op} needs a number` };
+            }
+            comparison = `ps.value_number ${op === 'gte' ? '>=' : '<='} ${param(value)}`;
+        } else if (isNumber) {
+            comparison = `ps.value_number = ${param(value)}`;
+        } else if (value === 'true' || value === 'false') {
+            comparison = `ps.value_boolean = ${param(value === 'true')}`;
+        } else {
+            comparison = `LOWER(ps.value_text) = LOWER(${param(value)})`;
+        }
+        conditions.push(`id IN (SELECT ps.product_id FROM product_specs ps JOIN spec_definitions sd ON sd.id = ps.spec_id
+            WHERE sd.key = ${param(key)} AND ${comparison})`);
+    }
+    return { sql: conditions.join(' AND ') };
+};
+
+module.exports = { SPEC_DATA_TYPES, SPEC_KEY_PATTERN, toValueColumns, valueOf, buildSpecFilter };
@@ -0,0 +1,133 @@
+const fs = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+// File storage for uploads. Backends store objects by key (e.g. 'media/<uuid>/original.png')
+// and know the public URL of each key, so the rest of the app never deals with paths or buckets.
+// Keys under PRIVATE_PREFIX (e.g. resumes) are never served publicly and are only read back through
+// get(); with s3, keep the bucket itself private and expose only the other keys (e.g. via a CDN).
+//
+// Configuration (environment):
+//   MEDIA_STORAGE        'local' (default) or 's3'
+//   MEDIA_PUBLIC_URL     public base URL of stored files. Local default: http://localhost:<PORT>/uploads,
+//                        served by the app itself. For s3, the bucket/CDN URL (required).
+//   MEDIA_STORAGE_DIR    local only: directory for the files (default: ./uploads)
+//   S3_BUCKET, S3_REGION, and optionally S3_ENDPOINT (any S3-compatible service, e.g. MinIO or R2)
+//   and S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (otherwise the AWS SDK's default credential chain).
+
+const PRIVATE_PREFIX = 'private/';
+
+/**
+ * @typedef {object} Storage
+ * @property {(key: string, body: Buffer, contentType: string) => Promise<void>} put
+ * @property {(key: string) => Promise<Buffer>} get
+ * @property {(key: string) => Promise<void>} remove - removing a missing key is not an error
+ * @property {(key: string) => string} urlFor - public URL of a stored key
+ * @property {{ path: string, handler: function }} [serve] - middleware serving the public files,
+ *           for backends the app must serve itself (local storage)
+ */
+
+const joinUrl = (base, key) => `${base.replace(/\/+$/, '')}/${key}`;
+
+// Whether a request path (relative to the served root) points under PRIVATE_PREFIX, once decoded
+// and normalized so '/media/../private/x' does not slip through. Undecodable paths count as private.
+const isPrivatePath = (urlPath) => {
+    try {
+        return path.posix.normalize(decodeURIComponent(urlPath)).replace(/^\/+/, '').startsWith(PRIVATE_PREFIX);
+    } catch (err) {
+        return true;
+    }
+};
+
+/**
+ * Stores files on local disk under `root`; the app serves them at the path of `publicUrl`.
+ * @returns {Storage}
+ */
+const createLocalStorage = ({ root, publicUrl }) => {
+    // Keys come from the server (never from the request), but keep them inside root regardless.
+    const fileFor = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    };
+
+    const files = express.static(root, { index: false });
+
+    return {
+        put: async (key, body) => {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+        },
+        get: (key) => fs.readFile(fileFor(key)),
+        remove: async (key) => {
+            await fs.rm(fileFor(key), { force: true });
+        },
+        urlFor: (key) => joinUrl(publicUrl, key),
+        serve: {
+            path: new URL(publicUrl).pathname.replace(/\/+$/, '') || '/',
+            handler: (req, res, next) => (isPrivatePath(req.path) ? next() : files(req, res, next)),
+        },
+    };
+};
+
+/**
+ * Stores files in an S3 bucket (or any S3-compatible service when `endpoint` is set).
+ * @returns {Storage}
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) => {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+    const client = new S3Client({
+        region,
+        endpoint,
+        // S3-compatible services generally expect bucket names in the path rather than the host.
+        forcePathStyle: Boolean(endpoint),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    return {
+        put: async (key, body, contentType) => {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        },
+        get: async (key) => {
+            const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await object.Body.transformToByteArray());
+        },
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+        urlFor: (key) => joinUrl(publicUrl, key),
+    };
+};
+
+/**
+ * Creates the storage backend configured in the environment.
+ * @returns {Storage}
+ */
+const createStorage = (env = process.env) => {
+    const driver = env.MEDIA_STORAGE || 'local';
+    if (driver === 'local') {
+        return createLocalStorage({
+            root: path.resolve(env.MEDIA_STORAGE_DIR || 'uploads'),
+            publicUrl: env.MEDIA_PUBLIC_URL || `http://localhost:${env.PORT || 5000}/uploads`,
+        });
+    }
+    if (driver === 's3') {
+        if (!env.S3_BUCKET || !env.MEDIA_PUBLIC_URL) {
+            throw new Error('MEDIA_STORAGE=s3 needs S3_BUCKET and MEDIA_PUBLIC_URL');
+        }
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || 'us-east-1',
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            publicUrl: env.MEDIA_PUBLIC_URL,
+        });
+    }
+    throw new Error(`Unknown MEDIA_STORAGE '${driver}'. Use 'local' or 's3'`);
+};
+
+module.exports = { PRIVATE_PREFIX, createStorage, createLocalStorage, createS3Storage };
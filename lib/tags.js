@@ -0,0 +1,20 @@
+// Blog tags are identified by slug, so 'Battery', 'battery ' and 'BATTERY' are one tag.
+
+const tagSlug = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Drops tags repeating an earlier tag's slug, keeping the first spelling and the given order.
+ * @returns {Array<{ name: string, slug: string }>}
+ */
+const uniqueTags = (names) => {
+    const bySlug = new Map();
+    for (const name of names) {
+        const slug = tagSlug(name);
+        if (slug && !bySlug.has(slug)) {
+            bySlug.set(slug, { name: name.trim(), slug });
+        }
+    }
+    return [...bySlug.values()];
+};
+
+module.exports = { tagSlug, uniqueTags };
@@ -0,0 +1,130 @@
+// Total cost of ownership: an electric product against a diesel baseline, year by year.
+//
+// Year 0 is the purchase. Every following year adds energy (electricity vs diesel fuel) and
+// maintenance for the customer's usage, plus battery replacements for the electric product,
+// counted from cumulative operating hours. Prices may escalate by a fixed percentage per year.
+
+// Baseline fields a customer may override per calculation; everything else comes from the product's TCO parameters.
+const BASELINE_FIELDS = {
+    purchase_price: 'diesel_purchase_price',
+    litres_per_hour: 'diesel_litres_per_hour',
+    litres_per_km: 'diesel_litres_per_km',
+    maintenance_cost_per_hour: 'diesel_maintenance_cost_per_hour',
+    annual_maintenance_cost: 'diesel_annual_maintenance_cost',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// NUMERIC columns arrive from pg as strings; missing values count as 0.
+const num = (value) => (value === null || value === undefined ? 0 : Number(value));
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Checks that the product's parameters cover the requested usage.
+ * @returns {Array<{ field: string, message: string }>} validation errors, empty if the calculation can run
+ */
+const checkInputs = (price, params, input) => {
+    const errors = [];
+    const baseline = { ...params, ...baselineOverrides(input.baseline) };
+    if (!isSet(price)) {
+        errors.push({ field: 'product', message: 'has no price' });
+    }
+    if (!isSet(baseline.diesel_purchase_price)) {
+        errors.push({ field: 'baseline.purchase_price', message: 'is required (no diesel baseline price is configured for this product)' });
+    }
+    if (!(num(input.hours_per_year) > 0 || num(input.km_per_year) > 0)) {
+        errors.push({ field: 'hours_per_year', message: 'hours_per_year or km_per_year must be greater than 0' });
+    }
+    if (num(input.hours_per_year) > 0 && !(isSet(params.energy_kwh_per_hour) && isSet(baseline.diesel_litres_per_hour))) {
+        errors.push({ field: 'hours_per_year', message: 'this product has no per-hour consumption figures' });
+    }
+    if (num(input.km_per_year) > 0 && !(isSet(params.energy_kwh_per_km) && isSet(baseline.diesel_litres_per_km))) {
+        errors.push({ field: 'km_per_year', message: 'this product has no per-km consumption figures' });
+    }
+    return errors;
+};
+
+// Maps { purchase_price, ... } from the request onto the diesel_* parameter names.
+const baselineOverrides = (baseline = {}) => {
+    const overrides = {};
+    for (const [field, column] of Object.entries(BASELINE_FIELDS)) {
+        if (baseline && isSet(baseline[field])) overrides[column] = baseline[field];
+    }
+    return overrides;
+};
+
+/**
+ * Calculates cost curves and breakeven. Call checkInputs() first.
+ * @param {number|string} price - purchase price of the electric product
+ * @param {object} params - product_tco_params row
+ * @param {object} input - validated schemas.tcoInput body
+ * @returns {{ years: Array, totals: object, breakeven: { year: number|null, months: number|null } }}
+ */
+const calculateTco = (price, params, input) => {
+    const p = { ...params, ...baselineOverrides(input.baseline) };
+    const hours = num(input.hours_per_year);
+    const km = num(input.km_per_year);
+    const electricityGrowth = 1 + num(input.electricity_price_escalation_pct) / 100;
+    const dieselGrowth = 1 + num(input.diesel_price_escalation_pct) / 100;
+
+    const years = [{
+        year: 0,
+        electric: { purchase: round(num(price)), energy: 0, maintenance: 0, battery: 0, total: round(num(price)) },
+        diesel: { purchase: round(num(p.diesel_purchase_price)), fuel: 0, maintenance: 0, total: round(num(p.diesel_purchase_price)) },
+    }];
+    let cumulativeElectric = num(price);
+    let cumulativeDiesel = num(p.diesel_purchase_price);
+    years[0].cumulative = { electric: round(cumulativeElectric), diesel: round(cumulativeDiesel) };
+    years[0].savings = round(cumulativeDiesel - cumulativeElectric);
+
+    let breakeven = cumulativeElectric <= cumulativeDiesel ? { year: 0, months: 0 } : null;
+    for (let year = 1; year <= input.years; year++) {
+        const electricityPrice = num(input.electricity_price) * electricityGrowth ** (year - 1);
+        const dieselPrice = num(input.diesel_price) * dieselGrowth ** (year - 1);
+        const replacementCycle = num(p.battery_replacement_hours);
+        const replacements = replacementCycle > 0
+            ? Math.floor((hours * year) / replacementCycle) - Math.floor((hours * (year - 1)) / replacementCycle)
+            : 0;
+
+        const electric = {
+            purchase: 0,
+            energy: (hours * num(p.energy_kwh_per_hour) + km * num(p.energy_kwh_per_km)) * electricityPrice,
+            maintenance: hours * num(p.maintenance_cost_per_hour) + num(p.annual_maintenance_cost),
+            battery: replacements * num(p.battery_replacement_cost),
+        };
+        electric.total = electric.energy + electric.maintenance + electric.battery;
+        const diesel = {
+            purchase: 0,
+            fuel: (hours * num(p.diesel_litres_per_hour) + km * num(p.diesel_litres_per_km)) * dieselPrice,
+            maintenance: hours * num(p.diesel_maintenance_cost_per_hour) + num(p.diesel_annual_maintenance_cost),
+        };
+        diesel.total = diesel.fuel + diesel.maintenance;
+
+        const previousGap = cumulativeElectric - cumulativeDiesel;
+        cumulativeElectric += electric.total;
+        cumulativeDiesel += diesel.total;
+        const gap = cumulativeElectric - cumulativeDiesel;
+        if (!breakeven && gap <= 0) {
+            // Costs accrue evenly through the year, so interpolate the month the curves cross.
+            const fraction = previousGap / (previousGap - gap);
+            breakeven = { year, months: Math.ceil((year - 1 + fraction) * 12) };
+        }
+
+        years.push({
+            year,
+            electric: Object.fromEntries(Object.entries(electric).map(([key, value]) => [key, round(value)])),
+            diesel: Object.fromEntries(Object.entries(diesel).map(([key, value]) => [key, round(value)])),
+            cumulative: { electric: round(cumulativeElectric), diesel: round(cumulativeDiesel) },
+            savings: round(cumulativeDiesel - cumulativeElectric),
+        });
+    }
+
+    return {
+        years,
+        totals: { electric: round(cumulativeElectric), diesel: round(cumulativeDiesel), savings: round(cumulativeDiesel - cumulativeElectric) },
+        breakeven: breakeven || { year: null, months: null },
+    };
+};
+
+module.exports = { BASELINE_FIELDS, checkInputs, calculateTco };
@@ -0,0 +1,132 @@
+// Minimal declarative validation for JSON request bodies.
+//
+// A schema maps field names to rules:
+//   { type, required, nullable, minLength, maxLength, min, max, pattern, enum, items, maxItems, validate }
+// Types: string, integer, number, boolean, email, url, phone, pincode, date, array, json (object).
+// Optional fields accept null (to clear a column) unless `nullable: false`.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Optional leading +, 7-15 digits, with spaces/hyphens allowed between digits.
+const PHONE_PATTERN = /^\+?\d(?:[\s-]?\d){6,14}$/;
+// Indian PIN code: 6 digits, not starting with 0.
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+const isValidUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Checks a single value against a rule.
+ * @returns {{ value: * } | { error: string }} the (possibly coerced) value, or an error message
+ */
+const checkValue = (value, rule) => {
+    switch (rule.type) {
+        case 'integer':
+        case 'number': {
+            // Numeric strings are accepted because HTML forms post everything as text.
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+            if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'must be an integer' };
+            if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+            return { value: number };
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') return { error: 'must be true or false' };
+            return { value };
+        case 'date':
+            if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return { error: 'must be a valid date' };
+            return { value };
+        case 'array': {
+            if (!Array.isArray(value)) return { error: 'must be an array' };
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} items` };
+            const items = [];
+            for (let i = 0; i < value.length; i++) {
+                const checked = rule.items ? checkValue(value[i], rule.items) : { value: value[i] };
+                if (checked.error) return { error: `item ${i} ${checked.error}` };
+                items.push(checked.value);
+            }
+            return { value: items };
+        }
+        case 'json':
+            // Arrays are rejected: node-postgres would serialize them as Postgres arrays, not JSON.
+            if (typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+            return { value };
+        default: {
+            // string and its formatted variants
+            if (typeof value !== 'string') return { error: 'must be a string' };
+            const text = value.trim();
+            if (rule.minLength !== undefined && text.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+            if (rule.maxLength !== undefined && text.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) return { error: 'must be a valid email address' };
+            if (rule.type === 'url' && !isValidUrl(text)) return { error: 'must be a valid http(s) URL' };
+            if (rule.type === 'phone' && !PHONE_PATTERN.test(text)) return { error: 'must be a valid phone number' };
+            if (rule.type === 'pincode' && !PINCODE_PATTERN.test(text)) return { error: 'must be a valid 6-digit PIN code' };
+            if (rule.pattern && !rule.pattern.test(text)) return { error: rule.patternMessage || 'has an invalid format' };
+            if (rule.enum && !rule.enum.includes(text)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+            return { value: rule.type === 'email' ? text.toLowerCase() : text };
+        }
+    }
+};
+
+/**
+ * Validates `body` against `schema`.
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - skip `required` checks for omitted fields (PATCH semantics)
+ * @returns {{ value: object, errors: Array<{ field: string, message: string }> }}
+ *          `value` contains only the fields declared in the schema that were present in the body.
+ */
+const validate = (schema, body, { partial = false } = {}) => {
+    const errors = [];
+    const value = {};
+    const input = body && typeof body === 'object' ? body : {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = input[field];
+        const missing = raw === undefined || raw === null || raw === '';
+        if (missing) {
+            if (rule.required && !(partial && raw === undefined)) {
+                errors.push({ field, message: 'is required' });
+            } else if (raw !== undefined) {
+                if (rule.nullable === false) {
+                    errors.push({ field, message: 'cannot be empty' });
+                } else {
+                    value[field] = null;
+                }
+            }
+            continue;
+        }
+        const checked = checkValue(raw, rule);
+        if (checked.error) {
+            errors.push({ field, message: checked.error });
+            continue;
+        }
+        const custom = rule.validate && rule.validate(checked.value);
+        if (custom) {
+            errors.push({ field, message: custom });
+            continue;
+        }
+        value[field] = checked.value;
+    }
+    return { value, errors };
+};
+
+/**
+ * Express middleware: validates req.body against `schema` and replaces it with the sanitized value.
+ * Responds 422 with every failing field when validation fails.
+ * @example app.post('/api/qna', validateBody(schemas.qna), handler)
+ */
+const validateBody = (schema, options) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
+    }
+    req.body = value;
+    next();
+};
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const { startPolling, backoffDelayMs } = require("./poller");
+
+// Outbound webhooks for integrations such as the CRM. When an event happens, a delivery is queued
+// for every active webhook subscribed to it; a worker started by server.js sends what is due.
+//
+// Each delivery is a POST with a JSON body { id, event, created_at, data } and the headers
+//   X-Webhook-Event       the event name
+//   X-Webhook-Delivery    the delivery id (the same on every retry; use it to drop duplicates)
+//   X-Webhook-Timestamp   Unix time of this attempt, in seconds
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook's secret>
+// Receivers should recompute the signature and reject stale timestamps. Any non-2xx response,
+// redirect or timeout is retried with exponential backoff (30 s, 1 min, 2 min, ...); after the
+// last attempt the delivery is marked failed and can be replayed by an admin.
+//
+// Configuration (environment):
+//   WEBHOOK_TIMEOUT_MS         per-attempt timeout (default: 10000)
+//   WEBHOOK_MAX_ATTEMPTS       attempts before a delivery is marked failed (default: 8)
+//   WEBHOOK_POLL_INTERVAL_MS   how often the worker looks for due deliveries (default: 5000)
+
+const WEBHOOK_EVENTS = ['request.created', 'request.status_changed', 'apply.created', 'subscribe.created', 'product.updated'];
+
+const BATCH_SIZE = 20;
+const LEASE_MS = 5 * 60 * 1000;
+const FIRST_RETRY_DELAY_MS = 30 * 1000;
+// Receivers' error pages are cut to this length in the delivery log.
+const MAX_LOGGED_RESPONSE = 500;
+
+const retryDelayMs = (attempts) => backoffDelayMs(attempts, FIRST_RETRY_DELAY_MS);
+
+/**
+ * Signature of a delivery body, as sent in X-Webhook-Signature.
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - the exact request body
+ */
+const signWebhook = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * @param {object} options
+ * @param {object} options.repo - repositories/webhooks.js
+ * @param {function} [options.fetch] - fetch implementation (default: the global fetch)
+ */
+const createWebhooks = ({
+    repo,
+    fetch = globalThis.fetch,
+    maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+    timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+}) => {
+    let stopPolling = null;
+
+    /**
+     * Queues `event` for every subscribed webhook. Never throws: integrations must not fail the caller.
+     * @param {string} event - one of WEBHOOK_EVENTS
+     * @param {object} data - the resource as the API returns it
+     */
+    const emit = async (event, data) => {
+        try {
+            await repo.enqueueEvent(event, { event, created_at: new Date().toISOString(), data });
+        } catch (err) {
+            console.error(`Error queueing ${event} webhooks:`, err.message);
+        }
+    };
+
+    // One attempt; resolves to { status } on a 2xx response and throws otherwise (with err.status when there was a response).
+    const send = async (delivery) => {
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeoutMs),
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Bullwork-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signWebhook(delivery.secret, timestamp, body),
+            },
+            body,
+        });
+        if (response.status < 200 || response.status >= 300) {
+            const text = await response.text().catch(() => '');
+            const err = new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, MAX_LOGGED_RESPONSE)}` : ''}`);
+            err.status = response.status;
+            throw err;
+        }
+        return { status: response.status };
+    };
+
+    /**
+     * Sends the deliveries that are due.
+     * @returns {Promise<{ delivered: number, retrying: number, failed: number }>}
+     */
+    const deliverDue = async ({ limit = BATCH_SIZE } = {}) => {
+        const counts = { delivered: 0, retrying: 0, failed: 0 };
+        const due = await repo.claimDue(limit, new Date(Date.now() + LEASE_MS));
+        for (const delivery of due) {
+            try {
+                const { status } = await send(delivery);
+                await repo.markDelivered(delivery.id, status);
+                counts.delivered += 1;
+            } catch (err) {
+                const giveUp = delivery.attempts >= maxAttempts;
+                await repo.markFailed(delivery.id, err.status || null, err.message,
+                    giveUp ? null : new Date(Date.now() + retryDelayMs(delivery.attempts)));
+                counts[giveUp ? 'failed' : 'retrying'] += 1;
+            }
+        }
+        return counts;
+    };
+
+    const start = (intervalMs = Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 5000)) => {
+        if (stopPolling) return;
+        stopPolling = startPolling(() => deliverDue(), intervalMs, 'delivering webhooks');
+    };
+
+    const stop = () => {
+        if (stopPolling) stopPolling();
+        stopPolling = null;
+    };
+
+    return { emit, deliverDue, start, stop };
+};
+
+module.exports = { WEBHOOK_EVENTS, signWebhook, retryDelayMs, createWebhooks };
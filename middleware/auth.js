@@ -0,0 +1,92 @@
+const jwt = require("jsonwebtoken");
+
+// Admin roles. 'admin' is implicitly allowed on every protected route.
+const ROLES = ['admin', 'editor', 'sales', 'hr'];
+
+// JWT configuration, read on use so tests and scripts can set the environment after loading this module.
+// Refresh tokens fall back to JWT_SECRET if no dedicated secret is set.
+const jwtConfig = () => ({
+    secret: process.env.JWT_SECRET,
+    refreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    accessTtl: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+    refreshTtl: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+});
+
+/**
+ * Signs a short-lived access token and a long-lived refresh token for an admin user.
+ * The refresh token carries the user's token_version so bumping it revokes all sessions.
+ */
+const issueTokens = (user) => {
+    const { secret, refreshSecret, accessTtl, refreshTtl } = jwtConfig();
+    const accessToken = jwt.sign(
+        { sub: user.id, email: user.email, role: user.role, type: 'access' },
+        secret,
+        { expiresIn: accessTtl }
+    );
+    const refreshToken = jwt.sign(
+        { sub: user.id, tv: user.token_version, type: 'refresh' },
+        refreshSecret,
+        { expiresIn: refreshTtl }
+    );
+    return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: accessTtl };
+};
+
+/**
+ * Verifies a refresh token.
+ * @returns {object|null} its payload, or null if it is invalid, expired or not a refresh token
+ */
+const verifyRefreshToken = (token) => {
+    try {
+        const payload = jwt.verify(token, jwtConfig().refreshSecret);
+        return payload.type === 'refresh' ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Middleware: verifies the Bearer access token and attaches its claims to req.user.
+ */
+const authenticate = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    let payload;
+    try {
+        payload = jwt.verify(token, jwtConfig().secret);
+    } catch (err) {
+        return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+    if (payload.type !== 'access') {
+        return res.status(401).json({ error: 'Invalid access token' });
+    }
+    req.user = { id: payload.sub, email: payload.email, role: payload.role };
+    next();
+};
+
+/**
+ * Middleware: like authenticate, but lets requests without an Authorization header through
+ * anonymously (req.user stays undefined). For public routes that show more to staff.
+ */
+const optionalAuthenticate = (req, res, next) => (req.headers.authorization ? authenticate(req, res, next) : next());
+
+// Whether the (possibly anonymous) user has one of the given roles; admin always does.
+const hasRole = (user, ...roles) => Boolean(user) && (user.role === 'admin' || roles.includes(user.role));
+
+/**
+ * Middleware factory: authenticates the caller and allows only the given roles (plus 'admin').
+ * @example router.delete('/:id', authorize('editor'), handler)
+ */
+const authorize = (...roles) => [
+    authenticate,
+    (req, res, next) => {
+        if (hasRole(req.user, ...roles)) {
+            return next();
+        }
+        res.status(403).json({ error: 'Insufficient permissions' });
+    },
+];
+
+module.exports = { ROLES, issueTokens, verifyRefreshToken, authenticate, optionalAuthenticate, hasRole, authorize };
@@ -0,0 +1,39 @@
+// Optimistic concurrency: every resource row carries a `version` that is bumped on each update
+// and exposed as a strong ETag. Writes may send it back in If-Match.
+
+const etagFor = (row) => `"${row.version}"`;
+
+/**
+ * Middleware: parses an If-Match header into req.expectedVersion.
+ * No header (or '*') leaves it null, meaning the write is unconditional.
+ * A header that is not one of our ETags can never match, so it fails with 412 straight away.
+ */
+const ifMatch = (req, res, next) => {
+    const header = req.get('If-Match');
+    req.expectedVersion = null;
+    if (!header || header.trim() === '*') {
+        return next();
+    }
+    const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+    if (!match) {
+        return res.status(412).json({ error: 'If-Match does not match the current version of this resource' });
+    }
+    req.expectedVersion = Number(match[1]);
+    next();
+};
+
+/**
+ * Called when a conditional update/delete matched no row: responds 412 with the current ETag if
+ * the row still exists (someone else changed it), otherwise 404.
+ * @param {object} repo - repository with a currentVersion(id) method
+ */
+const sendMissingOrConflict = async (res, repo, id, notFoundMessage) => {
+    const version = await repo.currentVersion(id);
+    if (version === undefined) {
+        return res.status(404).json({ message: notFoundMessage });
+    }
+    res.set('ETag', etagFor({ version }));
+    res.status(412).json({ error: 'This resource has been modified by someone else. Reload it and try again.' });
+};
+
+module.exports = { etagFor, ifMatch, sendMissingOrConflict };
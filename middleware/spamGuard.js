@@ -0,0 +1,123 @@
+const { numberOr } = require("../lib/numbers");
+
+// Bot protection for the public lead-capture forms (demo/order requests, job applications,
+// newsletter sign-ups) and saved TCO calculations. Each submission is checked, in order, for:
+//   1. rate limits per client IP and per email address, per form (lib/rateLimit.js)
+//   2. the honeypot field: hidden from people by the frontend, so only bots fill it in
+//   3. a valid CAPTCHA token, when CAPTCHA is configured (lib/captcha.js)
+//   4. duplicates, for forms that define them (e.g. the same email and product within 24 hours)
+// Rejected submissions are logged in blocked_submissions for review (GET /api/admin/blocked-submissions).
+//
+// Configuration (environment):
+//   SPAM_IP_LIMIT                submissions per IP address per form and window (default: 10; 0 disables)
+//   SPAM_EMAIL_LIMIT             submissions per email address per form and window (default: 3; 0 disables)
+//   SPAM_RATE_WINDOW_MINUTES     length of the rate-limit window (default: 60)
+//   SPAM_HONEYPOT_FIELD          name of the honeypot field (default: 'website')
+//   SPAM_DUPLICATE_WINDOW_HOURS  how far back duplicates are looked for (default: 24; 0 disables)
+// Behind a reverse proxy, set TRUST_PROXY (see app.js) so the client IP is taken from X-Forwarded-For.
+
+// Never kept in the log: identity numbers and the CAPTCHA token.
+const OMITTED_FIELDS = ['aadhar_number', 'pan_number', 'captcha_token'];
+// Longer text fields (e.g. cover letters) are cut to this length in the log.
+const MAX_LOGGED_LENGTH = 500;
+
+/**
+ * Reads the spam protection settings from the environment.
+ * @returns {{ ipLimit: number, emailLimit: number, windowMs: number, honeypotField: string, duplicateWindowMs: number }}
+ */
+const spamConfig = (env = process.env) => ({
+    ipLimit: numberOr(env.SPAM_IP_LIMIT, 10),
+    emailLimit: numberOr(env.SPAM_EMAIL_LIMIT, 3),
+    windowMs: numberOr(env.SPAM_RATE_WINDOW_MINUTES, 60) * 60 * 1000,
+    honeypotField: env.SPAM_HONEYPOT_FIELD || 'website',
+    duplicateWindowMs: numberOr(env.SPAM_DUPLICATE_WINDOW_HOURS, 24) * 60 * 60 * 1000,
+});
+
+const loggedPayload = (body) =>
+    Object.fromEntries(Object.entries(body)
+        .filter(([field]) => !OMITTED_FIELDS.includes(field))
+        .map(([field, value]) => [field, typeof value === 'string' ? value.slice(0, MAX_LOGGED_LENGTH) : value]));
+
+/**
+ * Creates the guard shared by the public forms.
+ * @param {object} options
+ * @param {object} options.store - rate-limit store (lib/rateLimit.js)
+ * @param {object|null} options.captcha - CAPTCHA verifier (lib/captcha.js), or null when disabled
+ * @param {object} options.blockedSubmissions - repositories/blockedSubmissions.js
+ * @param {object} [options.config] - default: spamConfig()
+ * @returns {(form: string, formOptions?: { isDuplicate?: function }) => function} middleware factory. `form` names
+ *          the form in rate-limit keys and the log; isDuplicate(body, email, since) resolves to true when a matching
+ *          submission was received after `since`. Place the middleware after body parsing and before validation.
+ *          Its `ipLimit(form)` checks only the per-IP rate limit and needs no body: place it before parsing large
+ *          (multipart) bodies, so a client over the limit is refused before its upload is read; the guard then
+ *          skips the IP check.
+ */
+const createSpamGuard = ({ store, captcha, blockedSubmissions, config = spamConfig() }) => {
+    // Logs the submission and rejects it; failing to log never lets it through.
+    const block = async (req, res, { form, body, email }, reason, status, error, headers = {}) => {
+        try {
+            await blockedSubmissions.record({
+                form, reason, ip: req.ip, email, user_agent: req.get('User-Agent') || null, payload: loggedPayload(body),
+            });
+        } catch (err) {
+            console.error('Error logging blocked submission:', err.message);
+        }
+        res.status(status).set(headers).json({ error });
+    };
+
+    // Counts the submission against one rate limit; responds 429 and resolves to true when it is over.
+    const overLimit = async (req, res, submission, scope, limit, value) => {
+        if (!limit || !value) return false;
+        const { count, resetAt } = await store.hit(`${submission.form}:${scope}:${value}`, config.windowMs);
+        if (count <= limit) return false;
+        const headers = { 'Retry-After': String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))) };
+        const error = 'Too many submissions. Please try again later.';
+        // Only the first rejection of a window is logged, so a flood does not flood the log too.
+        if (count === limit + 1) {
+            await block(req, res, submission, `rate_limit_${scope}`, 429, error, headers);
+        } else {
+            res.status(429).set(headers).json({ error });
+        }
+        return true;
+    };
+
+    const guard = (form, { isDuplicate } = {}) => async (req, res, next) => {
+        const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+        const email = typeof body.email === 'string' && body.email.trim() !== '' ? body.email.trim().toLowerCase() : null;
+        const submission = { form, body, email };
+
+        try {
+            if (!res.locals.spamIpChecked && await overLimit(req, res, submission, 'ip', config.ipLimit, req.ip)) return;
+            if (await overLimit(req, res, submission, 'email', config.emailLimit, email)) return;
+            if (config.honeypotField && body[config.honeypotField]) {
+                return block(req, res, submission, 'honeypot', 400, 'Submission rejected');
+            }
+            if (captcha && !(await captcha.verify(body.captcha_token || req.get('X-Captcha-Token'), req.ip))) {
+                return block(req, res, submission, 'captcha', 400, 'CAPTCHA verification failed');
+            }
+            if (isDuplicate && config.duplicateWindowMs && email
+                && await isDuplicate(body, email, new Date(Date.now() - config.duplicateWindowMs))) {
+                return block(req, res, submission, 'duplicate', 409, 'A matching submission was already received recently');
+            }
+            next();
+        } catch (err) {
+            console.error('Error checking submission:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+
+    guard.ipLimit = (form) => async (req, res, next) => {
+        try {
+            if (await overLimit(req, res, { form, body: {}, email: null }, 'ip', config.ipLimit, req.ip)) return;
+            res.locals.spamIpChecked = true;
+            next();
+        } catch (err) {
+            console.error('Error checking submission:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+
+    return guard;
+};
+
+module.exports = { spamConfig, createSpamGuard };
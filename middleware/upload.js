@@ -0,0 +1,29 @@
+const multer = require("multer");
+const { maxUploadBytes } = require("../lib/media");
+
+/**
+ * Middleware: parses a multipart/form-data body with a single file in `field`, kept in memory
+ * as req.file (text fields go to req.body). Oversized files are rejected with 413, other
+ * malformed uploads with 400. Other bodies (e.g. JSON) pass through untouched.
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] - size limit (default: the media library limit)
+ */
+const uploadSingle = (field, { maxBytes = maxUploadBytes() } = {}) => {
+    const parse = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } }).single(field);
+    return (req, res, next) => {
+        parse(req, res, (err) => {
+            if (!err) {
+                return next();
+            }
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `File too large. The limit is ${Math.round((maxBytes / (1024 * 1024)) * 100) / 100} MB` });
+            }
+            if (err instanceof multer.MulterError) {
+                return res.status(400).json({ error: `Invalid upload: ${err.message}` });
+            }
+            next(err);
+        });
+    };
+};
+
+module.exports = { uploadSingle };
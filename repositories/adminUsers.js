@@ -0,0 +1,71 @@
+const { withTransaction } = require("../lib/db");
+
+module.exports = (db) => ({
+    findByEmail: async (email) => {
+        const result = await db.query('SELECT * FROM admin_users WHERE email = $1', [email.toLowerCase()]);
+        return result.rows[0];
+    },
+
+    findById: async (id) => {
+        const result = await db.query('SELECT * FROM admin_users WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    list: async () => {
+        const result = await db.query('SELECT id, email, full_name, role, is_active, last_login_at, created_at FROM admin_users ORDER BY id ASC');
+        return result.rows;
+    },
+
+    create: async ({ email, passwordHash, full_name, role }) => {
+        const result = await db.query(
+            'INSERT INTO admin_users (email, password_hash, full_name, role) VALUES ($1, $2, $3, $4) RETURNING *',
+            [email.toLowerCase(), passwordHash, full_name, role]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Updates the given attributes (undefined ones are kept). Changing the role or the password, deactivating the
+     * user bumps token_version, invalidating every refresh token issued to the user. Refuses to leave no
+     * active admin: the active admins are locked while the change is checked.
+     * @returns {Promise<{ notFound: true } | { lastAdmin: true } | { user: object, before: object }>}
+     */
+    update: (id, { full_name, role, passwordHash, is_active }) =>
+        withTransaction(db, async (client) => {
+            const admins = (await client.query(`SELECT id FROM admin_users WHERE role = 'admin' AND is_active FOR UPDATE`)).rows;
+            const before = (await client.query('SELECT * FROM admin_users WHERE id = $1 FOR UPDATE', [id])).rows[0];
+            if (!before) {
+                return { notFound: true };
+            }
+            const demoted = (role !== undefined && role !== 'admin') || is_active === false;
+            if (demoted && admins.length === 1 && admins[0].id === before.id) {
+                return { lastAdmin: true };
+            }
+            const roleChanged = role !== undefined && role !== before.role;
+            const result = await client.query(
+                `UPDATE admin_users SET
+                    full_name = COALESCE($1, full_name),
+                    role = COALESCE($2, role),
+                    password_hash = COALESCE($3, password_hash),
+                    is_active = COALESCE($4, is_active),
+                    token_version = token_version + CASE WHEN $5::boolean THEN 1 ELSE 0 END
+                WHERE id = $6
+                RETURNING *`,
+                [full_name, role, passwordHash, is_active, Boolean(passwordHash || is_active === false || roleChanged), id]
+            );
+            return { user: result.rows[0], before };
+        }),
+
+    recordLogin: (id) => db.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [id]),
+
+    revokeTokens: (id) => db.query('UPDATE admin_users SET token_version = token_version + 1 WHERE id = $1', [id]),
+
+    // True if the user can be assigned sales leads.
+    isActiveSalesUser: async (id) => {
+        const result = await db.query(
+            `SELECT 1 FROM admin_users WHERE id = $1 AND is_active AND role IN ('sales', 'admin')`,
+            [id]
+        );
+        return result.rows.length > 0;
+    },
+});
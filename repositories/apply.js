@@ -0,0 +1,94 @@
+const createRepository = require("./createRepository");
+const { withTransaction } = require("../lib/db");
+const { canTransitionStage } = require("../lib/applicationStages");
+
+/**
+ * Appends an entry to an application's activity history.
+ * @param {object} db - pool or transaction client
+ */
+const logActivity = (db, applicationId, actorId, activityType, details = {}) =>
+    db.query(
+        `INSERT INTO application_activities (application_id, actor_id, activity_type, from_stage, to_stage, note)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [applicationId, actorId, activityType, details.from_stage, details.to_stage, details.note]
+    );
+
+/**
+ * Job applications. position is kept in step with the job's title whenever job_id is saved,
+ * so lists and filters by position keep working for old applications that have no job.
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, {
+        table: 'apply',
+        listOptions,
+        list: {
+            filters: {
+                job_id: { column: 'job_id', op: 'eq', type: 'number' },
+                stage: { column: 'stage', op: 'eq' },
+                position: { column: 'position', op: 'ieq' },
+                from: { column: 'created_at', op: 'gte', type: 'date' },
+                to: { column: 'created_at', op: 'lte', type: 'date' },
+            },
+            sortable: ['created_at', 'name', 'position', 'stage', 'id'],
+            defaultSort: { field: 'created_at', order: 'desc' },
+        },
+    });
+
+    const withPosition = async (fields) => {
+        if (fields.job_id == null) return fields;
+        const job = await db.query('SELECT title FROM jobs WHERE id = $1', [fields.job_id]);
+        return job.rows.length > 0 ? { ...fields, position: job.rows[0].title } : fields;
+    };
+
+    return {
+        ...base,
+
+        create: async (fields) => base.create(await withPosition(fields)),
+
+        update: async (id, fields, expectedVersion) => base.update(id, await withPosition(fields), expectedVersion),
+
+        exists: async (id) => (await db.query('SELECT 1 FROM apply WHERE id = $1', [id])).rows.length > 0,
+
+        // Whether `email` has applied for the job since `since` (duplicate detection, middleware/spamGuard.js).
+        hasRecentApplication: async (email, jobId, since) => {
+            const result = await db.query('SELECT 1 FROM apply WHERE email = $1 AND job_id = $2 AND created_at >= $3 LIMIT 1', [email, jobId, since]);
+            return result.rows.length > 0;
+        },
+
+        /**
+         * Moves an application to another hiring stage if the transition is allowed.
+         * @returns {Promise<{ notFound: true } | { invalidFrom: string } | { application: object }>}
+         */
+        transitionStage: (id, stage, actorId, note) =>
+            withTransaction(db, async (client) => {
+                const current = await client.query('SELECT stage FROM apply WHERE id = $1 FOR UPDATE', [id]);
+                if (current.rows.length === 0) {
+                    return { notFound: true };
+                }
+                const fromStage = current.rows[0].stage;
+                if (!canTransitionStage(fromStage, stage)) {
+                    return { invalidFrom: fromStage };
+                }
+                const result = await client.query(
+                    'UPDATE apply SET stage = $1, version = version + 1, updated_at = NOW() WHERE id = $2 RETURNING *',
+                    [stage, id]
+                );
+                await logActivity(client, id, actorId, 'stage_change', { from_stage: fromStage, to_stage: stage, note });
+                return { application: result.rows[0] };
+            }),
+
+        addNote: async (id, actorId, note) => (await logActivity(db, id, actorId, 'note', { note })).rows[0],
+
+        activity: async (id) => {
+            const result = await db.query(
+                `SELECT a.*, u.email AS actor_email, u.full_name AS actor_name
+                FROM application_activities a
+                LEFT JOIN admin_users u ON u.id = a.actor_id
+                WHERE a.application_id = $1
+                ORDER BY a.created_at ASC, a.id ASC`,
+                [id]
+            );
+            return result.rows;
+        },
+    };
+};
@@ -0,0 +1,39 @@
+const { runListQuery } = require("../lib/listQuery");
+
+const LIST_CONFIG = {
+    table: 'audit_log',
+    filters: {
+        resource: { column: 'resource', op: 'eq' },
+        resource_id: { column: 'resource_id', op: 'eq', type: 'number' },
+        // ?actor= takes an admin user's id or email address.
+        actor: {
+            build: (raw, param) => (/^\d+$/.test(raw) ? { sql: `actor_id = ${param(Number(raw))}` } : { sql: `LOWER(actor_email) = LOWER(${param(raw)})` }),
+        },
+        action: { column: 'action', op: 'eq' },
+        from: { column: 'created_at', op: 'gte', type: 'date' },
+        to: { column: 'created_at', op: 'lte', type: 'date' },
+    },
+    sortable: ['created_at', 'id'],
+    defaultSort: { field: 'created_at', order: 'desc' },
+};
+
+/**
+ * The audit log (lib/audit.js). Entries are only ever added.
+ */
+module.exports = (db, listOptions) => ({
+    list: (query) => runListQuery(db, LIST_CONFIG, query, listOptions),
+
+    findById: async (id) => {
+        const result = await db.query('SELECT * FROM audit_log WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    record: async ({ actor_id, actor_email, action, resource, resource_id, before_values, after_values, ip }) => {
+        const result = await db.query(
+            `INSERT INTO audit_log (actor_id, actor_email, action, resource, resource_id, before_values, after_values, ip)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+            [actor_id, actor_email, action, resource, resource_id, before_values, after_values, ip]
+        );
+        return result.rows[0];
+    },
+});
@@ -0,0 +1,40 @@
+const { runListQuery } = require("../lib/listQuery");
+
+const LIST_CONFIG = {
+    table: 'blocked_submissions',
+    filters: {
+        form: { column: 'form', op: 'eq' },
+        reason: { column: 'reason', op: 'eq' },
+        ip: { column: 'ip', op: 'eq' },
+        email: { column: 'email', op: 'ieq' },
+        from: { column: 'created_at', op: 'gte', type: 'date' },
+        to: { column: 'created_at', op: 'lte', type: 'date' },
+    },
+    sortable: ['created_at', 'id'],
+    defaultSort: { field: 'created_at', order: 'desc' },
+};
+
+/**
+ * Submissions to the public forms rejected as spam (middleware/spamGuard.js).
+ */
+module.exports = (db, listOptions) => ({
+    list: (query) => runListQuery(db, LIST_CONFIG, query, listOptions),
+
+    findById: async (id) => {
+        const result = await db.query('SELECT * FROM blocked_submissions WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    record: async ({ form, reason, ip, email, user_agent, payload }) => {
+        const result = await db.query(
+            'INSERT INTO blocked_submissions (form, reason, ip, email, user_agent, payload) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+            [form, reason, ip, email, user_agent, payload]
+        );
+        return result.rows[0];
+    },
+
+    remove: async (id) => {
+        const result = await db.query('DELETE FROM blocked_submissions WHERE id = $1 RETURNING *', [id]);
+        return result.rows[0];
+    },
+});
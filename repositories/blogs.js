@@ -0,0 +1,176 @@
+const { runListQuery } = require("../lib/listQuery");
+const { withTransaction } = require("../lib/db");
+const { canTransitionBlog, PUBLISHED_BLOG_CONDITION: PUBLISHED } = require("../lib/blogWorkflow");
+const { tagSlug } = require("../lib/tags");
+const createRepository = require("./createRepository");
+const createTagsRepository = require("./tags");
+
+// Columns returned for related and "featured in" posts.
+const SUMMARY_COLUMNS = ['id', 'title', 'slug', 'author', 'image_url', 'tags', 'publication_date'];
+
+// Most candidates considered for related posts, taken by shared tags, then recency.
+const MAX_RELATED_CANDIDATES = 200;
+
+// Columns snapshotted in blog_revisions.
+const CONTENT_COLUMNS = ['title', 'slug', 'content', 'author', 'image_url', 'video_url', 'tags', 'product_ids'];
+
+const LIST_CONFIG = {
+    table: 'blogs',
+    filters: {
+        // Matches the tag's slug, so ?tag=Battery and ?tag=battery are the same filter.
+        tag: {
+            build: (raw, param) => ({
+                sql: `id IN (SELECT blog_tags.blog_id FROM blog_tags JOIN tags ON tags.id = blog_tags.tag_id WHERE tags.slug = ${param(tagSlug(raw))})`,
+            }),
+        },
+        author: { column: 'author', op: 'ieq' },
+        status: { column: 'status', op: 'eq' },
+    },
+    sortable: ['publication_date', 'title', 'author', 'updated_at', 'id'],
+    defaultSort: { field: 'publication_date', order: 'desc' },
+    searchColumns: ['title', 'content'],
+};
+
+// Records the current content of a post as a revision.
+const snapshot = (client, blog, editorId) => {
+    const values = [blog.id, blog.version, ...CONTENT_COLUMNS.map((column) => blog[column]), editorId === undefined ? null : editorId];
+    return client.query(
+        `INSERT INTO blog_revisions (blog_id, blog_version, ${CONTENT_COLUMNS.join(', ')}, editor_id)
+        VALUES (${values.map((value, i) => `$${i + 1}`).join(', ')})`,
+        values
+    );
+};
+
+/**
+ * Blog posts. Reads take an optional scope `{ publishedOnly }`; every content save is also
+ * recorded in blog_revisions, and saved tags are resolved to canonical tags (see ./tags).
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, { table: 'blogs' });
+
+    // Runs base.create/update with `fields` on a transaction client, syncing blog_tags when the
+    // tags are being set, and snapshots the result.
+    const saveWithRevision = (fields, save, editorId) =>
+        withTransaction(db, async (client) => {
+            const tagsRepo = createTagsRepository(client);
+            const tags = fields.tags ? await tagsRepo.ensure(fields.tags) : [];
+            const columns = fields.tags ? { ...fields, tags: tags.map((tag) => tag.name) } : fields;
+            const blog = await save(createRepository(client, { table: 'blogs' }), columns);
+            if (blog) {
+                if (fields.tags !== undefined) {
+                    await tagsRepo.setBlogTags(blog.id, tags.map((tag) => tag.id));
+                }
+                await snapshot(client, blog, editorId);
+            }
+            return blog;
+        });
+
+    return {
+        ...base,
+
+        list: (query, { publishedOnly = false } = {}) =>
+            runListQuery(db, publishedOnly ? { ...LIST_CONFIG, where: PUBLISHED } : LIST_CONFIG, query, listOptions),
+
+        findById: async (id, { publishedOnly = false } = {}) => {
+            const result = await db.query(`SELECT * FROM blogs WHERE id = $1${publishedOnly ? ` AND ${PUBLISHED}` : ''}`, [id]);
+            return result.rows[0];
+        },
+
+        findBySlug: async (slug, { publishedOnly = false } = {}) => {
+            const result = await db.query(`SELECT * FROM blogs WHERE slug = $1${publishedOnly ? ` AND ${PUBLISHED}` : ''}`, [slug]);
+            return result.rows[0];
+        },
+
+        create: (fields, editorId) => saveWithRevision(fields, (repo, columns) => repo.create(columns), editorId),
+
+        update: (id, fields, expectedVersion, editorId) =>
+            saveWithRevision(fields, (repo, columns) => repo.update(id, columns, expectedVersion), editorId),
+
+        /**
+         * Moves a post to another workflow state. Publishing sets publication_date to `publishAt`
+         * (default: now); a future date schedules the post.
+         * @returns {Promise<{ notFound: true } | { conflict: true } | { invalidFrom: string } | { blog: object }>}
+         *          conflict: the post's version no longer matches `expectedVersion`
+         */
+        transitionStatus: (id, status, publishAt, expectedVersion = null) =>
+            withTransaction(db, async (client) => {
+                const current = await client.query('SELECT status, version FROM blogs WHERE id = $1 FOR UPDATE', [id]);
+                if (current.rows.length === 0) {
+                    return { notFound: true };
+                }
+                const { status: from, version } = current.rows[0];
+                if (expectedVersion !== null && version !== expectedVersion) {
+                    return { conflict: true };
+                }
+                if (!canTransitionBlog(from, status)) {
+                    return { invalidFrom: from };
+                }
+                const result = await client.query(
+                    `UPDATE blogs SET status = $1,
+                        publication_date = CASE WHEN $2::boolean THEN COALESCE($3::timestamptz, NOW()) ELSE publication_date END,
+                        version = version + 1, updated_at = NOW()
+                    WHERE id = $4 RETURNING *`,
+                    [status, status === 'published', publishAt, id]
+                );
+                return { blog: result.rows[0] };
+            }),
+
+        // Revision history of a post, newest first, without the content bodies.
+        revisions: async (blogId) => {
+            const result = await db.query(
+                `SELECT id, blog_id, blog_version, title, slug, author, editor_id, created_at
+                FROM blog_revisions WHERE blog_id = $1 ORDER BY id DESC`,
+                [blogId]
+            );
+            return result.rows;
+        },
+
+        findRevision: async (blogId, revisionId) => {
+            const result = await db.query('SELECT * FROM blog_revisions WHERE blog_id = $1 AND id = $2', [blogId, revisionId]);
+            return result.rows[0];
+        },
+
+        /**
+         * Copies a revision's content back onto its post as a new save (and so a new revision).
+         * The post's workflow status is unchanged. Same return contract as update().
+         */
+        restoreRevision: (revision, expectedVersion, editorId) =>
+            saveWithRevision(
+                Object.fromEntries(CONTENT_COLUMNS.map((column) => [column, revision[column]])),
+                (repo, columns) => repo.update(revision.blog_id, columns, expectedVersion),
+                editorId
+            ),
+
+        /**
+         * Published posts to rank as related to a post (see lib/relatedPosts.js), with content and
+         * the number of tags they share with it. Posts sharing the most tags come first.
+         */
+        relatedCandidates: async (id) => {
+            const result = await db.query(
+                `SELECT ${SUMMARY_COLUMNS.map((column) => `blogs.${column}`).join(', ')}, blogs.content,
+                    COALESCE(shared.tag_count, 0)::int AS shared_tags
+                FROM blogs
+                LEFT JOIN (
+                    SELECT other.blog_id, COUNT(*) AS tag_count
+                    FROM blog_tags other
+                    JOIN blog_tags own ON own.tag_id = other.tag_id AND own.blog_id = $1
+                    GROUP BY other.blog_id
+                ) AS shared ON shared.blog_id = blogs.id
+                WHERE ${PUBLISHED} AND blogs.id <> $1
+                ORDER BY shared_tags DESC, blogs.publication_date DESC
+                LIMIT ${MAX_RELATED_CANDIDATES}`,
+                [id]
+            );
+            return result.rows;
+        },
+
+        // Published posts linking to a product, newest first.
+        featuringProduct: async (productId) => {
+            const result = await db.query(
+                `SELECT ${SUMMARY_COLUMNS.join(', ')} FROM blogs WHERE $1::int = ANY(product_ids) AND ${PUBLISHED} ORDER BY publication_date DESC`,
+                [productId]
+            );
+            return result.rows;
+        },
+    };
+};
@@ -0,0 +1,23 @@
+const createRepository = require("./createRepository");
+
+// sort_order is NOT NULL; clearing it (PUT without it, or null) puts the category back at the default position.
+const toColumns = (fields) => (fields.sort_order === null ? { ...fields, sort_order: 0 } : fields);
+
+module.exports = (db) => {
+    const base = createRepository(db, { table: 'categories', orderBy: 'sort_order ASC, name ASC, id ASC' });
+
+    return {
+        ...base,
+
+        create: (fields) => base.create(toColumns(fields)),
+
+        update: (id, fields, expectedVersion) => base.update(id, toColumns(fields), expectedVersion),
+
+        findBySlug: async (slug) => {
+            const result = await db.query('SELECT * FROM categories WHERE slug = $1', [slug]);
+            return result.rows[0];
+        },
+
+        exists: async (id) => (await db.query('SELECT 1 FROM categories WHERE id = $1', [id])).rows.length > 0,
+    };
+};
@@ -0,0 +1,72 @@
+const { runListQuery } = require("../lib/listQuery");
+
+/**
+ * Builds the standard data access methods for a resource table.
+ * Column names passed to create/update must come from a validation schema, never straight
+ * from the request, as they are interpolated into SQL.
+ *
+ * @param {object} db - pg Pool (or anything with a compatible query())
+ * @param {object} options
+ * @param {string} options.table
+ * @param {object} [options.list] - list configuration for paginated lists, see buildListQuery() in lib/listQuery.js
+ * @param {string} [options.orderBy] - ORDER BY clause for findAll()
+ * @param {object} [options.listOptions] - options for the list queries, e.g. { timeZone }, see buildListQuery()
+ */
+const createRepository = (db, { table, list, orderBy = 'id ASC', listOptions }) => ({
+    // Paginated, filterable list; only for resources that declare a list configuration.
+    list: list && ((query) => runListQuery(db, { table, ...list }, query, listOptions)),
+
+    // Every row (oldest first unless `orderBy` says otherwise). Used by the small lists that are not paginated.
+    findAll: async () => {
+        const result = await db.query(`SELECT * FROM ${table} ORDER BY ${orderBy}`);
+        return result.rows;
+    },
+
+    findById: async (id) => {
+        const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+        return result.rows[0];
+    },
+
+    // Returns the row's version, or undefined if it does not exist.
+    currentVersion: async (id) => {
+        const result = await db.query(`SELECT version FROM ${table} WHERE id = $1`, [id]);
+        return result.rows[0] && result.rows[0].version;
+    },
+
+    create: async (fields) => {
+        const columns = Object.keys(fields);
+        const result = await db.query(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+            columns.map((column) => fields[column])
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Updates the given columns and bumps the row's version.
+     * @returns {Promise<object|undefined>} the updated row, or undefined if the row is missing or
+     *          its version no longer matches `expectedVersion`
+     */
+    update: async (id, fields, expectedVersion = null) => {
+        const columns = Object.keys(fields);
+        const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+        const result = await db.query(
+            `UPDATE ${table} SET ${[...assignments, 'version = version + 1', 'updated_at = NOW()'].join(', ')}
+            WHERE id = $${columns.length + 1} AND ($${columns.length + 2}::int IS NULL OR version = $${columns.length + 2})
+            RETURNING *`,
+            [...columns.map((column) => fields[column]), id, expectedVersion]
+        );
+        return result.rows[0];
+    },
+
+    // Same return contract as update().
+    remove: async (id, expectedVersion = null) => {
+        const result = await db.query(
+            `DELETE FROM ${table} WHERE id = $1 AND ($2::int IS NULL OR version = $2) RETURNING *`,
+            [id, expectedVersion]
+        );
+        return result.rows[0];
+    },
+});
+
+module.exports = createRepository;
@@ -0,0 +1,69 @@
+const createRepository = require("./createRepository");
+const { runListQuery } = require("../lib/listQuery");
+const { latitudeRange } = require("../lib/dealers");
+
+// A product filter value: dealers stocking the product.
+const stocking = (raw, param) => (/^\d+$/.test(raw)
+    ? { sql: `${param(Number(raw))}::int = ANY(product_ids)` }
+    : { error: 'Invalid value for product_id: expected a number' });
+
+const LIST_CONFIG = {
+    table: 'dealers',
+    filters: {
+        city: { column: 'city', op: 'ieq' },
+        state: { column: 'state', op: 'ieq' },
+        pincode: { column: 'pincode', op: 'eq' },
+        service: { column: 'services', op: 'any' },
+        product_id: { build: stocking },
+        active: { column: 'active', op: 'eq', type: 'boolean' },
+    },
+    sortable: ['name', 'city', 'state', 'id'],
+    defaultSort: { field: 'name', order: 'asc' },
+};
+
+/**
+ * Dealers and service centres. Reads take an optional scope `{ activeOnly }`: the public only sees
+ * active dealers.
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, { table: 'dealers' });
+
+    const unique = (values) => (values ? [...new Set(values)] : values);
+    const toColumns = (fields) => ({
+        ...fields,
+        ...(fields.services !== undefined && { services: unique(fields.services) }),
+        ...(fields.product_ids !== undefined && { product_ids: unique(fields.product_ids) }),
+    });
+
+    return {
+        ...base,
+
+        create: (fields) => base.create(toColumns(fields)),
+
+        update: (id, fields, expectedVersion) => base.update(id, toColumns(fields), expectedVersion),
+
+        list: (query, { activeOnly = false } = {}) =>
+            runListQuery(db, activeOnly ? { ...LIST_CONFIG, where: 'active' } : LIST_CONFIG, query, listOptions),
+
+        findById: async (id, { activeOnly = false } = {}) => {
+            const result = await db.query(`SELECT * FROM dealers WHERE id = $1${activeOnly ? ' AND active' : ''}`, [id]);
+            return result.rows[0];
+        },
+
+        /**
+         * Active dealers that may be within `radiusKm` of `origin` (by latitude only; rank them with
+         * rankByDistance() from lib/dealers.js), optionally only those offering `service` and stocking `productId`.
+         */
+        candidates: async (origin, { radiusKm, service = null, productId = null } = {}) => {
+            const range = radiusKm === undefined ? { min: -90, max: 90 } : latitudeRange(origin, radiusKm);
+            const result = await db.query(
+                `SELECT * FROM dealers
+                WHERE active AND latitude BETWEEN $1 AND $2
+                    AND ($3::text IS NULL OR $3::text = ANY(services))
+                    AND ($4::int IS NULL OR $4::int = ANY(product_ids))`,
+                [range.min, range.max, service, productId]
+            );
+            return result.rows;
+        },
+    };
+};
@@ -0,0 +1,93 @@
+const { withTransaction } = require("../lib/db");
+
+// Cities and product names match case-insensitively, like the slot filters.
+const sameName = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Bookings of demo requests into demo slots. A request keeps one booking row through rescheduling and
+ * cancellation; its sequence goes up with every change (the calendar invites' SEQUENCE).
+ */
+module.exports = (db) => ({
+    findByRequest: async (requestId) => (await db.query('SELECT * FROM demo_bookings WHERE request_id = $1', [requestId])).rows[0],
+
+    findBySlot: async (slotId) => (await db.query('SELECT * FROM demo_bookings WHERE slot_id = $1', [slotId])).rows[0],
+
+    /**
+     * Books a request into a slot, moving it there if it is booked into another one (rescheduling). The slot must
+     * be in the request's city and, if it is for a product, for the request's product (when the request names them).
+     * @returns {Promise<{ slotNotFound: true } | { slotMismatch: 'city'|'product' } | { slotStarted: true } | { slotTaken: true }
+     *          | { booking: object, slot: object, previousSlotId: number|null, created: boolean, unchanged: boolean }>}
+     *          previousSlotId is the slot the request was booked into before, if any
+     */
+    book: (request, slotId) =>
+        withTransaction(db, async (client) => {
+            const slot = (await client.query('SELECT * FROM demo_slots WHERE id = $1 FOR UPDATE', [slotId])).rows[0];
+            if (!slot) {
+                return { slotNotFound: true };
+            }
+            if (request.city && !sameName(slot.city, request.city)) {
+                return { slotMismatch: 'city' };
+            }
+            if (slot.product_id && request.product_name) {
+                const product = (await client.query('SELECT name FROM products WHERE id = $1', [slot.product_id])).rows[0];
+                if (!product || !sameName(product.name, request.product_name)) {
+                    return { slotMismatch: 'product' };
+                }
+            }
+            const requestId = request.id;
+            const existing = (await client.query('SELECT * FROM demo_bookings WHERE request_id = $1 FOR UPDATE', [requestId])).rows[0];
+            if (existing && existing.slot_id === slot.id) {
+                return { booking: existing, slot, previousSlotId: slot.id, created: false, unchanged: true };
+            }
+            if (new Date(slot.starts_at) <= new Date()) {
+                return { slotStarted: true };
+            }
+            const taken = await client.query('SELECT 1 FROM demo_bookings WHERE slot_id = $1', [slot.id]);
+            if (taken.rows.length > 0) {
+                return { slotTaken: true };
+            }
+            if (existing) {
+                const result = await client.query(
+                    `UPDATE demo_bookings SET slot_id = $1, status = 'booked', sequence = sequence + 1, cancelled_at = NULL, updated_at = NOW()
+                    WHERE id = $2 RETURNING *`,
+                    [slot.id, existing.id]
+                );
+                return { booking: result.rows[0], slot, previousSlotId: existing.slot_id, created: false, unchanged: false };
+            }
+            const result = await client.query('INSERT INTO demo_bookings (request_id, slot_id) VALUES ($1, $2) RETURNING *', [requestId, slot.id]);
+            return { booking: result.rows[0], slot, previousSlotId: null, created: true, unchanged: false };
+        }),
+
+    /**
+     * Cancels a request's booking, freeing its slot.
+     * @returns {Promise<{ notFound: true } | { booking: object, slotId: number }>} notFound when the request has no
+     *          booking or it is already cancelled; slotId is the slot it was booked into
+     */
+    cancel: (requestId) =>
+        withTransaction(db, async (client) => {
+            const existing = (await client.query('SELECT * FROM demo_bookings WHERE request_id = $1 FOR UPDATE', [requestId])).rows[0];
+            if (!existing || existing.status === 'cancelled') {
+                return { notFound: true };
+            }
+            const result = await client.query(
+                `UPDATE demo_bookings SET status = 'cancelled', slot_id = NULL, sequence = sequence + 1, cancelled_at = NOW(), updated_at = NOW()
+                WHERE id = $1 RETURNING *`,
+                [existing.id]
+            );
+            return { booking: result.rows[0], slotId: existing.slot_id };
+        }),
+
+    // The people and product a booking's emails are about: the request, and the slot's rep and product (or null).
+    parties: async (requestId, slot) => {
+        const request = (await db.query('SELECT * FROM requests WHERE id = $1', [requestId])).rows[0];
+        const rep = slot.rep_id ? (await db.query('SELECT id, email, full_name FROM admin_users WHERE id = $1', [slot.rep_id])).rows[0] : null;
+        const product = slot.product_id ? (await db.query('SELECT id, name FROM products WHERE id = $1', [slot.product_id])).rows[0] : null;
+        return { request, rep: rep || null, product: product || null };
+    },
+
+    // Counts a change of the booked slot itself (e.g. its time), for the updated calendar invites.
+    touch: async (id) => {
+        const result = await db.query('UPDATE demo_bookings SET sequence = sequence + 1, updated_at = NOW() WHERE id = $1 RETURNING *', [id]);
+        return result.rows[0];
+    },
+});
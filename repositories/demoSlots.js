@@ -0,0 +1,72 @@
+const createRepository = require("./createRepository");
+const { runListQuery } = require("../lib/listQuery");
+const { withTransaction } = require("../lib/db");
+
+const BOOKED_SLOTS = 'SELECT slot_id FROM demo_bookings WHERE slot_id IS NOT NULL';
+// Slots the public can book: not started and not booked.
+const OPEN = `starts_at > NOW() AND id NOT IN (${BOOKED_SLOTS})`;
+
+const LIST_CONFIG = {
+    table: 'demo_slots',
+    filters: {
+        city: { column: 'city', op: 'ieq' },
+        state: { column: 'state', op: 'ieq' },
+        // Slots without a product take a demo of any product.
+        product_id: {
+            build: (raw, param) => (/^\d+$/.test(raw)
+                ? { sql: `(product_id = ${param(Number(raw))} OR product_id IS NULL)` }
+                : { error: 'Invalid value for product_id: expected a number' }),
+        },
+        rep_id: { column: 'rep_id', op: 'eq', type: 'number' },
+        booked: {
+            build: (raw) => (raw === 'true' || raw === 'false'
+                ? { sql: `id ${raw === 'true' ? '' : 'NOT '}IN (${BOOKED_SLOTS})` }
+                : { error: "Invalid value for booked: expected 'true' or 'false'" }),
+        },
+        from: { column: 'starts_at', op: 'gte', type: 'date' },
+        to: { column: 'starts_at', op: 'lte', type: 'date' },
+    },
+    sortable: ['starts_at', 'city', 'state', 'id'],
+    defaultSort: { field: 'starts_at', order: 'asc' },
+};
+
+/**
+ * Demo availability slots. Reads take an optional scope `{ openOnly }`: the public only sees slots
+ * that are still open for booking.
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, { table: 'demo_slots' });
+
+    return {
+        ...base,
+
+        list: (query, { openOnly = false } = {}) =>
+            runListQuery(db, openOnly ? { ...LIST_CONFIG, where: OPEN } : LIST_CONFIG, query, listOptions),
+
+        findById: async (id, { openOnly = false } = {}) => {
+            const result = await db.query(`SELECT * FROM demo_slots WHERE id = $1${openOnly ? ` AND ${OPEN}` : ''}`, [id]);
+            return result.rows[0];
+        },
+
+        /**
+         * Deletes a slot, cancelling its booking if it has one.
+         * @returns {Promise<object|undefined>} same contract as update(); the deleted row has the cancelled
+         *          booking (or null) as cancelled_booking
+         */
+        remove: (id, expectedVersion = null) =>
+            withTransaction(db, async (client) => {
+                const current = await client.query('SELECT * FROM demo_slots WHERE id = $1 FOR UPDATE', [id]);
+                const slot = current.rows[0];
+                if (!slot || (expectedVersion !== null && slot.version !== expectedVersion)) {
+                    return undefined;
+                }
+                const cancelled = await client.query(
+                    `UPDATE demo_bookings SET status = 'cancelled', slot_id = NULL, sequence = sequence + 1, cancelled_at = NOW(), updated_at = NOW()
+                    WHERE slot_id = $1 RETURNING *`,
+                    [id]
+                );
+                await client.query('DELETE FROM demo_slots WHERE id = $1', [id]);
+                return { ...slot, cancelled_booking: cancelled.rows[0] || null };
+            }),
+    };
+};
@@ -0,0 +1,71 @@
+const { runListQuery } = require("../lib/listQuery");
+
+const LIST_CONFIG = {
+    table: 'email_outbox',
+    filters: {
+        status: { column: 'status', op: 'eq' },
+        template: { column: 'template', op: 'eq' },
+        from: { column: 'created_at', op: 'gte', type: 'date' },
+        to: { column: 'created_at', op: 'lte', type: 'date' },
+    },
+    sortable: ['created_at', 'next_attempt_at', 'attempts', 'id'],
+    defaultSort: { field: 'created_at', order: 'desc' },
+};
+
+/**
+ * The email outbox: queued messages and their delivery state. Delivery itself is in lib/outbox.js.
+ */
+module.exports = (db, listOptions) => ({
+    list: (query) => runListQuery(db, LIST_CONFIG, query, listOptions),
+
+    findById: async (id) => {
+        const result = await db.query('SELECT * FROM email_outbox WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    enqueue: async (template, { to, subject, text, headers = {}, attachments = [] }) => {
+        // Stringified: node-postgres would send a JavaScript array as a Postgres array, not JSON.
+        const result = await db.query(
+            'INSERT INTO email_outbox (template, to_address, subject, body_text, headers, attachments) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+            [template, to, subject, text, headers, JSON.stringify(attachments)]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Claims up to `limit` messages that are due, counting the attempt and leasing them until
+     * `leaseUntil` so other workers skip them meanwhile (a crashed worker's messages become due again).
+     */
+    claimDue: async (limit, leaseUntil) => {
+        const result = await db.query(
+            `UPDATE email_outbox SET attempts = attempts + 1, next_attempt_at = $2
+            WHERE id IN (
+                SELECT id FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= NOW()
+                ORDER BY next_attempt_at ASC, id ASC LIMIT $1 FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *`,
+            [limit, leaseUntil]
+        );
+        return result.rows.sort((a, b) => a.id - b.id);
+    },
+
+    markSent: (id) => db.query("UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1", [id]),
+
+    // retryAt: when to try again, or null to give up.
+    markFailed: (id, error, retryAt) =>
+        db.query(
+            `UPDATE email_outbox SET status = CASE WHEN $3::timestamptz IS NULL THEN 'failed' ELSE 'pending' END,
+                last_error = $2, next_attempt_at = COALESCE($3, next_attempt_at)
+            WHERE id = $1`,
+            [id, error, retryAt]
+        ),
+
+    // Queues a failed message again with a fresh set of attempts. Returns undefined unless it had failed.
+    retry: async (id) => {
+        const result = await db.query(
+            "UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW() WHERE id = $1 AND status = 'failed' RETURNING *",
+            [id]
+        );
+        return result.rows[0];
+    },
+});
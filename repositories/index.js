@@ -0,0 +1,34 @@
+/**
+ * Creates every repository on top of the given database pool.
+ * @param {object} db
+ * @param {object} [listOptions] - options for the paginated lists, e.g. { timeZone } (see buildListQuery() in lib/listQuery.js)
+ */
+const createRepositories = (db, listOptions) => ({
+    adminUsers: require("./adminUsers")(db),
+    blogs: require("./blogs")(db, listOptions),
+    tags: require("./tags")(db),
+    categories: require("./categories")(db),
+    products: require("./products")(db, listOptions),
+    specDefinitions: require("./specDefinitions")(db),
+    tco: require("./tco")(db),
+    qna: require("./qna")(db),
+    awards: require("./awards")(db),
+    media: require("./media")(db),
+    mediaAssets: require("./mediaAssets")(db, listOptions),
+    requests: require("./requests")(db, listOptions),
+    jobs: require("./jobs")(db, listOptions),
+    apply: require("./apply")(db, listOptions),
+    subscribe: require("./subscribe")(db, listOptions),
+    emailOutbox: require("./emailOutbox")(db, listOptions),
+    webhooks: require("./webhooks")(db, listOptions),
+    blockedSubmissions: require("./blockedSubmissions")(db, listOptions),
+    auditLog: require("./auditLog")(db, listOptions),
+    reports: require("./reports")(db),
+    quotes: require("./quotes")(db),
+    orders: require("./orders")(db, listOptions),
+    demoSlots: require("./demoSlots")(db, listOptions),
+    demoBookings: require("./demoBookings")(db),
+    dealers: require("./dealers")(db, listOptions),
+});
+
+module.exports = { createRepositories };
@@ -0,0 +1,34 @@
+const createRepository = require("./createRepository");
+const { runListQuery } = require("../lib/listQuery");
+
+const OPEN = "status = 'open'";
+
+const LIST_CONFIG = {
+    table: 'jobs',
+    filters: {
+        department: { column: 'department', op: 'ieq' },
+        location: { column: 'location', op: 'ieq' },
+        status: { column: 'status', op: 'eq' },
+    },
+    sortable: ['created_at', 'title', 'department', 'location', 'id'],
+    defaultSort: { field: 'created_at', order: 'desc' },
+};
+
+/**
+ * Job postings. Reads take an optional scope `{ openOnly }`: the public only sees open postings.
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, { table: 'jobs' });
+
+    return {
+        ...base,
+
+        list: (query, { openOnly = false } = {}) =>
+            runListQuery(db, openOnly ? { ...LIST_CONFIG, where: OPEN } : LIST_CONFIG, query, listOptions),
+
+        findById: async (id, { openOnly = false } = {}) => {
+            const result = await db.query(`SELECT * FROM jobs WHERE id = $1${openOnly ? ` AND ${OPEN}` : ''}`, [id]);
+            return result.rows[0];
+        },
+    };
+};
@@ -0,0 +1,3 @@
+const createRepository = require("./createRepository");
+
+module.exports = (db) => createRepository(db, { table: 'media' });
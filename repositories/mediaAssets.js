@@ -0,0 +1,92 @@
+const createRepository = require("./createRepository");
+const { withTransaction } = require("../lib/db");
+
+// "$<first>, $<first + 1>, ..." for an IN list of `count` values.
+const placeholders = (count, first = 1) => Array.from({ length: count }, (_, i) => `$${first + i}`).join(', ');
+
+// Every public URL of an asset: the original and its variants.
+const urlsOf = (asset) => [asset.url, ...Object.values(asset.variants || {}).map((variant) => variant.url)];
+
+// Content referencing an asset, on the pool or on a transaction client.
+const findUsage = async (db, asset) => {
+    const urls = urlsOf(asset);
+    const list = placeholders(urls.length);
+    const [blogs, products, awards] = await Promise.all([
+        db.query(
+            `SELECT id, title FROM blogs
+            WHERE image_url IN (${list}) OR ${urls.map((url, i) => `strpos(content, $${i + 1}) > 0`).join(' OR ')}
+            ORDER BY id`,
+            urls
+        ),
+        db.query(
+            `SELECT id, name FROM products
+            WHERE main_image_url IN (${list}) OR tco_savings_image_url IN (${list})
+                OR ${urls.map((url, i) => `$${i + 1} = ANY(image_urls)`).join(' OR ')}
+            ORDER BY id`,
+            urls
+        ),
+        db.query(`SELECT id FROM awards WHERE image_url IN (${list}) ORDER BY id`, urls),
+    ]);
+    return { blogs: blogs.rows, products: products.rows, awards: awards.rows };
+};
+
+const inUse = (usage) => Object.values(usage).some((rows) => rows.length > 0);
+
+/**
+ * Uploaded media (media_assets). Other content references assets by URL, so usage is found by
+ * looking for any of an asset's URLs in the image columns of blogs, products and awards, and in
+ * the content of blog posts (inline images and links).
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, {
+        table: 'media_assets',
+        listOptions,
+        list: {
+            filters: {
+                // ?kind=image|document
+                kind: {
+                    build: (raw, param) => {
+                        if (raw === 'image') return { sql: `mime_type LIKE ${param('image/%')}` };
+                        if (raw === 'document') return { sql: `mime_type NOT LIKE ${param('image/%')}` };
+                        return { error: "Invalid value for kind: expected 'image' or 'document'" };
+                    },
+                },
+                mime_type: { column: 'mime_type', op: 'eq' },
+            },
+            sortable: ['created_at', 'original_name', 'size_bytes', 'id'],
+            defaultSort: { field: 'created_at', order: 'desc' },
+        },
+    });
+
+    return {
+        ...base,
+
+        /**
+         * Content referencing the asset.
+         * @returns {Promise<{ blogs: Array<{ id, title }>, products: Array<{ id, name }>, awards: Array<{ id }> }>}
+         */
+        usage: (asset) => findUsage(db, asset),
+
+        /**
+         * Deletes an asset unless some content references it, checking and deleting with the row locked.
+         * @returns {Promise<{ notFound: true } | { conflict: true } | { usage: object } | { asset: object }>}
+         *          conflict: the asset's version no longer matches `expectedVersion`; usage: as usage(), when in use
+         */
+        removeUnused: (id, expectedVersion = null) =>
+            withTransaction(db, async (client) => {
+                const asset = (await client.query('SELECT * FROM media_assets WHERE id = $1 FOR UPDATE', [id])).rows[0];
+                if (!asset) {
+                    return { notFound: true };
+                }
+                if (expectedVersion !== null && asset.version !== expectedVersion) {
+                    return { conflict: true };
+                }
+                const usage = await findUsage(client, asset);
+                if (inUse(usage)) {
+                    return { usage };
+                }
+                await client.query('DELETE FROM media_assets WHERE id = $1', [id]);
+                return { asset };
+            }),
+    };
+};
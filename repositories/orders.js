@@ -0,0 +1,204 @@
+const createRepository = require("./createRepository");
+const { withTransaction } = require("../lib/db");
+const { canTransitionOrder, formatOrderNumber, unmetRequirements } = require("../lib/orders");
+
+// Stages after which the vehicles of an order can no longer change.
+const VEHICLES_LOCKED = ['dispatched', 'delivered', 'cancelled'];
+
+const logStatus = (db, orderId, fromStatus, toStatus, actorId, note) =>
+    db.query(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, note, actor_id) VALUES ($1, $2, $3, $4, $5)',
+        [orderId, fromStatus, toStatus, note, actorId]
+    );
+
+// Locks an order row for the rest of the transaction; undefined if it does not exist.
+const lockOrder = async (client, id) => (await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id])).rows[0];
+
+/**
+ * Orders and their items, payment milestones, vehicles and stage history (lib/orders.js).
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, {
+        table: 'orders',
+        listOptions,
+        list: {
+            filters: {
+                status: { column: 'status', op: 'eq' },
+                request_id: { column: 'request_id', op: 'eq', type: 'number' },
+                order_number: { column: 'order_number', op: 'ieq' },
+                customer_email: { column: 'customer_email', op: 'ieq' },
+                from: { column: 'created_at', op: 'gte', type: 'date' },
+                to: { column: 'created_at', op: 'lte', type: 'date' },
+            },
+            sortable: ['created_at', 'order_number', 'status', 'total_amount', 'id'],
+            defaultSort: { field: 'created_at', order: 'desc' },
+        },
+    });
+
+    // Whether every payment and vehicle an order needs is in place, for unmetRequirements().
+    const progress = async (client, id) => {
+        const payments = await client.query('SELECT milestone, paid_at FROM order_payments WHERE order_id = $1', [id]);
+        const required = await client.query('SELECT COALESCE(SUM(quantity), 0) AS count FROM order_items WHERE order_id = $1', [id]);
+        const assigned = await client.query('SELECT COUNT(*) AS count FROM order_vehicles WHERE order_id = $1', [id]);
+        return { payments: payments.rows, vehicles_required: Number(required.rows[0].count), vehicles_assigned: Number(assigned.rows[0].count) };
+    };
+
+    return {
+        ...base,
+
+        findByRequest: async (requestId) => (await db.query('SELECT * FROM orders WHERE request_id = $1', [requestId])).rows[0],
+
+        // The customer's view: the order number and email must both match (case-insensitively).
+        findByNumberAndEmail: async (orderNumber, email) => {
+            const result = await db.query(
+                'SELECT * FROM orders WHERE LOWER(order_number) = LOWER($1) AND LOWER(customer_email) = LOWER($2)',
+                [orderNumber, email]
+            );
+            return result.rows[0];
+        },
+
+        // Items, payments, vehicles and stage history of an order, each oldest first.
+        details: async (id) => {
+            const [items, payments, vehicles, history] = await Promise.all([
+                db.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id', [id]),
+                db.query('SELECT * FROM order_payments WHERE order_id = $1 ORDER BY id', [id]),
+                db.query('SELECT * FROM order_vehicles WHERE order_id = $1 ORDER BY id', [id]),
+                db.query('SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY created_at, id', [id]),
+            ]);
+            return { items: items.rows, payments: payments.rows, vehicles: vehicles.rows, history: history.rows };
+        },
+
+        /**
+         * Stores a new order under the next number of the financial year, with its items and payments.
+         * @param {string} financialYear - e.g. '2026-27'
+         * @param {object} fields - the orders columns besides the number and status
+         * @param {object[]} items - order_items columns
+         * @param {object[]} payments - order_payments milestones and amounts
+         */
+        create: (financialYear, fields, items, payments) =>
+            withTransaction(db, async (client) => {
+                const sequence = await client.query(
+                    `INSERT INTO order_sequences (financial_year, last_number) VALUES ($1, 1)
+                    ON CONFLICT (financial_year) DO UPDATE SET last_number = order_sequences.last_number + 1
+                    RETURNING last_number`,
+                    [financialYear]
+                );
+                const columns = Object.keys(fields);
+                const result = await client.query(
+                    `INSERT INTO orders (order_number, ${columns.join(', ')})
+                    VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')}) RETURNING *`,
+                    [formatOrderNumber(financialYear, sequence.rows[0].last_number), ...columns.map((column) => fields[column])]
+                );
+                const order = result.rows[0];
+                for (const item of items) {
+                    await client.query(
+                        'INSERT INTO order_items (order_id, product_id, product_name, unit_price, quantity, amount) VALUES ($1, $2, $3, $4, $5, $6)',
+                        [order.id, item.product_id, item.product_name, item.unit_price, item.quantity, item.amount]
+                    );
+                }
+                for (const payment of payments) {
+                    await client.query('INSERT INTO order_payments (order_id, milestone, amount) VALUES ($1, $2, $3)', [order.id, payment.milestone, payment.amount]);
+                }
+                await logStatus(client, order.id, null, order.status, fields.created_by, null);
+                return order;
+            }),
+
+        /**
+         * Moves an order to another stage if the transition is allowed and the stage's requirements are met.
+         * @returns {Promise<{ notFound: true } | { invalidFrom: string } | { unmet: string[] } | { order: object, fromStatus: string }>}
+         */
+        transitionStatus: (id, status, actorId, note) =>
+            withTransaction(db, async (client) => {
+                const current = await lockOrder(client, id);
+                if (!current) {
+                    return { notFound: true };
+                }
+                if (!canTransitionOrder(current.status, status)) {
+                    return { invalidFrom: current.status };
+                }
+                const unmet = unmetRequirements(status, await progress(client, id));
+                if (unmet.length > 0) {
+                    return { unmet };
+                }
+                const result = await client.query('UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *', [status, id]);
+                await logStatus(client, id, current.status, status, actorId, note);
+                return { order: result.rows[0], fromStatus: current.status };
+            }),
+
+        /**
+         * Records a payment milestone as paid.
+         * @param {object} fields - method, reference and paid_at (default: now)
+         * @returns {Promise<{ notFound: true } | { cancelled: true } | { alreadyPaid: true } | { payment: object }>}
+         *          notFound when the order or the milestone does not exist
+         */
+        recordPayment: (orderId, milestone, fields, actorId) =>
+            withTransaction(db, async (client) => {
+                const order = await lockOrder(client, orderId);
+                if (!order) {
+                    return { notFound: true };
+                }
+                const current = await client.query('SELECT * FROM order_payments WHERE order_id = $1 AND milestone = $2', [orderId, milestone]);
+                if (current.rows.length === 0) {
+                    return { notFound: true };
+                }
+                if (order.status === 'cancelled') {
+                    return { cancelled: true };
+                }
+                if (current.rows[0].paid_at !== null) {
+                    return { alreadyPaid: true };
+                }
+                const result = await client.query(
+                    `UPDATE order_payments SET paid_at = COALESCE($1::timestamptz, NOW()), method = $2, reference = $3, recorded_by = $4
+                    WHERE id = $5 RETURNING *`,
+                    [fields.paid_at || null, fields.method, fields.reference || null, actorId, current.rows[0].id]
+                );
+                return { payment: result.rows[0] };
+            }),
+
+        /**
+         * Assigns a vehicle (VIN) to a line of an order, up to the line's quantity.
+         * @returns {Promise<{ notFound: true } | { locked: string } | { unknownItem: true } | { itemFull: true } | { vehicle: object }>}
+         *          locked (with the order's stage) once the order is dispatched or cancelled
+         */
+        assignVehicle: (orderId, fields, actorId) =>
+            withTransaction(db, async (client) => {
+                const order = await lockOrder(client, orderId);
+                if (!order) {
+                    return { notFound: true };
+                }
+                if (VEHICLES_LOCKED.includes(order.status)) {
+                    return { locked: order.status };
+                }
+                const item = (await client.query('SELECT * FROM order_items WHERE id = $1 AND order_id = $2', [fields.order_item_id, orderId])).rows[0];
+                if (!item) {
+                    return { unknownItem: true };
+                }
+                const assigned = await client.query('SELECT COUNT(*) AS count FROM order_vehicles WHERE order_item_id = $1', [item.id]);
+                if (Number(assigned.rows[0].count) >= item.quantity) {
+                    return { itemFull: true };
+                }
+                const result = await client.query(
+                    'INSERT INTO order_vehicles (order_id, order_item_id, vin, serial_number, assigned_by) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+                    [orderId, item.id, fields.vin, fields.serial_number || null, actorId]
+                );
+                return { vehicle: result.rows[0] };
+            }),
+
+        /**
+         * Removes a vehicle from an order, e.g. to correct a VIN.
+         * @returns {Promise<{ notFound: true } | { locked: string } | { vehicle: object }>}
+         */
+        removeVehicle: (orderId, vehicleId) =>
+            withTransaction(db, async (client) => {
+                const order = await lockOrder(client, orderId);
+                if (!order) {
+                    return { notFound: true };
+                }
+                if (VEHICLES_LOCKED.includes(order.status)) {
+                    return { locked: order.status };
+                }
+                const result = await client.query('DELETE FROM order_vehicles WHERE id = $1 AND order_id = $2 RETURNING *', [vehicleId, orderId]);
+                return result.rows.length > 0 ? { vehicle: result.rows[0] } : { notFound: true };
+            }),
+    };
+};
@@ -0,0 +1,147 @@
+const createRepository = require("./createRepository");
+const { withTransaction } = require("../lib/db");
+const { buildSpecFilter, valueOf } = require("../lib/specs");
+
+// Columns returned for expanded related products.
+const SUMMARY_COLUMNS = 'id, name, tagline, price, main_image_url, category_id';
+
+// "$1, $2, ..." for an IN list of `count` values.
+const placeholders = (count) => Array.from({ length: count }, (_, i) => `$${i + 1}`).join(', ');
+
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, {
+        table: 'products',
+        listOptions,
+        list: {
+            filters: {
+                category_id: { column: 'category_id', op: 'eq', type: 'number' },
+                min_price: { column: 'price', op: 'gte', type: 'number' },
+                max_price: { column: 'price', op: 'lte', type: 'number' },
+                spec: { build: buildSpecFilter },
+            },
+            sortable: ['name', 'price', 'category_id', 'id'],
+            defaultSort: { field: 'name', order: 'asc' },
+            searchColumns: ['name', 'tagline', 'description'],
+        },
+    });
+
+    return {
+        ...base,
+
+        /**
+         * Summaries of the given products, in the order of `ids`. Ids of missing products are skipped.
+         */
+        findSummaries: async (ids) => {
+            if (!ids || ids.length === 0) return [];
+            const result = await db.query(`SELECT ${SUMMARY_COLUMNS} FROM products WHERE id IN (${placeholders(ids.length)})`, ids);
+            const byId = new Map(result.rows.map((row) => [row.id, row]));
+            return ids.filter((id) => byId.has(id)).map((id) => byId.get(id));
+        },
+
+        // The product with this name (case-insensitive), e.g. the product_name of a request.
+        findByName: async (name) => {
+            const result = await db.query('SELECT * FROM products WHERE LOWER(name) = LOWER($1) ORDER BY id ASC LIMIT 1', [String(name).trim()]);
+            return result.rows[0];
+        },
+
+        // Returns the ids in `ids` that do not belong to any product.
+        missingIds: async (ids) => {
+            if (ids.length === 0) return [];
+            const result = await db.query(`SELECT id FROM products WHERE id IN (${placeholders(ids.length)})`, ids);
+            const found = new Set(result.rows.map((row) => row.id));
+            return ids.filter((id) => !found.has(id));
+        },
+
+        /**
+         * Spec values of the given products, in display order (group, sort_order, key).
+         * @returns {Promise<Array<{ product_id, key, label, unit, group, data_type, value }>>}
+         */
+        findSpecs: async (ids) => {
+            if (ids.length === 0) return [];
+            const result = await db.query(
+                `SELECT ps.product_id, sd.key, sd.label, sd.unit, sd.group_name, sd.data_type,
+                    ps.value_number, ps.value_text, ps.value_boolean
+                FROM product_specs ps
+                JOIN spec_definitions sd ON sd.id = ps.spec_id
+                WHERE ps.product_id IN (${placeholders(ids.length)})
+                ORDER BY sd.group_name ASC NULLS LAST, sd.sort_order ASC, sd.key ASC`,
+                ids
+            );
+            return result.rows.map((row) => ({
+                product_id: row.product_id,
+                key: row.key,
+                label: row.label,
+                unit: row.unit,
+                group: row.group_name,
+                data_type: row.data_type,
+                value: valueOf(row),
+            }));
+        },
+
+        /**
+         * Replaces every spec value of a product and bumps the product's version.
+         * @param {Array<{ spec_id: number, columns: object }>} values - see toValueColumns() in lib/specs.js
+         * @returns {Promise<object|undefined>} the product row, or undefined if it is missing or
+         *          its version no longer matches `expectedVersion`
+         */
+        replaceSpecs: (id, values, expectedVersion = null) =>
+            withTransaction(db, async (client) => {
+                const product = await client.query(
+                    `UPDATE products SET version = version + 1, updated_at = NOW()
+                    WHERE id = $1 AND ($2::int IS NULL OR version = $2) RETURNING *`,
+                    [id, expectedVersion]
+                );
+                if (product.rows.length === 0) {
+                    return undefined;
+                }
+                await client.query('DELETE FROM product_specs WHERE product_id = $1', [id]);
+                for (const { spec_id, columns } of values) {
+                    await client.query(
+                        `INSERT INTO product_specs (product_id, spec_id, value_number, value_text, value_boolean)
+                        VALUES ($1, $2, $3, $4, $5)`,
+                        [id, spec_id, columns.value_number, columns.value_text, columns.value_boolean]
+                    );
+                }
+                return product.rows[0];
+            }),
+
+        /**
+         * Deletes a product and removes it from every other product's related_products_ids, every
+         * blog post's product_ids and every dealer's product_ids (bumping their version), so no dangling
+         * ids are left behind. Blog revisions lose it too, so restoring one cannot bring it back.
+         * Same contract as remove().
+         */
+        remove: (id, expectedVersion = null) =>
+            withTransaction(db, async (client) => {
+                const result = await client.query(
+                    'DELETE FROM products WHERE id = $1 AND ($2::int IS NULL OR version = $2) RETURNING *',
+                    [id, expectedVersion]
+                );
+                if (result.rows.length > 0) {
+                    await client.query(
+                        `UPDATE products SET related_products_ids = array_remove(related_products_ids, $1::int),
+                            version = version + 1, updated_at = NOW()
+                        WHERE $1::int = ANY(related_products_ids)`,
+                        [id]
+                    );
+                    await client.query(
+                        `UPDATE blogs SET product_ids = array_remove(product_ids, $1::int),
+                            version = version + 1, updated_at = NOW()
+                        WHERE $1::int = ANY(product_ids)`,
+                        [id]
+                    );
+                    await client.query(
+                        'UPDATE blog_revisions SET product_ids = array_remove(product_ids, $1::int) WHERE $1::int = ANY(product_ids)',
+                        [id]
+                    );
+                    await client.query(
+                        `UPDATE dealers SET product_ids = array_remove(product_ids, $1::int),
+                            version = version + 1, updated_at = NOW()
+                        WHERE $1::int = ANY(product_ids)`,
+                        [id]
+                    );
+                }
+                return result.rows[0];
+            }),
+    };
+};
@@ -0,0 +1,65 @@
+const { withTransaction } = require("../lib/db");
+const { formatQuoteNumber } = require("../lib/quotes");
+
+const COLUMNS = [
+    'product_id', 'product_name', 'unit_price', 'quantity', 'discount_percent', 'discount_amount', 'subtotal', 'taxable_amount',
+    'gst_rate', 'place_of_supply', 'gst_type', 'cgst', 'sgst', 'igst', 'total', 'expires_at', 'notes',
+];
+
+const insertQuote = async (client, requestId, quoteNumber, revision, fields, createdBy) => {
+    const result = await client.query(
+        `INSERT INTO quotes (request_id, quote_number, revision, created_by, ${COLUMNS.join(', ')})
+        VALUES ($1, $2, $3, $4, ${COLUMNS.map((column, i) => `$${i + 5}`).join(', ')}) RETURNING *`,
+        [requestId, quoteNumber, revision, createdBy, ...COLUMNS.map((column) => fields[column])]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Quotations for order requests (lib/quotes.js). Quotes are never edited: a revision is a new row.
+ */
+module.exports = (db) => ({
+    // Every quote of a request, newest number first and each number's latest revision first.
+    listForRequest: async (requestId) => {
+        const result = await db.query('SELECT * FROM quotes WHERE request_id = $1 ORDER BY quote_number DESC, revision DESC', [requestId]);
+        return result.rows;
+    },
+
+    findForRequest: async (requestId, id) => {
+        const result = await db.query('SELECT * FROM quotes WHERE id = $1 AND request_id = $2', [id, requestId]);
+        return result.rows[0];
+    },
+
+    /**
+     * Stores a new quote under the next number of the financial year.
+     * @param {string} financialYear - e.g. '2026-27'
+     * @param {object} fields - the columns from buildQuote()
+     */
+    create: (requestId, financialYear, fields, createdBy) =>
+        withTransaction(db, async (client) => {
+            const sequence = await client.query(
+                `INSERT INTO quote_sequences (financial_year, last_number) VALUES ($1, 1)
+                ON CONFLICT (financial_year) DO UPDATE SET last_number = quote_sequences.last_number + 1
+                RETURNING last_number`,
+                [financialYear]
+            );
+            return insertQuote(client, requestId, formatQuoteNumber(financialYear, sequence.rows[0].last_number), 1, fields, createdBy);
+        }),
+
+    /**
+     * Stores a revision of a quote and marks the quote superseded.
+     * @returns {Promise<{ notFound: true } | { superseded: true } | { quote: object }>} superseded if the quote already has a newer revision
+     */
+    revise: (previous, fields, createdBy) =>
+        withTransaction(db, async (client) => {
+            const current = await client.query('SELECT superseded_at FROM quotes WHERE id = $1 FOR UPDATE', [previous.id]);
+            if (current.rows.length === 0) {
+                return { notFound: true };
+            }
+            if (current.rows[0].superseded_at !== null) {
+                return { superseded: true };
+            }
+            await client.query('UPDATE quotes SET superseded_at = NOW() WHERE id = $1', [previous.id]);
+            return { quote: await insertQuote(client, previous.request_id, previous.quote_number, previous.revision + 1, fields, createdBy) };
+        }),
+});
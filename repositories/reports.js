@@ -0,0 +1,127 @@
+const { LEAD_GROUPS } = require("../lib/reports");
+
+/**
+ * Counts for the admin reports (routes/reports.js, lib/reports.js). Every query takes a range of
+ * instants ({ since, until }, until excluded); daily counts are per day of the reporting time zone,
+ * as the instant the day starts.
+ */
+module.exports = (db) => ({
+    /**
+     * Demo/order requests per day, split by one of LEAD_GROUPS (NULL as 'Unspecified').
+     * @returns {Promise<{ day: Date, key: string, count: number }[]>} key is 'total' without a group
+     */
+    leadsPerDay: async ({ since, until }, timeZone, groupBy) => {
+        if (groupBy && !LEAD_GROUPS.includes(groupBy)) {
+            throw new Error(`Unknown lead group: ${groupBy}`);
+        }
+        const key = groupBy ? `COALESCE(${groupBy}, 'Unspecified')` : null;
+        const result = await db.query(
+            `SELECT date_trunc('day', request_date, $1) AS day, ${key || "'total'"} AS key, COUNT(*)::int AS count
+            FROM requests
+            WHERE request_date >= $2 AND request_date < $3
+            GROUP BY date_trunc('day', request_date, $1)${key ? `, ${key}` : ''}`,
+            [timeZone, since, until]
+        );
+        return result.rows;
+    },
+
+    /**
+     * The pipeline stages each request submitted in the range has been in: its current status and
+     * every stage it was moved to. Optionally only requests of one request_type or product_name.
+     * @returns {Promise<{ request_id: number, stage: string }[]>}
+     */
+    leadStages: async ({ since, until }, { request_type, product_name } = {}) => {
+        const params = [since, until];
+        const conditions = ['r.request_date >= $1', 'r.request_date < $2'];
+        if (request_type) {
+            params.push(request_type);
+            conditions.push(`r.request_type = $${params.length}`);
+        }
+        if (product_name) {
+            params.push(product_name);
+            conditions.push(`r.product_name = $${params.length}`);
+        }
+        const where = conditions.join(' AND ');
+        const result = await db.query(
+            `SELECT r.id AS request_id, r.status AS stage FROM requests r WHERE ${where}
+            UNION
+            SELECT a.request_id, a.to_status AS stage
+            FROM request_activities a JOIN requests r ON r.id = a.request_id
+            WHERE a.activity_type = 'status_change' AND ${where}`,
+            params
+        );
+        return result.rows;
+    },
+
+    /**
+     * Order requests and quantity ordered per product, overall and for won orders; largest quantity first.
+     * @returns {Promise<{ product_name: string, orders: number, quantity: number, won_orders: number, won_quantity: number }[]>}
+     */
+    ordersPerProduct: async ({ since, until }) => {
+        const result = await db.query(
+            `SELECT COALESCE(product_name, 'Unspecified') AS product_name,
+                COUNT(*)::int AS orders,
+                COALESCE(SUM(quantity), 0)::int AS quantity,
+                SUM(CASE WHEN status = 'won' THEN 1 ELSE 0 END)::int AS won_orders,
+                COALESCE(SUM(CASE WHEN status = 'won' THEN quantity ELSE 0 END), 0)::int AS won_quantity
+            FROM requests
+            WHERE request_type = 'order' AND request_date >= $1 AND request_date < $2
+            GROUP BY COALESCE(product_name, 'Unspecified')
+            ORDER BY quantity DESC, product_name ASC`,
+            [since, until]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Newsletter sign-ups, confirmations and unsubscribes per day. Unsubscribing removes the subscriber,
+     * so sign-ups and confirmations of people who have since unsubscribed are not counted.
+     * @returns {Promise<{ day: Date, key: 'subscribed' | 'confirmed' | 'unsubscribed', count: number }[]>}
+     */
+    subscribersPerDay: async ({ since, until }, timeZone) => {
+        const result = await db.query(
+            `SELECT date_trunc('day', subscribed_at, $1) AS day, 'subscribed' AS key, COUNT(*)::int AS count
+            FROM subscribe WHERE subscribed_at >= $2 AND subscribed_at < $3
+            GROUP BY date_trunc('day', subscribed_at, $1)
+            UNION ALL
+            SELECT date_trunc('day', confirmed_at, $1) AS day, 'confirmed' AS key, COUNT(*)::int AS count
+            FROM subscribe WHERE confirmed_at >= $2 AND confirmed_at < $3
+            GROUP BY date_trunc('day', confirmed_at, $1)
+            UNION ALL
+            SELECT date_trunc('day', created_at, $1) AS day, 'unsubscribed' AS key, COUNT(*)::int AS count
+            FROM email_suppressions WHERE reason = 'unsubscribed' AND created_at >= $2 AND created_at < $3
+            GROUP BY date_trunc('day', created_at, $1)`,
+            [timeZone, since, until]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Current subscriber counts by status.
+     * @returns {Promise<{ active: number, pending: number }>}
+     */
+    subscriberTotals: async () => {
+        const result = await db.query(
+            `SELECT COALESCE(SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END), 0)::int AS active,
+                COALESCE(SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END), 0)::int AS pending
+            FROM subscribe`
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Job applications per position and hiring stage.
+     * @returns {Promise<{ job_id: number|null, position: string, stage: string, count: number }[]>}
+     */
+    applicationsPerPosition: async ({ since, until }) => {
+        const result = await db.query(
+            `SELECT job_id, COALESCE(position, 'Unspecified') AS position, stage, COUNT(*)::int AS count
+            FROM apply
+            WHERE created_at >= $1 AND created_at < $2
+            GROUP BY job_id, COALESCE(position, 'Unspecified'), stage
+            ORDER BY position ASC`,
+            [since, until]
+        );
+        return result.rows;
+    },
+});
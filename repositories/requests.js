@@ -0,0 +1,185 @@
+const createRepository = require("./createRepository");
+const { withTransaction } = require("../lib/db");
+const { PIPELINE_STAGES, canTransition } = require("../lib/pipeline");
+const pii = require("../lib/pii");
+
+/**
+ * Converts validated request fields to columns: Aadhaar/PAN are encrypted and stored with their
+ * last 4 characters for masking. Omitted or masked values (echoed back from a GET) are left out
+ * so the stored value is kept; null clears it.
+ */
+const toColumns = ({ aadhar_number, pan_number, ...columns }) => {
+    if (aadhar_number === null) {
+        Object.assign(columns, { aadhar_number: null, aadhar_last4: null });
+    } else if (aadhar_number !== undefined && !pii.isMasked(aadhar_number)) {
+        const digits = pii.normalizeAadhaar(aadhar_number);
+        Object.assign(columns, { aadhar_number: pii.encrypt(digits), aadhar_last4: pii.last4(digits) });
+    }
+    if (pan_number === null) {
+        Object.assign(columns, { pan_number: null, pan_last4: null });
+    } else if (pan_number !== undefined && !pii.isMasked(pan_number)) {
+        const pan = pii.normalizePan(pan_number);
+        Object.assign(columns, { pan_number: pii.encrypt(pan), pan_last4: pii.last4(pan) });
+    }
+    return columns;
+};
+
+/**
+ * Appends an entry to a request's activity history.
+ * @param {object} db - pool or transaction client
+ */
+const logActivity = (db, requestId, actorId, activityType, details = {}) =>
+    db.query(
+        `INSERT INTO request_activities (request_id, actor_id, activity_type, from_status, to_status, note)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [requestId, actorId, activityType, details.from_status, details.to_status, details.note]
+    );
+
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, {
+        table: 'requests',
+        listOptions,
+        list: {
+            filters: {
+                request_type: { column: 'request_type', op: 'eq' },
+                status: { column: 'status', op: 'eq' },
+                product_name: { column: 'product_name', op: 'ieq' },
+                assigned_to: { column: 'assigned_to', op: 'eq', type: 'number' },
+                dealer_id: { column: 'dealer_id', op: 'eq', type: 'number' },
+                follow_up_before: { column: 'follow_up_at', op: 'lte', type: 'date' },
+                from: { column: 'request_date', op: 'gte', type: 'date' },
+                to: { column: 'request_date', op: 'lte', type: 'date' },
+            },
+            sortable: ['request_date', 'full_name', 'product_name', 'status', 'quantity', 'follow_up_at', 'id'],
+            defaultSort: { field: 'request_date', order: 'desc' },
+        },
+    });
+
+    // Runs a single-column update together with its activity entry; returns the row or undefined.
+    const updateWithActivity = (id, column, value, actorId, activityType, note) =>
+        withTransaction(db, async (client) => {
+            const result = await client.query(
+                `UPDATE requests SET ${column} = $1, version = version + 1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+                [value, id]
+            );
+            if (result.rows.length > 0) {
+                await logActivity(client, id, actorId, activityType, { note });
+            }
+            return result.rows[0];
+        });
+
+    return {
+        ...base,
+
+        create: (fields) => base.create(toColumns(fields)),
+
+        update: (id, fields, expectedVersion) => base.update(id, toColumns(fields), expectedVersion),
+
+        exists: async (id) => (await db.query('SELECT 1 FROM requests WHERE id = $1', [id])).rows.length > 0,
+
+        // Whether `email` has sent a request of this type for this product since `since`
+        // (duplicate detection, middleware/spamGuard.js).
+        hasRecentRequest: async (email, requestType, productName, since) => {
+            const result = await db.query(
+                `SELECT 1 FROM requests
+                WHERE email = $1 AND request_type = $2 AND COALESCE(product_name, '') = $3 AND request_date >= $4 LIMIT 1`,
+                [email, requestType, productName || '', since]
+            );
+            return result.rows.length > 0;
+        },
+
+        /**
+         * Request counts per pipeline stage, overall and per product_name.
+         */
+        pipelineSummary: async () => {
+            const result = await db.query(
+                `SELECT COALESCE(product_name, 'Unspecified') AS product_name, status, COUNT(*)::int AS count
+                FROM requests
+                GROUP BY COALESCE(product_name, 'Unspecified'), status
+                ORDER BY product_name ASC`
+            );
+            const emptyStages = () => Object.fromEntries(PIPELINE_STAGES.map((stage) => [stage, 0]));
+            const stages = emptyStages();
+            const products = new Map();
+            for (const { product_name, status, count } of result.rows) {
+                if (!products.has(product_name)) {
+                    products.set(product_name, { product_name, total: 0, stages: emptyStages() });
+                }
+                const product = products.get(product_name);
+                product.stages[status] = (product.stages[status] || 0) + count;
+                product.total += count;
+                stages[status] = (stages[status] || 0) + count;
+            }
+            const total = result.rows.reduce((sum, row) => sum + row.count, 0);
+            return { total, stages, byProduct: [...products.values()] };
+        },
+
+        /**
+         * Moves a request to another pipeline stage if the transition is allowed.
+         * @returns {Promise<{ notFound: true } | { invalidFrom: string } | { request: object, fromStatus: string }>}
+         */
+        transitionStatus: (id, status, actorId, note) =>
+            withTransaction(db, async (client) => {
+                const current = await client.query('SELECT status FROM requests WHERE id = $1 FOR UPDATE', [id]);
+                if (current.rows.length === 0) {
+                    return { notFound: true };
+                }
+                const fromStatus = current.rows[0].status;
+                if (!canTransition(fromStatus, status)) {
+                    return { invalidFrom: fromStatus };
+                }
+                const result = await client.query(
+                    'UPDATE requests SET status = $1, version = version + 1, updated_at = NOW() WHERE id = $2 RETURNING *',
+                    [status, id]
+                );
+                await logActivity(client, id, actorId, 'status_change', { from_status: fromStatus, to_status: status, note });
+                return { request: result.rows[0], fromStatus };
+            }),
+
+        assign: (id, assignedTo, actorId) =>
+            updateWithActivity(id, 'assigned_to', assignedTo, actorId, 'assignment',
+                assignedTo === null ? 'Unassigned' : `Assigned to user ${assignedTo}`),
+
+        // Routes a request to a dealer (or none, with null); actorId is null for the automatic assignment.
+        assignDealer: (id, dealerId, actorId, note) =>
+            updateWithActivity(id, 'dealer_id', dealerId, actorId, 'assignment', note),
+
+        setFollowUp: (id, followUpAt, actorId, note) =>
+            updateWithActivity(id, 'follow_up_at', followUpAt, actorId, 'follow_up',
+                note || (followUpAt === null ? 'Follow-up cleared' : `Follow-up due ${followUpAt}`)),
+
+        addNote: async (id, actorId, note) => (await logActivity(db, id, actorId, 'note', { note })).rows[0],
+
+        activity: async (id) => {
+            const result = await db.query(
+                `SELECT a.*, u.email AS actor_email, u.full_name AS actor_name
+                FROM request_activities a
+                LEFT JOIN admin_users u ON u.id = a.actor_id
+                WHERE a.request_id = $1
+                ORDER BY a.created_at ASC, a.id ASC`,
+                [id]
+            );
+            return result.rows;
+        },
+
+        /**
+         * Decrypts a request's Aadhaar/PAN numbers, recording the access in pii_access_log first
+         * so that a reveal is never returned without an audit record.
+         * @returns {Promise<object|undefined>} undefined if the request does not exist
+         */
+        revealPii: async (id, actorId, reason, ipAddress) => {
+            const result = await db.query('SELECT id, aadhar_number, pan_number FROM requests WHERE id = $1', [id]);
+            const row = result.rows[0];
+            if (!row) return undefined;
+            await db.query(
+                'INSERT INTO pii_access_log (request_id, actor_id, reason, ip_address) VALUES ($1, $2, $3, $4)',
+                [id, actorId, reason, ipAddress]
+            );
+            return {
+                id: row.id,
+                aadhar_number: row.aadhar_number ? pii.decrypt(row.aadhar_number) : null,
+                pan_number: row.pan_number ? pii.decrypt(row.pan_number) : null,
+            };
+        },
+    };
+};
@@ -0,0 +1,31 @@
+const createRepository = require("./createRepository");
+
+// sort_order is NOT NULL; clearing it puts the spec back at the default position within its group.
+const toColumns = (fields) => (fields.sort_order === null ? { ...fields, sort_order: 0 } : fields);
+
+module.exports = (db) => {
+    const base = createRepository(db, {
+        table: 'spec_definitions',
+        orderBy: 'group_name ASC NULLS LAST, sort_order ASC, key ASC',
+    });
+
+    return {
+        ...base,
+
+        create: (fields) => base.create(toColumns(fields)),
+
+        update: (id, fields, expectedVersion) => base.update(id, toColumns(fields), expectedVersion),
+
+        findByKeys: async (keys) => {
+            if (keys.length === 0) return [];
+            const result = await db.query(
+                `SELECT * FROM spec_definitions WHERE key IN (${keys.map((key, i) => `$${i + 1}`).join(', ')})`,
+                keys
+            );
+            return result.rows;
+        },
+
+        // Whether any product has a value for the spec (its data_type is then fixed).
+        hasValues: async (id) => (await db.query('SELECT 1 FROM product_specs WHERE spec_id = $1 LIMIT 1', [id])).rows.length > 0,
+    };
+};
@@ -0,0 +1,100 @@
+const createRepository = require("./createRepository");
+const { runListQuery } = require("../lib/listQuery");
+const { withTransaction } = require("../lib/db");
+
+const SUPPRESSIONS_LIST = {
+    table: 'email_suppressions',
+    filters: {
+        reason: { column: 'reason', op: 'eq' },
+    },
+    sortable: ['created_at', 'email', 'id'],
+    defaultSort: { field: 'created_at', order: 'desc' },
+};
+
+/**
+ * Newsletter subscribers and the suppression list. Subscribers are looked up by email for the
+ * signed links in newsletter emails (see lib/newsletter.js).
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, {
+        table: 'subscribe',
+        listOptions,
+        list: {
+            filters: {
+                status: { column: 'status', op: 'eq' },
+                topic: { column: 'topics', op: 'any' },
+                from: { column: 'subscribed_at', op: 'gte', type: 'date' },
+                to: { column: 'subscribed_at', op: 'lte', type: 'date' },
+            },
+            sortable: ['subscribed_at', 'confirmed_at', 'email', 'id'],
+            defaultSort: { field: 'subscribed_at', order: 'desc' },
+        },
+    });
+
+    return {
+        ...base,
+
+        findByEmail: async (email) => {
+            const result = await db.query('SELECT * FROM subscribe WHERE email = $1', [email]);
+            return result.rows[0];
+        },
+
+        isSuppressed: async (email) => (await db.query('SELECT 1 FROM email_suppressions WHERE email = $1', [email])).rows.length > 0,
+
+        /**
+         * Activates a pending subscription; confirming again is harmless.
+         * @returns {Promise<{ subscription: object, wasPending: boolean } | undefined>} undefined if there is no subscription
+         */
+        confirm: (email) =>
+            withTransaction(db, async (client) => {
+                const current = await client.query('SELECT status FROM subscribe WHERE email = $1 FOR UPDATE', [email]);
+                if (current.rows.length === 0) return undefined;
+                const result = await client.query(
+                    `UPDATE subscribe SET status = 'active', confirmed_at = COALESCE(confirmed_at, NOW()), version = version + 1, updated_at = NOW()
+                    WHERE email = $1 RETURNING *`,
+                    [email]
+                );
+                return { subscription: result.rows[0], wasPending: current.rows[0].status === 'pending' };
+            }),
+
+        setTopics: async (email, topics) => {
+            const result = await db.query(
+                'UPDATE subscribe SET topics = $1, version = version + 1, updated_at = NOW() WHERE email = $2 RETURNING *',
+                [topics, email]
+            );
+            return result.rows[0];
+        },
+
+        /**
+         * Removes the subscription (if any) and suppresses the address so it cannot be added again.
+         * @returns {Promise<object|undefined>} the removed subscription
+         */
+        unsubscribe: (email) =>
+            withTransaction(db, async (client) => {
+                const removed = await client.query('DELETE FROM subscribe WHERE email = $1 RETURNING *', [email]);
+                await client.query(
+                    "INSERT INTO email_suppressions (email, reason) VALUES ($1, 'unsubscribed') ON CONFLICT (email) DO NOTHING",
+                    [email]
+                );
+                return removed.rows[0];
+            }),
+
+        // Confirmed subscribers, optionally only those interested in `topic`, for the CSV export.
+        activeSubscribers: async ({ topic } = {}) => {
+            const result = await db.query(
+                `SELECT id, email, topics, subscribed_at, confirmed_at FROM subscribe
+                WHERE status = 'active' AND ($1::text IS NULL OR $1 = ANY(topics))
+                ORDER BY email ASC`,
+                [topic || null]
+            );
+            return result.rows;
+        },
+
+        listSuppressions: (query) => runListQuery(db, SUPPRESSIONS_LIST, query, listOptions),
+
+        removeSuppression: async (id) => {
+            const result = await db.query('DELETE FROM email_suppressions WHERE id = $1 RETURNING *', [id]);
+            return result.rows[0];
+        },
+    };
+};
@@ -0,0 +1,51 @@
+const { uniqueTags } = require("../lib/tags");
+const { PUBLISHED_BLOG_CONDITION } = require("../lib/blogWorkflow");
+
+/**
+ * Blog tags (see lib/tags.js). Tags are created on demand when posts are saved.
+ */
+module.exports = (db) => ({
+    /**
+     * Tags with their number of posts, most used first. With `publishedOnly`, only published
+     * posts are counted and tags without any are left out.
+     */
+    listWithCounts: async ({ publishedOnly = false } = {}) => {
+        const join = publishedOnly ? 'JOIN' : 'LEFT JOIN';
+        const result = await db.query(
+            `SELECT tags.id, tags.name, tags.slug, COUNT(blogs.id)::int AS post_count
+            FROM tags
+            ${join} blog_tags ON blog_tags.tag_id = tags.id
+            ${join} blogs ON blogs.id = blog_tags.blog_id${publishedOnly ? ` AND ${PUBLISHED_BLOG_CONDITION}` : ''}
+            GROUP BY tags.id, tags.name, tags.slug
+            ORDER BY post_count DESC, tags.name ASC`
+        );
+        return result.rows;
+    },
+
+    /**
+     * Finds or creates the tags for the given names. Names sharing a slug with an existing tag
+     * resolve to it, keeping its spelling.
+     * @returns {Promise<Array<{ id, name, slug }>>} one tag per distinct slug, in the order given
+     */
+    ensure: async (names) => {
+        const wanted = uniqueTags(names);
+        if (wanted.length === 0) return [];
+        for (const { name, slug } of wanted) {
+            await db.query('INSERT INTO tags (name, slug) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING', [name, slug]);
+        }
+        const result = await db.query(
+            `SELECT id, name, slug FROM tags WHERE slug IN (${wanted.map((tag, i) => `$${i + 1}`).join(', ')})`,
+            wanted.map((tag) => tag.slug)
+        );
+        const bySlug = new Map(result.rows.map((tag) => [tag.slug, tag]));
+        return wanted.map((tag) => bySlug.get(tag.slug));
+    },
+
+    // Replaces the tags of a post.
+    setBlogTags: async (blogId, tagIds) => {
+        await db.query('DELETE FROM blog_tags WHERE blog_id = $1', [blogId]);
+        for (const tagId of tagIds) {
+            await db.query('INSERT INTO blog_tags (blog_id, tag_id) VALUES ($1, $2)', [blogId, tagId]);
+        }
+    },
+});
@@ -0,0 +1,59 @@
+const { withTransaction } = require("../lib/db");
+const schemas = require("../lib/schemas");
+
+// Parameter columns, in schema order.
+const PARAM_COLUMNS = Object.keys(schemas.tcoParams);
+
+module.exports = (db) => ({
+    findParams: async (productId) => {
+        const result = await db.query('SELECT * FROM product_tco_params WHERE product_id = $1', [productId]);
+        return result.rows[0];
+    },
+
+    // Same contract as currentVersion() in ./createRepository, keyed by product id.
+    currentVersion: async (productId) => {
+        const result = await db.query('SELECT version FROM product_tco_params WHERE product_id = $1', [productId]);
+        return result.rows[0] && result.rows[0].version;
+    },
+
+    /**
+     * Creates or replaces a product's TCO parameters (omitted fields are cleared).
+     * @returns {Promise<object|undefined>} the saved row, or undefined if `expectedVersion` is set and does
+     *          not match (including when no parameters exist yet)
+     */
+    replaceParams: (productId, fields, expectedVersion = null) =>
+        withTransaction(db, async (client) => {
+            const current = await client.query('SELECT version FROM product_tco_params WHERE product_id = $1 FOR UPDATE', [productId]);
+            const values = PARAM_COLUMNS.map((column) => (fields[column] === undefined ? null : fields[column]));
+            if (current.rows.length === 0) {
+                if (expectedVersion !== null) return undefined;
+                const result = await client.query(
+                    `INSERT INTO product_tco_params (product_id, ${PARAM_COLUMNS.join(', ')})
+                    VALUES ($1, ${PARAM_COLUMNS.map((column, i) => `$${i + 2}`).join(', ')}) RETURNING *`,
+                    [productId, ...values]
+                );
+                return result.rows[0];
+            }
+            if (expectedVersion !== null && current.rows[0].version !== expectedVersion) return undefined;
+            const result = await client.query(
+                `UPDATE product_tco_params SET ${PARAM_COLUMNS.map((column, i) => `${column} = $${i + 2}`).join(', ')},
+                    version = version + 1, updated_at = NOW()
+                WHERE product_id = $1 RETURNING *`,
+                [productId, ...values]
+            );
+            return result.rows[0];
+        }),
+
+    saveCalculation: async ({ product_id, inputs, parameters, result }) => {
+        const saved = await db.query(
+            'INSERT INTO tco_calculations (product_id, inputs, parameters, result) VALUES ($1, $2, $3, $4) RETURNING *',
+            [product_id, inputs, parameters, result]
+        );
+        return saved.rows[0];
+    },
+
+    findCalculation: async (id) => {
+        const result = await db.query('SELECT * FROM tco_calculations WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+});
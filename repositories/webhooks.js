@@ -0,0 +1,118 @@
+const createRepository = require("./createRepository");
+const { runListQuery } = require("../lib/listQuery");
+
+const DELIVERIES_LIST = {
+    table: 'webhook_deliveries',
+    filters: {
+        status: { column: 'status', op: 'eq' },
+        event: { column: 'event', op: 'eq' },
+        from: { column: 'created_at', op: 'gte', type: 'date' },
+        to: { column: 'created_at', op: 'lte', type: 'date' },
+    },
+    sortable: ['created_at', 'next_attempt_at', 'attempts', 'id'],
+    defaultSort: { field: 'created_at', order: 'desc' },
+};
+
+/**
+ * Webhook subscriptions and their deliveries. Delivery itself is in lib/webhooks.js.
+ */
+module.exports = (db, listOptions) => {
+    const base = createRepository(db, {
+        table: 'webhooks',
+        listOptions,
+        list: {
+            filters: {
+                event: { column: 'events', op: 'any' },
+                active: { column: 'active', op: 'eq', type: 'boolean' },
+            },
+            sortable: ['created_at', 'url', 'id'],
+            defaultSort: { field: 'created_at', order: 'desc' },
+        },
+    });
+
+    // Subscribing to an event twice would not send it twice, but keep the list tidy.
+    const toColumns = (fields) => (fields.events ? { ...fields, events: [...new Set(fields.events)] } : fields);
+
+    return {
+        ...base,
+
+        create: (fields) => base.create(toColumns(fields)),
+
+        update: (id, fields, expectedVersion) => base.update(id, toColumns(fields), expectedVersion),
+
+        // Queues a delivery of `payload` to every active webhook subscribed to `event`.
+        enqueueEvent: async (event, payload) => {
+            const result = await db.query(
+                `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+                SELECT id, $1, $2::jsonb FROM webhooks WHERE active AND $1 = ANY(events)
+                RETURNING *`,
+                [event, JSON.stringify(payload)]
+            );
+            return result.rows;
+        },
+
+        // Deliveries of one webhook (paginated; filter by status/event/date range).
+        listDeliveries: (webhookId, query) =>
+            runListQuery(db, { ...DELIVERIES_LIST, where: `webhook_id = ${Number(webhookId)}` }, query, listOptions),
+
+        findDelivery: async (webhookId, id) => {
+            const result = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2', [id, webhookId]);
+            return result.rows[0];
+        },
+
+        /**
+         * Claims up to `limit` due deliveries, counting the attempt and leasing them until `leaseUntil`,
+         * and returns them with their webhook's url and secret.
+         */
+        claimDue: async (limit, leaseUntil) => {
+            const claimed = await db.query(
+                `UPDATE webhook_deliveries SET attempts = attempts + 1, next_attempt_at = $2
+                WHERE id IN (
+                    SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= NOW()
+                    ORDER BY next_attempt_at ASC, id ASC LIMIT $1 FOR UPDATE SKIP LOCKED
+                )
+                RETURNING id`,
+                [limit, leaseUntil]
+            );
+            if (claimed.rows.length === 0) return [];
+            const ids = claimed.rows.map((row) => row.id);
+            const result = await db.query(
+                `SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                WHERE d.id IN (${ids.map((id, i) => `$${i + 1}`).join(', ')})
+                ORDER BY d.id ASC`,
+                ids
+            );
+            return result.rows;
+        },
+
+        markDelivered: (id, responseStatus) =>
+            db.query(
+                "UPDATE webhook_deliveries SET status = 'delivered', delivered_at = NOW(), response_status = $2, last_error = NULL WHERE id = $1",
+                [id, responseStatus]
+            ),
+
+        // retryAt: when to try again, or null to give up.
+        markFailed: (id, responseStatus, error, retryAt) =>
+            db.query(
+                `UPDATE webhook_deliveries SET status = CASE WHEN $4::timestamptz IS NULL THEN 'failed' ELSE 'pending' END,
+                    response_status = $2, last_error = $3, next_attempt_at = COALESCE($4, next_attempt_at)
+                WHERE id = $1`,
+                [id, responseStatus, error, retryAt]
+            ),
+
+        /**
+         * Queues failed deliveries of a webhook again with a fresh set of attempts: one delivery, or all
+         * failed ones when `deliveryId` is omitted.
+         * @returns {Promise<object[]>} the replayed deliveries
+         */
+        replayFailed: async (webhookId, deliveryId = null) => {
+            const result = await db.query(
+                `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+                WHERE webhook_id = $1 AND status = 'failed' AND ($2::int IS NULL OR id = $2)
+                RETURNING *`,
+                [webhookId, deliveryId]
+            );
+            return result.rows;
+        },
+    };
+};
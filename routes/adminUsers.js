@@ -0,0 +1,93 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const { ROLES, authorize } = require("../middleware/auth");
+const { toPublicUser } = require("./auth");
+const { recordAudit } = require("../lib/audit");
+const { validateBody } = require("../lib/validation");
+const schemas = require("../lib/schemas");
+
+// An admin user as recorded in the audit log (never with the password hash).
+const auditedUser = (user) => ({ ...toPublicUser(user), is_active: user.is_active });
+
+module.exports = ({ adminUsers, auditLog }) => {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'User not found' })));
+
+    /**
+     * @route GET /api/admin/users
+     * @desc Get all admin users
+     * @access Private (admin)
+     */
+    router.get('/', authorize(), async (req, res) => {
+        try {
+            res.json(await adminUsers.list());
+        } catch (err) {
+            console.error('Error fetching admin users:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/admin/users
+     * @desc Create a new admin user
+     * @access Private (admin)
+     */
+    router.post('/', authorize(), async (req, res) => {
+        const { email, password, full_name, role } = req.body || {};
+        if (!email || !password || !role) {
+            return res.status(400).json({ error: "Missing required fields: email, password, role" });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+        }
+        try {
+            const passwordHash = await bcrypt.hash(password, 12);
+            const user = await adminUsers.create({ email, passwordHash, full_name, role });
+            await recordAudit(auditLog, req, { action: 'create', resource: 'admin_users', resourceId: user.id, after: auditedUser(user) });
+            res.status(201).json(toPublicUser(user));
+        } catch (err) {
+            console.error('Error creating admin user:', err.message);
+            if (err.code === '23505') {
+                return res.status(409).json({ error: 'An admin user with this email already exists' });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PUT /api/admin/users/:id
+     * @desc Update an admin user's role, name, password or active flag.
+     *       Changing the role or the password or deactivating the user revokes their refresh tokens.
+     *       Admins cannot deactivate themselves, and the last active admin cannot be demoted or deactivated (409).
+     * @access Private (admin)
+     */
+    router.put('/:id', authorize(), validateBody(schemas.adminUserUpdates), async (req, res) => {
+        const { full_name, role, password, is_active } = req.body;
+        if (is_active === false && Number(req.params.id) === req.user.id) {
+            return res.status(409).json({ error: 'You cannot deactivate your own account' });
+        }
+        try {
+            const passwordHash = password ? await bcrypt.hash(password, 12) : undefined;
+            const result = await adminUsers.update(req.params.id, { full_name, role, passwordHash, is_active });
+            if (result.notFound) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (result.lastAdmin) {
+                return res.status(409).json({ error: 'The last active admin cannot be demoted or deactivated' });
+            }
+            const { user, before } = result;
+            await recordAudit(auditLog, req, {
+                action: 'update', resource: 'admin_users', resourceId: user.id,
+                // The password itself is never recorded, only that it was changed.
+                before: auditedUser(before), after: { ...auditedUser(user), ...(password ? { password: 'changed' } : {}) },
+            });
+            res.json(auditedUser(user));
+        } catch (err) {
+            console.error('Error updating admin user:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
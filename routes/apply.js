@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { authorize } = require("../middleware/auth");
+const { etagFor } = require("../middleware/concurrency");
+const { uploadSingle } = require("../middleware/upload");
+const { validateBody } = require("../lib/validation");
+const { detectResumeType, maxResumeBytes } = require("../lib/media");
+const { PRIVATE_PREFIX } = require("../lib/storage");
+const { APPLICATION_STAGES, allowedStageTransitions } = require("../lib/applicationStages");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+/**
+ * Shapes an apply row for API responses: the resume's storage key stays on the server and the
+ * file is downloaded through GET /api/apply/:id/resume.
+ */
+const serializeApplication = (row) => {
+    const { resume_key, resume_name, resume_mime_type, resume_size_bytes, ...rest } = row;
+    return { ...rest, resume: resume_key ? { name: resume_name, mime_type: resume_mime_type, size_bytes: resume_size_bytes } : null };
+};
+
+/**
+ * Job applications and applicant tracking.
+ * @route GET /api/apply - list (paginated; filter by job_id/stage/position/date range) - Private (hr, admin)
+ * @route GET|PUT|PATCH|DELETE /api/apply/:id - Private (hr, admin). The stage is changed via PATCH /:id/stage.
+ */
+module.exports = ({ apply, jobs, auditLog }, { storage, notifications, webhooks, spamGuard }) => {
+    const router = express.Router();
+    const canReview = authorize('hr');
+
+    /**
+     * @route POST /api/apply
+     * @desc Apply for an open job, as JSON or multipart/form-data: name, email, job_id, and optional
+     *       phone, cover_letter and `resume` file (PDF or Word, up to RESUME_MAX_UPLOAD_MB).
+     *       Applications to closed jobs are refused with 409, as is applying again for the same job within
+     *       the duplicate window (spam protection, middleware/spamGuard.js). The applicant gets an
+     *       acknowledgement email and HR an alert.
+     * @access Public (No authentication required)
+     */
+    const guard = spamGuard('apply', {
+        isDuplicate: (body, email, since) => (/^\d+$/.test(String(body.job_id).trim()) ? apply.hasRecentApplication(email, Number(body.job_id), since) : false),
+    });
+
+    // The IP rate limit is checked before the upload is read, so clients over it never make the server buffer a resume.
+    router.post('/', spamGuard.ipLimit('apply'), uploadSingle('resume', { maxBytes: maxResumeBytes() }), guard, validateBody(schemas.apply), async (req, res) => {
+        let resumeKey;
+        try {
+            const job = await jobs.findById(req.body.job_id);
+            if (!job) {
+                return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'job_id', message: 'must reference an existing job' }] });
+            }
+            if (job.status !== 'open') {
+                return res.status(409).json({ error: 'This job is no longer accepting applications' });
+            }
+            const fields = { ...req.body };
+            if (req.file) {
+                const type = detectResumeType(req.file.buffer, req.file.originalname);
+                if (type.error) {
+                    return res.status(415).json({ error: type.error });
+                }
+                resumeKey = `${PRIVATE_PREFIX}resumes/${crypto.randomUUID()}.${type.extension}`;
+                await storage.put(resumeKey, req.file.buffer, type.mime_type);
+                Object.assign(fields, {
+                    resume_key: resumeKey,
+                    resume_name: req.file.originalname.slice(0, 255),
+                    resume_mime_type: type.mime_type,
+                    resume_size_bytes: req.file.size,
+                });
+            }
+            const application = await apply.create(fields);
+            await notifications.applicationCreated(application);
+            await webhooks.emit('apply.created', serializeApplication(application));
+            res.status(201).set('ETag', etagFor(application)).json(serializeApplication(application));
+        } catch (err) {
+            console.error('Error creating application:', err.message);
+            if (resumeKey) {
+                await storage.remove(resumeKey).catch((removeErr) => console.error(`Error removing stored file ${resumeKey}:`, removeErr.message));
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/apply/:id/resume
+     * @desc Download an application's resume
+     * @access Private (hr, admin)
+     */
+    router.get('/:id/resume', canReview, async (req, res) => {
+        try {
+            const application = await apply.findById(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: 'Application not found' });
+            }
+            if (!application.resume_key) {
+                return res.status(404).json({ message: 'Resume not found' });
+            }
+            const body = await storage.get(application.resume_key);
+            res.type(application.resume_mime_type).attachment(application.resume_name).send(body);
+        } catch (err) {
+            console.error('Error fetching resume:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/apply/:id/stage
+     * @desc Move an application to another hiring stage, with an optional note. Only transitions in
+     *       APPLICATION_TRANSITIONS are allowed.
+     * @access Private (hr, admin)
+     */
+    router.patch('/:id/stage', canReview, async (req, res) => {
+        const { stage, note } = req.body || {};
+        if (!APPLICATION_STAGES.includes(stage)) {
+            return res.status(400).json({ error: `Invalid stage. Must be one of: ${APPLICATION_STAGES.join(', ')}` });
+        }
+        try {
+            const before = await apply.findById(req.params.id);
+            const outcome = await apply.transitionStage(req.params.id, stage, req.user.id, note);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Application not found' });
+            }
+            if (outcome.invalidFrom !== undefined) {
+                return res.status(409).json({
+                    error: `Cannot move application from '${outcome.invalidFrom}' to '${stage}'`,
+                    allowed: allowedStageTransitions(outcome.invalidFrom),
+                });
+            }
+            await recordAudit(auditLog, req, {
+                action: 'update', resource: 'apply', resourceId: outcome.application.id,
+                before: before && serializeApplication(before), after: serializeApplication(outcome.application),
+            });
+            res.set('ETag', etagFor(outcome.application)).json(serializeApplication(outcome.application));
+        } catch (err) {
+            console.error('Error updating application stage:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/apply/:id/notes
+     * @desc Add a reviewer note to an application's activity history
+     * @access Private (hr, admin)
+     */
+    router.post('/:id/notes', canReview, async (req, res) => {
+        const { note } = req.body || {};
+        if (!note) {
+            return res.status(400).json({ error: "Missing required field: note" });
+        }
+        try {
+            if (!(await apply.exists(req.params.id))) {
+                return res.status(404).json({ message: 'Application not found' });
+            }
+            res.status(201).json(await apply.addNote(req.params.id, req.user.id, note));
+        } catch (err) {
+            console.error('Error adding application note:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/apply/:id/activity
+     * @desc Get the activity history (stage changes and notes) of an application
+     * @access Private (hr, admin)
+     */
+    router.get('/:id/activity', canReview, async (req, res) => {
+        try {
+            if (!(await apply.exists(req.params.id))) {
+                return res.status(404).json({ message: 'Application not found' });
+            }
+            res.json(await apply.activity(req.params.id));
+        } catch (err) {
+            console.error('Error fetching application activity:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return mountCrudRoutes(router, {
+        repo: apply,
+        auditLog,
+        resource: 'apply',
+        schema: schemas.apply,
+        writeRole: 'hr',
+        readRole: 'hr',
+        create: false,
+        label: 'application',
+        pluralLabel: 'applications',
+        notFound: 'Application not found',
+        deleted: { key: 'deletedApplication', message: 'Application deleted successfully' },
+        serialize: serializeApplication,
+        // HR may move an application to a closed job (e.g. when postings are merged), but not to a missing one.
+        checkReferences: async (fields) => {
+            if (fields.job_id != null && !(await jobs.findById(fields.job_id))) {
+                return [{ field: 'job_id', message: 'must reference an existing job' }];
+            }
+            return [];
+        },
+        onDeleted: async (row) => {
+            if (row.resume_key) await storage.remove(row.resume_key);
+        },
+    });
+};
@@ -0,0 +1,50 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+
+/**
+ * The audit log of administrative changes (see lib/audit.js).
+ */
+module.exports = ({ auditLog }) => {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Audit entry not found' })));
+
+    /**
+     * @route GET /api/admin/audit
+     * @desc List audit entries, newest first (paginated; filter by resource, resource_id, actor (user id or
+     *       email), action and date range with from/to; dates (YYYY-MM-DD) are whole days in REPORTS_TIME_ZONE,
+     *       both included)
+     * @access Private (admin)
+     */
+    router.get('/', authorize(), async (req, res) => {
+        try {
+            const result = await auditLog.list(req.query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching audit log:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/admin/audit/:id
+     * @access Private (admin)
+     */
+    router.get('/:id', authorize(), async (req, res) => {
+        try {
+            const entry = await auditLog.findById(req.params.id);
+            if (!entry) {
+                return res.status(404).json({ message: 'Audit entry not found' });
+            }
+            res.json(entry);
+        } catch (err) {
+            console.error('Error fetching audit entry:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,96 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const { issueTokens, verifyRefreshToken, authenticate } = require("../middleware/auth");
+
+// Strips the password hash and token version before an admin user is sent to the client.
+const toPublicUser = ({ id, email, full_name, role }) => ({ id, email, full_name, role });
+
+module.exports = ({ adminUsers }) => {
+    const router = express.Router();
+
+    /**
+     * @route POST /api/auth/login
+     * @desc Log in an admin user and issue access/refresh tokens
+     * @access Public
+     */
+    router.post('/login', async (req, res) => {
+        const { email, password } = req.body || {};
+        if (!email || !password) {
+            return res.status(400).json({ error: "Missing required fields: email, password" });
+        }
+        try {
+            const user = await adminUsers.findByEmail(String(email));
+            if (!user || !user.is_active || !(await bcrypt.compare(String(password), user.password_hash))) {
+                return res.status(401).json({ error: 'Invalid email or password' });
+            }
+            await adminUsers.recordLogin(user.id);
+            res.json({ ...issueTokens(user), user: toPublicUser(user) });
+        } catch (err) {
+            console.error('Error logging in:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/refresh
+     * @desc Exchange a valid refresh token for a new access/refresh token pair
+     * @access Public (requires a refresh token)
+     */
+    router.post('/refresh', async (req, res) => {
+        const { refreshToken } = req.body || {};
+        if (!refreshToken) {
+            return res.status(400).json({ error: "Missing required field: refreshToken" });
+        }
+        const payload = verifyRefreshToken(refreshToken);
+        if (!payload) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+        try {
+            const user = await adminUsers.findById(payload.sub);
+            if (!user || !user.is_active || user.token_version !== payload.tv) {
+                return res.status(401).json({ error: 'Refresh token has been revoked' });
+            }
+            res.json({ ...issueTokens(user), user: toPublicUser(user) });
+        } catch (err) {
+            console.error('Error refreshing token:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/logout
+     * @desc Revoke every refresh token issued to the current user
+     * @access Private (any admin role)
+     */
+    router.post('/logout', authenticate, async (req, res) => {
+        try {
+            await adminUsers.revokeTokens(req.user.id);
+            res.json({ message: 'Logged out successfully' });
+        } catch (err) {
+            console.error('Error logging out:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/auth/me
+     * @desc Get the currently authenticated admin user
+     * @access Private (any admin role)
+     */
+    router.get('/me', authenticate, async (req, res) => {
+        try {
+            const user = await adminUsers.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            res.json(toPublicUser(user));
+        } catch (err) {
+            console.error('Error fetching current user:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
+
+module.exports.toPublicUser = toPublicUser;
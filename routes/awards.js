@@ -0,0 +1,21 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const schemas = require("../lib/schemas");
+
+/**
+ * Awards.
+ * @route GET /api/awards - all awards - Public
+ * @route GET /api/awards/:id - Public
+ * @route POST|PUT|PATCH|DELETE /api/awards[/:id] - Private (editor, admin)
+ */
+module.exports = ({ awards, auditLog }) => mountCrudRoutes(express.Router(), {
+    repo: awards,
+    auditLog,
+    resource: 'awards',
+    schema: schemas.awards,
+    writeRole: 'editor',
+    label: 'award',
+    pluralLabel: 'awards',
+    notFound: 'Award not found',
+    deleted: { key: 'deletedAward', message: 'Award deleted successfully' },
+});
@@ -0,0 +1,68 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+const { recordAudit } = require("../lib/audit");
+
+/**
+ * Submissions to the public forms rejected as spam (see middleware/spamGuard.js), for review.
+ */
+module.exports = ({ blockedSubmissions, auditLog }) => {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Blocked submission not found' })));
+
+    /**
+     * @route GET /api/admin/blocked-submissions
+     * @desc List blocked submissions (paginated; filter by form/reason/ip/email/date range)
+     * @access Private (admin)
+     */
+    router.get('/', authorize(), async (req, res) => {
+        try {
+            const result = await blockedSubmissions.list(req.query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching blocked submissions:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/admin/blocked-submissions/:id
+     * @access Private (admin)
+     */
+    router.get('/:id', authorize(), async (req, res) => {
+        try {
+            const submission = await blockedSubmissions.findById(req.params.id);
+            if (!submission) {
+                return res.status(404).json({ message: 'Blocked submission not found' });
+            }
+            res.json(submission);
+        } catch (err) {
+            console.error('Error fetching blocked submission:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route DELETE /api/admin/blocked-submissions/:id
+     * @desc Delete a reviewed entry
+     * @access Private (admin)
+     */
+    router.delete('/:id', authorize(), async (req, res) => {
+        try {
+            const submission = await blockedSubmissions.remove(req.params.id);
+            if (!submission) {
+                return res.status(404).json({ message: 'Blocked submission not found' });
+            }
+            await recordAudit(auditLog, req, { action: 'delete', resource: 'blocked_submissions', resourceId: submission.id, before: submission });
+            res.json({ message: 'Blocked submission deleted successfully', deletedSubmission: submission });
+        } catch (err) {
+            console.error('Error deleting blocked submission:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
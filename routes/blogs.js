@@ -0,0 +1,190 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { authorize, optionalAuthenticate, hasRole } = require("../middleware/auth");
+const { etagFor, ifMatch, sendMissingOrConflict } = require("../middleware/concurrency");
+const { BLOG_STATUSES, allowedBlogTransitions } = require("../lib/blogWorkflow");
+const { rankRelated } = require("../lib/relatedPosts");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+const DEFAULT_RELATED_LIMIT = 5;
+const MAX_RELATED_LIMIT = 20;
+
+/**
+ * Blog posts, with a draft -> review -> published -> archived workflow (see lib/blogWorkflow.js).
+ * New posts are drafts. The public only sees published posts whose publication_date has passed;
+ * editors and admins sending their token see every post and can filter the list by ?status=.
+ * @route GET /api/blogs - list (paginated; filter by tag (slug)/author/status, search with ?q=) - Public
+ * @route GET /api/blogs/:id - Public
+ * @route POST|PUT|PATCH|DELETE /api/blogs[/:id] - Private (editor, admin). Every save is kept as a revision.
+ *        product_ids links the post to the products it mentions (see ?expand=featured_in on products).
+ */
+module.exports = ({ blogs, products, auditLog }) => {
+    const router = express.Router();
+
+    const readScope = (req) => ({ publishedOnly: !hasRole(req.user, 'editor') });
+
+    router.param('revisionId', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Revision not found' })));
+
+    /**
+     * @route GET /api/blogs/slug/:slug
+     * @desc Get a blog post by its slug
+     * @access Public (published posts only, unless an editor token is sent)
+     */
+    router.get('/slug/:slug', optionalAuthenticate, async (req, res) => {
+        try {
+            const blog = await blogs.findBySlug(req.params.slug, readScope(req));
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog not found' });
+            }
+            res.set('ETag', etagFor(blog)).json(blog);
+        } catch (err) {
+            console.error('Error fetching blog by slug:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/blogs/:id/related?limit=5
+     * @desc Get other published posts related to a post, ranked by shared tags, then text similarity
+     *       (see lib/relatedPosts.js). limit: 1 to MAX_RELATED_LIMIT, default 5.
+     * @access Public (the post itself must be published, unless an editor token is sent)
+     */
+    router.get('/:id/related', optionalAuthenticate, async (req, res) => {
+        const limit = req.query.limit === undefined ? DEFAULT_RELATED_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RELATED_LIMIT) {
+            return res.status(400).json({ error: `Invalid limit. Must be an integer between 1 and ${MAX_RELATED_LIMIT}` });
+        }
+        try {
+            const blog = await blogs.findById(req.params.id, readScope(req));
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog not found' });
+            }
+            res.json(rankRelated(blog, await blogs.relatedCandidates(blog.id), limit));
+        } catch (err) {
+            console.error('Error fetching related blogs:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/blogs/:id/status
+     * @desc Move a post to another workflow state. When publishing, an optional publish_at
+     *       (default: now) sets the publication date; a future date schedules the post.
+     * @access Private (editor, admin)
+     */
+    router.patch('/:id/status', authorize('editor'), ifMatch, async (req, res) => {
+        const { status, publish_at } = req.body || {};
+        if (!BLOG_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${BLOG_STATUSES.join(', ')}` });
+        }
+        if (publish_at !== undefined && publish_at !== null) {
+            if (status !== 'published') {
+                return res.status(400).json({ error: "publish_at can only be set when publishing" });
+            }
+            if (Number.isNaN(Date.parse(publish_at))) {
+                return res.status(400).json({ error: 'publish_at must be a valid date' });
+            }
+        }
+        try {
+            const before = await blogs.findById(req.params.id);
+            const outcome = await blogs.transitionStatus(req.params.id, status, publish_at || null, req.expectedVersion);
+            if (outcome.notFound || outcome.conflict) {
+                return sendMissingOrConflict(res, blogs, req.params.id, 'Blog not found');
+            }
+            if (outcome.invalidFrom !== undefined) {
+                return res.status(409).json({
+                    error: `Cannot move blog from '${outcome.invalidFrom}' to '${status}'`,
+                    allowed: allowedBlogTransitions(outcome.invalidFrom),
+                });
+            }
+            await recordAudit(auditLog, req, { action: 'update', resource: 'blogs', resourceId: outcome.blog.id, before, after: outcome.blog });
+            res.set('ETag', etagFor(outcome.blog)).json(outcome.blog);
+        } catch (err) {
+            console.error('Error updating blog status:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/blogs/:id/revisions
+     * @desc Get the revision history of a post, newest first (without content; fetch a revision for it)
+     * @access Private (editor, admin)
+     */
+    router.get('/:id/revisions', authorize('editor'), async (req, res) => {
+        try {
+            if (!(await blogs.findById(req.params.id))) {
+                return res.status(404).json({ message: 'Blog not found' });
+            }
+            res.json(await blogs.revisions(req.params.id));
+        } catch (err) {
+            console.error('Error fetching blog revisions:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/blogs/:id/revisions/:revisionId
+     * @desc Get a single revision, with its content
+     * @access Private (editor, admin)
+     */
+    router.get('/:id/revisions/:revisionId', authorize('editor'), async (req, res) => {
+        try {
+            const revision = await blogs.findRevision(req.params.id, req.params.revisionId);
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+            res.json(revision);
+        } catch (err) {
+            console.error('Error fetching blog revision:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/blogs/:id/revisions/:revisionId/restore
+     * @desc Restore a post's content from a revision (recorded as a new revision; the status is unchanged)
+     * @access Private (editor, admin)
+     */
+    router.post('/:id/revisions/:revisionId/restore', authorize('editor'), ifMatch, async (req, res) => {
+        try {
+            const revision = await blogs.findRevision(req.params.id, req.params.revisionId);
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+            const before = await blogs.findById(req.params.id);
+            const blog = await blogs.restoreRevision(revision, req.expectedVersion, req.user.id);
+            if (!blog) {
+                return sendMissingOrConflict(res, blogs, req.params.id, 'Blog not found');
+            }
+            await recordAudit(auditLog, req, { action: 'update', resource: 'blogs', resourceId: blog.id, before, after: blog });
+            res.set('ETag', etagFor(blog)).json(blog);
+        } catch (err) {
+            console.error('Error restoring blog revision:', err.message);
+            if (err.code === '23505') {
+                return res.status(409).json({ error: 'Blog with this slug already exists' });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return mountCrudRoutes(router, {
+        repo: blogs,
+        auditLog,
+        resource: 'blogs',
+        schema: schemas.blogs,
+        writeRole: 'editor',
+        label: 'blog',
+        pluralLabel: 'blogs',
+        notFound: 'Blog not found',
+        deleted: { key: 'deletedBlog', message: 'Blog deleted successfully' },
+        conflict: { create: 'Blog with this slug already exists', update: 'Blog with this slug already exists' },
+        readScope,
+        checkReferences: async (fields) => {
+            const missing = await products.missingIds(fields.product_ids || []);
+            return missing.length > 0
+                ? [{ field: 'product_ids', message: `references unknown products: ${missing.join(', ')}` }]
+                : [];
+        },
+    });
+};
@@ -0,0 +1,22 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const schemas = require("../lib/schemas");
+
+/**
+ * Product categories, listed by sort_order then name.
+ * @route GET /api/categories - Public
+ * @route GET /api/categories/:id - Public
+ * @route POST|PUT|PATCH|DELETE /api/categories[/:id] - Private (editor, admin). Deleting a category uncategorises its products.
+ */
+module.exports = ({ categories, auditLog }) => mountCrudRoutes(express.Router(), {
+    repo: categories,
+    auditLog,
+    resource: 'categories',
+    schema: schemas.categories,
+    writeRole: 'editor',
+    label: 'category',
+    pluralLabel: 'categories',
+    notFound: 'Category not found',
+    deleted: { key: 'deletedCategory', message: 'Category deleted successfully' },
+    conflict: { create: 'Category with this slug already exists', update: 'Category with this slug already exists' },
+});
@@ -0,0 +1,209 @@
+const { authorize, optionalAuthenticate } = require("../middleware/auth");
+const { etagFor, ifMatch, sendMissingOrConflict } = require("../middleware/concurrency");
+const { validateBody } = require("../lib/validation");
+const { recordAudit } = require("../lib/audit");
+
+/**
+ * Mounts the standard routes of a resource on `router`:
+ *   GET /            list (paginated when the repository declares a list configuration)
+ *   GET /:id         single row, with an ETag; ?expand=a,b adds the configured expansions
+ *   POST /           create
+ *   PUT /:id         full update; omitted fields are cleared (except `keepOnReplace`)
+ *   PATCH /:id       partial update of the supplied fields only
+ *   DELETE /:id      delete
+ * PUT/PATCH/DELETE honour If-Match and respond 412 on a version conflict.
+ *
+ * @param {object} options
+ * @param {object} options.repo - repository built with repositories/createRepository.js
+ * @param {object} options.schema - validation schema from lib/schemas.js
+ * @param {string} options.writeRole - role (besides admin) allowed to write
+ * @param {string} [options.readRole] - role (besides admin) required to read; reads are public if omitted
+ * @param {boolean} [options.publicCreate] - leave POST open (public lead-capture forms)
+ * @param {boolean} [options.create] - mount POST / (default true); false when the resource has its own create route
+ * @param {function[]} [options.beforeCreate] - middleware run on POST / before validation (e.g. spam protection)
+ * @param {string} options.label - singular name used in log messages, e.g. 'blog'
+ * @param {string} options.pluralLabel - plural name used in log messages, e.g. 'blogs'
+ * @param {string} options.notFound - 404 message
+ * @param {{ key: string, message: string }} options.deleted - DELETE response shape
+ * @param {{ create?: string, update?: string }} [options.conflict] - 409 messages for unique violations
+ * @param {function} [options.serialize] - shapes each row before it is sent
+ * @param {string[]} [options.keepOnReplace] - fields PUT leaves unchanged when they are omitted
+ * @param {Object<string, function>} [options.expand] - ?expand= name -> async (row) => extra fields merged into the response
+ * @param {function} [options.checkReferences] - async (fields, id) => [{ field, message }] for values that point
+ *        at missing rows; a non-empty result is sent as a 422 like a validation failure. `id` is undefined on create.
+ * @param {function} [options.readScope] - (req) => scope passed to repo.list(query, scope) and repo.findById(id, scope),
+ *        for resources that show readers different rows (e.g. published posts only for the public)
+ * @param {function} [options.onCreated] - async (row) => side effects after a create (e.g. queueing notifications);
+ *        errors are logged, the create itself still succeeds
+ * @param {function} [options.onUpdated] - async (row) => side effects after a PUT or PATCH; errors are logged,
+ *        the update itself still succeeds
+ * @param {function} [options.onDeleted] - async (row) => cleanup after a delete (e.g. removing stored files);
+ *        errors are logged, the delete itself still succeeds
+ * @param {object} [options.auditLog] - repositories/auditLog.js; creates, updates and deletes by signed-in users
+ *        are then recorded in the audit log (lib/audit.js), with rows as `serialize` shapes them
+ * @param {string} [options.resource] - the resource's name in the audit log, e.g. 'products'
+ *
+ * Writes pass the id of the authenticated admin user (undefined for public creates) as the last
+ * argument of repo.create/update/remove, for repositories that record who changed what.
+ */
+const mountCrudRoutes = (router, options) => {
+    const {
+        repo, schema, writeRole, readRole, publicCreate = false, create = true, beforeCreate = [], label, pluralLabel, notFound, deleted,
+        conflict = {}, serialize = (row) => row, keepOnReplace = [], expand = {}, checkReferences, readScope = () => undefined,
+        onCreated, onUpdated, onDeleted, auditLog, resource,
+    } = options;
+    // A read scope depends on who is asking, so public reads then identify the caller when a token is sent.
+    const canRead = readRole ? [authorize(readRole)] : (options.readScope ? [optionalAuthenticate] : []);
+    const canWrite = authorize(writeRole);
+    const canCreate = publicCreate ? [] : [canWrite];
+
+    // Non-numeric ids can never match a row.
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: notFound })));
+
+    // PostgreSQL unique violation (23505) -> 409 with a resource-specific message, when one is configured.
+    const sendError = (res, err, action, message) => {
+        console.error(`Error ${action}:`, err.message);
+        if (err.code === '23505' && message) {
+            return res.status(409).json({ error: message });
+        }
+        res.status(500).json({ error: 'Server error' });
+    };
+
+    const actorOf = (req) => req.user && req.user.id;
+
+    // Runs an onCreated/onUpdated/onDeleted hook; its failure is logged and never affects the response.
+    const runHook = async (hook, row, action) => {
+        if (!hook) return;
+        try {
+            await hook(row);
+        } catch (err) {
+            console.error(`Error after ${action} ${label}:`, err.message);
+        }
+    };
+
+    const audit = (req, action, id, before, after) => auditLog && recordAudit(auditLog, req, {
+        action, resource, resourceId: id, before: before && serialize(before), after: after && serialize(after),
+    });
+
+    // Responds 422 and returns true if any of `fields` references a missing row.
+    const rejectBrokenReferences = async (res, fields, id) => {
+        const errors = checkReferences ? await checkReferences(fields, id) : [];
+        if (errors.length === 0) return false;
+        res.status(422).json({ error: 'Validation failed', errors });
+        return true;
+    };
+
+    router.get('/', ...canRead, async (req, res) => {
+        try {
+            if (!repo.list) {
+                return res.json((await repo.findAll()).map(serialize));
+            }
+            const result = await repo.list(req.query, readScope(req));
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json({ data: result.data.map(serialize), pagination: result.pagination });
+        } catch (err) {
+            sendError(res, err, `fetching ${pluralLabel}`);
+        }
+    });
+
+    router.get('/:id', ...canRead, async (req, res) => {
+        const expansions = req.query.expand ? String(req.query.expand).split(',').map((name) => name.trim()) : [];
+        const unknown = expansions.filter((name) => !Object.hasOwn(expand, name));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Invalid expand: ${unknown.join(', ')}. Allowed: ${Object.keys(expand).join(', ') || 'none'}` });
+        }
+        try {
+            const row = await repo.findById(req.params.id, readScope(req));
+            if (!row) {
+                return res.status(404).json({ message: notFound });
+            }
+            const body = serialize(row);
+            for (const name of expansions) {
+                Object.assign(body, await expand[name](row));
+            }
+            res.set('ETag', etagFor(row)).json(body);
+        } catch (err) {
+            sendError(res, err, `fetching ${label}`);
+        }
+    });
+
+    if (create) {
+        router.post('/', ...canCreate, ...beforeCreate, validateBody(schema), async (req, res) => {
+            try {
+                if (await rejectBrokenReferences(res, req.body)) return;
+                const row = await repo.create(req.body, actorOf(req));
+                await audit(req, 'create', row.id, null, row);
+                await runHook(onCreated, row, 'creating');
+                res.status(201).set('ETag', etagFor(row)).json(serialize(row));
+            } catch (err) {
+                sendError(res, err, `creating ${label}`, conflict.create);
+            }
+        });
+    }
+
+    router.put('/:id', canWrite, ifMatch, validateBody(schema), async (req, res) => {
+        const { id } = req.params;
+        const fields = {};
+        for (const field of Object.keys(schema)) {
+            if (req.body[field] !== undefined) {
+                fields[field] = req.body[field];
+            } else if (!keepOnReplace.includes(field)) {
+                fields[field] = null;
+            }
+        }
+        try {
+            if (await rejectBrokenReferences(res, fields, id)) return;
+            const before = auditLog && await repo.findById(id);
+            const row = await repo.update(id, fields, req.expectedVersion, actorOf(req));
+            if (!row) {
+                return sendMissingOrConflict(res, repo, id, notFound);
+            }
+            await audit(req, 'update', row.id, before, row);
+            await runHook(onUpdated, row, 'updating');
+            res.set('ETag', etagFor(row)).json(serialize(row));
+        } catch (err) {
+            sendError(res, err, `updating ${label}`, conflict.update);
+        }
+    });
+
+    router.patch('/:id', canWrite, ifMatch, validateBody(schema, { partial: true }), async (req, res) => {
+        const { id } = req.params;
+        if (Object.keys(req.body).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        try {
+            if (await rejectBrokenReferences(res, req.body, id)) return;
+            const before = auditLog && await repo.findById(id);
+            const row = await repo.update(id, req.body, req.expectedVersion, actorOf(req));
+            if (!row) {
+                return sendMissingOrConflict(res, repo, id, notFound);
+            }
+            await audit(req, 'update', row.id, before, row);
+            await runHook(onUpdated, row, 'patching');
+            res.set('ETag', etagFor(row)).json(serialize(row));
+        } catch (err) {
+            sendError(res, err, `patching ${label}`, conflict.update);
+        }
+    });
+
+    router.delete('/:id', canWrite, ifMatch, async (req, res) => {
+        const { id } = req.params;
+        try {
+            const row = await repo.remove(id, req.expectedVersion, actorOf(req));
+            if (!row) {
+                return sendMissingOrConflict(res, repo, id, notFound);
+            }
+            await audit(req, 'delete', row.id, row, null);
+            await runHook(onDeleted, row, 'deleting');
+            res.json({ message: deleted.message, [deleted.key]: serialize(row) });
+        } catch (err) {
+            sendError(res, err, `deleting ${label}`);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { mountCrudRoutes };
@@ -0,0 +1,120 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { hasRole } = require("../middleware/auth");
+const { DEALER_SERVICES, MAX_NEARBY_LIMIT, rankByDistance } = require("../lib/dealers");
+const schemas = require("../lib/schemas");
+
+// Repeated query params arrive as arrays; only the first value counts.
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const given = (value) => value !== undefined && value !== '';
+
+/**
+ * Reads the nearby search parameters.
+ * @returns {{ error: string } | { coordinates?: object, pincode?: string, service: string|null, productId: number|null,
+ *          radiusKm?: number, limit: number }}
+ */
+const parseNearbyQuery = (query, settings) => {
+    const [lat, lng, pincode, service, productId, radiusKm, limit] =
+        ['lat', 'lng', 'pincode', 'service', 'product_id', 'radius_km', 'limit'].map((name) => first(query[name]));
+    const options = { service: null, productId: null, limit: settings.nearbyLimit };
+    if (given(lat) || given(lng)) {
+        const coordinates = { latitude: Number(lat), longitude: Number(lng) };
+        if (!given(lat) || !given(lng) || !(Math.abs(coordinates.latitude) <= 90) || !(Math.abs(coordinates.longitude) <= 180)) {
+            return { error: 'lat and lng must be given together, as decimal degrees' };
+        }
+        options.coordinates = coordinates;
+    } else if (given(pincode)) {
+        if (!/^[1-9]\d{5}$/.test(String(pincode))) {
+            return { error: 'pincode must be a valid 6-digit PIN code' };
+        }
+        options.pincode = String(pincode);
+    } else {
+        return { error: 'Give either lat and lng, or a pincode' };
+    }
+    if (given(service)) {
+        if (!DEALER_SERVICES.includes(service)) {
+            return { error: `Invalid service. Must be one of: ${DEALER_SERVICES.join(', ')}` };
+        }
+        options.service = service;
+    }
+    if (given(productId)) {
+        if (!/^\d+$/.test(String(productId))) {
+            return { error: 'Invalid value for product_id: expected a number' };
+        }
+        options.productId = Number(productId);
+    }
+    if (given(radiusKm)) {
+        if (!(Number(radiusKm) > 0)) {
+            return { error: 'radius_km must be a positive number' };
+        }
+        options.radiusKm = Number(radiusKm);
+    }
+    if (given(limit)) {
+        if (!(/^\d+$/.test(String(limit)) && Number(limit) >= 1 && Number(limit) <= MAX_NEARBY_LIMIT)) {
+            return { error: `limit must be between 1 and ${MAX_NEARBY_LIMIT}` };
+        }
+        options.limit = Number(limit);
+    }
+    return options;
+};
+
+/**
+ * Dealers and service centres (see lib/dealers.js). Demo/order requests are routed to a dealer, see routes/requests.js.
+ * @route GET /api/dealers - list (paginated; filter by city/state/pincode/service/product_id) - Public. The public sees
+ *        active dealers only; sales and admin users sending their token see every dealer and can filter by active.
+ * @route GET /api/dealers/:id - Public (inactive dealers: sales, admin)
+ * @route POST|PUT|PATCH|DELETE /api/dealers[/:id] - Private (sales, admin). Deleting a dealer leaves its requests
+ *        without a dealer.
+ */
+module.exports = ({ dealers, products, auditLog }, { pincodes, dealerSettings }) => {
+    const router = express.Router();
+
+    /**
+     * @route GET /api/dealers/nearby
+     * @desc Active dealers nearest to a point, given as lat and lng or as a pincode (located through the PIN code
+     *       directory, see lib/pincodes.js). Optional: service (one of DEALER_SERVICES), product_id (stocked),
+     *       radius_km, limit (default DEALER_NEARBY_LIMIT, at most 50). Each dealer has its distance_km; origin is
+     *       the point searched from. A PIN code missing from the directory answers 404.
+     * @access Public (No authentication required)
+     */
+    router.get('/nearby', async (req, res) => {
+        const options = parseNearbyQuery(req.query, dealerSettings);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        let origin = options.coordinates;
+        if (!origin) {
+            origin = pincodes.lookup(options.pincode);
+            if (!origin) {
+                return res.status(404).json({ message: 'PIN code not found' });
+            }
+        }
+        try {
+            const found = await dealers.candidates(origin, options);
+            res.json({ origin, data: rankByDistance(found, origin, options) });
+        } catch (err) {
+            console.error('Error finding nearby dealers:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return mountCrudRoutes(router, {
+        repo: dealers,
+        auditLog,
+        resource: 'dealers',
+        schema: schemas.dealers,
+        writeRole: 'sales',
+        label: 'dealer',
+        pluralLabel: 'dealers',
+        notFound: 'Dealer not found',
+        deleted: { key: 'deletedDealer', message: 'Dealer deleted successfully' },
+        keepOnReplace: ['active'],
+        readScope: (req) => ({ activeOnly: !hasRole(req.user, 'sales') }),
+        checkReferences: async (fields) => {
+            const missing = await products.missingIds(fields.product_ids || []);
+            return missing.length > 0
+                ? [{ field: 'product_ids', message: `references unknown products: ${missing.join(', ')}` }]
+                : [];
+        },
+    });
+};
@@ -0,0 +1,159 @@
+const express = require("express");
+const { optionalAuthenticate, hasRole } = require("../middleware/auth");
+const { validateBody } = require("../lib/validation");
+const { recordAudit } = require("../lib/audit");
+const { CLOSED_STAGES } = require("../lib/pipeline");
+const { verifyDemoBookingToken } = require("../lib/demoBookings");
+const schemas = require("../lib/schemas");
+
+// Failed customer lookups are counted per IP address over this window.
+const LOOKUP_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * The demo booking of a demo request, mounted at /api/requests/:requestId/demo-booking. Open slots are listed by
+ * GET /api/demo-slots. Sales and admin users manage any request's booking; customers manage their own with the
+ * token from the link in their emails (lib/demoBookings.js), sent as `token` in the body, or the query for GET.
+ * After DEMO_BOOKING_LOOKUP_LIMIT failed customer lookups from one IP address in an hour, the next ones get 429.
+ * Each booking, reschedule and cancellation emails the customer and the slot's rep a calendar invite
+ * (lib/notifications.js). The request's pipeline status is not changed; move it to demo_scheduled with
+ * PATCH /api/requests/:id/status.
+ */
+module.exports = ({ requests, demoSlots, demoBookings, auditLog }, { notifications, demoBookingSettings, rateLimitStore }) => {
+    const router = express.Router({ mergeParams: true });
+
+    router.use((req, res, next) => (/^\d+$/.test(req.params.requestId) ? next() : res.status(404).json({ message: 'Request not found' })));
+    router.use(optionalAuthenticate);
+
+    /**
+     * The request, if the caller may manage its booking. A wrong token looks like a missing request.
+     * @returns {Promise<{ request?: object, retryAfter?: number }>} retryAfter (seconds) once the caller's IP
+     *          address has failed too many lookups
+     */
+    const findRequest = async (req) => {
+        const request = await requests.findById(req.params.requestId);
+        if (hasRole(req.user, 'sales')) return { request };
+        const token = (req.body && req.body.token) || req.query.token;
+        if (request && token && verifyDemoBookingToken(token, request.id)) return { request };
+        if (demoBookingSettings.lookupLimit) {
+            const { count, resetAt } = await rateLimitStore.hit(`demo_booking_lookup:ip:${req.ip}`, LOOKUP_WINDOW_MS);
+            if (count > demoBookingSettings.lookupLimit) {
+                return { retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)) };
+            }
+        }
+        return {};
+    };
+
+    const tooManyLookups = (res, retryAfter) =>
+        res.status(429).set('Retry-After', String(retryAfter)).json({ error: 'Too many lookups. Please try again later.' });
+
+    const notify = async (change, booking, slot) =>
+        notifications.demoBookingChanged({ change, booking, slot, ...(await demoBookings.parties(booking.request_id, slot)) });
+
+    /**
+     * @route GET /api/requests/:requestId/demo-booking
+     * @desc Get the request's booking, with the slot it is booked into (null once cancelled)
+     * @access Public with the request's token (?token=); sales, admin
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const { request, retryAfter } = await findRequest(req);
+            if (retryAfter) {
+                return tooManyLookups(res, retryAfter);
+            }
+            const booking = request && await demoBookings.findByRequest(request.id);
+            if (!booking) {
+                return res.status(404).json({ message: 'Demo booking not found' });
+            }
+            res.json({ ...booking, slot: booking.slot_id ? await demoSlots.findById(booking.slot_id) : null });
+        } catch (err) {
+            console.error('Error fetching demo booking:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PUT /api/requests/:requestId/demo-booking
+     * @desc Book a demo request into an open slot (slot_id), or move its booking there. A slot takes one booking;
+     *       responds 201 for a new booking and 200 for a reschedule, 422 if the slot is not in the request's city or
+     *       is for another product, and 409 if the slot is taken or has started, or if the request is closed (won or lost).
+     * @access Public with the request's token (token); sales, admin
+     */
+    router.put('/', validateBody(schemas.demoBookings), async (req, res) => {
+        try {
+            const { request, retryAfter } = await findRequest(req);
+            if (retryAfter) {
+                return tooManyLookups(res, retryAfter);
+            }
+            if (!request) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            if (request.request_type !== 'demo') {
+                return res.status(409).json({ error: 'Only demo requests can book a demo slot' });
+            }
+            if (CLOSED_STAGES.includes(request.status)) {
+                return res.status(409).json({ error: `Closed requests cannot book a demo slot (this one is '${request.status}')` });
+            }
+            const outcome = await demoBookings.book(request, req.body.slot_id);
+            if (outcome.slotNotFound) {
+                return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'slot_id', message: 'must reference an existing demo slot' }] });
+            }
+            if (outcome.slotMismatch) {
+                const message = outcome.slotMismatch === 'city' ? `must be a slot in ${request.city}` : `must be a slot for the ${request.product_name}`;
+                return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'slot_id', message }] });
+            }
+            if (outcome.slotStarted) {
+                return res.status(409).json({ error: 'This demo slot has already started' });
+            }
+            if (outcome.slotTaken) {
+                return res.status(409).json({ error: 'This demo slot is already booked' });
+            }
+            const { booking, slot, previousSlotId, created, unchanged } = outcome;
+            if (!unchanged) {
+                await recordAudit(auditLog, req, {
+                    action: created ? 'create' : 'update', resource: 'demo_bookings', resourceId: booking.id,
+                    before: created ? null : { slot_id: previousSlotId }, after: created ? booking : { slot_id: booking.slot_id },
+                });
+                await notify(previousSlotId === null ? 'booked' : 'rescheduled', booking, slot);
+            }
+            res.status(created ? 201 : 200).json({ ...booking, slot });
+        } catch (err) {
+            console.error('Error booking demo slot:', err.message);
+            if (err.code === '23505') {
+                return res.status(409).json({ error: 'This demo slot is already booked' });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route DELETE /api/requests/:requestId/demo-booking
+     * @desc Cancel the request's booking, freeing its slot
+     * @access Public with the request's token (token); sales, admin
+     */
+    router.delete('/', async (req, res) => {
+        try {
+            const { request, retryAfter } = await findRequest(req);
+            if (retryAfter) {
+                return tooManyLookups(res, retryAfter);
+            }
+            if (!request) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            const outcome = await demoBookings.cancel(request.id);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Demo booking not found' });
+            }
+            const slot = await demoSlots.findById(outcome.slotId);
+            await recordAudit(auditLog, req, {
+                action: 'update', resource: 'demo_bookings', resourceId: outcome.booking.id, before: { status: 'booked', slot_id: outcome.slotId }, after: { status: 'cancelled', slot_id: null },
+            });
+            if (slot) await notify('cancelled', outcome.booking, slot);
+            res.json({ ...outcome.booking, slot: null });
+        } catch (err) {
+            console.error('Error cancelling demo booking:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,56 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { hasRole } = require("../middleware/auth");
+const schemas = require("../lib/schemas");
+
+/**
+ * Demo availability slots per location and product, booked by demo requests through
+ * /api/requests/:id/demo-booking (routes/demoBookings.js).
+ * @route GET /api/demo-slots - list (paginated; filter by city/state/product_id/date range with from/to) - Public. The
+ *        public sees open slots only (not started, not booked); sales and admin users sending their token see every
+ *        slot and can also filter by rep_id and booked=true|false. product_id also matches slots open to any product.
+ * @route GET /api/demo-slots/:id - Public (booked or past slots: sales, admin)
+ * @route POST|PUT|PATCH|DELETE /api/demo-slots[/:id] - Private (sales, admin). Changing a booked slot sends the
+ *        customer and rep an updated calendar invite; deleting it cancels the booking.
+ */
+module.exports = ({ demoSlots, demoBookings, products, adminUsers, auditLog }, { notifications }) => {
+    const notify = async (change, booking, slot) =>
+        notifications.demoBookingChanged({ change, booking, slot, ...(await demoBookings.parties(booking.request_id, slot)) });
+
+    return mountCrudRoutes(express.Router(), {
+        repo: demoSlots,
+        auditLog,
+        resource: 'demo_slots',
+        schema: schemas.demoSlots,
+        writeRole: 'sales',
+        label: 'demo slot',
+        pluralLabel: 'demo slots',
+        notFound: 'Demo slot not found',
+        deleted: { key: 'deletedDemoSlot', message: 'Demo slot deleted successfully' },
+        readScope: (req) => ({ openOnly: !hasRole(req.user, 'sales') }),
+        checkReferences: async (fields, id) => {
+            const errors = [];
+            if (fields.product_id != null && !(await products.findById(fields.product_id))) {
+                errors.push({ field: 'product_id', message: 'must reference an existing product' });
+            }
+            if (fields.rep_id != null && !(await adminUsers.isActiveSalesUser(fields.rep_id))) {
+                errors.push({ field: 'rep_id', message: 'must be an active sales or admin user' });
+            }
+            // A PATCH may change one end of the slot only.
+            const current = id !== undefined && (fields.starts_at === undefined || fields.ends_at === undefined) ? await demoSlots.findById(id) : undefined;
+            const startsAt = fields.starts_at !== undefined ? fields.starts_at : current && current.starts_at;
+            const endsAt = fields.ends_at !== undefined ? fields.ends_at : current && current.ends_at;
+            if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+                errors.push({ field: 'ends_at', message: 'must be after starts_at' });
+            }
+            return errors;
+        },
+        onUpdated: async (slot) => {
+            const booking = await demoBookings.findBySlot(slot.id);
+            if (booking) await notify('updated', await demoBookings.touch(booking.id), slot);
+        },
+        onDeleted: async (slot) => {
+            if (slot.cancelled_booking) await notify('cancelled', slot.cancelled_booking, slot);
+        },
+    });
+};
@@ -0,0 +1,73 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+const { recordAudit } = require("../lib/audit");
+
+/**
+ * The email outbox, for checking and retrying deliveries (see lib/outbox.js).
+ */
+module.exports = ({ emailOutbox, auditLog }) => {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Email not found' })));
+
+    /**
+     * @route GET /api/admin/email-outbox
+     * @desc List queued, sent and failed emails (paginated; filter by status/template/date range)
+     * @access Private (admin)
+     */
+    router.get('/', authorize(), async (req, res) => {
+        try {
+            const result = await emailOutbox.list(req.query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching email outbox:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/admin/email-outbox/:id
+     * @access Private (admin)
+     */
+    router.get('/:id', authorize(), async (req, res) => {
+        try {
+            const email = await emailOutbox.findById(req.params.id);
+            if (!email) {
+                return res.status(404).json({ message: 'Email not found' });
+            }
+            res.json(email);
+        } catch (err) {
+            console.error('Error fetching email:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/admin/email-outbox/:id/retry
+     * @desc Queue a failed email again, with a fresh set of attempts
+     * @access Private (admin)
+     */
+    router.post('/:id/retry', authorize(), async (req, res) => {
+        try {
+            const before = await emailOutbox.findById(req.params.id);
+            if (!before) {
+                return res.status(404).json({ message: 'Email not found' });
+            }
+            const email = await emailOutbox.retry(req.params.id);
+            if (!email) {
+                const existing = await emailOutbox.findById(req.params.id);
+                return res.status(409).json({ error: `Only failed emails can be retried; this one is '${existing.status}'` });
+            }
+            await recordAudit(auditLog, req, { action: 'update', resource: 'email_outbox', resourceId: email.id, before, after: email });
+            res.json(email);
+        } catch (err) {
+            console.error('Error retrying email:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
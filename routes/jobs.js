@@ -0,0 +1,26 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { hasRole } = require("../middleware/auth");
+const schemas = require("../lib/schemas");
+
+/**
+ * Job postings. Applications are submitted to a posting through POST /api/apply.
+ * @route GET /api/jobs - list (paginated; filter by department/location/status) - Public. The public sees
+ *        open postings only; hr and admin users sending their token see closed ones too.
+ * @route GET /api/jobs/:id - Public (closed postings: hr, admin)
+ * @route POST|PUT|PATCH|DELETE /api/jobs[/:id] - Private (hr, admin). Close a posting with PATCH { status: 'closed' }.
+ */
+module.exports = ({ jobs, auditLog }) => mountCrudRoutes(express.Router(), {
+    repo: jobs,
+    auditLog,
+    resource: 'jobs',
+    schema: schemas.jobs,
+    writeRole: 'hr',
+    label: 'job',
+    pluralLabel: 'jobs',
+    notFound: 'Job not found',
+    deleted: { key: 'deletedJob', message: 'Job deleted successfully' },
+    // A PUT that omits the status leaves the posting open or closed as it was.
+    keepOnReplace: ['status'],
+    readScope: (req) => ({ openOnly: !hasRole(req.user, 'hr') }),
+});
@@ -0,0 +1,21 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const schemas = require("../lib/schemas");
+
+/**
+ * Media (press coverage links).
+ * @route GET /api/media - all entries - Public
+ * @route GET /api/media/:id - Public
+ * @route POST|PUT|PATCH|DELETE /api/media[/:id] - Private (editor, admin)
+ */
+module.exports = ({ media, auditLog }) => mountCrudRoutes(express.Router(), {
+    repo: media,
+    auditLog,
+    resource: 'media',
+    schema: schemas.media,
+    writeRole: 'editor',
+    label: 'media entry',
+    pluralLabel: 'media',
+    notFound: 'Media entry not found',
+    deleted: { key: 'deletedMedia', message: 'Media entry deleted successfully' },
+});
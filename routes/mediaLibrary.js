@@ -0,0 +1,177 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+const { etagFor, ifMatch, sendMissingOrConflict } = require("../middleware/concurrency");
+const { uploadSingle } = require("../middleware/upload");
+const { validateBody } = require("../lib/validation");
+const { processUpload, storageKeysFor } = require("../lib/media");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+// Storage keys of an asset's files: the original and every variant.
+const keysOf = (asset) => [asset.storage_key, ...Object.values(asset.variants || {}).map((variant) => variant.key)];
+
+/**
+ * Media library: uploaded images and documents, stored in the configured storage backend
+ * (lib/storage.js). Images get thumbnail/medium/large variants (lib/media.js). Reference an
+ * asset from blogs, products or awards by its url (or a variant's url).
+ * @route GET /api/media-library - list (paginated; filter by kind=image|document or mime_type) - Private (editor, admin)
+ * @route GET /api/media-library/:id - Private (editor, admin)
+ */
+module.exports = ({ mediaAssets, auditLog }, { storage }) => {
+    const router = express.Router();
+    const canManage = authorize('editor');
+
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Media item not found' })));
+
+    // Removes stored files; failures are only logged, as the database row is what matters.
+    const removeFiles = async (keys) => {
+        for (const key of keys) {
+            try {
+                await storage.remove(key);
+            } catch (err) {
+                console.error(`Error removing stored file ${key}:`, err.message);
+            }
+        }
+    };
+
+    router.get('/', canManage, async (req, res) => {
+        try {
+            const result = await mediaAssets.list(req.query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching media library:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    router.get('/:id', canManage, async (req, res) => {
+        try {
+            const asset = await mediaAssets.findById(req.params.id);
+            if (!asset) {
+                return res.status(404).json({ message: 'Media item not found' });
+            }
+            res.set('ETag', etagFor(asset)).json(asset);
+        } catch (err) {
+            console.error('Error fetching media item:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/media-library/:id/usage
+     * @desc Get the blogs, products and awards referencing the item (by its url or a variant's url, also inside blog content)
+     * @access Private (editor, admin)
+     */
+    router.get('/:id/usage', canManage, async (req, res) => {
+        try {
+            const asset = await mediaAssets.findById(req.params.id);
+            if (!asset) {
+                return res.status(404).json({ message: 'Media item not found' });
+            }
+            res.json(await mediaAssets.usage(asset));
+        } catch (err) {
+            console.error('Error fetching media usage:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/media-library
+     * @desc Upload a file as multipart/form-data: `file`, plus optional alt_text and caption.
+     *       Accepts JPEG, PNG, WebP, GIF and PDF (detected from the contents) up to MEDIA_MAX_UPLOAD_MB.
+     * @access Private (editor, admin)
+     */
+    router.post('/', canManage, uploadSingle('file'), validateBody(schemas.mediaAssets), async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: "A file is required in the 'file' field" });
+        }
+        const stored = [];
+        try {
+            const processed = await processUpload(req.file.buffer);
+            if (processed.error) {
+                return res.status(415).json({ error: processed.error });
+            }
+            const keys = storageKeysFor(processed.mime_type, processed.variants.map((variant) => variant.name));
+            await storage.put(keys.original, req.file.buffer, processed.mime_type);
+            stored.push(keys.original);
+            const variants = {};
+            for (const variant of processed.variants) {
+                const key = keys.variants[variant.name];
+                await storage.put(key, variant.body, processed.mime_type);
+                stored.push(key);
+                variants[variant.name] = { key, url: storage.urlFor(key), width: variant.width, height: variant.height, size_bytes: variant.body.length };
+            }
+            const asset = await mediaAssets.create({
+                ...req.body,
+                original_name: req.file.originalname.slice(0, 255),
+                mime_type: processed.mime_type,
+                size_bytes: req.file.size,
+                width: processed.width,
+                height: processed.height,
+                storage_key: keys.original,
+                url: storage.urlFor(keys.original),
+                variants,
+                uploaded_by: req.user.id,
+            });
+            await recordAudit(auditLog, req, { action: 'create', resource: 'media_library', resourceId: asset.id, after: asset });
+            res.status(201).set('ETag', etagFor(asset)).json(asset);
+        } catch (err) {
+            console.error('Error uploading media:', err.message);
+            await removeFiles(stored);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/media-library/:id
+     * @desc Update an item's alt_text and/or caption (JSON body). To change the file, upload a new item.
+     * @access Private (editor, admin)
+     */
+    router.patch('/:id', canManage, ifMatch, validateBody(schemas.mediaAssets, { partial: true }), async (req, res) => {
+        if (Object.keys(req.body).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        try {
+            const before = await mediaAssets.findById(req.params.id);
+            const asset = await mediaAssets.update(req.params.id, req.body, req.expectedVersion);
+            if (!asset) {
+                return sendMissingOrConflict(res, mediaAssets, req.params.id, 'Media item not found');
+            }
+            await recordAudit(auditLog, req, { action: 'update', resource: 'media_library', resourceId: asset.id, before, after: asset });
+            res.set('ETag', etagFor(asset)).json(asset);
+        } catch (err) {
+            console.error('Error updating media item:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route DELETE /api/media-library/:id
+     * @desc Delete an item and its stored files. Refused with 409 (and the usage) while any blog,
+     *       product or award references it, including inline in a blog post's content.
+     * @access Private (editor, admin)
+     */
+    router.delete('/:id', canManage, ifMatch, async (req, res) => {
+        try {
+            const outcome = await mediaAssets.removeUnused(req.params.id, req.expectedVersion);
+            if (outcome.notFound || outcome.conflict) {
+                return sendMissingOrConflict(res, mediaAssets, req.params.id, 'Media item not found');
+            }
+            if (outcome.usage) {
+                return res.status(409).json({ error: 'Media item is in use. Remove it from the content below first.', usage: outcome.usage });
+            }
+            const deleted = outcome.asset;
+            await recordAudit(auditLog, req, { action: 'delete', resource: 'media_library', resourceId: deleted.id, before: deleted });
+            await removeFiles(keysOf(deleted));
+            res.json({ message: 'Media item deleted successfully', deletedMedia: deleted });
+        } catch (err) {
+            console.error('Error deleting media item:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,290 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+const { validateBody } = require("../lib/validation");
+const { ORDER_STATUSES, PAYMENT_MILESTONES, allowedOrderTransitions, buildOrder, checkItems } = require("../lib/orders");
+const { financialYear } = require("../lib/quotes");
+const { zonedDate } = require("../lib/dates");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+const LOOKUP_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * What a customer sees of their order: no internal notes, people or VINs.
+ */
+const serializeForCustomer = (order, { items, payments, history }) => ({
+    order_number: order.order_number,
+    status: order.status,
+    created_at: order.created_at,
+    total_amount: order.total_amount,
+    items: items.map(({ product_name, quantity }) => ({ product_name, quantity })),
+    payments: payments.map(({ milestone, amount, paid_at }) => ({ milestone, amount, paid: paid_at !== null })),
+    timeline: history.map(({ to_status, created_at }) => ({ status: to_status, at: created_at })),
+});
+
+/**
+ * Orders for won requests and their fulfilment (see lib/orders.js).
+ * @route GET /api/orders - list (paginated; filter by status/request_id/order_number/customer_email/date range) - Private (sales, admin)
+ * @route GET /api/orders/:id - the order with its items, payments, vehicles and stage history - Private (sales, admin)
+ */
+module.exports = ({ orders, requests, quotes, products, auditLog }, { notifications, orderSettings, quoteSettings, rateLimitStore, timeZone }) => {
+    const router = express.Router();
+    const canManage = authorize('sales');
+
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Order not found' })));
+
+    const withDetails = async (order) => ({ ...order, ...(await orders.details(order.id)) });
+
+    /**
+     * @route POST /api/orders/lookup
+     * @desc Look up the status of an order by order_number and the email it was placed with. Answers 404 when
+     *       either does not match, and 429 after ORDER_LOOKUP_LIMIT lookups from one IP address in an hour.
+     * @access Public (No authentication required)
+     */
+    router.post('/lookup', async (req, res, next) => {
+        if (!orderSettings.lookupLimit) return next();
+        try {
+            const { count, resetAt } = await rateLimitStore.hit(`order_lookup:ip:${req.ip}`, LOOKUP_WINDOW_MS);
+            if (count > orderSettings.lookupLimit) {
+                return res.status(429).set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))))
+                    .json({ error: 'Too many lookups. Please try again later.' });
+            }
+            next();
+        } catch (err) {
+            console.error('Error checking the order lookup rate limit:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    }, validateBody(schemas.orderLookup), async (req, res) => {
+        try {
+            const order = await orders.findByNumberAndEmail(req.body.order_number, req.body.email);
+            if (!order) {
+                return res.status(404).json({ message: 'Order not found' });
+            }
+            res.json(serializeForCustomer(order, await orders.details(order.id)));
+        } catch (err) {
+            console.error('Error looking up order:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    router.get('/', canManage, async (req, res) => {
+        try {
+            const result = await orders.list(req.query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching orders:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    router.get('/:id', canManage, async (req, res) => {
+        try {
+            const order = await orders.findById(req.params.id);
+            if (!order) {
+                return res.status(404).json({ message: 'Order not found' });
+            }
+            res.json(await withDetails(order));
+        } catch (err) {
+            console.error('Error fetching order:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/orders
+     * @desc Create the order of a won request: request_id, and either quote_id (one of the request's quotes,
+     *       its latest revision, not expired) or items ([{ product_id, quantity, unit_price? }], priced at the products'
+     *       current prices unless unit_price is given, plus GST at gst_rate (default: QUOTE_GST_RATE) for
+     *       place_of_supply (default: the request's state)). Optional: advance_amount (default: ORDER_ADVANCE_PERCENT
+     *       of the total), notes. A request has at most one order. The customer is emailed the order number.
+     * @access Private (sales, admin)
+     */
+    router.post('/', canManage, validateBody(schemas.orders), async (req, res) => {
+        const { request_id, quote_id } = req.body;
+        const items = req.body.items ? checkItems(req.body.items).items : null;
+        if (quote_id && items) {
+            return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'items', message: 'cannot be combined with quote_id' }] });
+        }
+        if (!quote_id && !items) {
+            return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'items', message: 'is required unless quote_id is given' }] });
+        }
+        try {
+            const request = await requests.findById(request_id);
+            if (!request) {
+                return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'request_id', message: 'must reference an existing request' }] });
+            }
+            if (request.status !== 'won') {
+                return res.status(409).json({ error: `Orders can only be created for won requests (this one is '${request.status}')` });
+            }
+            if (await orders.findByRequest(request.id)) {
+                return res.status(409).json({ error: 'This request already has an order' });
+            }
+            const sources = { request };
+            if (quote_id) {
+                sources.quote = await quotes.findForRequest(request.id, quote_id);
+                if (!sources.quote) {
+                    return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'quote_id', message: 'must reference a quote of the request' }] });
+                }
+                if (sources.quote.superseded_at !== null) {
+                    return res.status(409).json({ error: 'Only the latest revision of a quote can be ordered' });
+                }
+                if (new Date(sources.quote.expires_at) <= new Date()) {
+                    return res.status(409).json({ error: 'This quote has expired; issue a revision' });
+                }
+            } else {
+                const found = await Promise.all([...new Set(items.map((item) => item.product_id))].map((id) => products.findById(id)));
+                sources.products = new Map(found.filter(Boolean).map((product) => [product.id, product]));
+            }
+            const { errors, order: fields, items: lines, payments } = buildOrder({ ...req.body, items }, sources, orderSettings, quoteSettings);
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'Validation failed', errors });
+            }
+            const order = await orders.create(financialYear(zonedDate(new Date(), timeZone)), {
+                ...fields,
+                request_id: request.id,
+                quote_id: quote_id || null,
+                customer_name: request.full_name,
+                customer_email: request.email,
+                created_by: req.user.id,
+            }, lines, payments);
+            await recordAudit(auditLog, req, { action: 'create', resource: 'orders', resourceId: order.id, after: order });
+            await notifications.orderStatusChanged(order);
+            res.status(201).json(await withDetails(order));
+        } catch (err) {
+            console.error('Error creating order:', err.message);
+            if (err.code === '23505') {
+                return res.status(409).json({ error: 'This request already has an order' });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/orders/:id/status
+     * @desc Move an order to its next stage, with an optional note. Only transitions in ORDER_TRANSITIONS are
+     *       allowed; manufacturing needs the advance paid, dispatch the balance paid and a VIN for every vehicle.
+     *       The customer is emailed about the new stage.
+     * @access Private (sales, admin)
+     */
+    router.patch('/:id/status', canManage, async (req, res) => {
+        const { status, note } = req.body || {};
+        if (!ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}` });
+        }
+        try {
+            const outcome = await orders.transitionStatus(req.params.id, status, req.user.id, note);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Order not found' });
+            }
+            if (outcome.invalidFrom !== undefined) {
+                return res.status(409).json({
+                    error: `Cannot move order from '${outcome.invalidFrom}' to '${status}'`,
+                    allowed: allowedOrderTransitions(outcome.invalidFrom),
+                });
+            }
+            if (outcome.unmet) {
+                return res.status(409).json({ error: `The order cannot be moved to '${status}' yet`, unmet: outcome.unmet });
+            }
+            await recordAudit(auditLog, req, {
+                action: 'update', resource: 'orders', resourceId: outcome.order.id, before: { status: outcome.fromStatus }, after: { status },
+            });
+            await notifications.orderStatusChanged(outcome.order);
+            res.json(await withDetails(outcome.order));
+        } catch (err) {
+            console.error('Error updating order status:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/orders/:id/payments/:milestone
+     * @desc Record a payment milestone (advance or balance) as paid: method, optional reference and paid_at (default: now)
+     * @access Private (sales, admin)
+     */
+    router.patch('/:id/payments/:milestone', canManage, validateBody(schemas.orderPayments), async (req, res) => {
+        if (!PAYMENT_MILESTONES.includes(req.params.milestone)) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+        try {
+            const outcome = await orders.recordPayment(req.params.id, req.params.milestone, req.body, req.user.id);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Payment not found' });
+            }
+            if (outcome.cancelled) {
+                return res.status(409).json({ error: 'The order has been cancelled' });
+            }
+            if (outcome.alreadyPaid) {
+                return res.status(409).json({ error: `The ${req.params.milestone} has already been paid` });
+            }
+            await recordAudit(auditLog, req, {
+                action: 'update', resource: 'order_payments', resourceId: outcome.payment.id, before: { paid_at: null }, after: outcome.payment,
+            });
+            res.json(outcome.payment);
+        } catch (err) {
+            console.error('Error recording order payment:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/orders/:id/vehicles
+     * @desc Assign a vehicle to a line of the order: order_item_id, vin and an optional serial_number (e.g. of
+     *       the battery pack). A line takes as many vehicles as its quantity. Until the order is dispatched.
+     * @access Private (sales, admin)
+     */
+    router.post('/:id/vehicles', canManage, validateBody(schemas.orderVehicles), async (req, res) => {
+        try {
+            const outcome = await orders.assignVehicle(req.params.id, { ...req.body, vin: req.body.vin.toUpperCase() }, req.user.id);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Order not found' });
+            }
+            if (outcome.locked) {
+                return res.status(409).json({ error: `Vehicles cannot be changed once an order is ${outcome.locked}` });
+            }
+            if (outcome.unknownItem) {
+                return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'order_item_id', message: 'must reference an item of the order' }] });
+            }
+            if (outcome.itemFull) {
+                return res.status(409).json({ error: 'Every vehicle of this item has been assigned' });
+            }
+            await recordAudit(auditLog, req, { action: 'create', resource: 'order_vehicles', resourceId: outcome.vehicle.id, after: outcome.vehicle });
+            res.status(201).json(outcome.vehicle);
+        } catch (err) {
+            console.error('Error assigning order vehicle:', err.message);
+            if (err.code === '23505') {
+                return res.status(409).json({ error: 'This VIN is already assigned' });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route DELETE /api/orders/:id/vehicles/:vehicleId
+     * @desc Unassign a vehicle, e.g. to correct its VIN. Until the order is dispatched.
+     * @access Private (sales, admin)
+     */
+    router.delete('/:id/vehicles/:vehicleId', canManage, async (req, res) => {
+        if (!/^\d+$/.test(req.params.vehicleId)) {
+            return res.status(404).json({ message: 'Vehicle not found' });
+        }
+        try {
+            const outcome = await orders.removeVehicle(req.params.id, req.params.vehicleId);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Vehicle not found' });
+            }
+            if (outcome.locked) {
+                return res.status(409).json({ error: `Vehicles cannot be changed once an order is ${outcome.locked}` });
+            }
+            await recordAudit(auditLog, req, { action: 'delete', resource: 'order_vehicles', resourceId: outcome.vehicle.id, before: outcome.vehicle });
+            res.json({ message: 'Vehicle unassigned successfully', deletedVehicle: outcome.vehicle });
+        } catch (err) {
+            console.error('Error unassigning order vehicle:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,192 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { authorize } = require("../middleware/auth");
+const { etagFor, ifMatch, sendMissingOrConflict } = require("../middleware/concurrency");
+const { toValueColumns } = require("../lib/specs");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+const MAX_COMPARE_PRODUCTS = 5;
+
+/**
+ * Aligns the spec values of `products` into rows per spec, grouped by spec group.
+ * Each row's `values` has one entry per product, in the same order (null where a product has no value).
+ */
+const comparisonMatrix = (products, specs) => {
+    const column = new Map(products.map((product, i) => [product.id, i]));
+    const groups = new Map();
+    for (const spec of specs) {
+        if (!groups.has(spec.group)) {
+            groups.set(spec.group, { group: spec.group, specs: new Map() });
+        }
+        const rows = groups.get(spec.group).specs;
+        if (!rows.has(spec.key)) {
+            const { key, label, unit, data_type } = spec;
+            rows.set(spec.key, { key, label, unit, data_type, values: products.map(() => null) });
+        }
+        rows.get(spec.key).values[column.get(spec.product_id)] = spec.value;
+    }
+    return [...groups.values()].map(({ group, specs: rows }) => ({ group, specs: [...rows.values()] }));
+};
+
+// Spec values of a single product, without the product_id.
+const specsOf = (specs) => specs.map(({ product_id, ...spec }) => spec);
+
+/**
+ * Products.
+ * @route GET /api/products - list (paginated; filter by category_id/price range/?spec=range_km:gte:80, search with ?q=) - Public
+ * @route GET /api/products/:id - Public. ?expand=related adds related_products (summaries, in related_products_ids order),
+ *        ?expand=specs adds the typed spec values, ?expand=featured_in the published blog posts linking to the product.
+ * @route /api/products/:id/tco[-params] - TCO calculator, see ./tco
+ * @route POST|PUT|PATCH|DELETE /api/products[/:id] - Private (editor, admin). Deleting a product removes it from other products' related_products_ids
+ *        and from blog posts' and dealers' product_ids.
+ */
+module.exports = (repos, { webhooks, spamGuard }) => {
+    const { products, categories, specDefinitions, blogs, auditLog } = repos;
+    const router = express.Router();
+
+    router.use(require("./tco")(repos, { spamGuard }));
+
+    /**
+     * @route GET /api/products/compare?ids=1,2,3
+     * @desc Compare up to MAX_COMPARE_PRODUCTS products side by side: their summaries plus a matrix of
+     *       spec values per group, each row aligned with the order of `ids`
+     * @access Public
+     */
+    router.get('/compare', async (req, res) => {
+        const ids = String(req.query.ids || '').split(',').filter(Boolean).map(Number);
+        if (ids.length < 2 || ids.length > MAX_COMPARE_PRODUCTS || !ids.every((id) => Number.isInteger(id) && id > 0)) {
+            return res.status(400).json({ error: `ids must be 2 to ${MAX_COMPARE_PRODUCTS} comma-separated product ids` });
+        }
+        if (new Set(ids).size !== ids.length) {
+            return res.status(400).json({ error: 'ids must not contain duplicates' });
+        }
+        try {
+            const summaries = await products.findSummaries(ids);
+            if (summaries.length !== ids.length) {
+                const found = new Set(summaries.map((product) => product.id));
+                return res.status(404).json({ message: 'Product not found', missing: ids.filter((id) => !found.has(id)) });
+            }
+            res.json({ products: summaries, groups: comparisonMatrix(summaries, await products.findSpecs(ids)) });
+        } catch (err) {
+            console.error('Error comparing products:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/products/by-category/:slug
+     * @desc Get the products of a category (paginated, same query parameters as GET /api/products)
+     * @access Public
+     */
+    router.get('/by-category/:slug', async (req, res) => {
+        try {
+            const category = await categories.findBySlug(req.params.slug);
+            if (!category) {
+                return res.status(404).json({ message: 'Category not found' });
+            }
+            const result = await products.list({ ...req.query, category_id: String(category.id) });
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json({ category, data: result.data, pagination: result.pagination });
+        } catch (err) {
+            console.error('Error fetching products by category:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/products/:id/specs
+     * @desc Get the typed spec values of a product, in display order
+     * @access Public
+     */
+    router.get('/:id/specs', async (req, res) => {
+        try {
+            const product = await products.findById(req.params.id);
+            if (!product) {
+                return res.status(404).json({ message: 'Product not found' });
+            }
+            res.set('ETag', etagFor(product)).json(specsOf(await products.findSpecs([product.id])));
+        } catch (err) {
+            console.error('Error fetching product specs:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PUT /api/products/:id/specs
+     * @desc Replace every spec value of a product. Body: { specs: { <key>: <value>, ... } }; null values are skipped.
+     *       Bumps the product's version, so the product ETag is used for If-Match.
+     * @access Private (editor, admin)
+     */
+    router.put('/:id/specs', authorize('editor'), ifMatch, async (req, res) => {
+        const { specs } = req.body || {};
+        if (!specs || typeof specs !== 'object' || Array.isArray(specs)) {
+            return res.status(400).json({ error: 'specs must be an object of spec key -> value' });
+        }
+        const entries = Object.entries(specs).filter(([, value]) => value !== null);
+        try {
+            const definitions = new Map((await specDefinitions.findByKeys(entries.map(([key]) => key))).map((definition) => [definition.key, definition]));
+            const errors = [];
+            const values = [];
+            for (const [key, value] of entries) {
+                const definition = definitions.get(key);
+                const checked = definition ? toValueColumns(definition, value) : { error: 'is not a known spec key' };
+                if (checked.error) {
+                    errors.push({ field: `specs.${key}`, message: checked.error });
+                } else {
+                    values.push({ spec_id: definition.id, columns: checked.columns });
+                }
+            }
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'Validation failed', errors });
+            }
+            const before = specsOf(await products.findSpecs([req.params.id]));
+            const product = await products.replaceSpecs(req.params.id, values, req.expectedVersion);
+            if (!product) {
+                return sendMissingOrConflict(res, products, req.params.id, 'Product not found');
+            }
+            const after = specsOf(await products.findSpecs([product.id]));
+            await recordAudit(auditLog, req, { action: 'update', resource: 'products', resourceId: product.id, before: { specs: before }, after: { specs: after } });
+            await webhooks.emit('product.updated', product);
+            res.set('ETag', etagFor(product)).json(after);
+        } catch (err) {
+            console.error('Error updating product specs:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return mountCrudRoutes(router, {
+        repo: products,
+        auditLog,
+        resource: 'products',
+        schema: schemas.products,
+        writeRole: 'editor',
+        label: 'product',
+        pluralLabel: 'products',
+        notFound: 'Product not found',
+        deleted: { key: 'deletedProduct', message: 'Product deleted successfully' },
+        onUpdated: (row) => webhooks.emit('product.updated', row),
+        expand: {
+            related: async (row) => ({ related_products: await products.findSummaries(row.related_products_ids) }),
+            specs: async (row) => ({ specs: specsOf(await products.findSpecs([row.id])) }),
+            featured_in: async (row) => ({ featured_in: await blogs.featuringProduct(row.id) }),
+        },
+        checkReferences: async (fields, id) => {
+            const errors = [];
+            if (fields.category_id != null && !(await categories.exists(fields.category_id))) {
+                errors.push({ field: 'category_id', message: 'must reference an existing category' });
+            }
+            const related = fields.related_products_ids || [];
+            if (id !== undefined && related.includes(Number(id))) {
+                errors.push({ field: 'related_products_ids', message: 'cannot include the product itself' });
+            }
+            const missing = await products.missingIds(related);
+            if (missing.length > 0) {
+                errors.push({ field: 'related_products_ids', message: `references unknown products: ${missing.join(', ')}` });
+            }
+            return errors;
+        },
+    });
+};
@@ -0,0 +1,21 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const schemas = require("../lib/schemas");
+
+/**
+ * Q&A entries.
+ * @route GET /api/qna - all entries - Public
+ * @route GET /api/qna/:id - Public
+ * @route POST|PUT|PATCH|DELETE /api/qna[/:id] - Private (editor, admin)
+ */
+module.exports = ({ qna, auditLog }) => mountCrudRoutes(express.Router(), {
+    repo: qna,
+    auditLog,
+    resource: 'qna',
+    schema: schemas.qna,
+    writeRole: 'editor',
+    label: 'Q&A entry',
+    pluralLabel: 'Q&A',
+    notFound: 'Q&A entry not found',
+    deleted: { key: 'deletedQna', message: 'Q&A entry deleted successfully' },
+});
@@ -0,0 +1,173 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+const { validateBody } = require("../lib/validation");
+const { buildQuote, financialYear, renderQuotePdf } = require("../lib/quotes");
+const { zonedDate } = require("../lib/dates");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+/**
+ * Quotations for order requests (see lib/quotes.js), mounted at /api/requests/:requestId/quotes.
+ * A quote prices the request's product (product_name, matched against /api/products) at its current
+ * price, for the request's quantity, with GST for the place of supply (default: the request's state).
+ * Quotes are not edited: POST /:quoteId/revisions creates the next revision under the same number.
+ */
+module.exports = ({ requests, products, quotes, auditLog }, { timeZone, quoteSettings }) => {
+    const router = express.Router({ mergeParams: true });
+
+    router.use((req, res, next) => (/^\d+$/.test(req.params.requestId) ? next() : res.status(404).json({ message: 'Request not found' })));
+    router.param('quoteId', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Quote not found' })));
+
+    // valid_until is the last day the quote is valid, in the reporting time zone.
+    const serializeQuote = (row) => ({
+        ...row,
+        valid_until: zonedDate(new Date(new Date(row.expires_at).getTime() - 1), timeZone),
+        expired: new Date(row.expires_at) <= new Date(),
+    });
+
+    const context = () => ({ settings: quoteSettings, timeZone, today: zonedDate(new Date(), timeZone) });
+
+    const audit = (req, quote) => recordAudit(auditLog, req, { action: 'create', resource: 'quotes', resourceId: quote.id, after: serializeQuote(quote) });
+
+    /**
+     * @route GET /api/requests/:requestId/quotes
+     * @desc List a request's quotes, every revision included (superseded_at is set on revised ones)
+     * @access Private (sales, admin)
+     */
+    router.get('/', authorize('sales'), async (req, res) => {
+        try {
+            if (!(await requests.exists(req.params.requestId))) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            res.json((await quotes.listForRequest(req.params.requestId)).map(serializeQuote));
+        } catch (err) {
+            console.error('Error fetching quotes:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/requests/:requestId/quotes
+     * @desc Build a quote for an order request. Optional: product_id (default: the product named by the
+     *       request), quantity (default: the request's), discount_percent or discount_amount, gst_rate
+     *       (default: QUOTE_GST_RATE), place_of_supply (default: the request's state), valid_until, notes.
+     * @access Private (sales, admin)
+     */
+    router.post('/', authorize('sales'), validateBody(schemas.quotes), async (req, res) => {
+        try {
+            const request = await requests.findById(req.params.requestId);
+            if (!request) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            if (request.request_type !== 'order') {
+                return res.status(409).json({ error: 'Quotes can only be built for order requests' });
+            }
+            const { product_id } = req.body;
+            const product = product_id ? await products.findById(product_id) : request.product_name ? await products.findByName(request.product_name) : undefined;
+            if (!product) {
+                const message = product_id ? 'references an unknown product' : "is required (no product matches the request's product_name)";
+                return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'product_id', message }] });
+            }
+            const defaults = { quantity: request.quantity, gst_rate: quoteSettings.gstRate, place_of_supply: request.state };
+            const quoteContext = context();
+            const { errors, quote: fields } = buildQuote(req.body, defaults, product, quoteContext);
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'Validation failed', errors });
+            }
+            const quote = await quotes.create(request.id, financialYear(quoteContext.today), fields, req.user.id);
+            await audit(req, quote);
+            res.status(201).json(serializeQuote(quote));
+        } catch (err) {
+            console.error('Error creating quote:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/requests/:requestId/quotes/:quoteId
+     * @access Private (sales, admin)
+     */
+    router.get('/:quoteId', authorize('sales'), async (req, res) => {
+        try {
+            const quote = await quotes.findForRequest(req.params.requestId, req.params.quoteId);
+            if (!quote) {
+                return res.status(404).json({ message: 'Quote not found' });
+            }
+            res.json(serializeQuote(quote));
+        } catch (err) {
+            console.error('Error fetching quote:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/requests/:requestId/quotes/:quoteId/revisions
+     * @desc Revise the latest revision of a quote. Takes the same fields as creating a quote; omitted ones
+     *       are kept from the revised quote, except the price (the product's current price) and valid_until.
+     * @access Private (sales, admin)
+     */
+    router.post('/:quoteId/revisions', authorize('sales'), validateBody(schemas.quotes), async (req, res) => {
+        try {
+            const previous = await quotes.findForRequest(req.params.requestId, req.params.quoteId);
+            if (!previous) {
+                return res.status(404).json({ message: 'Quote not found' });
+            }
+            const { product_id } = req.body;
+            const productId = product_id || previous.product_id;
+            let product = productId ? await products.findById(productId) : undefined;
+            if (product_id && !product) {
+                return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'product_id', message: 'references an unknown product' }] });
+            }
+            if (!product) {
+                // The quoted product has been deleted since: keep its quoted name and price.
+                product = { id: null, name: previous.product_name, price: previous.unit_price };
+            }
+            const defaults = {
+                quantity: previous.quantity,
+                discount_percent: previous.discount_percent,
+                discount_amount: previous.discount_percent === null ? previous.discount_amount : null,
+                gst_rate: previous.gst_rate,
+                place_of_supply: previous.place_of_supply,
+                notes: previous.notes,
+            };
+            const { errors, quote: fields } = buildQuote(req.body, defaults, product, context());
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'Validation failed', errors });
+            }
+            const outcome = await quotes.revise(previous, fields, req.user.id);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Quote not found' });
+            }
+            if (outcome.superseded) {
+                return res.status(409).json({ error: 'Only the latest revision of a quote can be revised' });
+            }
+            await audit(req, outcome.quote);
+            res.status(201).json(serializeQuote(outcome.quote));
+        } catch (err) {
+            console.error('Error revising quote:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/requests/:requestId/quotes/:quoteId/pdf
+     * @desc Download a quote as PDF
+     * @access Private (sales, admin)
+     */
+    router.get('/:quoteId/pdf', authorize('sales'), async (req, res) => {
+        try {
+            const quote = await quotes.findForRequest(req.params.requestId, req.params.quoteId);
+            if (!quote) {
+                return res.status(404).json({ message: 'Quote not found' });
+            }
+            const request = await requests.findById(quote.request_id);
+            const name = quote.revision > 1 ? `${quote.quote_number}-R${quote.revision}` : quote.quote_number;
+            res.type('application/pdf').attachment(`${name}.pdf`).send(renderQuotePdf(serializeQuote(quote), request, quoteSettings, timeZone));
+        } catch (err) {
+            console.error('Error rendering quote PDF:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
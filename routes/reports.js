@@ -0,0 +1,176 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+const { APPLICATION_STAGES } = require("../lib/applicationStages");
+const { LEAD_GROUPS, parseReportRange, countsByPeriod, conversionRates } = require("../lib/reports");
+const { toCsv } = require("../lib/csv");
+
+const FORMATS = ['json', 'csv'];
+
+// Parses the query every report takes (see lib/reports.js) into req.report: from/to (dates, both
+// included; default: the last 30 days), interval (day, week or month; default: day) and format (json or csv).
+const parseReport = (timeZone) => (req, res, next) => {
+    const format = req.query.format === undefined ? 'json' : req.query.format;
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Invalid format. Must be one of: ${FORMATS.join(', ')}` });
+    }
+    const range = parseReportRange(req.query, timeZone);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    req.report = { ...range, format };
+    next();
+};
+
+const sendCsv = (res, name, { from, to }, columns, rows) =>
+    res.type('text/csv').attachment(`${name}_${from}_${to}.csv`).send(toCsv(columns, rows));
+
+/**
+ * Reports for the admin dashboard. Every report takes ?from=&to= (YYYY-MM-DD, both included, in the
+ * reporting time zone; default: the last 30 days) and ?format=csv to download it as CSV instead of JSON.
+ * The time series also take ?interval=day|week|month.
+ */
+module.exports = ({ reports }, { timeZone }) => {
+    const router = express.Router();
+    const report = parseReport(timeZone);
+
+    /**
+     * @route GET /api/admin/reports/leads?group_by=
+     * @desc Demo/order requests per period, optionally split by group_by (request_type, product_name,
+     *       country, state, city or status), most common group first. CSV: one row per period, one column per group.
+     * @access Private (sales, admin)
+     */
+    router.get('/leads', authorize('sales'), report, async (req, res) => {
+        const groupBy = req.query.group_by;
+        if (groupBy !== undefined && !LEAD_GROUPS.includes(groupBy)) {
+            return res.status(400).json({ error: `Invalid group_by. Must be one of: ${LEAD_GROUPS.join(', ')}` });
+        }
+        try {
+            const { from, to, interval, format } = req.report;
+            const rows = await reports.leadsPerDay(req.report, timeZone, groupBy);
+            const groupTotals = new Map();
+            rows.forEach(({ key, count }) => groupTotals.set(key, (groupTotals.get(key) || 0) + count));
+            const groups = [...groupTotals].map(([group, count]) => ({ group, count }))
+                .sort((a, b) => b.count - a.count || a.group.localeCompare(b.group));
+            const periods = countsByPeriod(rows, req.report, timeZone, groups.map(({ group }) => group));
+
+            if (format === 'csv') {
+                const groupColumns = groupBy ? groups.map(({ group }) => group) : [];
+                return sendCsv(res, 'leads', req.report, ['period', 'total', ...groupColumns],
+                    periods.map(({ period, total, counts }) => ({ ...(groupBy ? counts : {}), period, total })));
+            }
+            res.json({
+                from, to, interval, time_zone: timeZone, group_by: groupBy || null,
+                total: periods.reduce((sum, { total }) => sum + total, 0),
+                ...(groupBy ? { groups } : {}),
+                periods: periods.map(({ period, total, counts }) => (groupBy ? { period, total, groups: counts } : { period, total })),
+            });
+        } catch (err) {
+            console.error('Error fetching leads report:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/admin/reports/leads/conversion?request_type=&product_name=
+     * @desc Conversion between pipeline stages for the requests submitted in the range: how many reached
+     *       each stage, the rate of each step (e.g. quoted -> won) and the overall win and loss rates.
+     *       Rates are fractions (0.25 = 25%). CSV: one row per step.
+     * @access Private (sales, admin)
+     */
+    router.get('/leads/conversion', authorize('sales'), report, async (req, res) => {
+        const { request_type, product_name } = req.query;
+        try {
+            const { from, to, format } = req.report;
+            const conversion = conversionRates(await reports.leadStages(req.report, { request_type, product_name }));
+            if (format === 'csv') {
+                return sendCsv(res, 'lead-conversion', req.report, ['from_stage', 'to_stage', 'from_count', 'to_count', 'rate'], conversion.steps);
+            }
+            res.json({ from, to, time_zone: timeZone, request_type: request_type || null, product_name: product_name || null, ...conversion });
+        } catch (err) {
+            console.error('Error fetching conversion report:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/admin/reports/leads/orders
+     * @desc Order requests and total quantity ordered per product, overall and for won orders
+     * @access Private (sales, admin)
+     */
+    router.get('/leads/orders', authorize('sales'), report, async (req, res) => {
+        try {
+            const { from, to, format } = req.report;
+            const products = await reports.ordersPerProduct(req.report);
+            if (format === 'csv') {
+                return sendCsv(res, 'orders', req.report, ['product_name', 'orders', 'quantity', 'won_orders', 'won_quantity'], products);
+            }
+            res.json({
+                from, to, time_zone: timeZone,
+                total_orders: products.reduce((sum, product) => sum + product.orders, 0),
+                total_quantity: products.reduce((sum, product) => sum + product.quantity, 0),
+                products,
+            });
+        } catch (err) {
+            console.error('Error fetching orders report:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/admin/reports/subscribers
+     * @desc Newsletter growth per period: sign-ups, confirmations, unsubscribes and net growth (confirmed
+     *       minus unsubscribed), plus the current number of active and pending subscribers
+     * @access Private (editor, admin)
+     */
+    router.get('/subscribers', authorize('editor'), report, async (req, res) => {
+        try {
+            const { from, to, interval, format } = req.report;
+            const keys = ['subscribed', 'confirmed', 'unsubscribed'];
+            const periods = countsByPeriod(await reports.subscribersPerDay(req.report, timeZone), req.report, timeZone, keys)
+                .map(({ period, counts }) => ({ period, ...counts, net: counts.confirmed - counts.unsubscribed }));
+            if (format === 'csv') {
+                return sendCsv(res, 'subscribers', req.report, ['period', ...keys, 'net'], periods);
+            }
+            const totals = Object.fromEntries([...keys, 'net'].map((key) => [key, periods.reduce((sum, period) => sum + period[key], 0)]));
+            res.json({ from, to, interval, time_zone: timeZone, totals, current: await reports.subscriberTotals(), periods });
+        } catch (err) {
+            console.error('Error fetching subscribers report:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/admin/reports/applications
+     * @desc Job applications per position, with their current hiring stages; most applications first
+     * @access Private (hr, admin)
+     */
+    router.get('/applications', authorize('hr'), report, async (req, res) => {
+        try {
+            const { from, to, format } = req.report;
+            const emptyStages = () => Object.fromEntries(APPLICATION_STAGES.map((stage) => [stage, 0]));
+            const stages = emptyStages();
+            const positions = new Map();
+            for (const { job_id, position, stage, count } of await reports.applicationsPerPosition(req.report)) {
+                const key = `${job_id}:${position}`;
+                if (!positions.has(key)) {
+                    positions.set(key, { job_id, position, total: 0, stages: emptyStages() });
+                }
+                const entry = positions.get(key);
+                entry.stages[stage] += count;
+                entry.total += count;
+                stages[stage] += count;
+            }
+            const rows = [...positions.values()].sort((a, b) => b.total - a.total || a.position.localeCompare(b.position));
+            if (format === 'csv') {
+                return sendCsv(res, 'applications', req.report, ['position', 'job_id', 'total', ...APPLICATION_STAGES],
+                    rows.map(({ stages: counts, ...row }) => ({ ...row, ...counts })));
+            }
+            res.json({ from, to, time_zone: timeZone, total: rows.reduce((sum, row) => sum + row.total, 0), stages, positions: rows });
+        } catch (err) {
+            console.error('Error fetching applications report:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
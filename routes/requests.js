@@ -0,0 +1,287 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { authorize } = require("../middleware/auth");
+const { PIPELINE_STAGES, allowedTransitions } = require("../lib/pipeline");
+const { recordAudit } = require("../lib/audit");
+const { REQUEST_SERVICES, rankByDistance } = require("../lib/dealers");
+const schemas = require("../lib/schemas");
+const pii = require("../lib/pii");
+
+/**
+ * Shapes a requests row for API responses: Aadhaar/PAN are replaced by their masked form
+ * and the ciphertext never leaves the server. Use POST /api/requests/:id/pii/reveal to see them.
+ */
+const serializeRequest = (row) => {
+    const { aadhar_last4, pan_last4, ...rest } = row;
+    return { ...rest, aadhar_number: pii.maskAadhaar(aadhar_last4), pan_number: pii.maskPan(pan_last4) };
+};
+
+/**
+ * Demo and order requests, and the sales pipeline built on them.
+ * @route POST /api/requests - submit a demo/order request - Public (No authentication required). Spam-protected
+ *        (middleware/spamGuard.js); the same email, type and product again within the duplicate window is refused with 409.
+ *        A new request is assigned to the nearest dealer offering its service (see lib/dealers.js), as dealer_id.
+ * @route GET /api/requests - list (paginated; filter by request_type/status/product_name/assigned_to/dealer_id/follow_up_before/date range) - Private (sales, admin)
+ * @route GET|PUT|PATCH|DELETE /api/requests/:id - Private (sales, admin). Status is changed via PATCH /:id/status.
+ *        ?expand=tco adds the attached TCO calculation (tco_calculation_id, saved via POST /api/products/:id/tco);
+ *        ?expand=dealer adds the assigned dealer.
+ * @route /api/requests/:id/quotes - quotations for order requests, see routes/quotes.js
+ * @route /api/requests/:id/demo-booking - booking demo requests into demo slots, see routes/demoBookings.js
+ *        Won requests are fulfilled as orders, see routes/orders.js.
+ */
+module.exports = ({ requests, adminUsers, tco, dealers, products, auditLog }, { notifications, webhooks, spamGuard, pincodes, dealerSettings }) => {
+    const router = express.Router();
+
+    /**
+     * Assigns a new request to the nearest active dealer within DEALER_ASSIGN_RADIUS_KM of its PIN code that offers
+     * the request's service and stocks its product (any dealer offering the service when product_name matches no
+     * product). Requests without a PIN code found in the directory, or without such a dealer, stay unassigned.
+     * A failure is logged and leaves the request unassigned.
+     * @returns {Promise<object>} the request, as updated
+     */
+    const assignNearestDealer = async (request) => {
+        try {
+            const service = REQUEST_SERVICES[request.request_type];
+            const origin = service && request.pincode ? pincodes.lookup(request.pincode) : undefined;
+            if (!origin) return request;
+            const product = request.product_name ? await products.findByName(request.product_name) : undefined;
+            const options = { service, productId: product ? product.id : null, radiusKm: dealerSettings.assignRadiusKm };
+            const [dealer] = rankByDistance(await dealers.candidates(origin, options), origin, { ...options, limit: 1 });
+            if (!dealer) return request;
+            return await requests.assignDealer(request.id, dealer.id, null, `Assigned to dealer ${dealer.name} (${dealer.distance_km} km away)`);
+        } catch (err) {
+            console.error('Error assigning dealer:', err.message);
+            return request;
+        }
+    };
+
+    // Records an update made by one of the pipeline routes below.
+    const audit = (req, before, after) =>
+        recordAudit(auditLog, req, { action: 'update', resource: 'requests', resourceId: after.id, before: before && serializeRequest(before), after: serializeRequest(after) });
+
+    /**
+     * @route GET /api/requests/pipeline
+     * @desc Get the sales pipeline summary: request counts per stage, overall and per product_name
+     * @access Private (sales, admin)
+     */
+    router.get('/pipeline', authorize('sales'), async (req, res) => {
+        try {
+            res.json(await requests.pipelineSummary());
+        } catch (err) {
+            console.error('Error fetching pipeline summary:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/requests/:id/pii/reveal
+     * @desc Reveal the decrypted Aadhaar/PAN numbers of a request. Every call is recorded in pii_access_log.
+     * @access Private (sales, admin)
+     */
+    router.post('/:id/pii/reveal', authorize('sales'), async (req, res) => {
+        const { reason } = req.body || {};
+        if (!reason) {
+            return res.status(400).json({ error: "Missing required field: reason" });
+        }
+        try {
+            const revealed = await requests.revealPii(req.params.id, req.user.id, reason, req.ip);
+            if (!revealed) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            res.json(revealed);
+        } catch (err) {
+            console.error('Error revealing request PII:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/requests/:id/status
+     * @desc Move a request to another pipeline stage. Only transitions in PIPELINE_TRANSITIONS are allowed.
+     *       The customer is emailed about the new stage.
+     * @access Private (sales, admin)
+     */
+    router.patch('/:id/status', authorize('sales'), async (req, res) => {
+        const { status, note } = req.body || {};
+        if (!PIPELINE_STAGES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${PIPELINE_STAGES.join(', ')}` });
+        }
+        try {
+            const before = await requests.findById(req.params.id);
+            const outcome = await requests.transitionStatus(req.params.id, status, req.user.id, note);
+            if (outcome.notFound) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            if (outcome.invalidFrom !== undefined) {
+                return res.status(409).json({
+                    error: `Cannot move request from '${outcome.invalidFrom}' to '${status}'`,
+                    allowed: allowedTransitions(outcome.invalidFrom),
+                });
+            }
+            await audit(req, before, outcome.request);
+            await notifications.requestStatusChanged(outcome.request);
+            await webhooks.emit('request.status_changed', { ...serializeRequest(outcome.request), previous_status: outcome.fromStatus });
+            res.json(serializeRequest(outcome.request));
+        } catch (err) {
+            console.error('Error updating request status:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/requests/:id/assignee
+     * @desc Assign a request to a sales user (or unassign it with assigned_to: null)
+     * @access Private (sales, admin)
+     */
+    router.patch('/:id/assignee', authorize('sales'), async (req, res) => {
+        const { assigned_to } = req.body || {};
+        if (assigned_to === undefined) {
+            return res.status(400).json({ error: "Missing required field: assigned_to" });
+        }
+        try {
+            if (assigned_to !== null && !(Number.isInteger(assigned_to) && await adminUsers.isActiveSalesUser(assigned_to))) {
+                return res.status(400).json({ error: 'assigned_to must be an active sales or admin user' });
+            }
+            const before = await requests.findById(req.params.id);
+            const request = await requests.assign(req.params.id, assigned_to, req.user.id);
+            if (!request) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            await audit(req, before, request);
+            res.json(serializeRequest(request));
+        } catch (err) {
+            console.error('Error assigning request:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/requests/:id/dealer
+     * @desc Route a request to another dealer (or to none with dealer_id: null)
+     * @access Private (sales, admin)
+     */
+    router.patch('/:id/dealer', authorize('sales'), async (req, res) => {
+        const { dealer_id } = req.body || {};
+        if (dealer_id === undefined) {
+            return res.status(400).json({ error: "Missing required field: dealer_id" });
+        }
+        try {
+            const dealer = Number.isInteger(dealer_id) ? await dealers.findById(dealer_id) : undefined;
+            if (dealer_id !== null && !dealer) {
+                return res.status(400).json({ error: 'dealer_id must reference an existing dealer' });
+            }
+            const before = await requests.findById(req.params.id);
+            const request = await requests.assignDealer(req.params.id, dealer_id, req.user.id, dealer ? `Assigned to dealer ${dealer.name}` : 'Dealer removed');
+            if (!request) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            await audit(req, before, request);
+            res.json(serializeRequest(request));
+        } catch (err) {
+            console.error('Error assigning dealer:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PATCH /api/requests/:id/follow-up
+     * @desc Set or clear (follow_up_at: null) the follow-up due date of a request
+     * @access Private (sales, admin)
+     */
+    router.patch('/:id/follow-up', authorize('sales'), async (req, res) => {
+        const { follow_up_at, note } = req.body || {};
+        if (follow_up_at === undefined) {
+            return res.status(400).json({ error: "Missing required field: follow_up_at" });
+        }
+        if (follow_up_at !== null && Number.isNaN(Date.parse(follow_up_at))) {
+            return res.status(400).json({ error: 'follow_up_at must be a valid date' });
+        }
+        try {
+            const before = await requests.findById(req.params.id);
+            const request = await requests.setFollowUp(req.params.id, follow_up_at, req.user.id, note);
+            if (!request) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            await audit(req, before, request);
+            res.json(serializeRequest(request));
+        } catch (err) {
+            console.error('Error setting follow-up:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/requests/:id/notes
+     * @desc Add a note to a request's activity history
+     * @access Private (sales, admin)
+     */
+    router.post('/:id/notes', authorize('sales'), async (req, res) => {
+        const { note } = req.body || {};
+        if (!note) {
+            return res.status(400).json({ error: "Missing required field: note" });
+        }
+        try {
+            if (!(await requests.exists(req.params.id))) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            res.status(201).json(await requests.addNote(req.params.id, req.user.id, note));
+        } catch (err) {
+            console.error('Error adding request note:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/requests/:id/activity
+     * @desc Get the activity history (status changes, notes, assignments, follow-ups) of a request
+     * @access Private (sales, admin)
+     */
+    router.get('/:id/activity', authorize('sales'), async (req, res) => {
+        try {
+            if (!(await requests.exists(req.params.id))) {
+                return res.status(404).json({ message: 'Request not found' });
+            }
+            res.json(await requests.activity(req.params.id));
+        } catch (err) {
+            console.error('Error fetching request activity:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return mountCrudRoutes(router, {
+        // Created requests are routed to their nearest dealer before they are acknowledged.
+        repo: { ...requests, create: async (fields) => assignNearestDealer(await requests.create(fields)) },
+        auditLog,
+        resource: 'requests',
+        schema: schemas.requests,
+        writeRole: 'sales',
+        readRole: 'sales',
+        publicCreate: true,
+        // A repeat of the same request (email, type and product) within the duplicate window is refused.
+        beforeCreate: [spamGuard('requests', {
+            isDuplicate: (body, email, since) => requests.hasRecentRequest(email, String(body.request_type || '').trim(), String(body.product_name || '').trim(), since),
+        })],
+        label: 'request',
+        pluralLabel: 'requests',
+        notFound: 'Request not found',
+        deleted: { key: 'deletedRequest', message: 'Request deleted successfully' },
+        serialize: serializeRequest,
+        // Aadhaar/PAN are never sent back in clear text, so a PUT that omits them keeps the stored values.
+        keepOnReplace: ['aadhar_number', 'pan_number'],
+        expand: {
+            tco: async (row) => ({ tco_calculation: row.tco_calculation_id ? (await tco.findCalculation(row.tco_calculation_id)) || null : null }),
+            dealer: async (row) => ({ dealer: row.dealer_id ? (await dealers.findById(row.dealer_id)) || null : null }),
+        },
+        // Acknowledges the request to the customer, alerts the sales routing list and notifies the CRM.
+        onCreated: async (row) => {
+            await notifications.requestCreated(row);
+            await webhooks.emit('request.created', serializeRequest(row));
+        },
+        checkReferences: async (fields) => {
+            if (fields.tco_calculation_id != null && !(await tco.findCalculation(fields.tco_calculation_id))) {
+                return [{ field: 'tco_calculation_id', message: 'must reference a saved TCO calculation' }];
+            }
+            return [];
+        },
+    });
+};
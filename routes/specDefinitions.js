@@ -0,0 +1,31 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const schemas = require("../lib/schemas");
+
+/**
+ * Specification definitions: the comparable product attributes (key, label, unit, group, data_type).
+ * @route GET /api/spec-definitions - listed by group, sort_order, key - Public
+ * @route GET /api/spec-definitions/:id - Public
+ * @route POST|PUT|PATCH|DELETE /api/spec-definitions[/:id] - Private (editor, admin). Deleting a definition deletes its product values.
+ */
+module.exports = ({ specDefinitions, auditLog }) => mountCrudRoutes(express.Router(), {
+    repo: specDefinitions,
+    auditLog,
+    resource: 'spec_definitions',
+    schema: schemas.specDefinitions,
+    writeRole: 'editor',
+    label: 'spec definition',
+    pluralLabel: 'spec definitions',
+    notFound: 'Spec definition not found',
+    deleted: { key: 'deletedSpecDefinition', message: 'Spec definition deleted successfully' },
+    conflict: { create: 'A spec definition with this key already exists', update: 'A spec definition with this key already exists' },
+    // Stored values are typed, so the type is fixed once any product uses the spec.
+    checkReferences: async (fields, id) => {
+        if (id === undefined || fields.data_type === undefined) return [];
+        const current = await specDefinitions.findById(id);
+        if (current && current.data_type !== fields.data_type && await specDefinitions.hasValues(id)) {
+            return [{ field: 'data_type', message: 'cannot be changed while products have values for this spec' }];
+        }
+        return [];
+    },
+});
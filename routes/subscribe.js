@@ -0,0 +1,221 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { authorize } = require("../middleware/auth");
+const { etagFor } = require("../middleware/concurrency");
+const { validateBody } = require("../lib/validation");
+const { NEWSLETTER_TOPICS, verifyNewsletterToken } = require("../lib/newsletter");
+const { toCsv } = require("../lib/csv");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+/**
+ * Newsletter subscriptions, with double opt-in (see lib/newsletter.js).
+ * @route GET /api/subscribe - list (paginated; filter by status/topic/date range) - Private (editor, admin)
+ * @route GET|PUT|PATCH|DELETE /api/subscribe/:id - Private (editor, admin)
+ */
+module.exports = ({ subscribe, auditLog }, { notifications, webhooks, spamGuard }) => {
+    const router = express.Router();
+    const canManage = authorize('editor');
+
+    // Tokens come in the query string (links in emails) or, for POST/PUT, the JSON body.
+    const tokenOf = (req) => (req.body && req.body.token) || req.query.token;
+
+    /**
+     * @route POST /api/subscribe
+     * @desc Subscribe an email, optionally to some topics only (default: all). The subscription stays
+     *       pending until the address is confirmed through the emailed link; subscribing again while
+     *       pending resends the email. Unsubscribed addresses cannot be added again (409). Spam-protected
+     *       (rate limits, honeypot, CAPTCHA; middleware/spamGuard.js).
+     * @access Public (No authentication required)
+     */
+    router.post('/', spamGuard('subscribe'), validateBody(schemas.subscribe), async (req, res) => {
+        const { email, topics } = req.body;
+        try {
+            if (await subscribe.isSuppressed(email)) {
+                return res.status(409).json({ error: 'This email has unsubscribed from the newsletter' });
+            }
+            const existing = await subscribe.findByEmail(email);
+            if (existing && existing.status === 'active') {
+                return res.status(409).json({ error: 'This email is already subscribed' });
+            }
+            const subscription = existing || await subscribe.create({ email, ...(topics ? { topics: [...new Set(topics)] } : {}) });
+            await notifications.subscriptionPending(email);
+            res.status(existing ? 200 : 201).set('ETag', etagFor(subscription)).json(subscription);
+        } catch (err) {
+            console.error('Error creating subscription:', err.message);
+            if (err.code === '23505') {
+                return res.status(409).json({ error: 'This email is already subscribed' });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET|POST /api/subscribe/confirm?token=
+     * @desc Confirm a pending subscription with the token from the confirmation email. The first
+     *       confirmation sends a welcome email and the subscribe.created webhook (unconfirmed addresses
+     *       are not subscribers yet).
+     * @access Public (signed token)
+     */
+    const confirmSubscription = async (req, res) => {
+        const email = verifyNewsletterToken(tokenOf(req), 'confirm');
+        if (!email) {
+            return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+        }
+        try {
+            const confirmed = await subscribe.confirm(email);
+            if (!confirmed) {
+                return res.status(404).json({ message: 'Subscription not found' });
+            }
+            if (confirmed.wasPending) {
+                await notifications.subscriptionConfirmed(email);
+                await webhooks.emit('subscribe.created', confirmed.subscription);
+            }
+            res.json({ message: 'Subscription confirmed', email, topics: confirmed.subscription.topics });
+        } catch (err) {
+            console.error('Error confirming subscription:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+    router.route('/confirm').get(confirmSubscription).post(confirmSubscription);
+
+    /**
+     * @route GET|POST /api/subscribe/unsubscribe?token=
+     * @desc Unsubscribe with the manage token from any newsletter email. POST supports one-click
+     *       unsubscribe from mail clients (RFC 8058). The address is added to the suppression list.
+     * @access Public (signed token)
+     */
+    const unsubscribeEmail = async (req, res) => {
+        const email = verifyNewsletterToken(tokenOf(req), 'manage');
+        if (!email) {
+            return res.status(400).json({ error: 'Invalid unsubscribe link' });
+        }
+        try {
+            await subscribe.unsubscribe(email);
+            res.json({ message: 'You have been unsubscribed', email });
+        } catch (err) {
+            console.error('Error unsubscribing:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+    router.route('/unsubscribe').get(unsubscribeEmail).post(unsubscribeEmail);
+
+    /**
+     * @route GET /api/subscribe/preferences?token=
+     * @desc Get a subscriber's status and topics, with the manage token from any newsletter email
+     * @access Public (signed token)
+     */
+    router.get('/preferences', async (req, res) => {
+        const email = verifyNewsletterToken(req.query.token, 'manage');
+        if (!email) {
+            return res.status(400).json({ error: 'Invalid preferences link' });
+        }
+        try {
+            const subscription = await subscribe.findByEmail(email);
+            if (!subscription) {
+                return res.status(404).json({ message: 'Subscription not found' });
+            }
+            res.json({ email, status: subscription.status, topics: subscription.topics, available_topics: NEWSLETTER_TOPICS });
+        } catch (err) {
+            console.error('Error fetching subscription preferences:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PUT /api/subscribe/preferences
+     * @desc Replace a subscriber's topics: { token, topics }. To stop every email, unsubscribe instead.
+     * @access Public (signed token)
+     */
+    router.put('/preferences', validateBody(schemas.subscribePreferences), async (req, res) => {
+        const email = verifyNewsletterToken(req.body.token, 'manage');
+        if (!email) {
+            return res.status(400).json({ error: 'Invalid preferences link' });
+        }
+        try {
+            const subscription = await subscribe.setTopics(email, [...new Set(req.body.topics)]);
+            if (!subscription) {
+                return res.status(404).json({ message: 'Subscription not found' });
+            }
+            res.json({ email, status: subscription.status, topics: subscription.topics, available_topics: NEWSLETTER_TOPICS });
+        } catch (err) {
+            console.error('Error updating subscription preferences:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/subscribe/export
+     * @desc Download the confirmed subscribers as CSV, optionally only those following ?topic=
+     * @access Private (editor, admin)
+     */
+    router.get('/export', canManage, async (req, res) => {
+        const { topic } = req.query;
+        if (topic !== undefined && !NEWSLETTER_TOPICS.includes(topic)) {
+            return res.status(400).json({ error: `Invalid topic. Must be one of: ${NEWSLETTER_TOPICS.join(', ')}` });
+        }
+        try {
+            const rows = await subscribe.activeSubscribers({ topic });
+            res.type('text/csv').attachment('subscribers.csv').send(toCsv(['email', 'topics', 'subscribed_at', 'confirmed_at'], rows));
+        } catch (err) {
+            console.error('Error exporting subscribers:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route GET /api/subscribe/suppressions
+     * @desc List suppressed addresses (paginated; filter by reason)
+     * @access Private (editor, admin)
+     */
+    router.get('/suppressions', canManage, async (req, res) => {
+        try {
+            const result = await subscribe.listSuppressions(req.query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching suppressions:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route DELETE /api/subscribe/suppressions/:suppressionId
+     * @desc Lift a suppression, e.g. when someone asks to subscribe again; they still have to confirm
+     * @access Private (editor, admin)
+     */
+    router.delete('/suppressions/:suppressionId', canManage, async (req, res) => {
+        if (!/^\d+$/.test(req.params.suppressionId)) {
+            return res.status(404).json({ message: 'Suppression not found' });
+        }
+        try {
+            const removed = await subscribe.removeSuppression(req.params.suppressionId);
+            if (!removed) {
+                return res.status(404).json({ message: 'Suppression not found' });
+            }
+            await recordAudit(auditLog, req, { action: 'delete', resource: 'email_suppressions', resourceId: removed.id, before: removed });
+            res.json({ message: 'Suppression removed successfully', deletedSuppression: removed });
+        } catch (err) {
+            console.error('Error removing suppression:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return mountCrudRoutes(router, {
+        repo: subscribe,
+        auditLog,
+        resource: 'subscribe',
+        schema: schemas.subscribe,
+        writeRole: 'editor',
+        readRole: 'editor',
+        create: false,
+        label: 'subscription',
+        pluralLabel: 'subscriptions',
+        notFound: 'Subscription not found',
+        deleted: { key: 'deletedSubscription', message: 'Subscription deleted successfully' },
+        conflict: { update: 'This email is already subscribed to another entry' },
+        keepOnReplace: ['topics'],
+    });
+};
@@ -0,0 +1,26 @@
+const express = require("express");
+const { optionalAuthenticate, hasRole } = require("../middleware/auth");
+
+/**
+ * Blog tags. Tags are created when posts are saved with them; filter posts with GET /api/blogs?tag=<slug>.
+ */
+module.exports = ({ tags }) => {
+    const router = express.Router();
+
+    /**
+     * @route GET /api/tags
+     * @desc Get every tag with its post_count, most used first. The public sees tags of published
+     *       posts only; editors and admins sending their token see every tag, counting every post.
+     * @access Public
+     */
+    router.get('/', optionalAuthenticate, async (req, res) => {
+        try {
+            res.json(await tags.listWithCounts({ publishedOnly: !hasRole(req.user, 'editor') }));
+        } catch (err) {
+            console.error('Error fetching tags:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
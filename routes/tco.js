@@ -0,0 +1,105 @@
+const express = require("express");
+const { authorize } = require("../middleware/auth");
+const { etagFor, ifMatch, sendMissingOrConflict } = require("../middleware/concurrency");
+const { validateBody } = require("../lib/validation");
+const { checkInputs, calculateTco } = require("../lib/tco");
+const { recordAudit } = require("../lib/audit");
+const schemas = require("../lib/schemas");
+
+/**
+ * Total cost of ownership calculator, mounted under /api/products by ./products.
+ * @route GET|PUT /api/products/:id/tco-params - read: Public, write: Private (editor, admin)
+ * @route POST /api/products/:id/tco - Public
+ */
+module.exports = ({ products, tco, auditLog }, { spamGuard }) => {
+    const router = express.Router();
+
+    // Only saving stores anything, so only saving goes through the spam protection.
+    const guard = spamGuard('tco');
+    const guardSaving = (req, res, next) => (req.body && req.body.save === true ? guard(req, res, next) : next());
+
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(404).json({ message: 'Product not found' })));
+
+    /**
+     * @route GET /api/products/:id/tco-params
+     * @desc Get the TCO parameters of a product (running costs and diesel baseline)
+     * @access Public
+     */
+    router.get('/:id/tco-params', async (req, res) => {
+        try {
+            if (!(await products.findById(req.params.id))) {
+                return res.status(404).json({ message: 'Product not found' });
+            }
+            const params = await tco.findParams(req.params.id);
+            if (!params) {
+                return res.status(404).json({ message: 'TCO parameters not found' });
+            }
+            res.set('ETag', etagFor(params)).json(params);
+        } catch (err) {
+            console.error('Error fetching TCO parameters:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route PUT /api/products/:id/tco-params
+     * @desc Create or replace the TCO parameters of a product; omitted fields are cleared
+     * @access Private (editor, admin)
+     */
+    router.put('/:id/tco-params', authorize('editor'), ifMatch, validateBody(schemas.tcoParams), async (req, res) => {
+        try {
+            if (!(await products.findById(req.params.id))) {
+                return res.status(404).json({ message: 'Product not found' });
+            }
+            const before = await tco.findParams(req.params.id);
+            const params = await tco.replaceParams(req.params.id, req.body, req.expectedVersion);
+            if (!params) {
+                return sendMissingOrConflict(res, tco, req.params.id, 'TCO parameters not found');
+            }
+            await recordAudit(auditLog, req, { action: before ? 'update' : 'create', resource: 'tco_params', resourceId: Number(req.params.id), before, after: params });
+            res.set('ETag', etagFor(params)).json(params);
+        } catch (err) {
+            console.error('Error updating TCO parameters:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/products/:id/tco
+     * @desc Calculate the total cost of ownership of a product against its diesel baseline for a customer's
+     *       usage: year-by-year costs, cumulative cost curves and breakeven. With save: true the result is
+     *       stored (201) and its calculation_id can be sent as tco_calculation_id with POST /api/requests.
+     *       Saving is spam-protected like the public forms (rate limits, honeypot, CAPTCHA; middleware/spamGuard.js).
+     * @access Public
+     */
+    router.post('/:id/tco', guardSaving, validateBody(schemas.tcoInput), async (req, res) => {
+        const { save, ...inputs } = req.body;
+        try {
+            const product = await products.findById(req.params.id);
+            if (!product) {
+                return res.status(404).json({ message: 'Product not found' });
+            }
+            const params = await tco.findParams(product.id);
+            if (!params) {
+                return res.status(409).json({ error: 'TCO parameters have not been configured for this product' });
+            }
+            const errors = checkInputs(product.price, params, inputs);
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'Validation failed', errors });
+            }
+            const result = calculateTco(product.price, params, inputs);
+            const body = { product: { id: product.id, name: product.name, price: product.price }, inputs, ...result };
+            if (!save) {
+                return res.json({ calculation_id: null, ...body });
+            }
+            const { product_id, version, updated_at, ...parameters } = params;
+            const saved = await tco.saveCalculation({ product_id: product.id, inputs, parameters, result });
+            res.status(201).json({ calculation_id: saved.id, ...body });
+        } catch (err) {
+            console.error('Error calculating TCO:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return router;
+};
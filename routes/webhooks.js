@@ -0,0 +1,110 @@
+const express = require("express");
+const { mountCrudRoutes } = require("./crud");
+const { authorize } = require("../middleware/auth");
+const { WEBHOOK_EVENTS } = require("../lib/webhooks");
+const schemas = require("../lib/schemas");
+
+// The secret is write-only.
+const serializeWebhook = ({ secret, ...rest }) => rest;
+
+/**
+ * Outbound webhooks (see lib/webhooks.js for the delivery format and signature).
+ * @route GET /api/admin/webhooks - list (paginated; filter by event/active) - Private (admin)
+ * @route GET|POST|PUT|PATCH|DELETE /api/admin/webhooks[/:id] - Private (admin). Body: url, secret (at least
+ *        16 characters; required on create, kept when omitted later), events, description, active.
+ *        Events: request.created, request.status_changed, apply.created, subscribe.created, product.updated.
+ */
+module.exports = ({ webhooks, auditLog }) => {
+    const router = express.Router();
+    const canManage = authorize();
+
+    /**
+     * @route GET /api/admin/webhooks/events
+     * @desc Get the event names webhooks can subscribe to
+     * @access Private (admin)
+     */
+    router.get('/events', canManage, (req, res) => {
+        res.json(WEBHOOK_EVENTS);
+    });
+
+    /**
+     * @route GET /api/admin/webhooks/:id/deliveries
+     * @desc Get the delivery log of a webhook (paginated; filter by status/event/date range)
+     * @access Private (admin)
+     */
+    router.get('/:id/deliveries', canManage, async (req, res) => {
+        try {
+            if (!(await webhooks.findById(req.params.id))) {
+                return res.status(404).json({ message: 'Webhook not found' });
+            }
+            const result = await webhooks.listDeliveries(req.params.id, req.query);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching webhook deliveries:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/admin/webhooks/:id/deliveries/replay
+     * @desc Queue every failed delivery of a webhook again
+     * @access Private (admin)
+     */
+    router.post('/:id/deliveries/replay', canManage, async (req, res) => {
+        try {
+            if (!(await webhooks.findById(req.params.id))) {
+                return res.status(404).json({ message: 'Webhook not found' });
+            }
+            const replayed = await webhooks.replayFailed(req.params.id);
+            res.json({ replayed: replayed.length, deliveries: replayed });
+        } catch (err) {
+            console.error('Error replaying webhook deliveries:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    /**
+     * @route POST /api/admin/webhooks/:id/deliveries/:deliveryId/replay
+     * @desc Queue one failed delivery again, with a fresh set of attempts
+     * @access Private (admin)
+     */
+    router.post('/:id/deliveries/:deliveryId/replay', canManage, async (req, res) => {
+        if (!/^\d+$/.test(req.params.deliveryId)) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+        try {
+            const delivery = await webhooks.findDelivery(req.params.id, req.params.deliveryId);
+            if (!delivery) {
+                return res.status(404).json({ message: 'Delivery not found' });
+            }
+            if (delivery.status !== 'failed') {
+                return res.status(409).json({ error: `Only failed deliveries can be replayed; this one is '${delivery.status}'` });
+            }
+            const [replayed] = await webhooks.replayFailed(req.params.id, req.params.deliveryId);
+            res.json(replayed);
+        } catch (err) {
+            console.error('Error replaying webhook delivery:', err.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    return mountCrudRoutes(router, {
+        repo: webhooks,
+        auditLog,
+        resource: 'webhooks',
+        schema: schemas.webhooks,
+        writeRole: 'admin',
+        readRole: 'admin',
+        label: 'webhook',
+        pluralLabel: 'webhooks',
+        notFound: 'Webhook not found',
+        deleted: { key: 'deletedWebhook', message: 'Webhook deleted successfully' },
+        serialize: serializeWebhook,
+        keepOnReplace: ['secret', 'active'],
+        // The schema cannot require the secret only on create, so it is checked here (id is undefined on create).
+        checkReferences: async (fields, id) => (id === undefined && !fields.secret ? [{ field: 'secret', message: 'is required' }] : []),
+    });
+};
@@ -0,0 +1,30 @@
+require("dotenv").config(); // Load environment variables from .env
+const bcrypt = require("bcryptjs");
+const { createPool } = require("../lib/db");
+
+// Usage: npm run create-admin -- <email> <password> [role] [full name]
+// Bootstraps the first admin account; further users can be created via POST /api/admin/users.
+const [email, password, role = 'admin', ...nameParts] = process.argv.slice(2);
+
+if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password> [role] [full name]');
+    process.exit(1);
+}
+
+const pool = createPool();
+
+(async () => {
+    try {
+        const passwordHash = await bcrypt.hash(password, 12);
+        const result = await pool.query(
+            'INSERT INTO admin_users (email, password_hash, full_name, role) VALUES ($1, $2, $3, $4) RETURNING id, email, role',
+            [email.toLowerCase(), passwordHash, nameParts.join(' ') || null, role]
+        );
+        console.log('Admin user created:', result.rows[0]);
+    } catch (err) {
+        console.error('Error creating admin user:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+})();
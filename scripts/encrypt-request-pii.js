@@ -0,0 +1,62 @@
+require("dotenv").config(); // Load environment variables from .env
+const { createPool } = require("../lib/db");
+const pii = require("../lib/pii");
+
+// Usage: npm run encrypt-pii [-- --dry-run]
+// Encrypts plaintext Aadhaar/PAN numbers left in the requests table, and re-encrypts values
+// written with an older key after PII_ACTIVE_KEY_ID has been rotated. Safe to run repeatedly.
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const pool = createPool();
+
+// Returns { value, last4 } for a stored value that needs (re-)encryption, or null if it is current.
+const reencrypt = (stored, normalize, activeKeyId) => {
+    if (stored === null || pii.keyIdOf(stored) === activeKeyId) {
+        return null;
+    }
+    const plaintext = normalize(pii.decrypt(stored));
+    return { value: pii.encrypt(plaintext), last4: pii.last4(plaintext) };
+};
+
+(async () => {
+    let lastId = 0;
+    let updated = 0;
+    try {
+        const { activeKeyId } = pii.getKeyring();
+        for (;;) {
+            const batch = await pool.query(
+                'SELECT id, aadhar_number, pan_number FROM requests WHERE id > $1 ORDER BY id ASC LIMIT $2',
+                [lastId, BATCH_SIZE]
+            );
+            if (batch.rows.length === 0) break;
+            for (const row of batch.rows) {
+                lastId = row.id;
+                const aadhar = reencrypt(row.aadhar_number, pii.normalizeAadhaar, activeKeyId);
+                const pan = reencrypt(row.pan_number, pii.normalizePan, activeKeyId);
+                if (!aadhar && !pan) continue;
+                if (aadhar && !pii.isEncrypted(row.aadhar_number) && !pii.isValidAadhaar(row.aadhar_number)) {
+                    console.warn(`Request ${row.id}: stored aadhar_number fails validation; encrypting as-is`);
+                }
+                if (pan && !pii.isEncrypted(row.pan_number) && !pii.isValidPan(row.pan_number)) {
+                    console.warn(`Request ${row.id}: stored pan_number fails validation; encrypting as-is`);
+                }
+                updated++;
+                if (DRY_RUN) continue;
+                await pool.query(
+                    `UPDATE requests SET
+                        aadhar_number = COALESCE($1, aadhar_number), aadhar_last4 = COALESCE($2, aadhar_last4),
+                        pan_number = COALESCE($3, pan_number), pan_last4 = COALESCE($4, pan_last4)
+                    WHERE id = $5`,
+                    [aadhar && aadhar.value, aadhar && aadhar.last4, pan && pan.value, pan && pan.last4, row.id]
+                );
+            }
+        }
+        console.log(`${DRY_RUN ? 'Would update' : 'Updated'} ${updated} request(s) to key '${activeKeyId}'.`);
+    } catch (err) {
+        console.error(`Error encrypting request PII (last request id ${lastId}):`, err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+})();
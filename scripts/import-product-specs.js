@@ -0,0 +1,67 @@
+require("dotenv").config(); // Load environment variables from .env
+const { createPool } = require("../lib/db");
+const { SPEC_KEY_PATTERN, toValueColumns } = require("../lib/specs");
+
+// Usage: npm run import-specs [-- --dry-run]
+// Copies the values in products.specifications (free-form JSON) into the typed spec model.
+// Unknown keys get a spec definition with a type inferred from the value (label from the key, no unit;
+// edit them afterwards via /api/spec-definitions). Values a product already has are left alone,
+// so this is safe to run repeatedly.
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const pool = createPool();
+
+const inferDataType = (value) => (typeof value === 'boolean' ? 'boolean' : typeof value === 'number' ? 'number' : 'text');
+
+// battery_kwh -> "Battery kwh"
+const labelFor = (key) => key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
+
+(async () => {
+    let imported = 0;
+    try {
+        const definitions = new Map((await pool.query('SELECT * FROM spec_definitions')).rows.map((row) => [row.key, row]));
+        const products = await pool.query('SELECT id, specifications FROM products WHERE specifications IS NOT NULL ORDER BY id ASC');
+        for (const { id, specifications } of products.rows) {
+            if (typeof specifications !== 'object' || Array.isArray(specifications)) continue;
+            for (const [key, value] of Object.entries(specifications)) {
+                if (!SPEC_KEY_PATTERN.test(key) || value === null || typeof value === 'object') {
+                    console.warn(`Product ${id}: skipping '${key}' (not a snake_case key with a scalar value)`);
+                    continue;
+                }
+                let definition = definitions.get(key);
+                if (!definition) {
+                    definition = { id: null, key, label: labelFor(key), data_type: inferDataType(value) };
+                    if (!DRY_RUN) {
+                        const created = await pool.query(
+                            'INSERT INTO spec_definitions (key, label, data_type) VALUES ($1, $2, $3) RETURNING *',
+                            [definition.key, definition.label, definition.data_type]
+                        );
+                        definition = created.rows[0];
+                    }
+                    definitions.set(key, definition);
+                    console.log(`${DRY_RUN ? 'Would create' : 'Created'} spec definition '${key}' (${definition.data_type})`);
+                }
+                const checked = toValueColumns(definition, value);
+                if (checked.error) {
+                    console.warn(`Product ${id}: skipping '${key}': ${checked.error}`);
+                    continue;
+                }
+                imported++;
+                if (DRY_RUN) continue;
+                const { value_number, value_text, value_boolean } = checked.columns;
+                await pool.query(
+                    `INSERT INTO product_specs (product_id, spec_id, value_number, value_text, value_boolean)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (product_id, spec_id) DO NOTHING`,
+                    [id, definition.id, value_number, value_text, value_boolean]
+                );
+            }
+        }
+        console.log(`${DRY_RUN ? 'Would import' : 'Imported'} ${imported} spec value(s).`);
+    } catch (err) {
+        console.error('Error importing product specs:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+})();
@@ -0,0 +1,37 @@
+require("dotenv").config(); // Load environment variables from .env
+const { createPool } = require("../lib/db");
+const { migrateUp, migrateDown, migrationStatus } = require("../lib/migrations");
+
+// Usage: npm run migrate -- <up|down|status> [steps]
+//   up [n]     apply all (or the next n) pending migrations
+//   down [n]   roll back the last (or last n) applied migrations
+//   status     list migrations and whether they are applied
+const [command = 'status', rawSteps] = process.argv.slice(2);
+const steps = rawSteps === undefined ? undefined : Number(rawSteps);
+
+if (!['up', 'down', 'status'].includes(command) || (steps !== undefined && (!Number.isInteger(steps) || steps < 1))) {
+    console.error('Usage: npm run migrate -- <up|down|status> [steps]');
+    process.exit(1);
+}
+
+const pool = createPool();
+
+(async () => {
+    try {
+        if (command === 'status') {
+            for (const migration of await migrationStatus(pool)) {
+                const state = migration.applied ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+                console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+            }
+        } else {
+            const run = command === 'up' ? migrateUp : migrateDown;
+            const done = await run(pool, { steps, log: console.log });
+            console.log(done.length === 0 ? 'Nothing to do.' : `Done: ${done.length} migration(s) ${command === 'up' ? 'applied' : 'rolled back'}.`);
+        }
+    } catch (err) {
+        console.error(`Migration ${command} failed:`, err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+})();
@@ -0,0 +1,38 @@
+require("dotenv").config(); // Load environment variables from .env
+const fs = require("fs");
+const path = require("path");
+const { createPool } = require("../lib/db");
+
+// Usage: npm run seed
+// Loads the fixtures in db/seeds (in file name order) into a freshly migrated local database.
+// All seed-managed tables are emptied first, so this is refused when NODE_ENV=production.
+const SEEDS_DIR = path.join(__dirname, '..', 'db', 'seeds');
+const SEEDED_TABLES = ['admin_users', 'blogs', 'tags', 'categories', 'products', 'spec_definitions', 'qna', 'awards', 'media', 'requests', 'jobs', 'apply', 'subscribe', 'email_suppressions'];
+
+if (process.env.NODE_ENV === 'production') {
+    console.error('Refusing to seed a production database.');
+    process.exit(1);
+}
+
+const pool = createPool();
+
+(async () => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`TRUNCATE ${SEEDED_TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+        for (const file of fs.readdirSync(SEEDS_DIR).filter((name) => name.endsWith('.sql')).sort()) {
+            console.log(`Seeding ${file}`);
+            await client.query(fs.readFileSync(path.join(SEEDS_DIR, file), 'utf8'));
+        }
+        await client.query('COMMIT');
+        console.log('Seed data loaded.');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error seeding database:', err.message);
+        process.exitCode = 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+})();
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { createLocalStorage } = require("../lib/storage");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << >> endobj\ntrailer << >>\n%%EOF\n');
+
+const insertJob = async (pool, title, status = 'open') =>
+    (await pool.query("INSERT INTO jobs (title, description, status) VALUES ($1, 'Role description', $2) RETURNING *", [title, status])).rows[0];
+
+crudContract({
+    path: '/api/apply',
+    writeRole: 'hr',
+    readRole: 'hr',
+    publicCreate: true,
+    paginated: true,
+    setup: (pool) => insertJob(pool, 'Embedded Engineer'),
+    valid: { name: 'Priya Nair', email: 'priya@example.com', job_id: 1 },
+    invalid: { name: 'No email', email: 'not-an-email' },
+    patch: { phone: '+91 98450 12345' },
+    notFound: 'Application not found',
+    deletedKey: 'deletedApplication',
+});
+
+describe('/api/apply', () => {
+    let app;
+    let pool;
+    let root;
+    let hr;
+    let engineer;
+    let closed;
+
+    before(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'resumes-'));
+        ({ app, pool } = await createTestApp({ storage: createLocalStorage({ root, publicUrl: 'http://localhost:5000/uploads' }) }));
+        hr = bearer('hr', (await createUser(pool, 'hr')).id);
+        engineer = await insertJob(pool, 'Embedded Engineer');
+        closed = await insertJob(pool, 'Service Technician', 'closed');
+    });
+
+    after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const applyWithResume = (fields, body, name) => {
+        let req = request(app).post('/api/apply');
+        for (const [field, value] of Object.entries(fields)) req = req.field(field, String(value));
+        return req.attach('resume', body, name);
+    };
+
+    it('accepts an application with a resume, phone and cover letter', async () => {
+        const res = await applyWithResume(
+            { name: 'Priya Nair', email: 'priya@example.com', job_id: engineer.id, phone: '+91 98450 12345', cover_letter: 'Five years of BMS firmware.' },
+            PDF, 'priya-cv.pdf'
+        );
+        assert.equal(res.status, 201);
+        assert.equal(res.body.job_id, engineer.id);
+        assert.equal(res.body.position, 'Embedded Engineer');
+        assert.equal(res.body.stage, 'applied');
+        assert.equal(res.body.cover_letter, 'Five years of BMS firmware.');
+        assert.deepEqual(res.body.resume, { name: 'priya-cv.pdf', mime_type: 'application/pdf', size_bytes: PDF.length });
+        assert.equal(res.body.resume_key, undefined);
+        assert.equal(fs.readdirSync(path.join(root, 'private', 'resumes')).length, 1);
+    });
+
+    it('lets HR download resumes, which are never served publicly', async () => {
+        const application = (await request(app).get(`/api/apply?job_id=${engineer.id}`).set('Authorization', hr)).body.data[0];
+        const res = await request(app).get(`/api/apply/${application.id}/resume`).set('Authorization', hr).buffer(true);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['content-type'], 'application/pdf');
+        assert.match(res.headers['content-disposition'], /attachment; filename="priya-cv.pdf"/);
+        assert.deepEqual(Buffer.from(res.body), PDF);
+        assert.equal((await request(app).get(`/api/apply/${application.id}/resume`)).status, 401);
+
+        const [file] = fs.readdirSync(path.join(root, 'private', 'resumes'));
+        for (const url of [`/uploads/private/resumes/${file}`, `/uploads/media/../private/resumes/${file}`, `/uploads/%70rivate/resumes/${file}`]) {
+            assert.equal((await request(app).get(url)).status, 404, url);
+        }
+    });
+
+    it('accepts Word resumes and rejects other files with 415', async () => {
+        const docx = await applyWithResume({ name: 'A', email: 'a@example.com', job_id: engineer.id }, Buffer.from('PK\x03\x04rest', 'latin1'), 'cv.docx');
+        assert.equal(docx.status, 201);
+        assert.equal(docx.body.resume.mime_type, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+        const fake = await applyWithResume({ name: 'B', email: 'b@example.com', job_id: engineer.id }, Buffer.from('<html></html>'), 'cv.pdf');
+        assert.equal(fake.status, 415);
+        assert.equal(fs.readdirSync(path.join(root, 'private', 'resumes')).length, 2);
+    });
+
+    it('requires an existing, open job', async () => {
+        const missing = await request(app).post('/api/apply').send({ name: 'A', email: 'a@example.com' });
+        assert.equal(missing.status, 422);
+        assert.deepEqual(missing.body.errors.map((error) => error.field), ['job_id']);
+        const unknown = await request(app).post('/api/apply').send({ name: 'A', email: 'a@example.com', job_id: 999 });
+        assert.equal(unknown.status, 422);
+        const res = await applyWithResume({ name: 'A', email: 'a@example.com', job_id: closed.id }, PDF, 'cv.pdf');
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'This job is no longer accepting applications');
+        assert.equal(fs.readdirSync(path.join(root, 'private', 'resumes')).length, 2);
+    });
+
+    it('moves applications through the hiring stages with reviewer notes', async () => {
+        const created = (await request(app).post('/api/apply').send({ name: 'Arjun Rao', email: 'arjun@example.com', job_id: engineer.id }).expect(201)).body;
+        const skip = await request(app).patch(`/api/apply/${created.id}/stage`).set('Authorization', hr).send({ stage: 'offer' });
+        assert.equal(skip.status, 409);
+        assert.deepEqual(skip.body.allowed, ['screening', 'rejected']);
+        assert.equal((await request(app).patch(`/api/apply/${created.id}/stage`).set('Authorization', hr).send({ stage: 'promoted' })).status, 400);
+
+        for (const stage of ['screening', 'interview']) {
+            await request(app).patch(`/api/apply/${created.id}/stage`).set('Authorization', hr).send({ stage, note: `Moved to ${stage}` }).expect(200);
+        }
+        await request(app).post(`/api/apply/${created.id}/notes`).set('Authorization', hr).send({ note: 'Strong on CAN bus' }).expect(201);
+        assert.equal((await request(app).post(`/api/apply/${created.id}/notes`).set('Authorization', hr).send({})).status, 400);
+
+        const activity = (await request(app).get(`/api/apply/${created.id}/activity`).set('Authorization', hr)).body;
+        assert.deepEqual(
+            activity.map((entry) => [entry.activity_type, entry.from_stage, entry.to_stage, entry.note]),
+            [['stage_change', 'applied', 'screening', 'Moved to screening'], ['stage_change', 'screening', 'interview', 'Moved to interview'], ['note', null, null, 'Strong on CAN bus']]
+        );
+        assert.equal(activity[0].actor_email, 'hr@test.local');
+
+        const interviewing = await request(app).get(`/api/apply?stage=interview&job_id=${engineer.id}`).set('Authorization', hr);
+        assert.deepEqual(interviewing.body.data.map((application) => application.id), [created.id]);
+        assert.equal((await request(app).patch('/api/apply/999999/stage').set('Authorization', hr).send({ stage: 'screening' })).status, 404);
+        assert.equal((await request(app).get(`/api/apply/${created.id}/activity`).set('Authorization', bearer('sales'))).status, 403);
+    });
+
+    it('keeps the position in step with the job and rejects missing jobs on update', async () => {
+        const created = (await request(app).post('/api/apply').send({ name: 'C', email: 'c@example.com', job_id: engineer.id }).expect(201)).body;
+        const moved = await request(app).patch(`/api/apply/${created.id}`).set('Authorization', hr).send({ job_id: closed.id });
+        assert.equal(moved.status, 200);
+        assert.equal(moved.body.position, 'Service Technician');
+        const broken = await request(app).patch(`/api/apply/${created.id}`).set('Authorization', hr).send({ job_id: 999 });
+        assert.equal(broken.status, 422);
+    });
+
+    it('removes the resume when an application is deleted', async () => {
+        const created = (await applyWithResume({ name: 'D', email: 'd@example.com', job_id: engineer.id }, PDF, 'd.pdf').expect(201)).body;
+        const count = fs.readdirSync(path.join(root, 'private', 'resumes')).length;
+        await request(app).delete(`/api/apply/${created.id}`).set('Authorization', hr).expect(200);
+        assert.equal(fs.readdirSync(path.join(root, 'private', 'resumes')).length, count - 1);
+        assert.equal((await request(app).get(`/api/apply/${created.id}/resume`).set('Authorization', hr)).status, 404);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).post('/api/apply').send({ name: 'A', email: 'a@example.com', job_id: 1 });
+        assert.equal(res.status, 500);
+    });
+});
@@ -0,0 +1,163 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { auditDiff } = require("../lib/audit");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const demoRequest = {
+    request_type: 'demo',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    city: 'Mysuru',
+    state: 'Karnataka',
+    aadhar_number: '234123412346',
+};
+
+describe('audit log', () => {
+    let app;
+    let pool;
+    let admin;
+    let editor;
+    let editorUser;
+    let sales;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        admin = bearer('admin', (await createUser(pool, 'admin')).id);
+        editorUser = await createUser(pool, 'editor');
+        editor = bearer('editor', editorUser.id);
+        sales = bearer('sales', (await createUser(pool, 'sales')).id);
+    });
+
+    const entriesFor = async (query) => (await request(app).get(`/api/admin/audit?${query}&sort=id&order=asc`).set('Authorization', admin).expect(200)).body.data;
+
+    it('records creates, updates and deletes with the actor, IP and values', async () => {
+        const product = (await request(app).post('/api/products').set('Authorization', editor).send({ name: 'Volt 25', price: 250000 }).expect(201)).body;
+        await request(app).patch(`/api/products/${product.id}`).set('Authorization', editor).send({ price: 240000, tagline: 'Electric' }).expect(200);
+        await request(app).put(`/api/products/${product.id}`).set('Authorization', editor).send({ name: 'Volt 25', price: 240000, tagline: 'Electric' }).expect(200);
+        await request(app).delete(`/api/products/${product.id}`).set('Authorization', editor).expect(200);
+
+        const [created, patched, unchanged, deleted] = await entriesFor(`resource=products&resource_id=${product.id}`);
+        assert.deepEqual([created.action, patched.action, unchanged.action, deleted.action], ['create', 'update', 'update', 'delete']);
+        assert.equal(created.actor_id, editorUser.id);
+        assert.equal(created.actor_email, 'editor@test.local');
+        assert.ok(created.ip);
+        assert.ok(created.created_at);
+        assert.equal(created.before_values, null);
+        assert.equal(created.after_values.name, 'Volt 25');
+        assert.ok(!('version' in created.after_values) && !('updated_at' in created.after_values));
+
+        assert.deepEqual(patched.before_values, { price: 250000, tagline: null });
+        assert.deepEqual(patched.after_values, { price: 240000, tagline: 'Electric' });
+        assert.deepEqual([unchanged.before_values, unchanged.after_values], [{}, {}]);
+
+        assert.equal(deleted.before_values.id, product.id);
+        assert.equal(deleted.before_values.price, 240000);
+        assert.equal(deleted.after_values, null);
+    });
+
+    it('does not record public submissions, but records what staff do with them', async () => {
+        const created = (await request(app).post('/api/requests').send(demoRequest).expect(201)).body;
+        assert.deepEqual(await entriesFor(`resource=requests&resource_id=${created.id}`), []);
+
+        await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status: 'contacted' }).expect(200);
+        await request(app).patch(`/api/requests/${created.id}`).set('Authorization', sales).send({ aadhar_number: '987698769870' }).expect(200);
+        await request(app).delete(`/api/requests/${created.id}`).set('Authorization', admin).expect(200);
+
+        const [status, pii, deleted] = await entriesFor(`resource=requests&resource_id=${created.id}`);
+        assert.deepEqual([status.before_values, status.after_values], [{ status: 'new' }, { status: 'contacted' }]);
+        assert.deepEqual([pii.before_values.aadhar_number, pii.after_values.aadhar_number], ['XXXX-XXXX-2346', 'XXXX-XXXX-9870']);
+        assert.equal(deleted.actor_email, 'admin@test.local');
+        assert.equal(deleted.before_values.full_name, 'Ravi Kumar');
+        const stored = JSON.stringify((await pool.query('SELECT * FROM audit_log')).rows);
+        assert.ok(!stored.includes('234123412346') && !stored.includes('987698769870'), 'Aadhaar numbers must not be recorded');
+    });
+
+    it('records workflow changes and admin user changes without passwords', async () => {
+        const blog = (await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'Launch', slug: 'launch', content: 'x', author: 'Team' }).expect(201)).body;
+        await request(app).patch(`/api/blogs/${blog.id}/status`).set('Authorization', editor).send({ status: 'published' }).expect(200);
+        const [, published] = await entriesFor(`resource=blogs&resource_id=${blog.id}`);
+        assert.equal(published.before_values.status, 'draft');
+        assert.equal(published.after_values.status, 'published');
+
+        const user = (await request(app).post('/api/admin/users').set('Authorization', admin)
+            .send({ email: 'new@test.local', password: 'Initial123!', role: 'editor' }).expect(201)).body;
+        await request(app).put(`/api/admin/users/${user.id}`).set('Authorization', admin).send({ role: 'sales', password: 'Changed123!' }).expect(200);
+        const [created, updated] = await entriesFor(`resource=admin_users&resource_id=${user.id}`);
+        assert.equal(created.after_values.email, 'new@test.local');
+        assert.deepEqual(updated.before_values, { role: 'editor', password: null });
+        assert.deepEqual(updated.after_values, { role: 'sales', password: 'changed' });
+        const stored = JSON.stringify((await pool.query('SELECT * FROM audit_log')).rows);
+        assert.ok(!stored.includes('password_hash') && !stored.includes('Changed123!'));
+    });
+
+    it('filters by resource, actor, action and date range', async () => {
+        const byEditor = await request(app).get(`/api/admin/audit?actor=${editorUser.id}`).set('Authorization', admin);
+        assert.ok(byEditor.body.data.length > 0);
+        assert.ok(byEditor.body.data.every((entry) => entry.actor_id === editorUser.id));
+        const byEmail = await request(app).get('/api/admin/audit?actor=EDITOR@test.local').set('Authorization', admin);
+        assert.equal(byEmail.body.pagination.total, byEditor.body.pagination.total);
+
+        const deletes = await request(app).get('/api/admin/audit?action=delete&resource=products').set('Authorization', admin);
+        assert.equal(deletes.body.pagination.total, 1);
+
+        const future = await request(app).get('/api/admin/audit?from=2999-01-01').set('Authorization', admin);
+        assert.equal(future.body.pagination.total, 0);
+        const all = await request(app).get('/api/admin/audit?to=2999-01-01').set('Authorization', admin);
+        assert.ok(all.body.pagination.total >= 10);
+        assert.equal((await request(app).get('/api/admin/audit?from=yesterday').set('Authorization', admin)).status, 400);
+    });
+
+    it('includes the whole of the to day', async () => {
+        // Noon on 19 October in Asia/Kolkata.
+        const entry = (await pool.query(
+            "INSERT INTO audit_log (action, resource, resource_id, created_at) VALUES ('update', 'products', 999999, '2026-10-19T06:30:00Z') RETURNING id"
+        )).rows[0];
+        const idsFor = async (query) =>
+            (await request(app).get(`/api/admin/audit?${query}`).set('Authorization', admin).expect(200)).body.data.map((row) => row.id);
+        assert.deepEqual(await idsFor('from=2026-10-19&to=2026-10-19&resource_id=999999'), [entry.id]);
+        assert.deepEqual(await idsFor('to=2026-10-19&resource_id=999999'), [entry.id]);
+        assert.deepEqual(await idsFor('to=2026-10-18&resource_id=999999'), []);
+        await pool.query('DELETE FROM audit_log WHERE id = $1', [entry.id]);
+    });
+
+    it('gets a single entry', async () => {
+        const [entry] = await entriesFor('resource=products');
+        const res = await request(app).get(`/api/admin/audit/${entry.id}`).set('Authorization', admin);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.resource, 'products');
+        assert.equal((await request(app).get('/api/admin/audit/999999').set('Authorization', admin)).status, 404);
+        assert.equal((await request(app).get('/api/admin/audit/abc').set('Authorization', admin)).status, 404);
+    });
+
+    it('is restricted to admins', async () => {
+        assert.equal((await request(app).get('/api/admin/audit')).status, 401);
+        assert.equal((await request(app).get('/api/admin/audit').set('Authorization', editor)).status, 403);
+    });
+
+    it('never fails a change when the audit log cannot be written', async (t) => {
+        const errors = t.mock.method(console, 'error', () => {});
+        await pool.query('DROP TABLE audit_log');
+        const res = await request(app).post('/api/awards').set('Authorization', editor).send({ image_url: 'https://example.com/award.png' });
+        assert.equal(res.status, 201);
+        assert.match(errors.mock.calls[0].arguments[0], /Error recording create of awards \d+ in the audit log/);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).get('/api/admin/audit').set('Authorization', admin);
+        assert.equal(res.status, 500);
+    });
+
+    it('diffs rows', () => {
+        const day = new Date('2026-01-01T00:00:00Z');
+        assert.deepEqual(
+            auditDiff({ id: 1, tags: ['a'], at: day, version: 1 }, { id: 1, tags: ['a', 'b'], at: new Date(day), version: 2, extra: 'x' }),
+            { before: { tags: ['a'], extra: null }, after: { tags: ['a', 'b'], extra: 'x' } }
+        );
+        assert.deepEqual(auditDiff(null, { id: 1, password_hash: 'h' }), { before: null, after: { id: 1 } });
+    });
+});
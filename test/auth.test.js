@@ -0,0 +1,127 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestApp, createFailingApp, createUser, bearer, TEST_PASSWORD } = require("./helpers");
+
+describe('/api/auth', () => {
+    let app;
+    let pool;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        await createUser(pool, 'editor', 'editor@example.com');
+    });
+
+    const login = (email = 'editor@example.com', password = TEST_PASSWORD) =>
+        request(app).post('/api/auth/login').send({ email, password });
+
+    it('logs in with valid credentials', async () => {
+        const res = await login();
+        assert.equal(res.status, 200);
+        assert.ok(res.body.accessToken && res.body.refreshToken);
+        assert.deepEqual(Object.keys(res.body.user).sort(), ['email', 'full_name', 'id', 'role']);
+        const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.accessToken}`);
+        assert.equal(me.body.email, 'editor@example.com');
+    });
+
+    it('rejects missing fields, wrong passwords and unknown users', async () => {
+        assert.equal((await request(app).post('/api/auth/login').send({ email: 'editor@example.com' })).status, 400);
+        assert.equal((await login('editor@example.com', 'wrong')).status, 401);
+        assert.equal((await login('nobody@example.com')).status, 401);
+    });
+
+    it('rejects missing, malformed and refresh tokens on protected routes', async () => {
+        assert.equal((await request(app).get('/api/auth/me')).status, 401);
+        assert.equal((await request(app).get('/api/auth/me').set('Authorization', 'Bearer nope')).status, 401);
+        const { refreshToken } = (await login()).body;
+        assert.equal((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${refreshToken}`)).status, 401);
+    });
+
+    it('refreshes tokens until the user logs out', async () => {
+        const { accessToken, refreshToken } = (await login()).body;
+        const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+        assert.equal(refreshed.status, 200);
+        assert.ok(refreshed.body.accessToken);
+        assert.equal((await request(app).post('/api/auth/refresh').send({ refreshToken: accessToken })).status, 401);
+
+        await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${accessToken}`).expect(200);
+        const revoked = await request(app).post('/api/auth/refresh').send({ refreshToken });
+        assert.equal(revoked.status, 401);
+        assert.equal(revoked.body.error, 'Refresh token has been revoked');
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).post('/api/auth/login').send({ email: 'a@b.c', password: 'x' });
+        assert.equal(res.status, 500);
+    });
+});
+
+describe('/api/admin/users', () => {
+    let app;
+    let pool;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        // The admin that bearer('admin') signs in as.
+        await createUser(pool, 'admin', 'admin@example.com');
+    });
+
+    it('is restricted to admins', async () => {
+        assert.equal((await request(app).get('/api/admin/users')).status, 401);
+        assert.equal((await request(app).get('/api/admin/users').set('Authorization', bearer('editor'))).status, 403);
+    });
+
+    it('creates, lists and updates admin users', async (t) => {
+        const admin = bearer('admin');
+        assert.equal((await request(app).post('/api/admin/users').set('Authorization', admin).send({ email: 'x@example.com', password: 'pw', role: 'owner' })).status, 400);
+
+        const created = await request(app).post('/api/admin/users').set('Authorization', admin)
+            .send({ email: 'hr@example.com', password: 'Secret123!', full_name: 'HR', role: 'hr' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.password_hash, undefined);
+
+        t.mock.method(console, 'error', () => {});
+        const duplicate = await request(app).post('/api/admin/users').set('Authorization', admin)
+            .send({ email: 'hr@example.com', password: 'Secret123!', role: 'hr' });
+        assert.equal(duplicate.status, 409);
+
+        const list = await request(app).get('/api/admin/users').set('Authorization', admin);
+        assert.ok(list.body.some((user) => user.email === 'hr@example.com'));
+
+        const updated = await request(app).put(`/api/admin/users/${created.body.id}`).set('Authorization', admin).send({ is_active: false });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.is_active, false);
+        assert.equal((await request(app).post('/api/auth/login').send({ email: 'hr@example.com', password: 'Secret123!' })).status, 401);
+        assert.equal((await request(app).put('/api/admin/users/999999').set('Authorization', admin).send({ role: 'hr' })).status, 404);
+    });
+
+    it('validates updates and only accepts numeric ids', async () => {
+        const admin = bearer('admin');
+        const invalid = await request(app).put('/api/admin/users/1').set('Authorization', admin).send({ is_active: 'nope', role: 'owner' });
+        assert.equal(invalid.status, 422);
+        assert.deepEqual(invalid.body.errors.map((error) => error.field).sort(), ['is_active', 'role']);
+        const malformed = await request(app).put('/api/admin/users/abc').set('Authorization', admin).send({ role: 'hr' });
+        assert.equal(malformed.status, 404);
+        assert.deepEqual(malformed.body, { message: 'User not found' });
+    });
+
+    it('keeps an active admin and revokes sessions when the role changes', async () => {
+        const admin = bearer('admin');
+        assert.equal((await request(app).put('/api/admin/users/1').set('Authorization', admin).send({ is_active: false })).status, 409);
+
+        const login = await request(app).post('/api/auth/login').send({ email: 'admin@example.com', password: TEST_PASSWORD });
+        assert.equal(login.status, 200);
+        const owner = await createUser(pool, 'admin', 'owner@example.com');
+        const own = bearer('admin', owner.id);
+        assert.equal((await request(app).put('/api/admin/users/1').set('Authorization', own).send({ role: 'editor' })).status, 200);
+        const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: login.body.refreshToken });
+        assert.equal(refresh.status, 401);
+
+        // The owner is now the last active admin.
+        const last = await request(app).put(`/api/admin/users/${owner.id}`).set('Authorization', admin).send({ role: 'sales' });
+        assert.equal(last.status, 409);
+        assert.equal((await request(app).put(`/api/admin/users/${owner.id}`).set('Authorization', admin).send({ is_active: false })).status, 409);
+        assert.equal((await request(app).put(`/api/admin/users/${owner.id}`).set('Authorization', admin).send({ full_name: 'Owner' })).status, 200);
+    });
+});
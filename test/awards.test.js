@@ -0,0 +1,11 @@
+const { crudContract } = require("./crudContract");
+
+crudContract({
+    path: '/api/awards',
+    writeRole: 'editor',
+    valid: { image_url: 'https://example.com/award.png' },
+    invalid: { image_url: 'not a url' },
+    patch: { image_url: 'https://example.com/award-2025.png' },
+    notFound: 'Award not found',
+    deletedKey: 'deletedAward',
+});
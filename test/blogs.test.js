@@ -0,0 +1,277 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { createTestApp, createUser, bearer } = require("./helpers");
+
+crudContract({
+    path: '/api/blogs',
+    writeRole: 'editor',
+    readAs: 'editor',
+    paginated: true,
+    valid: { title: 'Electric farming', slug: 'electric-farming', content: 'Body', author: 'Team', tags: ['ev'] },
+    invalid: { title: 'No slug', slug: 'Not A Slug', image_url: 'ftp://example.com/x.png' },
+    patch: { title: 'Electric farming, revisited' },
+    notFound: 'Blog not found',
+    deletedKey: 'deletedBlog',
+});
+
+// Creates a post and publishes it, `daysAgo` days in the past.
+const publishPost = async (app, editor, post, daysAgo = 1) => {
+    const created = await request(app).post('/api/blogs').set('Authorization', editor).send(post).expect(201);
+    const publishAt = new Date(Date.now() - daysAgo * 86400000).toISOString();
+    await request(app).patch(`/api/blogs/${created.body.id}/status`).set('Authorization', editor)
+        .send({ status: 'published', publish_at: publishAt }).expect(200);
+    return created.body;
+};
+
+describe('/api/blogs', () => {
+    let app;
+    let editor;
+
+    before(async () => {
+        let pool;
+        ({ app, pool } = await createTestApp());
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        await publishPost(app, editor, { title: 'Battery care', slug: 'battery-care', content: 'a', author: 'Service', tags: ['battery', 'maintenance'] }, 3);
+        await publishPost(app, editor, { title: 'TCO explained', slug: 'tco-explained', content: 'b', author: 'Team', tags: ['tco'] }, 2);
+        await publishPost(app, editor, { title: 'Another battery post', slug: 'another-battery-post', content: 'c', author: 'Team', tags: ['battery'] }, 1);
+    });
+
+    it('responds 409 for a duplicate slug', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'Dup', slug: 'battery-care', content: 'x', author: 'x' });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'Blog with this slug already exists');
+    });
+
+    it('lists the newest posts first', async () => {
+        const res = await request(app).get('/api/blogs');
+        assert.deepEqual(res.body.data.map((post) => post.slug), ['another-battery-post', 'tco-explained', 'battery-care']);
+    });
+
+    it('filters by tag and author', async () => {
+        const byTag = await request(app).get('/api/blogs?tag=battery');
+        assert.deepEqual(byTag.body.data.map((post) => post.slug).sort(), ['another-battery-post', 'battery-care']);
+        const byAuthor = await request(app).get('/api/blogs?author=team');
+        assert.equal(byAuthor.body.pagination.total, 2);
+    });
+
+    it('sorts by whitelisted fields only', async () => {
+        const res = await request(app).get('/api/blogs?sort=title&order=asc');
+        assert.deepEqual(res.body.data.map((post) => post.title), ['Another battery post', 'Battery care', 'TCO explained']);
+        assert.equal((await request(app).get('/api/blogs?sort=content')).status, 400);
+    });
+
+    it('paginates with page/limit and with cursors', async () => {
+        const first = await request(app).get('/api/blogs?sort=title&limit=2');
+        assert.equal(first.body.data.length, 2);
+        assert.deepEqual({ ...first.body.pagination, nextCursor: undefined }, { total: 3, limit: 2, page: 1, totalPages: 2, nextCursor: undefined });
+        const second = await request(app).get(`/api/blogs?sort=title&limit=2&cursor=${first.body.pagination.nextCursor}`);
+        assert.deepEqual(second.body.data.map((post) => post.title), ['TCO explained']);
+        assert.equal(second.body.pagination.nextCursor, null);
+        const page2 = await request(app).get('/api/blogs?sort=title&limit=2&page=2');
+        assert.deepEqual(page2.body.data, second.body.data);
+    });
+
+    it('rejects invalid pagination parameters', async () => {
+        assert.equal((await request(app).get('/api/blogs?limit=0')).status, 400);
+        assert.equal((await request(app).get('/api/blogs?page=-1')).status, 400);
+        assert.equal((await request(app).get('/api/blogs?cursor=not-a-cursor')).status, 400);
+    });
+
+    it('looks posts up by slug', async () => {
+        const res = await request(app).get('/api/blogs/slug/tco-explained');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.title, 'TCO explained');
+        assert.ok(res.headers.etag);
+        assert.equal((await request(app).get('/api/blogs/slug/no-such-post')).status, 404);
+    });
+});
+
+describe('/api/blogs publishing workflow', () => {
+    let app;
+    let draft;
+    let editor;
+
+    before(async () => {
+        let pool;
+        ({ app, pool } = await createTestApp());
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        draft = (await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'Draft post', slug: 'draft-post', content: 'v1', author: 'Team' })).body;
+    });
+
+    it('creates posts as drafts that only editors can see', async () => {
+        assert.equal(draft.status, 'draft');
+        assert.equal(draft.publication_date, null);
+        assert.equal((await request(app).get(`/api/blogs/${draft.id}`)).status, 404);
+        assert.equal((await request(app).get('/api/blogs/slug/draft-post')).status, 404);
+        assert.equal((await request(app).get('/api/blogs')).body.pagination.total, 0);
+        assert.equal((await request(app).get(`/api/blogs/${draft.id}`).set('Authorization', bearer('sales'))).status, 404);
+
+        assert.equal((await request(app).get(`/api/blogs/${draft.id}`).set('Authorization', editor)).status, 200);
+        assert.equal((await request(app).get('/api/blogs/slug/draft-post').set('Authorization', editor)).status, 200);
+        const drafts = await request(app).get('/api/blogs?status=draft').set('Authorization', editor);
+        assert.deepEqual(drafts.body.data.map((post) => post.id), [draft.id]);
+        assert.equal((await request(app).get('/api/blogs').set('Authorization', 'Bearer expired')).status, 401);
+    });
+
+    it('enforces the allowed transitions', async () => {
+        assert.equal((await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).send({ status: 'live' })).status, 400);
+        const review = await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).send({ status: 'review' });
+        assert.equal(review.status, 200);
+        assert.equal(review.body.status, 'review');
+        const invalid = await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).send({ status: 'archived' });
+        assert.equal(invalid.status, 409);
+        assert.deepEqual(invalid.body.allowed, ['draft', 'published']);
+        assert.equal((await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).send({ status: 'draft', publish_at: '2030-01-01' })).status, 400);
+        assert.equal((await request(app).patch('/api/blogs/999999/status').set('Authorization', editor).send({ status: 'review' })).status, 404);
+        assert.equal((await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', bearer('hr')).send({ status: 'draft' })).status, 403);
+    });
+
+    it('schedules posts published with a future date', async () => {
+        const current = await request(app).get(`/api/blogs/${draft.id}`).set('Authorization', editor);
+        const stale = await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).set('If-Match', '"1"').send({ status: 'published' });
+        assert.equal(stale.status, 412);
+        const scheduled = await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor)
+            .set('If-Match', current.headers.etag).send({ status: 'published', publish_at: '2099-01-01T00:00:00Z' });
+        assert.equal(scheduled.status, 200);
+        assert.equal(new Date(scheduled.body.publication_date).toISOString(), '2099-01-01T00:00:00.000Z');
+        assert.equal((await request(app).get('/api/blogs/slug/draft-post')).status, 404);
+    });
+
+    it('shows posts once their publication date has passed', async () => {
+        await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).send({ status: 'draft' }).expect(200);
+        await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).send({ status: 'published' }).expect(200);
+        const res = await request(app).get('/api/blogs/slug/draft-post');
+        assert.equal(res.status, 200);
+        assert.equal((await request(app).get('/api/blogs')).body.pagination.total, 1);
+
+        await request(app).patch(`/api/blogs/${draft.id}/status`).set('Authorization', editor).send({ status: 'archived' }).expect(200);
+        assert.equal((await request(app).get(`/api/blogs/${draft.id}`)).status, 404);
+    });
+});
+
+describe('/api/blogs revisions', () => {
+    let app;
+    let pool;
+    let editor;
+    let post;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        post = (await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'First title', slug: 'revisions', content: 'v1', author: 'Team' })).body;
+        await request(app).patch(`/api/blogs/${post.id}`).set('Authorization', editor).send({ title: 'Second title', content: 'v2' }).expect(200);
+        await request(app).patch(`/api/blogs/${post.id}/status`).set('Authorization', editor).send({ status: 'review' }).expect(200);
+    });
+
+    it('records a revision for every content save', async () => {
+        const res = await request(app).get(`/api/blogs/${post.id}/revisions`).set('Authorization', editor);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map((revision) => [revision.blog_version, revision.title]), [[2, 'Second title'], [1, 'First title']]);
+        assert.equal(res.body[0].content, undefined);
+        assert.ok(res.body[0].editor_id);
+
+        const first = await request(app).get(`/api/blogs/${post.id}/revisions/${res.body[1].id}`).set('Authorization', editor);
+        assert.equal(first.body.content, 'v1');
+        assert.equal((await request(app).get(`/api/blogs/${post.id}/revisions/999999`).set('Authorization', editor)).status, 404);
+        assert.equal((await request(app).get(`/api/blogs/${post.id}/revisions`)).status, 401);
+        assert.equal((await request(app).get('/api/blogs/999999/revisions').set('Authorization', editor)).status, 404);
+    });
+
+    it('restores a revision as a new save, keeping the status', async () => {
+        const revisions = (await request(app).get(`/api/blogs/${post.id}/revisions`).set('Authorization', editor)).body;
+        const first = revisions.at(-1);
+        const stale = await request(app).post(`/api/blogs/${post.id}/revisions/${first.id}/restore`).set('Authorization', editor).set('If-Match', '"1"');
+        assert.equal(stale.status, 412);
+
+        const res = await request(app).post(`/api/blogs/${post.id}/revisions/${first.id}/restore`).set('Authorization', editor);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.title, 'First title');
+        assert.equal(res.body.content, 'v1');
+        assert.equal(res.body.status, 'review');
+        assert.equal(res.headers.etag, '"4"');
+
+        const after = (await request(app).get(`/api/blogs/${post.id}/revisions`).set('Authorization', editor)).body;
+        assert.deepEqual(after.map((revision) => revision.blog_version), [4, 2, 1]);
+        assert.equal((await request(app).post(`/api/blogs/${post.id}/revisions/999999/restore`).set('Authorization', editor)).status, 404);
+    });
+
+    it('restores the product links of a revision', async () => {
+        const product = (await pool.query("INSERT INTO products (name, price) VALUES ('Volt 25', 650000) RETURNING id")).rows[0];
+        const linked = (await request(app).patch(`/api/blogs/${post.id}`).set('Authorization', editor).send({ product_ids: [product.id] }).expect(200)).body;
+        await request(app).patch(`/api/blogs/${post.id}`).set('Authorization', editor).send({ product_ids: [] }).expect(200);
+
+        const revisions = (await request(app).get(`/api/blogs/${post.id}/revisions`).set('Authorization', editor)).body;
+        const withLink = revisions.find((revision) => revision.blog_version === linked.version);
+        const res = await request(app).post(`/api/blogs/${post.id}/revisions/${withLink.id}/restore`).set('Authorization', editor).expect(200);
+        assert.deepEqual(res.body.product_ids, [product.id]);
+
+        // Deleting the product removes it from the revisions too, so it cannot be restored.
+        await request(app).delete(`/api/products/${product.id}`).set('Authorization', editor).expect(200);
+        const restored = await request(app).post(`/api/blogs/${post.id}/revisions/${withLink.id}/restore`).set('Authorization', editor).expect(200);
+        assert.deepEqual(restored.body.product_ids, []);
+    });
+});
+
+describe('/api/blogs related posts and products', () => {
+    let app;
+    let editor;
+    const posts = {};
+
+    before(async () => {
+        let pool;
+        ({ app, pool } = await createTestApp());
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        for (const [slug, tags, content, daysAgo] of [
+            ['battery-care', ['battery', 'maintenance'], 'Charge the battery overnight and keep terminals clean.', 5],
+            ['battery-warranty', ['battery', 'maintenance'], 'What the battery warranty covers.', 4],
+            ['battery-chemistry', ['battery'], 'Lithium cells, charge cycles and battery chemistry.', 3],
+            ['charging-overnight', [], 'Charge overnight to keep the battery terminals healthy.', 2],
+            ['diesel-prices', ['tco'], 'Diesel prices keep rising.', 1],
+        ]) {
+            posts[slug] = await publishPost(app, editor, { title: slug.replace(/-/g, ' '), slug, content, author: 'Team', tags }, daysAgo);
+        }
+        posts.draft = (await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'battery draft', slug: 'battery-draft', content: 'x', author: 'Team', tags: ['battery', 'maintenance'] })).body;
+    });
+
+    it('filters by tag slug, whatever the case', async () => {
+        const res = await request(app).get('/api/blogs?tag=Battery&sort=id&order=asc');
+        assert.deepEqual(res.body.data.map((post) => post.slug), ['battery-care', 'battery-warranty', 'battery-chemistry']);
+    });
+
+    it('ranks related published posts by shared tags, then similarity', async () => {
+        const res = await request(app).get(`/api/blogs/${posts['battery-care'].id}/related`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map((post) => post.slug), ['battery-warranty', 'battery-chemistry', 'charging-overnight']);
+        assert.deepEqual(res.body.map((post) => post.shared_tags), [2, 1, 0]);
+        assert.ok(res.body[2].score > 0 && res.body[2].score < 1);
+        assert.equal(res.body[0].content, undefined);
+
+        const limited = await request(app).get(`/api/blogs/${posts['battery-care'].id}/related?limit=1`);
+        assert.deepEqual(limited.body.map((post) => post.slug), ['battery-warranty']);
+    });
+
+    it('validates the related posts request', async () => {
+        assert.equal((await request(app).get(`/api/blogs/${posts['battery-care'].id}/related?limit=0`)).status, 400);
+        assert.equal((await request(app).get(`/api/blogs/${posts['battery-care'].id}/related?limit=21`)).status, 400);
+        assert.equal((await request(app).get('/api/blogs/999999/related')).status, 404);
+        assert.equal((await request(app).get(`/api/blogs/${posts.draft.id}/related`)).status, 404);
+        assert.equal((await request(app).get(`/api/blogs/${posts.draft.id}/related`).set('Authorization', editor)).status, 200);
+    });
+
+    it('links posts to existing products only', async () => {
+        const product = (await request(app).post('/api/products').set('Authorization', editor).send({ name: 'Volt 25', price: 650000 })).body;
+        const linked = await request(app).patch(`/api/blogs/${posts['battery-care'].id}`).set('Authorization', editor).send({ product_ids: [product.id] });
+        assert.equal(linked.status, 200);
+        assert.deepEqual(linked.body.product_ids, [product.id]);
+        const res = await request(app).patch(`/api/blogs/${posts['battery-care'].id}`).set('Authorization', editor).send({ product_ids: [product.id, 999999] });
+        assert.equal(res.status, 422);
+        assert.deepEqual(res.body.errors, [{ field: 'product_ids', message: 'references unknown products: 999999' }]);
+    });
+});
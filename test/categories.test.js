@@ -0,0 +1,50 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { createTestApp, bearer } = require("./helpers");
+
+crudContract({
+    path: '/api/categories',
+    writeRole: 'editor',
+    valid: { name: 'Tractors', slug: 'tractors', description: 'Electric tractors', sort_order: 1 },
+    invalid: { name: 'Bad slug', slug: 'Bad Slug', sort_order: 1.5 },
+    patch: { description: 'Electric tractors for every farm size' },
+    notFound: 'Category not found',
+    deletedKey: 'deletedCategory',
+});
+
+describe('/api/categories', () => {
+    let app;
+    const editor = bearer('editor');
+
+    before(async () => {
+        ({ app } = await createTestApp());
+        for (const category of [
+            { name: 'Vehicles', slug: 'vehicles', sort_order: 2 },
+            { name: 'Tractors', slug: 'tractors', sort_order: 1 },
+            { name: 'Accessories', slug: 'accessories', sort_order: 2 },
+        ]) {
+            await request(app).post('/api/categories').set('Authorization', editor).send(category).expect(201);
+        }
+    });
+
+    it('lists categories by sort_order, then name', async () => {
+        const res = await request(app).get('/api/categories');
+        assert.deepEqual(res.body.map((category) => category.slug), ['tractors', 'accessories', 'vehicles']);
+    });
+
+    it('responds 409 for a duplicate slug', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(app).post('/api/categories').set('Authorization', editor).send({ name: 'Dup', slug: 'tractors' });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'Category with this slug already exists');
+    });
+
+    it('resets sort_order to 0 when a PUT omits it', async () => {
+        const created = (await request(app).post('/api/categories').set('Authorization', editor).send({ name: 'Spares', slug: 'spares', sort_order: 9 })).body;
+        const res = await request(app).put(`/api/categories/${created.id}`).set('Authorization', editor).send({ name: 'Spares', slug: 'spares' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.sort_order, 0);
+    });
+});
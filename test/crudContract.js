@@ -0,0 +1,164 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+/**
+ * Shared tests for the routes mounted by routes/crud.js.
+ *
+ * @param {object} options
+ * @param {string} options.path - e.g. '/api/blogs'
+ * @param {string} options.writeRole / options.readRole - see mountCrudRoutes()
+ * @param {string} [options.readAs] - role to read with when reads are public but scoped (e.g. drafts are editor-only)
+ * @param {boolean} [options.publicCreate]
+ * @param {boolean} [options.paginated] - GET / returns { data, pagination }
+ * @param {object} options.valid - a valid POST body
+ * @param {object} options.invalid - a POST body failing validation
+ * @param {object} options.patch - a valid PATCH body
+ * @param {string} options.notFound - 404 message
+ * @param {string} options.deletedKey - key of the deleted row in the DELETE response
+ * @param {function} [options.setup] - async (pool) => inserts rows that `valid` refers to
+ */
+const crudContract = (options) => {
+    const { path, writeRole, readRole, readAs, publicCreate = false, paginated = false, valid, invalid, patch, notFound, deletedKey, setup } = options;
+    // Writes record the acting user (e.g. blog revisions), so the writer is a real admin user.
+    let writer;
+    const reader = readRole || readAs ? bearer(readRole || readAs) : undefined;
+    const withReader = (req) => (reader ? req.set('Authorization', reader) : req);
+
+    describe(`${path} CRUD`, () => {
+        let app;
+        let created;
+
+        before(async () => {
+            let pool;
+            ({ app, pool } = await createTestApp());
+            writer = bearer(writeRole, (await createUser(pool, writeRole)).id);
+            if (setup) await setup(pool);
+        });
+
+        it('POST / creates a row', async () => {
+            let req = request(app).post(path).send(valid);
+            if (!publicCreate) req = req.set('Authorization', writer);
+            const res = await req;
+            assert.equal(res.status, 201);
+            assert.ok(res.body.id);
+            assert.equal(res.headers.etag, '"1"');
+            created = res.body;
+        });
+
+        it(publicCreate ? 'POST / is public' : 'POST / requires authentication', async (t) => {
+            // A second public POST of the same body may hit a unique constraint (409), which is logged.
+            t.mock.method(console, 'error', () => {});
+            const res = await request(app).post(path).send(valid);
+            if (publicCreate) {
+                assert.notEqual(res.status, 401);
+            } else {
+                assert.equal(res.status, 401);
+            }
+        });
+
+        it('POST / rejects invalid bodies with 422 and per-field errors', async () => {
+            const res = await request(app).post(path).set('Authorization', writer).send(invalid);
+            assert.equal(res.status, 422);
+            assert.equal(res.body.error, 'Validation failed');
+            assert.ok(res.body.errors.length > 0);
+            for (const error of res.body.errors) {
+                assert.ok(error.field && error.message);
+            }
+        });
+
+        it('GET / lists rows', async () => {
+            const res = await withReader(request(app).get(path));
+            assert.equal(res.status, 200);
+            const rows = paginated ? res.body.data : res.body;
+            assert.ok(rows.some((row) => row.id === created.id));
+            if (paginated) {
+                assert.equal(typeof res.body.pagination.total, 'number');
+            }
+        });
+
+        if (readRole) {
+            it('GET / requires the read role', async () => {
+                assert.equal((await request(app).get(path)).status, 401);
+                assert.equal((await request(app).get(path).set('Authorization', bearer('nobody'))).status, 403);
+            });
+        }
+
+        it('GET /:id returns the row with an ETag', async () => {
+            const res = await withReader(request(app).get(`${path}/${created.id}`));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.id, created.id);
+            assert.equal(res.headers.etag, '"1"');
+        });
+
+        it('GET /:id responds 404 for missing and non-numeric ids', async () => {
+            for (const id of ['999999', 'abc']) {
+                const res = await withReader(request(app).get(`${path}/${id}`));
+                assert.equal(res.status, 404);
+                assert.equal(res.body.message, notFound);
+            }
+        });
+
+        it('PATCH /:id updates only the supplied fields and bumps the version', async () => {
+            const res = await request(app).patch(`${path}/${created.id}`).set('Authorization', writer).set('If-Match', '"1"').send(patch);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.etag, '"2"');
+            for (const [field, value] of Object.entries(patch)) {
+                assert.deepEqual(res.body[field], value);
+            }
+        });
+
+        it('PATCH /:id responds 412 on a stale If-Match', async () => {
+            const res = await request(app).patch(`${path}/${created.id}`).set('Authorization', writer).set('If-Match', '"1"').send(patch);
+            assert.equal(res.status, 412);
+            assert.equal(res.headers.etag, '"2"');
+        });
+
+        it('PATCH /:id rejects an empty body', async () => {
+            const res = await request(app).patch(`${path}/${created.id}`).set('Authorization', writer).send({});
+            assert.equal(res.status, 400);
+        });
+
+        it('PUT /:id replaces the row', async () => {
+            const res = await request(app).put(`${path}/${created.id}`).set('Authorization', writer).set('If-Match', '"2"').send(valid);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.etag, '"3"');
+        });
+
+        it('PUT /:id validates the full body', async () => {
+            const res = await request(app).put(`${path}/${created.id}`).set('Authorization', writer).send(invalid);
+            assert.equal(res.status, 422);
+        });
+
+        it('PUT /:id responds 404 for a missing row', async () => {
+            const res = await request(app).put(`${path}/999999`).set('Authorization', writer).send(valid);
+            assert.equal(res.status, 404);
+        });
+
+        it('writes are refused for other roles', async () => {
+            const res = await request(app).patch(`${path}/${created.id}`).set('Authorization', bearer('nobody')).send(patch);
+            assert.equal(res.status, 403);
+        });
+
+        it('DELETE /:id responds 412 on a stale If-Match, then deletes', async () => {
+            const stale = await request(app).delete(`${path}/${created.id}`).set('Authorization', writer).set('If-Match', '"1"');
+            assert.equal(stale.status, 412);
+            const res = await request(app).delete(`${path}/${created.id}`).set('Authorization', writer);
+            assert.equal(res.status, 200);
+            assert.equal(res.body[deletedKey].id, created.id);
+            const again = await request(app).delete(`${path}/${created.id}`).set('Authorization', writer);
+            assert.equal(again.status, 404);
+        });
+
+        it('responds 500 when the database fails', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const failing = createFailingApp();
+            const res = await withReader(request(failing).get(`${path}/1`));
+            assert.equal(res.status, 500);
+            assert.deepEqual(res.body, { error: 'Server error' });
+        });
+    });
+};
+
+module.exports = { crudContract };
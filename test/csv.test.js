@@ -0,0 +1,17 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv } = require("../lib/csv");
+
+describe('lib/csv', () => {
+    it('writes a header and quotes values when needed', () => {
+        const csv = toCsv(['name', 'note', 'tags', 'at', 'amount'], [
+            { name: 'Ravi', note: 'said "hi", twice\nthen left', tags: ['a', 'b'], at: new Date('2025-01-02T03:04:05Z'), amount: -5 },
+            { name: null, note: undefined, tags: [], at: null, amount: 0 },
+        ]);
+        assert.equal(csv, 'name,note,tags,at,amount\r\nRavi,"said ""hi"", twice\nthen left",a;b,2025-01-02T03:04:05.000Z,-5\r\n,,,,0\r\n');
+    });
+
+    it('defuses spreadsheet formulas in text', () => {
+        assert.equal(toCsv(['v'], [{ v: '=HYPERLINK("x")' }, { v: '-2+3' }]), 'v\r\n"\'=HYPERLINK(""x"")"\r\n\'-2+3\r\n');
+    });
+});
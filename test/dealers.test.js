@@ -0,0 +1,220 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { dealerConfig, distanceKm, rankByDistance } = require("../lib/dealers");
+const { createPincodeDirectory, loadPincodeDirectory } = require("../lib/pincodes");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const BENGALURU = { latitude: 12.9716, longitude: 77.5946 };
+const MYSURU = { latitude: 12.2958, longitude: 76.6394 };
+const PUNE = { latitude: 18.5204, longitude: 73.8567 };
+
+const dealer = (fields = {}) => ({
+    name: 'Bullwork Bengaluru', address: '14 Outer Ring Road', city: 'Bengaluru', state: 'Karnataka', pincode: '560045',
+    ...BENGALURU, services: ['sales', 'demo', 'service'], ...fields,
+});
+
+const demoRequest = {
+    request_type: 'demo',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    pincode: '570010',
+};
+
+describe('dealers', () => {
+    let app;
+    let pool;
+    let sales;
+    let product;
+    let bengaluru;
+    let mysuru;
+    let pune;
+
+    const create = async (fields) => (await request(app).post('/api/dealers').set('Authorization', sales).send(dealer(fields)).expect(201)).body;
+    const nearby = (query) => request(app).get(`/api/dealers/nearby?${query}`);
+    const namesOf = (res) => res.body.data.map((row) => row.name);
+    const submit = async (fields = {}) => (await request(app).post('/api/requests').send({ ...demoRequest, ...fields }).expect(201)).body;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        sales = bearer('sales', (await createUser(pool, 'sales')).id);
+        product = (await pool.query("INSERT INTO products (name, price) VALUES ('Volt 25', 250000) RETURNING *")).rows[0];
+        bengaluru = await create({ product_ids: [product.id, product.id] });
+        mysuru = await create({ name: 'Bullwork Mysuru', city: 'Mysuru', pincode: '570016', ...MYSURU, services: ['sales', 'spares'], product_ids: [product.id] });
+        pune = await create({ name: 'Bullwork Pune', city: 'Pune', state: 'Maharashtra', pincode: '411001', ...PUNE, services: ['service'] });
+        await create({ name: 'Closed Bengaluru', ...BENGALURU, active: false });
+    });
+
+    it('manages dealers, showing the public active ones only', async () => {
+        assert.deepEqual(bengaluru.services, ['sales', 'demo', 'service']);
+        assert.deepEqual(bengaluru.product_ids, [product.id]);
+        assert.equal(bengaluru.active, true);
+
+        const publicList = await request(app).get('/api/dealers?state=karnataka').expect(200);
+        assert.deepEqual(namesOf(publicList), ['Bullwork Bengaluru', 'Bullwork Mysuru']);
+        assert.deepEqual(namesOf(await request(app).get('/api/dealers?service=service').expect(200)), ['Bullwork Bengaluru', 'Bullwork Pune']);
+        assert.deepEqual(namesOf(await request(app).get(`/api/dealers?product_id=${product.id}`).expect(200)), ['Bullwork Bengaluru', 'Bullwork Mysuru']);
+        assert.equal((await request(app).get('/api/dealers?product_id=volt')).status, 400);
+
+        const staff = await request(app).get('/api/dealers?active=false').set('Authorization', sales).expect(200);
+        assert.deepEqual(namesOf(staff), ['Closed Bengaluru']);
+        assert.equal((await request(app).get('/api/dealers?active=foo').set('Authorization', sales)).status, 400);
+        assert.equal((await request(app).get(`/api/dealers/${staff.body.data[0].id}`)).status, 404);
+
+        // PUT keeps active when it is omitted.
+        const { id, version, created_at, updated_at, active, ...fields } = staff.body.data[0];
+        const replaced = await request(app).put(`/api/dealers/${id}`).set('Authorization', sales).send({ ...fields, phone_number: '+91 80 4000 1234' }).expect(200);
+        assert.equal(replaced.body.active, false);
+    });
+
+    it('validates dealers', async () => {
+        const post = (fields) => request(app).post('/api/dealers').set('Authorization', sales).send(dealer(fields));
+        const fieldsOf = (res) => {
+            assert.equal(res.status, 422);
+            return res.body.errors.map((error) => error.field);
+        };
+        assert.deepEqual(fieldsOf(await post({ latitude: 91, longitude: -181 })), ['latitude', 'longitude']);
+        assert.deepEqual(fieldsOf(await post({ services: [] })), ['services']);
+        assert.deepEqual(fieldsOf(await post({ services: ['repairs'] })), ['services']);
+        assert.deepEqual(fieldsOf(await post({ pincode: '12345' })), ['pincode']);
+        assert.deepEqual(fieldsOf(await post({ address: undefined })), ['address']);
+        const unknown = await post({ product_ids: [999999] });
+        assert.deepEqual(fieldsOf(unknown), ['product_ids']);
+        assert.match(unknown.body.errors[0].message, /999999/);
+
+        const editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        assert.equal((await request(app).post('/api/dealers').set('Authorization', editor).send(dealer())).status, 403);
+        assert.equal((await request(app).post('/api/dealers').send(dealer())).status, 401);
+    });
+
+    it('finds the nearest active dealers to a point', async () => {
+        const res = await nearby(`lat=${BENGALURU.latitude}&lng=${BENGALURU.longitude}`).expect(200);
+        assert.deepEqual(res.body.origin, BENGALURU);
+        assert.deepEqual(namesOf(res), ['Bullwork Bengaluru', 'Bullwork Mysuru', 'Bullwork Pune']);
+        assert.equal(res.body.data[0].distance_km, 0);
+        assert.ok(res.body.data[1].distance_km > 120 && res.body.data[1].distance_km < 135);
+
+        assert.deepEqual(namesOf(await nearby('lat=12.97&lng=77.59&radius_km=200').expect(200)), ['Bullwork Bengaluru', 'Bullwork Mysuru']);
+        assert.deepEqual(namesOf(await nearby('lat=12.97&lng=77.59&service=spares').expect(200)), ['Bullwork Mysuru']);
+        assert.deepEqual(namesOf(await nearby(`lat=18.5&lng=73.9&product_id=${product.id}`).expect(200)), ['Bullwork Bengaluru', 'Bullwork Mysuru']);
+        assert.deepEqual(namesOf(await nearby('lat=18.5&lng=73.9&limit=1').expect(200)), ['Bullwork Pune']);
+    });
+
+    it('finds dealers near a PIN code', async () => {
+        const res = await nearby('pincode=570010').expect(200);
+        assert.deepEqual(res.body.origin, { pincode: '570010', ...MYSURU, city: 'Mysuru', state: 'Karnataka', precision: 'district' });
+        assert.deepEqual(namesOf(res), ['Bullwork Mysuru', 'Bullwork Bengaluru', 'Bullwork Pune']);
+        assert.equal((await nearby('pincode=999999')).status, 404);
+    });
+
+    it('rejects invalid nearby searches', async () => {
+        for (const query of ['', 'lat=12.9', 'lat=north&lng=77', 'lat=95&lng=77', 'pincode=5600', 'pincode=560001&service=repairs',
+            'pincode=560001&product_id=x', 'pincode=560001&radius_km=0', 'pincode=560001&limit=0', 'pincode=560001&limit=51']) {
+            const res = await nearby(query);
+            assert.equal(res.status, 400, query);
+            assert.ok(res.body.error);
+        }
+    });
+
+    it('assigns new requests to the nearest dealer offering their service', async () => {
+        // Mysuru does not give demos, so a demo near Mysuru goes to Bengaluru.
+        const demo = await submit();
+        assert.equal(demo.dealer_id, bengaluru.id);
+        const order = await submit({ request_type: 'order', email: 'meera@example.com' });
+        assert.equal(order.dealer_id, mysuru.id);
+        // A product no dealer stocks leaves the request unassigned; an unknown product name matches any dealer.
+        await pool.query("INSERT INTO products (name) VALUES ('Volt 50')");
+        assert.equal((await submit({ product_name: 'Volt 50', email: 'a@example.com' })).dealer_id, null);
+        assert.equal((await submit({ product_name: 'Tractor', email: 'b@example.com' })).dealer_id, bengaluru.id);
+        // Too far from any dealer, or without a PIN code.
+        assert.equal((await submit({ pincode: '110001', email: 'c@example.com' })).dealer_id, null);
+        assert.equal((await submit({ pincode: undefined, email: 'd@example.com' })).dealer_id, null);
+
+        const activity = await request(app).get(`/api/requests/${order.id}/activity`).set('Authorization', sales).expect(200);
+        assert.equal(activity.body[0].activity_type, 'assignment');
+        assert.match(activity.body[0].note, /^Assigned to dealer Bullwork Mysuru \(\d+(\.\d)? km away\)$/);
+
+        const expanded = await request(app).get(`/api/requests/${demo.id}?expand=dealer`).set('Authorization', sales).expect(200);
+        assert.equal(expanded.body.dealer.name, 'Bullwork Bengaluru');
+        const listed = await request(app).get(`/api/requests?dealer_id=${mysuru.id}`).set('Authorization', sales).expect(200);
+        assert.deepEqual(listed.body.data.map((row) => row.id), [order.id]);
+    });
+
+    it('uses the configured assignment radius', async () => {
+        const { app: nearApp, pool: nearPool } = await createTestApp({ dealerSettings: dealerConfig({ DEALER_ASSIGN_RADIUS_KM: '50' }) });
+        const token = bearer('sales', (await createUser(nearPool, 'sales')).id);
+        await request(nearApp).post('/api/dealers').set('Authorization', token).send(dealer()).expect(201);
+        assert.equal((await request(nearApp).post('/api/requests').send(demoRequest).expect(201)).body.dealer_id, null);
+        const local = await request(nearApp).post('/api/requests').send({ ...demoRequest, email: 'e@example.com', pincode: '560001' }).expect(201);
+        assert.ok(local.body.dealer_id);
+    });
+
+    it('lets sales change the dealer of a request', async () => {
+        const created = await submit({ email: 'f@example.com' });
+        const url = `/api/requests/${created.id}/dealer`;
+        const res = await request(app).patch(url).set('Authorization', sales).send({ dealer_id: pune.id }).expect(200);
+        assert.equal(res.body.dealer_id, pune.id);
+        assert.equal((await request(app).patch(url).set('Authorization', sales).send({})).status, 400);
+        assert.equal((await request(app).patch(url).set('Authorization', sales).send({ dealer_id: 999999 })).status, 400);
+        assert.equal((await request(app).patch(url).set('Authorization', sales).send({ dealer_id: String(pune.id) })).status, 400);
+        assert.equal((await request(app).patch('/api/requests/999999/dealer').set('Authorization', sales).send({ dealer_id: pune.id })).status, 404);
+        assert.equal((await request(app).patch(url).send({ dealer_id: null })).status, 401);
+        const cleared = await request(app).patch(url).set('Authorization', sales).send({ dealer_id: null }).expect(200);
+        assert.equal(cleared.body.dealer_id, null);
+        const notes = (await request(app).get(`/api/requests/${created.id}/activity`).set('Authorization', sales)).body.map((entry) => entry.note);
+        assert.deepEqual(notes.slice(-2), ['Assigned to dealer Bullwork Pune', 'Dealer removed']);
+    });
+
+    it('cleans up references when products and dealers are deleted', async () => {
+        const spare = (await pool.query("INSERT INTO products (name) VALUES ('Spare') RETURNING id")).rows[0];
+        const stocked = await create({ name: 'Bullwork Hubballi', city: 'Hubballi', latitude: 15.3647, longitude: 75.124, product_ids: [product.id, spare.id] });
+        await request(app).delete(`/api/products/${spare.id}`).set('Authorization', bearer('admin')).expect(200);
+        const after = (await request(app).get(`/api/dealers/${stocked.id}`).expect(200)).body;
+        assert.deepEqual(after.product_ids, [product.id]);
+        assert.equal(after.version, stocked.version + 1);
+
+        const assigned = await submit({ email: 'g@example.com', pincode: '580020' });
+        assert.equal(assigned.dealer_id, stocked.id);
+        await request(app).delete(`/api/dealers/${stocked.id}`).set('Authorization', sales).expect(200);
+        const orphan = await request(app).get(`/api/requests/${assigned.id}`).set('Authorization', sales).expect(200);
+        assert.equal(orphan.body.dealer_id, null);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal((await request(createFailingApp()).get('/api/dealers/nearby?pincode=560001')).status, 500);
+        assert.equal((await request(createFailingApp()).get('/api/dealers')).status, 500);
+    });
+});
+
+describe('dealer search', () => {
+    it('measures great-circle distances', () => {
+        assert.equal(distanceKm(BENGALURU, BENGALURU), 0);
+        assert.equal(Math.round(distanceKm(BENGALURU, PUNE)), Math.round(distanceKm(PUNE, BENGALURU)));
+        assert.ok(Math.abs(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 180 }) - 20015.1) < 0.1);
+        const ranked = rankByDistance([{ id: 2, ...PUNE }, { id: 1, ...MYSURU }, { id: 3, ...MYSURU }], BENGALURU, { radiusKm: 500 });
+        assert.deepEqual(ranked.map((row) => row.id), [1, 3]);
+    });
+
+    it('reads its settings', () => {
+        assert.deepEqual(dealerConfig({}), { assignRadiusKm: 300, nearbyLimit: 10 });
+        assert.throws(() => dealerConfig({ DEALER_ASSIGN_RADIUS_KM: '-5' }), /DEALER_ASSIGN_RADIUS_KM/);
+        assert.throws(() => dealerConfig({ DEALER_NEARBY_LIMIT: '500' }), /DEALER_NEARBY_LIMIT/);
+    });
+
+    it('looks up PIN codes by full code, then by district', () => {
+        const directory = createPincodeDirectory([
+            { pincode: '560', latitude: 12.97, longitude: 77.59, city: 'Bengaluru', state: 'Karnataka' },
+            { pincode: '560100', latitude: 12.84, longitude: 77.66, city: 'Electronic City' },
+        ]);
+        assert.equal(directory.lookup('560100').precision, 'pincode');
+        assert.equal(directory.lookup('560100').city, 'Electronic City');
+        assert.deepEqual(directory.lookup('560001'), { pincode: '560001', latitude: 12.97, longitude: 77.59, city: 'Bengaluru', state: 'Karnataka', precision: 'district' });
+        assert.equal(directory.lookup('561001'), undefined);
+        assert.equal(directory.lookup('560'), undefined);
+        assert.throws(() => createPincodeDirectory([{ pincode: '56', latitude: 1, longitude: 1 }]), /Invalid PIN code directory entry/);
+        assert.ok(loadPincodeDirectory({}).size > 50);
+    });
+});
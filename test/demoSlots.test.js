@@ -0,0 +1,301 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { calendarInvite } = require("../lib/calendar");
+const { signDemoBookingToken } = require("../lib/demoBookings");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const demoRequest = {
+    request_type: 'demo',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    city: 'Mysuru',
+    state: 'Karnataka',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+// An hour-long slot starting `days` from now.
+const slotTimes = (days) => ({
+    starts_at: new Date(Date.now() + days * DAY).toISOString(),
+    ends_at: new Date(Date.now() + days * DAY + 60 * 60 * 1000).toISOString(),
+});
+
+// The calendar invite attached to a queued email.
+const inviteOf = (email) => email.attachments[0].content;
+
+describe('demo slots', () => {
+    let app;
+    let pool;
+    let sales;
+    let editor;
+    let rep;
+    let product;
+
+    const createSlot = async (fields = {}) => (await request(app).post('/api/demo-slots').set('Authorization', sales)
+        .send({ ...slotTimes(3), city: 'Mysuru', state: 'Karnataka', location: 'Bullwork Experience Centre, Hebbal', ...fields }).expect(201)).body;
+    // The customers' booking tokens by request id, from the links in their acknowledgement emails.
+    const tokens = new Map();
+    const submit = async (fields = {}) => {
+        const created = (await request(app).post('/api/requests').send({ ...demoRequest, ...fields }).expect(201)).body;
+        const acknowledgement = (await pool.query("SELECT body_text FROM email_outbox WHERE template = 'request_acknowledgement' ORDER BY id DESC LIMIT 1")).rows[0];
+        const link = acknowledgement.body_text.match(/demo-booking\?token=([\w.-]+)/);
+        if (link) tokens.set(created.id, link[1]);
+        return created;
+    };
+    const booking = (requestId) => `/api/requests/${requestId}/demo-booking`;
+    const book = (requestId, slotId, token = tokens.get(requestId)) => request(app).put(booking(requestId)).send({ slot_id: slotId, token });
+    // Demo booking emails queued since `since` (an outbox id), oldest first.
+    const demoEmails = async (since) =>
+        (await pool.query("SELECT * FROM email_outbox WHERE template LIKE 'demo_booking%' AND id > $1 ORDER BY id", [since])).rows;
+    const lastEmailId = async () => (await pool.query('SELECT COALESCE(MAX(id), 0) AS id FROM email_outbox')).rows[0].id;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        rep = await createUser(pool, 'sales');
+        await pool.query("UPDATE admin_users SET full_name = 'Asha Rao' WHERE id = $1", [rep.id]);
+        sales = bearer('sales', rep.id);
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        product = (await pool.query("INSERT INTO products (name, price) VALUES ('Volt 25', 250000) RETURNING *")).rows[0];
+    });
+
+    it('lists open slots to the public, filtered by place and product', async () => {
+        const mysuru = await createSlot({ product_id: product.id, rep_id: rep.id });
+        const anyProduct = await createSlot({ ...slotTimes(4), city: 'Pune', state: 'Maharashtra' });
+        const other = (await pool.query("INSERT INTO products (name) VALUES ('Volt 50') RETURNING id")).rows[0];
+        await createSlot({ ...slotTimes(5), city: 'Pune', state: 'Maharashtra', product_id: other.id });
+        await pool.query("INSERT INTO demo_slots (starts_at, ends_at, city) VALUES (NOW() - INTERVAL '2 days', NOW() - INTERVAL '47 hours', 'Mysuru')");
+
+        const ids = async (query) => (await request(app).get(`/api/demo-slots?${query}`).expect(200)).body.data.map((slot) => slot.id);
+        assert.deepEqual(await ids('city=mysuru'), [mysuru.id]);
+        assert.deepEqual(await ids(`state=Maharashtra&product_id=${product.id}`), [anyProduct.id]);
+        assert.equal((await ids(`product_id=${product.id}`)).length, 2);
+        assert.equal((await request(app).get('/api/demo-slots?product_id=volt')).status, 400);
+
+        const staff = await request(app).get('/api/demo-slots?city=Mysuru').set('Authorization', sales).expect(200);
+        assert.equal(staff.body.data.length, 2);
+    });
+
+    it('validates slots', async () => {
+        const post = (fields) => request(app).post('/api/demo-slots').set('Authorization', sales).send({ ...slotTimes(3), city: 'Mysuru', ...fields });
+        const fieldsOf = (res) => {
+            assert.equal(res.status, 422);
+            return res.body.errors.map((error) => error.field);
+        };
+        assert.deepEqual(fieldsOf(await post({ ends_at: slotTimes(2).ends_at })), ['ends_at']);
+        assert.deepEqual(fieldsOf(await post({ product_id: 999999 })), ['product_id']);
+        const hr = await createUser(pool, 'hr');
+        assert.deepEqual(fieldsOf(await post({ rep_id: hr.id })), ['rep_id']);
+        assert.deepEqual(fieldsOf(await post({ city: null })), ['city']);
+
+        const slot = await createSlot();
+        const res = await request(app).patch(`/api/demo-slots/${slot.id}`).set('Authorization', sales).send({ ends_at: slot.starts_at });
+        assert.deepEqual(fieldsOf(res), ['ends_at']);
+    });
+
+    it('books a slot and emails calendar invites to the customer and the rep', async () => {
+        const slot = await createSlot({ product_id: product.id, rep_id: rep.id });
+        const demo = await submit();
+        const since = await lastEmailId();
+
+        const res = await book(demo.id, slot.id);
+        assert.equal(res.status, 201);
+        assert.equal(res.body.status, 'booked');
+        assert.equal(res.body.slot.id, slot.id);
+        assert.equal((await request(app).get(`/api/demo-slots/${slot.id}`)).status, 404);
+        assert.equal((await request(app).get(`/api/demo-slots/${slot.id}`).set('Authorization', sales)).status, 200);
+        const booked = await request(app).get(`/api/demo-slots?booked=true`).set('Authorization', sales).expect(200);
+        assert.deepEqual(booked.body.data.map((row) => row.id), [slot.id]);
+
+        const [customer, alert] = await demoEmails(since);
+        assert.equal(customer.template, 'demo_booking');
+        assert.equal(customer.to_address, 'ravi@example.com');
+        assert.match(customer.subject, /Your demo is booked/);
+        assert.match(customer.body_text, /Place: Bullwork Experience Centre, Hebbal, Mysuru, Karnataka/);
+        assert.ok(customer.body_text.includes(`${booking(demo.id)}?token=${tokens.get(demo.id)}`));
+        assert.equal(alert.template, 'demo_booking_alert');
+        assert.equal(alert.to_address, rep.email);
+        assert.equal(inviteOf(alert), inviteOf(customer).replace(/DTSTAMP:\w+/, inviteOf(alert).match(/DTSTAMP:\w+/)[0]));
+
+        const ics = inviteOf(customer);
+        assert.equal(customer.attachments[0].filename, 'demo.ics');
+        assert.match(customer.attachments[0].contentType, /^text\/calendar; charset=utf-8; method=REQUEST$/);
+        for (const line of ['METHOD:REQUEST', `UID:demo-booking-${res.body.id}@bullwork-mobility`, 'SEQUENCE:0', 'SUMMARY:Bullwork Mobility demo: Volt 25',
+            'LOCATION:Bullwork Experience Centre\\, Hebbal\\, Mysuru\\, Karnataka', `ORGANIZER;CN="Asha Rao":mailto:${rep.email}`, 'STATUS:CONFIRMED']) {
+            assert.ok(ics.includes(`\r\n${line}\r\n`), `missing ${line}`);
+        }
+        assert.ok(ics.includes(`DTSTART:${slot.starts_at.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`));
+
+        const customerView = await request(app).get(`${booking(demo.id)}?token=${tokens.get(demo.id)}`).expect(200);
+        assert.equal(customerView.body.slot.id, slot.id);
+    });
+
+    it('prevents double booking and checks who is booking', async () => {
+        const slot = await createSlot();
+        const first = await submit();
+        const second = await submit({ email: 'meera@example.com' });
+        await book(first.id, slot.id).expect(201);
+
+        assert.equal((await book(second.id, slot.id)).status, 409);
+        // Neither another request's token nor the customer's email address will do.
+        assert.equal((await book(second.id, slot.id, tokens.get(first.id))).status, 404);
+        assert.equal((await request(app).put(booking(second.id)).send({ slot_id: slot.id, email: 'meera@example.com' })).status, 404);
+        assert.equal((await request(app).put(booking(second.id)).send({ slot_id: slot.id })).status, 404);
+        assert.equal((await request(app).get(booking(first.id))).status, 404);
+        assert.equal((await book(second.id, 999999)).status, 422);
+        assert.equal((await book(999999, slot.id)).status, 404);
+        assert.equal((await request(app).put('/api/requests/abc/demo-booking').send({ slot_id: slot.id })).status, 404);
+
+        const order = await submit({ request_type: 'order', email: 'meera@example.com' });
+        assert.equal(tokens.has(order.id), false);
+        assert.equal((await book(order.id, (await createSlot()).id, signDemoBookingToken(order.id))).status, 409);
+
+        const past = (await pool.query("INSERT INTO demo_slots (starts_at, ends_at, city) VALUES (NOW() - INTERVAL '1 hour', NOW(), 'Mysuru') RETURNING id")).rows[0];
+        assert.equal((await book(second.id, past.id)).status, 409);
+
+        // Staff book without the customer's token.
+        await request(app).put(booking(second.id)).set('Authorization', sales).send({ slot_id: (await createSlot()).id }).expect(201);
+    });
+
+    it('only books slots in the request\'s city and for its product', async () => {
+        const demo = await submit();
+        const pune = await createSlot({ city: 'Pune', state: 'Maharashtra' });
+        const other = (await pool.query("INSERT INTO products (name) VALUES ('Volt 75') RETURNING id")).rows[0];
+        const otherProduct = await createSlot({ product_id: other.id });
+        for (const [slot, message] of [[pune, 'must be a slot in Mysuru'], [otherProduct, 'must be a slot for the Volt 25']]) {
+            const res = await book(demo.id, slot.id);
+            assert.equal(res.status, 422);
+            assert.deepEqual(res.body.errors, [{ field: 'slot_id', message }]);
+        }
+        await book(demo.id, (await createSlot({ city: 'mysuru', product_id: product.id })).id).expect(201);
+    });
+
+    it('refuses customers after too many failed lookups', async () => {
+        const limited = (await createTestApp({ demoBookingSettings: { lookupLimit: 2 } })).app;
+        const created = (await request(limited).post('/api/requests').send(demoRequest).expect(201)).body;
+        assert.equal((await request(limited).get(`${booking(created.id)}?token=forged`)).status, 404);
+        assert.equal((await request(limited).get(`${booking(999999)}?token=${signDemoBookingToken(999999)}`)).status, 404);
+        const refused = await request(limited).put(booking(created.id)).send({ slot_id: 1 });
+        assert.equal(refused.status, 429);
+        assert.ok(Number(refused.headers['retry-after']) > 0);
+
+        // Only failures count: the customer's own token and staff still get through.
+        const own = await request(limited).get(`${booking(created.id)}?token=${signDemoBookingToken(created.id)}`);
+        assert.deepEqual([own.status, own.body], [404, { message: 'Demo booking not found' }]);
+        assert.equal((await request(limited).get(booking(created.id)).set('Authorization', sales)).status, 404);
+    });
+
+    it('refuses bookings for closed requests', async () => {
+        const slot = await createSlot();
+        const demo = await submit();
+        await book(demo.id, slot.id).expect(201);
+        await request(app).patch(`/api/requests/${demo.id}/status`).set('Authorization', sales).send({ status: 'lost' }).expect(200);
+
+        const since = await lastEmailId();
+        const res = await book(demo.id, (await createSlot(slotTimes(7))).id);
+        assert.equal(res.status, 409);
+        assert.match(res.body.error, /'lost'/);
+        assert.equal((await request(app).put(booking(demo.id)).set('Authorization', sales).send({ slot_id: slot.id })).status, 409);
+        assert.equal((await demoEmails(since)).length, 0);
+        // The booking itself can still be cancelled.
+        await request(app).delete(booking(demo.id)).send({ token: tokens.get(demo.id) }).expect(200);
+    });
+
+    it('reschedules and cancels with updated invites', async () => {
+        const slot = await createSlot();
+        const later = await createSlot(slotTimes(6));
+        const demo = await submit();
+        const created = (await book(demo.id, slot.id).expect(201)).body;
+
+        let since = await lastEmailId();
+        const moved = await book(demo.id, later.id);
+        assert.equal(moved.status, 200);
+        assert.equal(moved.body.id, created.id);
+        assert.equal(moved.body.sequence, 1);
+        let [email] = await demoEmails(since);
+        assert.match(email.subject, /rescheduled/);
+        assert.ok(inviteOf(email).includes(`UID:demo-booking-${created.id}@bullwork-mobility\r\nSEQUENCE:1\r\n`));
+        // The first slot is open again; booking the same slot again changes nothing.
+        assert.equal((await request(app).get(`/api/demo-slots/${slot.id}`)).status, 200);
+        since = await lastEmailId();
+        await book(demo.id, later.id).expect(200);
+        assert.equal((await demoEmails(since)).length, 0);
+
+        const cancelled = await request(app).delete(booking(demo.id)).send({ token: tokens.get(demo.id) });
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.status, 'cancelled');
+        [email] = await demoEmails(since);
+        assert.match(email.subject, /cancelled/);
+        assert.match(email.attachments[0].contentType, /method=CANCEL/);
+        assert.ok(inviteOf(email).includes('\r\nSEQUENCE:2\r\n') && inviteOf(email).includes('\r\nSTATUS:CANCELLED\r\n'));
+        assert.equal((await request(app).delete(booking(demo.id)).send({ token: tokens.get(demo.id) })).status, 404);
+
+        // Booking again after a cancellation is a new booking for the customer, with the same calendar event.
+        since = await lastEmailId();
+        const again = await book(demo.id, slot.id);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.status, 'booked');
+        [email] = await demoEmails(since);
+        assert.match(email.subject, /booked/);
+    });
+
+    it('sends updated invites when a booked slot changes, and cancels its booking when it is deleted', async () => {
+        const slot = await createSlot({ rep_id: rep.id });
+        const demo = await submit();
+        const created = (await book(demo.id, slot.id).expect(201)).body;
+
+        let since = await lastEmailId();
+        await request(app).patch(`/api/demo-slots/${slot.id}`).set('Authorization', sales).send({ location: 'Hall B' }).expect(200);
+        const updated = await demoEmails(since);
+        assert.equal(updated.length, 2);
+        assert.match(updated[0].subject, /changed/);
+        assert.ok(inviteOf(updated[0]).includes('\r\nSEQUENCE:1\r\n') && inviteOf(updated[0]).includes('LOCATION:Hall B\\, Mysuru'));
+
+        since = await lastEmailId();
+        const res = await request(app).delete(`/api/demo-slots/${slot.id}`).set('Authorization', sales).expect(200);
+        assert.equal(res.body.deletedDemoSlot.cancelled_booking.id, created.id);
+        const [email] = await demoEmails(since);
+        assert.match(email.subject, /cancelled/);
+        const after = (await request(app).get(booking(demo.id)).set('Authorization', sales).expect(200)).body;
+        assert.deepEqual([after.status, after.slot], ['cancelled', null]);
+    });
+
+    it('records bookings in the audit log', async () => {
+        const slot = await createSlot();
+        const demo = await submit();
+        const created = (await request(app).put(booking(demo.id)).set('Authorization', sales).send({ slot_id: slot.id }).expect(201)).body;
+        await request(app).delete(booking(demo.id)).set('Authorization', sales).expect(200);
+        const entries = (await pool.query("SELECT action FROM audit_log WHERE resource = 'demo_bookings' AND resource_id = $1 ORDER BY id", [created.id])).rows;
+        assert.deepEqual(entries.map((entry) => entry.action), ['create', 'update']);
+    });
+
+    it('is managed by sales', async () => {
+        assert.equal((await request(app).post('/api/demo-slots').send({ ...slotTimes(3), city: 'Mysuru' })).status, 401);
+        assert.equal((await request(app).post('/api/demo-slots').set('Authorization', editor).send({ ...slotTimes(3), city: 'Mysuru' })).status, 403);
+        assert.equal((await request(app).get('/api/demo-slots?booked=true')).status, 200);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal((await request(createFailingApp()).get('/api/demo-slots')).status, 500);
+        assert.equal((await request(createFailingApp()).put('/api/requests/1/demo-booking').send({ slot_id: 1 })).status, 500);
+    });
+
+    it('writes calendar invites', () => {
+        const ics = calendarInvite({
+            uid: 'event-1@test', sequence: 3, start: '2026-11-02T05:00:00Z', end: '2026-11-02T06:00:00Z',
+            summary: 'Demo; tractor, field', description: `Line one\n${'é'.repeat(60)}`,
+            organizer: { name: 'Asha "AR" Rao', email: 'asha@example.com' }, attendees: [{ email: 'ravi@example.com' }],
+        });
+        const lines = ics.split('\r\n');
+        assert.equal(lines[0], 'BEGIN:VCALENDAR');
+        assert.ok(lines.includes('DTSTART:20261102T050000Z'));
+        assert.ok(lines.includes('SUMMARY:Demo\\; tractor\\, field'));
+        assert.ok(lines.includes('ORGANIZER;CN="Asha AR Rao":mailto:asha@example.com'));
+        assert.ok(lines.every((line) => Buffer.byteLength(line, 'utf8') <= 75));
+        // Unfolding restores the description.
+        assert.ok(ics.replace(/\r\n /g, '').includes(`DESCRIPTION:Line one\\n${'é'.repeat(60)}\r\n`));
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { retryDelayMs } = require("../lib/outbox");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const demoRequest = {
+    request_type: 'demo',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    city: 'Mysuru',
+    state: 'Karnataka',
+    aadhar_number: '234123412346',
+};
+
+describe('email notifications', () => {
+    let app;
+    let pool;
+    let mailer;
+    let outbox;
+    let sales;
+    let hr;
+
+    before(async () => {
+        process.env.NOTIFY_SALES_TO = 'sales@bullwork.test';
+        process.env.NOTIFY_ORDER_REQUESTS_TO = 'orders@bullwork.test, ceo@bullwork.test';
+        process.env.NOTIFY_APPLICATIONS_TO = 'hr@bullwork.test';
+        ({ app, pool, mailer, outbox } = await createTestApp());
+        sales = bearer('sales', (await createUser(pool, 'sales')).id);
+        hr = bearer('hr', (await createUser(pool, 'hr')).id);
+    });
+
+    after(() => {
+        delete process.env.NOTIFY_SALES_TO;
+        delete process.env.NOTIFY_ORDER_REQUESTS_TO;
+        delete process.env.NOTIFY_APPLICATIONS_TO;
+    });
+
+    // Sends what is due and returns the messages sent.
+    const deliver = async () => {
+        const count = mailer.sent.length;
+        await outbox.deliverDue();
+        return mailer.sent.slice(count);
+    };
+
+    it('acknowledges new requests and alerts the routing list of their type', async () => {
+        const demo = (await request(app).post('/api/requests').send(demoRequest).expect(201)).body;
+        const [acknowledgement, alert] = await deliver();
+        assert.equal(acknowledgement.to, 'ravi@example.com');
+        assert.equal(acknowledgement.subject, `We received your demo request (#${demo.id})`);
+        assert.match(acknowledgement.text, /for the Volt 25/);
+        assert.equal(alert.to, 'sales@bullwork.test');
+        assert.match(alert.subject, /^New demo request #\d+: Ravi Kumar \(Volt 25\)$/);
+        assert.match(alert.text, /Phone: \+91 98765 43210\nProduct: Volt 25\nLocation: Mysuru, Karnataka/);
+        assert.ok(!alert.text.includes('2346'), 'Aadhaar must not be emailed');
+
+        await request(app).post('/api/requests').send({ ...demoRequest, request_type: 'order', quantity: 2 }).expect(201);
+        const [, orderAlert] = await deliver();
+        assert.equal(orderAlert.to, 'orders@bullwork.test, ceo@bullwork.test');
+        assert.match(orderAlert.text, /Quantity: 2/);
+    });
+
+    it('emails the customer when a request changes stage', async () => {
+        const created = (await request(app).post('/api/requests').send(demoRequest).expect(201)).body;
+        await deliver();
+        await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status: 'contacted' }).expect(200);
+        await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status: 'won' }).expect(409);
+        const sent = await deliver();
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].subject, `Update on your demo request (#${created.id})`);
+        assert.match(sent[0].text, /picked up your request/);
+    });
+
+    it('acknowledges applications and alerts HR', async () => {
+        const job = (await request(app).post('/api/jobs').set('Authorization', hr).send({ title: 'Embedded Engineer', description: 'Firmware.' }).expect(201)).body;
+        await request(app).post('/api/apply').send({ name: 'Priya Nair', email: 'priya@example.com', job_id: job.id, phone: '+91 98450 12345' }).expect(201);
+        const [acknowledgement, alert] = await deliver();
+        assert.equal(acknowledgement.to, 'priya@example.com');
+        assert.equal(acknowledgement.subject, 'Your application for Embedded Engineer');
+        assert.equal(alert.to, 'hr@bullwork.test');
+        assert.match(alert.text, /Position: Embedded Engineer\nName: Priya Nair/);
+    });
+
+    it('skips alerts when no routing list is configured', async () => {
+        const saved = process.env.NOTIFY_SALES_TO;
+        delete process.env.NOTIFY_SALES_TO;
+        try {
+            await request(app).post('/api/requests').send(demoRequest).expect(201);
+            assert.deepEqual((await deliver()).map((message) => message.to), ['ravi@example.com']);
+        } finally {
+            process.env.NOTIFY_SALES_TO = saved;
+        }
+    });
+});
+
+describe('email outbox', () => {
+    let app;
+    let pool;
+    let outbox;
+    let failures;
+    const admin = bearer('admin');
+
+    before(async () => {
+        failures = 0;
+        const mailer = { send: async () => { if (failures > 0) { failures -= 1; throw new Error('SMTP down'); } } };
+        ({ app, pool, outbox } = await createTestApp({ mailer }));
+    });
+
+    const rowsOf = async () => (await pool.query('SELECT id, status, attempts, last_error FROM email_outbox ORDER BY id')).rows;
+    const makeDue = () => pool.query('UPDATE email_outbox SET next_attempt_at = NOW() - INTERVAL \'1 second\'');
+
+    it('backs off exponentially between attempts', () => {
+        assert.deepEqual([1, 2, 3, 4].map(retryDelayMs), [60000, 120000, 240000, 480000]);
+    });
+
+    it('retries failed deliveries until they succeed, without failing the API call', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        failures = 2;
+        await request(app).post('/api/subscribe').send({ email: 'a@example.com' }).expect(201);
+        assert.deepEqual(await outbox.deliverDue(), { sent: 0, retrying: 1, failed: 0 });
+        // Not due again until the backoff has passed.
+        assert.deepEqual(await outbox.deliverDue(), { sent: 0, retrying: 0, failed: 0 });
+        await makeDue();
+        assert.deepEqual(await outbox.deliverDue(), { sent: 0, retrying: 1, failed: 0 });
+        await makeDue();
+        assert.deepEqual(await outbox.deliverDue(), { sent: 1, retrying: 0, failed: 0 });
+        assert.deepEqual(await rowsOf(), [{ id: 1, status: 'sent', attempts: 3, last_error: null }]);
+    });
+
+    it('marks messages failed after the last attempt, and lets admins retry them', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        failures = 1;
+        await request(app).post('/api/subscribe').send({ email: 'b@example.com' }).expect(201);
+        await pool.query('UPDATE email_outbox SET attempts = 5 WHERE id = 2');
+        assert.deepEqual(await outbox.deliverDue(), { sent: 0, retrying: 0, failed: 1 });
+
+        const failed = await request(app).get('/api/admin/email-outbox?status=failed').set('Authorization', admin);
+        assert.deepEqual(failed.body.data.map((row) => [row.id, row.template, row.to_address, row.last_error]), [[2, 'subscription_confirmation', 'b@example.com', 'SMTP down']]);
+        assert.equal((await request(app).get('/api/admin/email-outbox').set('Authorization', bearer('editor'))).status, 403);
+
+        const retried = await request(app).post('/api/admin/email-outbox/2/retry').set('Authorization', admin);
+        assert.equal(retried.status, 200);
+        assert.equal(retried.body.status, 'pending');
+        assert.equal(retried.body.attempts, 0);
+        const entries = (await pool.query("SELECT * FROM audit_log WHERE resource = 'email_outbox' AND resource_id = 2")).rows;
+        assert.deepEqual(entries.map((entry) => [entry.action, entry.before_values.status, entry.after_values.status]), [['update', 'failed', 'pending']]);
+        assert.deepEqual(await outbox.deliverDue(), { sent: 1, retrying: 0, failed: 0 });
+
+        assert.equal((await request(app).post('/api/admin/email-outbox/2/retry').set('Authorization', admin)).status, 409);
+        assert.equal((await request(app).post('/api/admin/email-outbox/99/retry').set('Authorization', admin)).status, 404);
+        assert.equal((await request(app).get('/api/admin/email-outbox/2').set('Authorization', admin)).body.status, 'sent');
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal((await request(createFailingApp()).get('/api/admin/email-outbox').set('Authorization', admin)).status, 500);
+    });
+});
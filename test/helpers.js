@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const { newDb, DataType } = require("pg-mem");
+const { createApp } = require("../app");
+const { loadMigrations, migrateUp } = require("../lib/migrations");
+const { spamConfig } = require("../middleware/spamGuard");
+const { zonedDate, startOfDay } = require("../lib/dates");
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PII_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+process.env.PII_ACTIVE_KEY_ID = 'test';
+
+// pg-mem has no full-text search, so the index-only migration for ?q= is skipped.
+const SKIPPED_MIGRATIONS = [3];
+
+// PostgreSQL built-ins used by the migrations and repositories that pg-mem does not implement.
+const registerBuiltins = (db) => {
+    const escapeClass = (chars) => chars.replace(/[\]\\^-]/g, '\\$&');
+    const btrim = (value, chars = ' ') => (value === null ? null
+        : value.replace(new RegExp(`^[${escapeClass(chars)}]+|[${escapeClass(chars)}]+$`, 'g'), ''));
+    db.public.registerFunction({ name: 'btrim', args: [DataType.text], returns: DataType.text, implementation: (value) => btrim(value) });
+    db.public.registerFunction({ name: 'btrim', args: [DataType.text, DataType.text], returns: DataType.text, implementation: btrim });
+    db.public.registerFunction({
+        name: 'regexp_replace',
+        args: [DataType.text, DataType.text, DataType.text, DataType.text],
+        returns: DataType.text,
+        implementation: (value, pattern, replacement, flags) => (value === null ? null : value.replace(new RegExp(pattern, flags), replacement)),
+    });
+    db.public.registerFunction({
+        name: 'strpos',
+        args: [DataType.text, DataType.text],
+        returns: DataType.integer,
+        implementation: (value, search) => (value === null || search === null ? null : value.indexOf(search) + 1),
+    });
+    const intArray = db.public.getType(DataType.integer).asArray();
+    db.public.registerFunction({
+        name: 'array_remove',
+        args: [intArray, DataType.integer],
+        returns: intArray,
+        implementation: (values, removed) => (values === null ? null : values.filter((value) => value !== removed)),
+    });
+    // Only the 'day' field, as used by the reports.
+    db.public.registerFunction({
+        name: 'date_trunc',
+        args: [DataType.text, DataType.timestamptz, DataType.text],
+        returns: DataType.timestamptz,
+        implementation: (field, value, timeZone) => {
+            if (field !== 'day') throw new Error(`date_trunc: unsupported field ${field}`);
+            return value === null ? null : startOfDay(zonedDate(new Date(value), timeZone), timeZone);
+        },
+    });
+};
+
+// Every migration that can run on pg-mem.
+const testMigrations = () => loadMigrations().filter((migration) => !SKIPPED_MIGRATIONS.includes(migration.version));
+
+/**
+ * Creates an in-memory database with the given migrations (default: all of them) applied.
+ * @returns {Promise<{ db: object, pool: object }>} the pg-mem instance and a pg-compatible pool
+ */
+const createTestDb = async ({ migrations = testMigrations() } = {}) => {
+    // pg-mem refuses a repeated CREATE TABLE IF NOT EXISTS (schema_migrations) unless the AST coverage check is off.
+    const db = newDb({ noAstCoverageCheck: true });
+    db.public.registerFunction({ name: 'pg_advisory_lock', args: [DataType.integer], returns: DataType.text, implementation: () => '', impure: true });
+    db.public.registerFunction({ name: 'pg_advisory_unlock', args: [DataType.integer], returns: DataType.bool, implementation: () => true, impure: true });
+    registerBuiltins(db);
+    const { Pool } = db.adapters.createPg();
+    const pool = new Pool();
+    await migrateUp(pool, { migrations });
+    return { db, pool };
+};
+
+// Spam protection with the rate limits and duplicate detection off.
+const TEST_SPAM_CONFIG = { ...spamConfig({}), ipLimit: 0, emailLimit: 0, duplicateWindowMs: 0 };
+
+// A mailer that keeps sent messages in `sent` instead of sending them.
+const createTestMailer = () => {
+    const sent = [];
+    return { sent, send: async (message) => { sent.push(message); } };
+};
+
+/**
+ * Creates an app backed by a fresh in-memory database.
+ * @param {object} [options]
+ * @param {object} [options.storage] - media storage, see lib/storage.js
+ * @param {object} [options.mailer] - default: a test mailer, returned as `mailer`
+ * @param {function} [options.fetch] - fetch used to deliver webhooks
+ * @param {object} [options.spam] - spam protection settings; by default only the honeypot is on, so tests
+ *        can submit the public forms repeatedly
+ * @param {object} [options.captcha] - CAPTCHA verifier (default: none)
+ * @param {object} [options.rateLimitStore] - rate-limit counters (default: in memory)
+ * @param {object} [options.orderSettings] - see orderConfig() in lib/orders.js (default: from the environment)
+ * @param {object} [options.dealerSettings] - see dealerConfig() in lib/dealers.js (default: from the environment)
+ * Queued email and webhooks are only sent when the test calls `outbox.deliverDue()` / `webhooks.deliverDue()`.
+ */
+const createTestApp = async ({
+    storage, mailer = createTestMailer(), fetch, spam = TEST_SPAM_CONFIG, captcha = null, rateLimitStore, orderSettings, dealerSettings, demoBookingSettings,
+} = {}) => {
+    const { db, pool } = await createTestDb();
+    const app = createApp({ pool, storage, mailer, fetch, spam, captcha, rateLimitStore, orderSettings, dealerSettings, demoBookingSettings });
+    return { db, pool, mailer, outbox: app.locals.outbox, webhooks: app.locals.webhooks, app };
+};
+
+/**
+ * Creates an app whose every query fails, to exercise the 500 paths.
+ */
+const createFailingApp = () => {
+    const fail = () => Promise.reject(new Error('connection lost'));
+    return createApp({ pool: { query: fail, connect: fail } });
+};
+
+const TEST_PASSWORD = 'Secret123!';
+
+// Inserts an admin user with TEST_PASSWORD and returns its row.
+const createUser = async (pool, role, email = `${role}@test.local`) => {
+    const result = await pool.query(
+        'INSERT INTO admin_users (email, password_hash, full_name, role) VALUES ($1, $2, $3, $4) RETURNING *',
+        [email, await bcrypt.hash(TEST_PASSWORD, 4), `Test ${role}`, role]
+    );
+    return result.rows[0];
+};
+
+// Signs an access token without touching the database.
+const tokenFor = (role, id = 1) => jwt.sign({ sub: id, email: `${role}@test.local`, role, type: 'access' }, process.env.JWT_SECRET);
+
+const bearer = (role, id) => `Bearer ${tokenFor(role, id)}`;
+
+module.exports = { testMigrations, createTestDb, createTestMailer, createTestApp, createFailingApp, createUser, tokenFor, bearer, TEST_PASSWORD };
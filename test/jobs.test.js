@@ -0,0 +1,60 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { createTestApp, bearer } = require("./helpers");
+
+const embeddedEngineer = { title: 'Embedded Engineer', department: 'Engineering', location: 'Bengaluru', description: 'Firmware for BMS units.' };
+
+crudContract({
+    path: '/api/jobs',
+    writeRole: 'hr',
+    paginated: true,
+    valid: embeddedEngineer,
+    invalid: { title: 'No description', status: 'paused' },
+    patch: { location: 'Pune' },
+    notFound: 'Job not found',
+    deletedKey: 'deletedJob',
+});
+
+describe('/api/jobs', () => {
+    let app;
+    const hr = bearer('hr');
+    let open;
+    let closed;
+
+    before(async () => {
+        ({ app } = await createTestApp());
+        open = (await request(app).post('/api/jobs').set('Authorization', hr).send(embeddedEngineer).expect(201)).body;
+        closed = (await request(app).post('/api/jobs').set('Authorization', hr)
+            .send({ title: 'Service Technician', department: 'Service', location: 'Hyderabad', description: 'Field repairs.', status: 'closed' }).expect(201)).body;
+    });
+
+    it('opens new postings by default', () => {
+        assert.equal(open.status, 'open');
+    });
+
+    it('shows closed postings to HR only', async () => {
+        const publicList = await request(app).get('/api/jobs');
+        assert.deepEqual(publicList.body.data.map((job) => job.id), [open.id]);
+        assert.equal((await request(app).get(`/api/jobs/${closed.id}`)).status, 404);
+
+        const hrList = await request(app).get('/api/jobs?sort=id&order=asc').set('Authorization', hr);
+        assert.deepEqual(hrList.body.data.map((job) => job.id), [open.id, closed.id]);
+        assert.equal((await request(app).get(`/api/jobs/${closed.id}`).set('Authorization', hr)).status, 200);
+    });
+
+    it('filters by department, location and status', async () => {
+        assert.deepEqual((await request(app).get('/api/jobs?department=engineering')).body.data.map((job) => job.id), [open.id]);
+        assert.deepEqual((await request(app).get('/api/jobs?location=hyderabad').set('Authorization', hr)).body.data.map((job) => job.id), [closed.id]);
+        assert.deepEqual((await request(app).get('/api/jobs?status=closed').set('Authorization', hr)).body.data.map((job) => job.id), [closed.id]);
+    });
+
+    it('keeps the status on a PUT that omits it and refuses to clear it', async () => {
+        const res = await request(app).put(`/api/jobs/${closed.id}`).set('Authorization', hr)
+            .send({ title: closed.title, description: 'Field repairs and servicing.' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'closed');
+        assert.equal((await request(app).patch(`/api/jobs/${closed.id}`).set('Authorization', hr).send({ status: null })).status, 422);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildListQuery, encodeCursor, decodeCursor } = require("../lib/listQuery");
+
+const config = {
+    table: 'products',
+    filters: {
+        category: { column: 'category', op: 'ieq' },
+        min_price: { column: 'price', op: 'gte', type: 'number' },
+    },
+    sortable: ['name', 'price'],
+    defaultSort: { field: 'name', order: 'asc' },
+    searchColumns: ['name', 'description'],
+};
+
+describe('lib/listQuery', () => {
+    it('builds parameterised filters and a stable sort', () => {
+        const built = buildListQuery(config, { category: 'Tractors', min_price: '1000', sort: 'price', order: 'desc' });
+        assert.deepEqual(built.values.slice(0, 2), ['Tractors', '1000']);
+        assert.match(built.text, /LOWER\(category\) = LOWER\(\$1\)/);
+        assert.match(built.text, /price >= \$2/);
+        assert.match(built.text, /ORDER BY price DESC NULLS LAST, id DESC/);
+    });
+
+    it('rejects unknown sort fields and malformed filters', () => {
+        assert.ok(buildListQuery(config, { sort: 'secret' }).error);
+        assert.ok(buildListQuery(config, { order: 'sideways' }).error);
+        assert.ok(buildListQuery(config, { min_price: 'cheap' }).error);
+        assert.ok(buildListQuery(config, { limit: '1000' }).error);
+    });
+
+    it('only accepts true or false for boolean filters', () => {
+        const flagged = { ...config, filters: { active: { column: 'active', op: 'eq', type: 'boolean' } } };
+        assert.deepEqual(buildListQuery(flagged, { active: 'false' }).values.slice(0, 1), ['false']);
+        assert.equal(buildListQuery(flagged, { active: 'yes' }).error, "Invalid value for active: expected 'true' or 'false'");
+    });
+
+    it('treats date-only date filters as whole days in the time zone', () => {
+        const dated = {
+            ...config,
+            filters: { from: { column: 'created_at', op: 'gte', type: 'date' }, to: { column: 'created_at', op: 'lte', type: 'date' } },
+        };
+        const built = buildListQuery(dated, { from: '2026-10-19', to: '2026-10-19' }, { timeZone: 'Asia/Kolkata' });
+        assert.match(built.text, /created_at >= \$1 AND created_at < \$2/);
+        assert.deepEqual(built.values.slice(0, 2), ['2026-10-18T18:30:00.000Z', '2026-10-19T18:30:00.000Z']);
+        const instant = buildListQuery(dated, { to: '2026-10-19T12:00:00Z' }, { timeZone: 'Asia/Kolkata' });
+        assert.match(instant.text, /created_at <= \$1/);
+        assert.equal(instant.values[0], '2026-10-19T12:00:00Z');
+    });
+
+    it('counts whole days in UTC unless given a time zone, whatever the environment says', () => {
+        const dated = { ...config, filters: { to: { column: 'created_at', op: 'lte', type: 'date' } } };
+        const saved = process.env.REPORTS_TIME_ZONE;
+        process.env.REPORTS_TIME_ZONE = 'Not/AZone';
+        try {
+            assert.equal(buildListQuery(dated, { to: '2026-10-19' }).values[0], '2026-10-20T00:00:00.000Z');
+        } finally {
+            if (saved === undefined) delete process.env.REPORTS_TIME_ZONE;
+            else process.env.REPORTS_TIME_ZONE = saved;
+        }
+    });
+
+    it('adds full-text search and relevance sorting for ?q=', () => {
+        const built = buildListQuery(config, { q: 'electric tractor' });
+        assert.match(built.text, /websearch_to_tsquery/);
+        assert.equal(built.sortField, 'relevance');
+    });
+
+    it('encodes and decodes cursors', () => {
+        assert.deepEqual(decodeCursor(encodeCursor('Volt', 7)), { v: 'Volt', id: 7 });
+        assert.equal(decodeCursor('garbage'), null);
+    });
+});
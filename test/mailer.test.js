@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { formatMessage, createMailer, createFileMailer } = require("../lib/mailer");
+
+const FROM = 'Bullwork Mobility <no-reply@bullwork.test>';
+
+describe('lib/mailer', () => {
+    it('formats messages with extra headers', () => {
+        const text = formatMessage(FROM, { to: 'a@example.com', subject: 'Hello', text: 'Line 1\nLine 2', headers: { 'List-Unsubscribe': '<https://x.test/u>' } });
+        const [head, body] = text.split('\r\n\r\n');
+        assert.match(head, /^From: Bullwork Mobility <no-reply@bullwork.test>\r\nTo: a@example.com\r\nSubject: Hello\r\n/);
+        assert.match(head, /\r\nMessage-ID: <[\w-]+@bullwork.test>\r\n/);
+        assert.match(head, /\r\nList-Unsubscribe: <https:\/\/x.test\/u>\r\n/);
+        assert.equal(body, 'Line 1\r\nLine 2\r\n');
+    });
+
+    it('formats messages with attachments as multipart', () => {
+        const content = `BEGIN:VCALENDAR\r\n${'X'.repeat(100)}\r\nEND:VCALENDAR\r\n`;
+        const text = formatMessage(FROM, {
+            to: 'a@example.com', subject: 'Invite', text: 'See you there',
+            attachments: [{ filename: 'invite.ics', contentType: 'text/calendar; method=REQUEST', content }],
+        });
+        const boundary = text.match(/Content-Type: multipart\/mixed; boundary="([^"]+)"/)[1];
+        const parts = text.split(`--${boundary}`);
+        assert.equal(parts.length, 4);
+        assert.equal(parts[3], '--\r\n');
+        assert.match(parts[1], /Content-Type: text\/plain; charset=utf-8\r\n[^]*\r\n\r\nSee you there\r\n$/);
+        assert.match(parts[2], /Content-Type: text\/calendar; method=REQUEST; name="invite.ics"\r\nContent-Disposition: attachment; filename="invite.ics"\r\n/);
+        const encoded = parts[2].split('\r\n\r\n')[1];
+        assert.ok(encoded.split('\r\n').every((line) => line.length <= 76));
+        assert.equal(Buffer.from(encoded.replace(/\r\n/g, ''), 'base64').toString('utf8'), content);
+    });
+
+    it('strips line breaks from header values', () => {
+        const text = formatMessage(FROM, { to: 'a@example.com', subject: 'Hi\r\nBcc: victim@example.com', text: '' });
+        assert.ok(!/\r\nBcc:/.test(text));
+    });
+
+    it('writes .eml files with the file transport', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+        try {
+            await createFileMailer({ from: FROM, dir }).send({ to: 'a@example.com', subject: 'Hello', text: 'Hi' });
+            const files = fs.readdirSync(dir);
+            assert.equal(files.length, 1);
+            assert.match(files[0], /\.eml$/);
+            assert.match(fs.readFileSync(path.join(dir, files[0]), 'utf8'), /Subject: Hello/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects unknown transports', () => {
+        assert.throws(() => createMailer({ MAIL_TRANSPORT: 'pigeon' }), /Unknown MAIL_TRANSPORT/);
+    });
+});
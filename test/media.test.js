@@ -0,0 +1,11 @@
+const { crudContract } = require("./crudContract");
+
+crudContract({
+    path: '/api/media',
+    writeRole: 'editor',
+    valid: { url: 'https://example.com/press/feature' },
+    invalid: {},
+    patch: { url: 'https://example.com/press/updated-feature' },
+    notFound: 'Media entry not found',
+    deletedKey: 'deletedMedia',
+});
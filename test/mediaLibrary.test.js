@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const sharp = require("sharp");
+const { createLocalStorage } = require("../lib/storage");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const png = (width, height) => sharp({ create: { width, height, channels: 3, background: '#2a7' } }).png().toBuffer();
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << >> endobj\ntrailer << >>\n%%EOF\n');
+
+describe('/api/media-library', () => {
+    let app;
+    let root;
+    let editor;
+    let photo;
+
+    before(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+        let pool;
+        ({ app, pool } = await createTestApp({ storage: createLocalStorage({ root, publicUrl: 'http://localhost:5000/uploads' }) }));
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+    });
+
+    after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const upload = async (body, name, fields = {}) => {
+        let req = request(app).post('/api/media-library').set('Authorization', editor);
+        for (const [field, value] of Object.entries(fields)) req = req.field(field, value);
+        return req.attach('file', body, name);
+    };
+
+    it('uploads an image with its dimensions and resized variants', async () => {
+        const res = await upload(await png(2000, 1000), 'tractor.png', { alt_text: 'Volt 25 in a field', caption: 'Field trial' });
+        assert.equal(res.status, 201);
+        assert.equal(res.headers.etag, '"1"');
+        photo = res.body;
+        assert.equal(photo.original_name, 'tractor.png');
+        assert.equal(photo.mime_type, 'image/png');
+        assert.deepEqual([photo.width, photo.height], [2000, 1000]);
+        assert.equal(photo.alt_text, 'Volt 25 in a field');
+        assert.ok(photo.url.startsWith('http://localhost:5000/uploads/media/'));
+        assert.deepEqual(
+            ['thumbnail', 'medium', 'large'].map((name) => [photo.variants[name].width, photo.variants[name].height]),
+            [[150, 75], [600, 300], [1200, 600]]
+        );
+        assert.ok(fs.existsSync(path.join(root, photo.storage_key)));
+        assert.ok(fs.existsSync(path.join(root, photo.variants.thumbnail.key)));
+    });
+
+    it('serves locally stored files', async () => {
+        const res = await request(app).get(new URL(photo.variants.medium.url).pathname);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['content-type'], 'image/png');
+        assert.equal((await sharp(res.body).metadata()).width, 600);
+    });
+
+    it('never enlarges small images', async () => {
+        const res = await upload(await png(100, 40), 'icon.png');
+        assert.deepEqual(Object.values(res.body.variants).map((variant) => [variant.width, variant.height]), [[100, 40], [100, 40], [100, 40]]);
+    });
+
+    it('stores PDFs without variants', async () => {
+        const res = await upload(PDF, 'brochure.pdf');
+        assert.equal(res.status, 201);
+        assert.equal(res.body.mime_type, 'application/pdf');
+        assert.deepEqual(res.body.variants, {});
+        assert.equal(res.body.width, null);
+    });
+
+    it('detects the type from the contents', async () => {
+        const before = fs.readdirSync(path.join(root, 'media')).length;
+        const res = await upload(Buffer.from('<script>alert(1)</script>'), 'fake.png');
+        assert.equal(res.status, 415);
+        assert.match(res.body.error, /Unsupported file type/);
+        assert.equal(fs.readdirSync(path.join(root, 'media')).length, before);
+    });
+
+    it('validates the upload', async () => {
+        assert.equal((await request(app).post('/api/media-library').set('Authorization', editor).field('alt_text', 'x')).status, 400);
+        const long = await upload(await png(10, 10), 'a.png', { alt_text: 'x'.repeat(256) });
+        assert.equal(long.status, 422);
+        assert.deepEqual(long.body.errors.map((error) => error.field), ['alt_text']);
+        assert.equal((await request(app).post('/api/media-library').attach('file', PDF, 'a.pdf')).status, 401);
+        assert.equal((await request(app).post('/api/media-library').set('Authorization', bearer('sales')).attach('file', PDF, 'a.pdf')).status, 403);
+    });
+
+    it('rejects files over the size limit with 413', async () => {
+        process.env.MEDIA_MAX_UPLOAD_MB = '0.001';
+        try {
+            const { app: limited, pool } = await createTestApp({ storage: createLocalStorage({ root, publicUrl: 'http://localhost:5000/uploads' }) });
+            const token = bearer('editor', (await createUser(pool, 'editor')).id);
+            const res = await request(limited).post('/api/media-library').set('Authorization', token).attach('file', Buffer.alloc(4096), 'big.pdf');
+            assert.equal(res.status, 413);
+        } finally {
+            delete process.env.MEDIA_MAX_UPLOAD_MB;
+        }
+    });
+
+    it('lists items, filtered by kind', async () => {
+        const all = await request(app).get('/api/media-library').set('Authorization', editor);
+        assert.equal(all.body.pagination.total, 3);
+        const images = await request(app).get('/api/media-library?kind=image&sort=id&order=asc').set('Authorization', editor);
+        assert.deepEqual(images.body.data.map((item) => item.original_name), ['tractor.png', 'icon.png']);
+        const documents = await request(app).get('/api/media-library?kind=document').set('Authorization', editor);
+        assert.deepEqual(documents.body.data.map((item) => item.original_name), ['brochure.pdf']);
+        assert.equal((await request(app).get('/api/media-library?kind=video').set('Authorization', editor)).status, 400);
+        assert.equal((await request(app).get('/api/media-library')).status, 401);
+    });
+
+    it('updates alt text and captions', async () => {
+        const stale = await request(app).patch(`/api/media-library/${photo.id}`).set('Authorization', editor).set('If-Match', '"9"').send({ caption: 'x' });
+        assert.equal(stale.status, 412);
+        const res = await request(app).patch(`/api/media-library/${photo.id}`).set('Authorization', editor).set('If-Match', '"1"').send({ caption: 'Orchard trial, 2025' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.caption, 'Orchard trial, 2025');
+        assert.equal(res.body.alt_text, 'Volt 25 in a field');
+        assert.equal(res.headers.etag, '"2"');
+        assert.equal((await request(app).patch(`/api/media-library/${photo.id}`).set('Authorization', editor).send({})).status, 400);
+        assert.equal((await request(app).get('/api/media-library/999999').set('Authorization', editor)).status, 404);
+    });
+
+    it('tracks usage and blocks deleting items in use', async () => {
+        const blog = (await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'Trial', slug: 'trial', content: 'x', author: 'Team', image_url: photo.variants.large.url })).body;
+        const product = (await request(app).post('/api/products').set('Authorization', editor)
+            .send({ name: 'Volt 25', image_urls: ['https://example.com/other.jpg', photo.url] })).body;
+        const award = (await request(app).post('/api/awards').set('Authorization', editor).send({ image_url: photo.variants.thumbnail.url })).body;
+
+        const usage = await request(app).get(`/api/media-library/${photo.id}/usage`).set('Authorization', editor);
+        assert.deepEqual(usage.body, { blogs: [{ id: blog.id, title: 'Trial' }], products: [{ id: product.id, name: 'Volt 25' }], awards: [{ id: award.id }] });
+
+        const refused = await request(app).delete(`/api/media-library/${photo.id}`).set('Authorization', editor);
+        assert.equal(refused.status, 409);
+        assert.deepEqual(refused.body.usage, usage.body);
+
+        await request(app).patch(`/api/blogs/${blog.id}`).set('Authorization', editor).send({ image_url: null }).expect(200);
+        await request(app).delete(`/api/products/${product.id}`).set('Authorization', editor).expect(200);
+        await request(app).delete(`/api/awards/${award.id}`).set('Authorization', editor).expect(200);
+
+        // An image shown inline in a post's content is in use too.
+        await request(app).patch(`/api/blogs/${blog.id}`).set('Authorization', editor)
+            .send({ content: `<p>In the orchard:</p><img src="${photo.variants.medium.url}" alt="Volt 25">` }).expect(200);
+        const inline = await request(app).delete(`/api/media-library/${photo.id}`).set('Authorization', editor);
+        assert.equal(inline.status, 409);
+        assert.deepEqual(inline.body.usage, { blogs: [{ id: blog.id, title: 'Trial' }], products: [], awards: [] });
+        await request(app).patch(`/api/blogs/${blog.id}`).set('Authorization', editor).send({ content: 'x' }).expect(200);
+
+        const stale = await request(app).delete(`/api/media-library/${photo.id}`).set('Authorization', editor).set('If-Match', '"1"');
+        assert.equal(stale.status, 412);
+        const res = await request(app).delete(`/api/media-library/${photo.id}`).set('Authorization', editor);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.deletedMedia.id, photo.id);
+        assert.ok(!fs.existsSync(path.join(root, photo.storage_key)));
+        assert.ok(!fs.existsSync(path.join(root, photo.variants.thumbnail.key)));
+        assert.equal((await request(app).delete(`/api/media-library/${photo.id}`).set('Authorization', editor)).status, 404);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).get('/api/media-library/1').set('Authorization', editor);
+        assert.equal(res.status, 500);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadMigrations, migrateUp, migrateDown, migrationStatus } = require("../lib/migrations");
+const { testMigrations, createTestDb } = require("./helpers");
+
+// Writes migration files to a temporary directory and returns it.
+const migrationDir = (files) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    for (const [name, sql] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), sql);
+    }
+    return dir;
+};
+
+describe('migrations', () => {
+    it('loads numbered up/down pairs in order', () => {
+        const migrations = loadMigrations();
+        assert.deepEqual(migrations.map((migration) => migration.version), migrations.map((_, index) => index + 1));
+        for (const migration of migrations) {
+            assert.ok(migration.up.trim() && migration.down.trim());
+        }
+    });
+
+    it('rejects a migration without a down file', () => {
+        const dir = migrationDir({ '001_only_up.up.sql': 'SELECT 1;' });
+        try {
+            assert.throws(() => loadMigrations(dir), /needs both/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('applies, reports and rolls back migrations one version at a time', async () => {
+        const dir = migrationDir({
+            '001_widgets.up.sql': 'CREATE TABLE widgets (id SERIAL PRIMARY KEY);',
+            '001_widgets.down.sql': 'DROP TABLE widgets;',
+            '002_widget_names.up.sql': 'ALTER TABLE widgets ADD COLUMN name TEXT;',
+            '002_widget_names.down.sql': 'ALTER TABLE widgets DROP COLUMN name;',
+        });
+        try {
+            const migrations = loadMigrations(dir);
+            const { pool } = await createTestDb({ migrations: [] });
+
+            assert.deepEqual((await migrateUp(pool, { migrations, steps: 1 })).map((migration) => migration.version), [1]);
+            let status = await migrationStatus(pool, { migrations });
+            assert.deepEqual(status.map((migration) => migration.applied), [true, false]);
+
+            assert.deepEqual((await migrateUp(pool, { migrations })).map((migration) => migration.version), [2]);
+            assert.deepEqual(await migrateUp(pool, { migrations }), []);
+            await pool.query("INSERT INTO widgets (name) VALUES ('gear')");
+
+            assert.deepEqual((await migrateDown(pool, { migrations })).map((migration) => migration.version), [2]);
+            status = await migrationStatus(pool, { migrations });
+            assert.deepEqual(status.map((migration) => migration.applied), [true, false]);
+            assert.deepEqual((await pool.query('SELECT * FROM widgets')).rows, [{ id: 1 }]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('applies every repository migration', async () => {
+        const migrations = testMigrations();
+        const { pool } = await createTestDb();
+        const status = await migrationStatus(pool, { migrations });
+        assert.ok(status.every((migration) => migration.applied));
+    });
+
+    it('moves free-text product categories into the categories table', async () => {
+        const migrations = testMigrations();
+        const categorised = migrations.find((migration) => migration.name === 'product_categories').version;
+        const { pool } = await createTestDb({ migrations: migrations.filter((migration) => migration.version < categorised) });
+        await pool.query(`INSERT INTO products (name, category) VALUES ('A', 'Electric Tractors'), ('B', 'electric tractors '), ('C', 'Vehicles'), ('D', NULL)`);
+
+        await migrateUp(pool, { migrations });
+        const categories = await pool.query('SELECT id, name, slug FROM categories ORDER BY slug');
+        assert.deepEqual(categories.rows.map((category) => category.slug), ['electric-tractors', 'vehicles']);
+        const products = await pool.query('SELECT name, category_id FROM products ORDER BY name');
+        const bySlug = Object.fromEntries(categories.rows.map((category) => [category.slug, category.id]));
+        assert.deepEqual(products.rows.map((product) => product.category_id),
+            [bySlug['electric-tractors'], bySlug['electric-tractors'], bySlug.vehicles, null]);
+    });
+});
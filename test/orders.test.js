@@ -0,0 +1,257 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { buildOrder, orderConfig, unmetRequirements } = require("../lib/orders");
+const { financialYear } = require("../lib/quotes");
+const { zonedDate } = require("../lib/dates");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const orderRequest = {
+    request_type: 'order',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'Ravi@Example.com',
+    phone_number: '+91 98765 43210',
+    state: 'Karnataka',
+    quantity: 2,
+};
+
+const VINS = ['MA1BW25EV26000001', 'MA1BW25EV26000002', 'MA1BW25EV26000003'];
+
+describe('orders', () => {
+    let app;
+    let pool;
+    let sales;
+    let editor;
+    let product;
+
+    // A won order request.
+    const wonRequest = async (fields = {}) => {
+        const created = (await request(app).post('/api/requests').send({ ...orderRequest, ...fields }).expect(201)).body;
+        for (const status of ['contacted', 'quoted', 'won']) {
+            await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status }).expect(200);
+        }
+        return created;
+    };
+
+    const createOrder = (body) => request(app).post('/api/orders').set('Authorization', sales).send(body);
+    const moveTo = (order, status) => request(app).patch(`/api/orders/${order.id}/status`).set('Authorization', sales).send({ status });
+    const pay = (order, milestone, body = { method: 'upi' }) =>
+        request(app).patch(`/api/orders/${order.id}/payments/${milestone}`).set('Authorization', sales).send(body);
+    const assign = (order, body) => request(app).post(`/api/orders/${order.id}/vehicles`).set('Authorization', sales).send(body);
+
+    before(async () => {
+        ({ app, pool } = await createTestApp({ orderSettings: { advancePercent: 10, lookupLimit: 0 } }));
+        sales = bearer('sales', (await createUser(pool, 'sales')).id);
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        product = (await pool.query("INSERT INTO products (name, price) VALUES ('Volt 25', 250000) RETURNING *")).rows[0];
+    });
+
+    it('creates an order from a quote, with advance and balance milestones', async () => {
+        const won = await wonRequest();
+        const quote = (await request(app).post(`/api/requests/${won.id}/quotes`).set('Authorization', sales).send({}).expect(201)).body;
+        const res = await createOrder({ request_id: won.id, quote_id: quote.id, notes: 'Deliver to the farm' });
+        assert.equal(res.status, 201);
+        const order = res.body;
+        assert.equal(order.order_number, `ORD-${financialYear(zonedDate(new Date(), 'Asia/Kolkata'))}-0001`);
+        assert.equal(order.status, 'confirmed');
+        assert.equal(order.customer_email, 'ravi@example.com');
+        assert.equal(Number(order.total_amount), 525000);
+        assert.deepEqual(['subtotal', 'taxable_amount', 'cgst', 'sgst', 'igst'].map((column) => Number(order[column])), [500000, 500000, 12500, 12500, 0]);
+        assert.deepEqual([order.place_of_supply, order.gst_type], ['Karnataka', 'intra_state']);
+        assert.deepEqual(order.items.map(({ product_id, quantity, unit_price, amount }) => [product_id, quantity, Number(unit_price), Number(amount)]),
+            [[product.id, 2, 250000, 500000]]);
+        assert.deepEqual(order.payments.map(({ milestone, amount, paid_at }) => [milestone, Number(amount), paid_at]),
+            [['advance', 52500, null], ['balance', 472500, null]]);
+        assert.deepEqual(order.history.map(({ from_status, to_status }) => [from_status, to_status]), [[null, 'confirmed']]);
+
+        const email = (await pool.query("SELECT * FROM email_outbox WHERE template = 'order_status_changed'")).rows[0];
+        assert.equal(email.to_address, 'ravi@example.com');
+        assert.match(email.body_text, new RegExp(order.order_number));
+
+        const again = await createOrder({ request_id: won.id, quote_id: quote.id });
+        assert.equal(again.status, 409);
+    });
+
+    it('creates an order from line items, with GST', async () => {
+        const won = await wonRequest();
+        const res = await createOrder({
+            request_id: won.id, advance_amount: 100000,
+            items: [{ product_id: product.id, quantity: 1 }, { product_id: product.id, quantity: 2, unit_price: 240000 }],
+        });
+        assert.equal(res.status, 201);
+        assert.deepEqual(res.body.items.map((item) => Number(item.amount)), [250000, 480000]);
+        // 5% GST (QUOTE_GST_RATE) within Karnataka, the seller's and the request's state.
+        assert.deepEqual(['subtotal', 'taxable_amount', 'gst_rate', 'cgst', 'sgst', 'igst'].map((column) => Number(res.body[column])), [730000, 730000, 5, 18250, 18250, 0]);
+        assert.equal(res.body.gst_type, 'intra_state');
+        assert.equal(Number(res.body.total_amount), 766500);
+        assert.deepEqual(res.body.payments.map((payment) => Number(payment.amount)), [100000, 666500]);
+
+        const elsewhere = await wonRequest();
+        const inter = await createOrder({ request_id: elsewhere.id, gst_rate: 18, place_of_supply: 'maharashtra', items: [{ product_id: product.id, quantity: 1 }] });
+        assert.equal(inter.status, 201);
+        assert.deepEqual([inter.body.place_of_supply, inter.body.gst_type, Number(inter.body.igst), Number(inter.body.total_amount)],
+            ['Maharashtra', 'inter_state', 45000, 295000]);
+    });
+
+    it('rejects orders that cannot be created', async () => {
+        const fieldsOf = (res) => {
+            assert.equal(res.status, 422);
+            return res.body.errors.map((error) => error.field);
+        };
+        const won = await wonRequest();
+        const items = [{ product_id: product.id, quantity: 1 }];
+
+        const open = (await request(app).post('/api/requests').send(orderRequest).expect(201)).body;
+        assert.equal((await createOrder({ request_id: open.id, items })).status, 409);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: 999999, items })), ['request_id']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id })), ['items']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, items: [] })), ['items']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, items: [{ product_id: product.id }] })), ['items']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, items: [{ product_id: 999999, quantity: 1 }] })), ['items']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, items, advance_amount: 300000 })), ['advance_amount']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, items, gst_rate: 7, place_of_supply: 'Atlantis' })), ['gst_rate']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, items, place_of_supply: 'Atlantis' })), ['place_of_supply']);
+        const stateless = await wonRequest({ state: null });
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: stateless.id, items })), ['place_of_supply']);
+
+        const quote = (await request(app).post(`/api/requests/${won.id}/quotes`).set('Authorization', sales).send({}).expect(201)).body;
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, quote_id: quote.id, items })), ['items']);
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: won.id, quote_id: quote.id, gst_rate: 18 })), ['gst_rate']);
+        const other = await wonRequest();
+        assert.deepEqual(fieldsOf(await createOrder({ request_id: other.id, quote_id: quote.id })), ['quote_id']);
+        await request(app).post(`/api/requests/${won.id}/quotes/${quote.id}/revisions`).set('Authorization', sales).send({}).expect(201);
+        assert.equal((await createOrder({ request_id: won.id, quote_id: quote.id })).status, 409);
+    });
+
+    it('refuses orders from an expired quote', async () => {
+        const won = await wonRequest();
+        const quote = (await request(app).post(`/api/requests/${won.id}/quotes`).set('Authorization', sales).send({}).expect(201)).body;
+        await pool.query("UPDATE quotes SET expires_at = NOW() - INTERVAL '1 hour' WHERE id = $1", [quote.id]);
+        const res = await createOrder({ request_id: won.id, quote_id: quote.id });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'This quote has expired; issue a revision');
+        assert.equal((await pool.query('SELECT 1 FROM orders WHERE request_id = $1', [won.id])).rows.length, 0);
+    });
+
+    it('tracks an order through payments, vehicles and delivery', async () => {
+        const won = await wonRequest();
+        const order = (await createOrder({ request_id: won.id, items: [{ product_id: product.id, quantity: 2 }] }).expect(201)).body;
+        const [item] = order.items;
+
+        let res = await moveTo(order, 'manufacturing');
+        assert.equal(res.status, 409);
+        assert.deepEqual(res.body.unmet, ['the advance has not been paid']);
+        assert.equal((await moveTo(order, 'delivered')).status, 409);
+
+        res = await pay(order, 'advance', { method: 'bank_transfer', reference: 'UTR123', paid_at: '2026-10-01T10:00:00Z' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.reference, 'UTR123');
+        assert.equal(new Date(res.body.paid_at).toISOString(), '2026-10-01T10:00:00.000Z');
+        assert.equal((await pay(order, 'advance')).status, 409);
+        assert.equal((await pay(order, 'deposit')).status, 404);
+        assert.equal((await pay(order, 'balance', { method: 'barter' })).status, 422);
+        await moveTo(order, 'manufacturing').expect(200);
+
+        res = await moveTo(order, 'dispatched');
+        assert.deepEqual(res.body.unmet, ['the order has not been paid in full', '2 of 2 vehicles have no VIN']);
+
+        const first = (await assign(order, { order_item_id: item.id, vin: VINS[0].toLowerCase(), serial_number: 'BAT-001' }).expect(201)).body;
+        assert.equal(first.vin, VINS[0]);
+        assert.equal((await assign(order, { order_item_id: item.id, vin: VINS[0] })).status, 409);
+        assert.equal((await assign(order, { order_item_id: item.id, vin: 'MA1BW25EV2600000O' })).status, 422);
+        assert.equal((await assign(order, { order_item_id: 999999, vin: VINS[1] })).status, 422);
+        await request(app).delete(`/api/orders/${order.id}/vehicles/${first.id}`).set('Authorization', sales).expect(200);
+        await assign(order, { order_item_id: item.id, vin: VINS[0] }).expect(201);
+        await assign(order, { order_item_id: item.id, vin: VINS[1] }).expect(201);
+        assert.equal((await assign(order, { order_item_id: item.id, vin: VINS[2] })).status, 409);
+
+        await pay(order, 'balance').expect(200);
+        await moveTo(order, 'dispatched').expect(200);
+        assert.equal((await assign(order, { order_item_id: item.id, vin: VINS[2] })).status, 409);
+        assert.equal((await moveTo(order, 'cancelled')).status, 409);
+        res = await moveTo(order, 'delivered').expect(200);
+        assert.deepEqual(res.body.history.map((entry) => entry.to_status), ['confirmed', 'manufacturing', 'dispatched', 'delivered']);
+        assert.ok(res.body.history.every((entry) => entry.created_at));
+        assert.equal(res.body.vehicles.length, 2);
+
+        const emails = (await pool.query("SELECT subject FROM email_outbox WHERE template = 'order_status_changed' AND subject LIKE $1", [`%${order.order_number}%`])).rows;
+        assert.equal(emails.length, 4);
+    });
+
+    it('lists orders with filters', async () => {
+        const res = await request(app).get('/api/orders?status=confirmed&sort=order_number&order=asc').set('Authorization', sales).expect(200);
+        assert.ok(res.body.data.length >= 2);
+        assert.ok(res.body.data.every((order) => order.status === 'confirmed'));
+        assert.equal((await request(app).get('/api/orders?sort=vin').set('Authorization', sales)).status, 400);
+        assert.equal((await request(app).get('/api/orders/999999').set('Authorization', sales)).status, 404);
+        assert.equal((await request(app).get('/api/orders/abc').set('Authorization', sales)).status, 404);
+    });
+
+    it('lets customers look up an order by number and email', async () => {
+        const won = await wonRequest();
+        const order = (await createOrder({ request_id: won.id, items: [{ product_id: product.id, quantity: 1 }], notes: 'Internal note' }).expect(201)).body;
+        await pay(order, 'advance').expect(200);
+        await moveTo(order, 'manufacturing').expect(200);
+
+        const res = await request(app).post('/api/orders/lookup').send({ order_number: order.order_number.toLowerCase(), email: 'RAVI@example.com' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'manufacturing');
+        assert.deepEqual(res.body.items, [{ product_name: 'Volt 25', quantity: 1 }]);
+        assert.deepEqual(res.body.payments.map((payment) => payment.paid), [true, false]);
+        assert.deepEqual(res.body.timeline.map((entry) => entry.status), ['confirmed', 'manufacturing']);
+        assert.equal(res.body.notes, undefined);
+        assert.equal(res.body.customer_email, undefined);
+
+        assert.equal((await request(app).post('/api/orders/lookup').send({ order_number: order.order_number, email: 'someone@example.com' })).status, 404);
+        assert.equal((await request(app).post('/api/orders/lookup').send({ order_number: order.order_number })).status, 422);
+    });
+
+    it('rate-limits order lookups per IP address', async () => {
+        const limited = (await createTestApp({ orderSettings: { advancePercent: 10, lookupLimit: 2 } })).app;
+        const lookup = () => request(limited).post('/api/orders/lookup').send({ order_number: 'ORD-2026-27-0001', email: 'ravi@example.com' });
+        assert.equal((await lookup()).status, 404);
+        assert.equal((await lookup()).status, 404);
+        const res = await lookup();
+        assert.equal(res.status, 429);
+        assert.ok(Number(res.headers['retry-after']) > 0);
+    });
+
+    it('records orders in the audit log', async () => {
+        const won = await wonRequest();
+        const order = (await createOrder({ request_id: won.id, items: [{ product_id: product.id, quantity: 1 }] }).expect(201)).body;
+        await moveTo(order, 'cancelled').expect(200);
+        const entries = (await pool.query("SELECT * FROM audit_log WHERE resource = 'orders' AND resource_id = $1 ORDER BY id", [order.id])).rows;
+        assert.deepEqual(entries.map((entry) => entry.action), ['create', 'update']);
+        assert.equal((await pay(order, 'advance')).status, 409);
+    });
+
+    it('is restricted to sales', async () => {
+        assert.equal((await request(app).get('/api/orders')).status, 401);
+        assert.equal((await request(app).get('/api/orders').set('Authorization', editor)).status, 403);
+        assert.equal((await request(app).post('/api/orders').set('Authorization', editor).send({})).status, 403);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).get('/api/orders').set('Authorization', sales);
+        assert.equal(res.status, 500);
+    });
+
+    it('prices orders and checks stage requirements', () => {
+        const products = new Map([[1, { id: 1, name: 'Volt 25', price: '99999.99' }]]);
+        const sources = { products, request: { state: 'Karnataka' } };
+        const quoteSettings = { sellerState: 'Karnataka', gstRate: 5 };
+        const built = buildOrder({ items: [{ product_id: 1, quantity: 3 }] }, sources, { advancePercent: 15 }, quoteSettings);
+        assert.deepEqual([built.order.subtotal, built.order.cgst, built.order.sgst, built.order.total_amount], [299999.97, 7500, 7500, 314999.97]);
+        assert.deepEqual(built.payments, [{ milestone: 'advance', amount: 47250 }, { milestone: 'balance', amount: 267749.97 }]);
+        const upFront = buildOrder({ items: [{ product_id: 1, quantity: 1 }], gst_rate: 0, advance_amount: 99999.99 }, sources, { advancePercent: 10 }, quoteSettings);
+        assert.deepEqual(upFront.payments.map((payment) => payment.milestone), ['advance']);
+
+        const paid = [{ milestone: 'advance', paid_at: new Date() }, { milestone: 'balance', paid_at: new Date() }];
+        assert.deepEqual(unmetRequirements('dispatched', { payments: paid, vehicles_required: 2, vehicles_assigned: 2 }), []);
+        assert.deepEqual(unmetRequirements('cancelled', { payments: [], vehicles_required: 2, vehicles_assigned: 0 }), []);
+        assert.equal(orderConfig({}).advancePercent, 10);
+        assert.throws(() => orderConfig({ ORDER_ADVANCE_PERCENT: '120' }), /Invalid ORDER_ADVANCE_PERCENT/);
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers"); // sets the PII keyring
+const pii = require("../lib/pii");
+
+describe('lib/pii', () => {
+    it('validates Aadhaar numbers with the Verhoeff checksum', () => {
+        assert.equal(pii.isValidAadhaar('2341 2341 2346'), true);
+        assert.equal(pii.isValidAadhaar('234123412345'), false);
+        assert.equal(pii.isValidAadhaar('123412341234'), false);
+    });
+
+    it('validates PAN numbers', () => {
+        assert.equal(pii.isValidPan('abcpe1234f'), true);
+        assert.equal(pii.isValidPan('ABCXE1234F'), false);
+    });
+
+    it('round-trips values through encryption', () => {
+        const stored = pii.encrypt('ABCPE1234F');
+        assert.equal(pii.isEncrypted(stored), true);
+        assert.equal(pii.keyIdOf(stored), 'test');
+        assert.notEqual(pii.encrypt('ABCPE1234F'), stored);
+        assert.equal(pii.decrypt(stored), 'ABCPE1234F');
+        assert.equal(pii.decrypt('legacy-plaintext'), 'legacy-plaintext');
+    });
+
+    it('rejects tampered ciphertext', () => {
+        const parts = pii.encrypt('234123412346').split(':');
+        parts[4] = Buffer.from('tampered').toString('base64');
+        assert.throws(() => pii.decrypt(parts.join(':')));
+    });
+
+    it('masks values from their last four characters', () => {
+        assert.equal(pii.maskAadhaar('2346'), 'XXXX-XXXX-2346');
+        assert.equal(pii.maskPan('234F'), 'XXXXXX234F');
+        assert.equal(pii.maskAadhaar(null), null);
+        assert.equal(pii.isMasked('XXXX-XXXX-2346'), true);
+        assert.equal(pii.isMasked('234123412346'), false);
+    });
+});
@@ -0,0 +1,223 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { createTestApp, createUser, bearer } = require("./helpers");
+
+crudContract({
+    path: '/api/products',
+    writeRole: 'editor',
+    paginated: true,
+    valid: { name: 'Volt 25', price: 650000, image_urls: ['https://example.com/a.jpg'], specifications: { horsepower: 25 } },
+    invalid: { price: -1, image_urls: 'https://example.com/a.jpg', related_products_ids: ['x'] },
+    patch: { name: 'Volt 25 Pro' },
+    notFound: 'Product not found',
+    deletedKey: 'deletedProduct',
+});
+
+describe('/api/products', () => {
+    let app;
+    const editor = bearer('editor');
+    const ids = {};
+    let tractors;
+
+    before(async () => {
+        ({ app } = await createTestApp());
+        tractors = (await request(app).post('/api/categories').set('Authorization', editor).send({ name: 'Tractors', slug: 'tractors' }).expect(201)).body;
+        const vehicles = (await request(app).post('/api/categories').set('Authorization', editor).send({ name: 'Vehicles', slug: 'vehicles' }).expect(201)).body;
+        for (const product of [
+            { name: 'Volt 25', price: 650000, category_id: tractors.id },
+            { name: 'Volt 45', price: 980000, category_id: tractors.id },
+            { name: 'Loader L1', price: 420000, category_id: vehicles.id },
+        ]) {
+            ids[product.name] = (await request(app).post('/api/products').set('Authorization', editor).send(product).expect(201)).body.id;
+        }
+    });
+
+    it('lists products by name by default', async () => {
+        const res = await request(app).get('/api/products');
+        assert.deepEqual(res.body.data.map((product) => product.name), ['Loader L1', 'Volt 25', 'Volt 45']);
+    });
+
+    it('filters by category and price range', async () => {
+        const res = await request(app).get(`/api/products?category_id=${tractors.id}&min_price=700000`);
+        assert.deepEqual(res.body.data.map((product) => product.name), ['Volt 45']);
+        assert.equal((await request(app).get('/api/products?max_price=cheap')).status, 400);
+    });
+
+    it('lists the products of a category by slug', async () => {
+        const res = await request(app).get('/api/products/by-category/tractors?sort=price&order=desc');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.category.slug, 'tractors');
+        assert.deepEqual(res.body.data.map((product) => product.name), ['Volt 45', 'Volt 25']);
+        assert.equal(res.body.pagination.total, 2);
+        const missing = await request(app).get('/api/products/by-category/boats');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.message, 'Category not found');
+    });
+
+    it('rejects unknown categories and related products with 422', async () => {
+        const res = await request(app).post('/api/products').set('Authorization', editor)
+            .send({ name: 'Ghost', category_id: 999999, related_products_ids: [ids['Volt 25'], 999999] });
+        assert.equal(res.status, 422);
+        assert.deepEqual(res.body.errors, [
+            { field: 'category_id', message: 'must reference an existing category' },
+            { field: 'related_products_ids', message: 'references unknown products: 999999' },
+        ]);
+        const self = await request(app).patch(`/api/products/${ids['Volt 25']}`).set('Authorization', editor)
+            .send({ related_products_ids: [ids['Volt 25']] });
+        assert.equal(self.status, 422);
+    });
+
+    it('expands related products in order on request', async () => {
+        await request(app).patch(`/api/products/${ids['Volt 25']}`).set('Authorization', editor)
+            .send({ related_products_ids: [ids['Volt 45'], ids['Loader L1']] }).expect(200);
+        const plain = await request(app).get(`/api/products/${ids['Volt 25']}`);
+        assert.equal(plain.body.related_products, undefined);
+        const res = await request(app).get(`/api/products/${ids['Volt 25']}?expand=related`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.related_products.map((product) => product.name), ['Volt 45', 'Loader L1']);
+        assert.deepEqual(Object.keys(res.body.related_products[0]).sort(), ['category_id', 'id', 'main_image_url', 'name', 'price', 'tagline']);
+        assert.equal((await request(app).get(`/api/products/${ids['Volt 25']}?expand=everything`)).status, 400);
+    });
+
+    it('removes a deleted product from related_products_ids', async () => {
+        await request(app).patch(`/api/products/${ids['Volt 45']}`).set('Authorization', editor)
+            .send({ related_products_ids: [ids['Loader L1']] }).expect(200);
+        const before = await request(app).get(`/api/products/${ids['Volt 25']}`);
+        await request(app).delete(`/api/products/${ids['Loader L1']}`).set('Authorization', editor).expect(200);
+        const volt25 = await request(app).get(`/api/products/${ids['Volt 25']}`);
+        assert.deepEqual(volt25.body.related_products_ids, [ids['Volt 45']]);
+        assert.equal(volt25.body.version, before.body.version + 1);
+        const volt45 = await request(app).get(`/api/products/${ids['Volt 45']}`);
+        assert.deepEqual(volt45.body.related_products_ids, []);
+    });
+
+    it('uncategorises products when their category is deleted', async () => {
+        await request(app).delete(`/api/categories/${tractors.id}`).set('Authorization', editor).expect(200);
+        const res = await request(app).get(`/api/products/${ids['Volt 25']}`);
+        assert.equal(res.body.category_id, null);
+    });
+});
+
+describe('/api/products specs', () => {
+    let app;
+    const editor = bearer('editor');
+    const ids = {};
+
+    before(async () => {
+        ({ app } = await createTestApp());
+        for (const definition of [
+            { key: 'battery_kwh', label: 'Battery capacity', unit: 'kWh', group_name: 'Battery', data_type: 'number', sort_order: 1 },
+            { key: 'range_km', label: 'Range', unit: 'km', group_name: 'Battery', data_type: 'number', sort_order: 2 },
+            { key: 'fast_charging', label: 'Fast charging', group_name: 'Battery', data_type: 'boolean', sort_order: 3 },
+            { key: 'payload_kg', label: 'Payload', unit: 'kg', group_name: 'Performance', data_type: 'number' },
+        ]) {
+            await request(app).post('/api/spec-definitions').set('Authorization', editor).send(definition).expect(201);
+        }
+        for (const [name, specs] of [
+            ['Volt 25', { battery_kwh: 18, range_km: 60, fast_charging: false }],
+            ['Volt 45', { battery_kwh: 32, range_km: 90, fast_charging: true }],
+            ['Loader L1', { battery_kwh: 12, range_km: 80, payload_kg: 1000 }],
+        ]) {
+            ids[name] = (await request(app).post('/api/products').set('Authorization', editor).send({ name }).expect(201)).body.id;
+            await request(app).put(`/api/products/${ids[name]}/specs`).set('Authorization', editor).send({ specs }).expect(200);
+        }
+    });
+
+    it('replaces spec values and bumps the product version', async () => {
+        const res = await request(app).put(`/api/products/${ids['Volt 25']}/specs`).set('Authorization', editor).set('If-Match', '"2"')
+            .send({ specs: { battery_kwh: '20', range_km: 65, fast_charging: false, payload_kg: null } });
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.etag, '"3"');
+        assert.deepEqual(res.body.map((spec) => [spec.key, spec.value]), [['battery_kwh', 20], ['range_km', 65], ['fast_charging', false]]);
+        assert.deepEqual(res.body[0], { key: 'battery_kwh', label: 'Battery capacity', unit: 'kWh', group: 'Battery', data_type: 'number', value: 20 });
+        const stale = await request(app).put(`/api/products/${ids['Volt 25']}/specs`).set('Authorization', editor).set('If-Match', '"2"').send({ specs: {} });
+        assert.equal(stale.status, 412);
+    });
+
+    it('validates spec keys and value types', async () => {
+        const res = await request(app).put(`/api/products/${ids['Volt 25']}/specs`).set('Authorization', editor)
+            .send({ specs: { range_km: 'far', top_speed: 30 } });
+        assert.equal(res.status, 422);
+        assert.deepEqual(res.body.errors, [
+            { field: 'specs.range_km', message: 'must be a number' },
+            { field: 'specs.top_speed', message: 'is not a known spec key' },
+        ]);
+        assert.equal((await request(app).put(`/api/products/${ids['Volt 25']}/specs`).set('Authorization', editor).send({ specs: [] })).status, 400);
+        assert.equal((await request(app).put('/api/products/999999/specs').set('Authorization', editor).send({ specs: {} })).status, 404);
+        assert.equal((await request(app).put(`/api/products/${ids['Volt 25']}/specs`).send({ specs: {} })).status, 401);
+    });
+
+    it('returns specs on their own or as an expansion', async () => {
+        const specs = await request(app).get(`/api/products/${ids['Loader L1']}/specs`);
+        assert.deepEqual(specs.body.map((spec) => spec.key), ['battery_kwh', 'range_km', 'payload_kg']);
+        const expanded = await request(app).get(`/api/products/${ids['Loader L1']}?expand=specs,related`);
+        assert.deepEqual(expanded.body.specs, specs.body);
+        assert.deepEqual(expanded.body.related_products, []);
+        assert.equal((await request(app).get('/api/products/999999/specs')).status, 404);
+    });
+
+    it('filters the product list by spec values', async () => {
+        const names = async (spec) => (await request(app).get(`/api/products?spec=${encodeURIComponent(spec)}`)).body.data.map((product) => product.name);
+        assert.deepEqual(await names('range_km:gte:80'), ['Loader L1', 'Volt 45']);
+        assert.deepEqual(await names('range_km:gte:80,battery_kwh:lte:20'), ['Loader L1']);
+        assert.deepEqual(await names('fast_charging:eq:true'), ['Volt 45']);
+        assert.equal((await request(app).get('/api/products?spec=range_km:gt:80')).status, 400);
+    });
+
+    it('compares products side by side', async () => {
+        const res = await request(app).get(`/api/products/compare?ids=${ids['Volt 45']},${ids['Loader L1']}`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.products.map((product) => product.name), ['Volt 45', 'Loader L1']);
+        assert.deepEqual(res.body.groups.map((group) => group.group), ['Battery', 'Performance']);
+        const battery = Object.fromEntries(res.body.groups[0].specs.map((spec) => [spec.key, spec.values]));
+        assert.deepEqual(battery, { battery_kwh: [32, 12], range_km: [90, 80], fast_charging: [true, null] });
+        assert.deepEqual(res.body.groups[1].specs[0], { key: 'payload_kg', label: 'Payload', unit: 'kg', data_type: 'number', values: [null, 1000] });
+    });
+
+    it('validates the products to compare', async () => {
+        assert.equal((await request(app).get(`/api/products/compare?ids=${ids['Volt 45']}`)).status, 400);
+        assert.equal((await request(app).get('/api/products/compare?ids=1,2,3,4,5,6')).status, 400);
+        assert.equal((await request(app).get('/api/products/compare?ids=1,x')).status, 400);
+        assert.equal((await request(app).get(`/api/products/compare?ids=${ids['Volt 45']},${ids['Volt 45']}`)).status, 400);
+        const missing = await request(app).get(`/api/products/compare?ids=${ids['Volt 45']},999999`);
+        assert.equal(missing.status, 404);
+        assert.deepEqual(missing.body.missing, [999999]);
+    });
+});
+
+describe('/api/products featured in', () => {
+    let app;
+    let editor;
+    let product;
+    let post;
+
+    before(async () => {
+        let pool;
+        ({ app, pool } = await createTestApp());
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        product = (await request(app).post('/api/products').set('Authorization', editor).send({ name: 'Volt 25', price: 650000 })).body;
+        post = (await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'Meet the Volt 25', slug: 'meet-the-volt-25', content: 'x', author: 'Team', product_ids: [product.id] })).body;
+        await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'Volt 25 draft', slug: 'volt-25-draft', content: 'x', author: 'Team', product_ids: [product.id] }).expect(201);
+    });
+
+    it('lists the published posts linking to a product', async () => {
+        const drafts = await request(app).get(`/api/products/${product.id}?expand=featured_in`);
+        assert.deepEqual(drafts.body.featured_in, []);
+
+        await request(app).patch(`/api/blogs/${post.id}/status`).set('Authorization', editor).send({ status: 'published' }).expect(200);
+        const res = await request(app).get(`/api/products/${product.id}?expand=featured_in`);
+        assert.deepEqual(res.body.featured_in.map((blog) => blog.slug), ['meet-the-volt-25']);
+        assert.equal(res.body.featured_in[0].content, undefined);
+    });
+
+    it('removes a deleted product from blog posts', async () => {
+        await request(app).delete(`/api/products/${product.id}`).set('Authorization', editor).expect(200);
+        const res = await request(app).get(`/api/blogs/${post.id}`);
+        assert.deepEqual(res.body.product_ids, []);
+        assert.equal(res.body.version, post.version + 2);
+    });
+});
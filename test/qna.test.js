@@ -0,0 +1,11 @@
+const { crudContract } = require("./crudContract");
+
+crudContract({
+    path: '/api/qna',
+    writeRole: 'editor',
+    valid: { question: 'How long does charging take?', answer: 'About 4 hours.' },
+    invalid: { question: 'Missing the answer' },
+    patch: { answer: 'About 3 hours with the fast charger.' },
+    notFound: 'Q&A entry not found',
+    deletedKey: 'deletedQna',
+});
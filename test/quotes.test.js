@@ -0,0 +1,222 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { amountInWords, financialYear, stateName, quoteConfig } = require("../lib/quotes");
+const { textWidth, wrapText } = require("../lib/pdf");
+const { addDays, zonedDate } = require("../lib/dates");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const orderRequest = {
+    request_type: 'order',
+    product_name: 'volt 25',
+    full_name: 'Ravi Kumar',
+    company_name: 'Kumar Farms',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    city: 'Mysuru',
+    state: 'Karnataka',
+    quantity: 2,
+};
+
+// Reads a binary response body.
+const binary = (res, done) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+};
+
+describe('quotes', () => {
+    let app;
+    let pool;
+    let sales;
+    let editor;
+    let product;
+    let today;
+
+    const submit = async (fields = {}) => (await request(app).post('/api/requests').send({ ...orderRequest, ...fields }).expect(201)).body;
+    const quotesOf = (requestId) => `/api/requests/${requestId}/quotes`;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        sales = bearer('sales', (await createUser(pool, 'sales')).id);
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        product = (await pool.query("INSERT INTO products (name, price) VALUES ('Volt 25', 250000) RETURNING *")).rows[0];
+        await pool.query("INSERT INTO products (name) VALUES ('Prototype')");
+        today = zonedDate(new Date(), 'Asia/Kolkata');
+    });
+
+    it('builds an intra-state quote from the product price and the request', async () => {
+        const order = await submit();
+        const res = await request(app).post(quotesOf(order.id)).set('Authorization', sales).send({});
+        assert.equal(res.status, 201);
+        const quote = res.body;
+        assert.equal(quote.quote_number, `Q-${financialYear(today)}-0001`);
+        assert.equal(quote.revision, 1);
+        assert.equal(quote.product_id, product.id);
+        assert.equal(quote.product_name, 'Volt 25');
+        assert.equal(quote.quantity, 2);
+        assert.equal(quote.place_of_supply, 'Karnataka');
+        assert.equal(quote.gst_type, 'intra_state');
+        assert.deepEqual([quote.subtotal, quote.taxable_amount, quote.cgst, quote.sgst, quote.igst, quote.total].map(Number),
+            [500000, 500000, 12500, 12500, 0, 525000]);
+        assert.equal(quote.valid_until, addDays(today, 30));
+        assert.equal(quote.expired, false);
+        assert.equal(quote.superseded_at, null);
+    });
+
+    it('charges IGST outside the seller state, with discounts and overrides', async () => {
+        const order = await submit({ state: 'Maharashtra' });
+        const discounted = (await request(app).post(quotesOf(order.id)).set('Authorization', sales)
+            .send({ discount_percent: 10, quantity: 3, valid_until: addDays(today, 7), notes: 'Delivery in 4 weeks' }).expect(201)).body;
+        assert.match(discounted.quote_number, /-0002$/);
+        assert.equal(discounted.gst_type, 'inter_state');
+        assert.deepEqual([discounted.subtotal, discounted.discount_amount, discounted.taxable_amount, discounted.igst, discounted.cgst, discounted.total].map(Number),
+            [750000, 75000, 675000, 33750, 0, 708750]);
+        assert.equal(Number(discounted.discount_percent), 10);
+        assert.equal(discounted.valid_until, addDays(today, 7));
+
+        const elsewhere = (await request(app).post(quotesOf(order.id)).set('Authorization', sales)
+            .send({ place_of_supply: ' orissa ', discount_amount: 1000.5, gst_rate: 18 }).expect(201)).body;
+        assert.equal(elsewhere.place_of_supply, 'Odisha');
+        assert.deepEqual([elsewhere.taxable_amount, elsewhere.igst, elsewhere.total].map(Number), [498999.5, 89819.91, 588819.41]);
+    });
+
+    it('rejects quotes that cannot be built', async () => {
+        const post = (requestId, body) => request(app).post(quotesOf(requestId)).set('Authorization', sales).send(body);
+        const order = await submit();
+        const fieldsOf = (res) => {
+            assert.equal(res.status, 422);
+            return res.body.errors.map((error) => error.field);
+        };
+
+        const demo = await submit({ request_type: 'demo' });
+        assert.equal((await post(demo.id, {})).status, 409);
+        assert.equal((await post(999999, {})).status, 404);
+        assert.equal((await request(app).post('/api/requests/abc/quotes').set('Authorization', sales).send({})).status, 404);
+
+        assert.deepEqual(fieldsOf(await post((await submit({ quantity: null })).id, {})), ['quantity']);
+        assert.deepEqual(fieldsOf(await post((await submit({ state: null })).id, {})), ['place_of_supply']);
+        assert.deepEqual(fieldsOf(await post((await submit({ product_name: 'Unknown' })).id, {})), ['product_id']);
+        assert.deepEqual(fieldsOf(await post(order.id, { place_of_supply: 'Atlantis' })), ['place_of_supply']);
+        assert.deepEqual(fieldsOf(await post(order.id, { discount_percent: 5, discount_amount: 100 })), ['discount_amount']);
+        assert.deepEqual(fieldsOf(await post(order.id, { discount_amount: 600000 })), ['discount_amount']);
+        assert.deepEqual(fieldsOf(await post(order.id, { gst_rate: 7 })), ['gst_rate']);
+        assert.deepEqual(fieldsOf(await post(order.id, { valid_until: '2020-01-01' })), ['valid_until']);
+        assert.deepEqual(fieldsOf(await post(order.id, { valid_until: 'next week' })), ['valid_until']);
+        assert.deepEqual(fieldsOf(await post(order.id, { product_id: 999999 })), ['product_id']);
+        const unpriced = (await pool.query("SELECT id FROM products WHERE name = 'Prototype'")).rows[0];
+        assert.deepEqual(fieldsOf(await post(order.id, { product_id: unpriced.id })), ['product_id']);
+        assert.equal((await request(app).get(quotesOf(order.id)).set('Authorization', sales)).body.length, 0);
+    });
+
+    it('revises the latest revision under the same number', async () => {
+        const order = await submit();
+        const original = (await request(app).post(quotesOf(order.id)).set('Authorization', sales).send({ discount_percent: 5 }).expect(201)).body;
+        await pool.query('UPDATE products SET price = 260000 WHERE id = $1', [product.id]);
+        try {
+            const res = await request(app).post(`${quotesOf(order.id)}/${original.id}/revisions`).set('Authorization', sales).send({ discount_amount: 20000 });
+            assert.equal(res.status, 201);
+            const revised = res.body;
+            assert.equal(revised.quote_number, original.quote_number);
+            assert.equal(revised.revision, 2);
+            assert.equal(revised.discount_percent, null);
+            assert.deepEqual([revised.unit_price, revised.subtotal, revised.discount_amount, revised.cgst, revised.total].map(Number),
+                [260000, 520000, 20000, 12500, 525000]);
+
+            // Omitted fields are kept from the revised quote.
+            const again = (await request(app).post(`${quotesOf(order.id)}/${revised.id}/revisions`).set('Authorization', sales).send({ quantity: 1 }).expect(201)).body;
+            assert.equal(again.revision, 3);
+            assert.equal(Number(again.discount_amount), 20000);
+
+            const stale = await request(app).post(`${quotesOf(order.id)}/${original.id}/revisions`).set('Authorization', sales).send({});
+            assert.equal(stale.status, 409);
+
+            const list = (await request(app).get(quotesOf(order.id)).set('Authorization', sales).expect(200)).body;
+            assert.deepEqual(list.map((quote) => quote.revision), [3, 2, 1]);
+            assert.equal(list[0].superseded_at, null);
+            assert.ok(list[1].superseded_at && list[2].superseded_at);
+        } finally {
+            await pool.query('UPDATE products SET price = 250000 WHERE id = $1', [product.id]);
+        }
+    });
+
+    it('gets a quote only through its own request', async () => {
+        const order = await submit();
+        const other = await submit();
+        const quote = (await request(app).post(quotesOf(order.id)).set('Authorization', sales).send({}).expect(201)).body;
+        assert.equal((await request(app).get(`${quotesOf(order.id)}/${quote.id}`).set('Authorization', sales)).body.id, quote.id);
+        assert.equal((await request(app).get(`${quotesOf(other.id)}/${quote.id}`).set('Authorization', sales)).status, 404);
+        assert.equal((await request(app).get(`${quotesOf(order.id)}/abc`).set('Authorization', sales)).status, 404);
+        assert.equal((await request(app).post(`${quotesOf(other.id)}/${quote.id}/revisions`).set('Authorization', sales).send({})).status, 404);
+        assert.equal((await request(app).get(quotesOf(999999)).set('Authorization', sales)).status, 404);
+    });
+
+    it('downloads a quote as PDF', async () => {
+        const order = await submit({ state: 'Tamil Nadu' });
+        const quote = (await request(app).post(quotesOf(order.id)).set('Authorization', sales)
+            .send({ discount_percent: 10, notes: 'Includes (free) delivery' }).expect(201)).body;
+        const revised = (await request(app).post(`${quotesOf(order.id)}/${quote.id}/revisions`).set('Authorization', sales).send({}).expect(201)).body;
+
+        const res = await request(app).get(`${quotesOf(order.id)}/${revised.id}/pdf`).set('Authorization', sales).buffer(true).parse(binary);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['content-type'], 'application/pdf');
+        assert.match(res.headers['content-disposition'], new RegExp(`${revised.quote_number}-R2\\.pdf`));
+
+        const pdf = res.body.toString('latin1');
+        assert.ok(pdf.startsWith('%PDF-1.4'));
+        assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+        for (const text of [`(${revised.quote_number} \\(Revision 2\\))`, '(Ravi Kumar)', '(Place of supply: 33-Tamil Nadu)', '(IGST @ 5%)',
+            '(4,72,500.00)', '(Indian Rupees Four Lakh Seventy Two Thousand Five Hundred Only)', '(Includes \\(free\\) delivery)']) {
+            assert.ok(pdf.includes(text), `missing ${text}`);
+        }
+
+        // Every cross-reference entry points at its object.
+        const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+        const entries = pdf.slice(xref).split('\n').slice(3).filter((line) => / n $/.test(line));
+        assert.ok(entries.length >= 7);
+        entries.forEach((line, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, Number(line.slice(0, 10))), `object ${i + 1}`));
+    });
+
+    it('records quotes in the audit log', async () => {
+        const order = await submit();
+        const quote = (await request(app).post(quotesOf(order.id)).set('Authorization', sales).send({}).expect(201)).body;
+        const entries = (await pool.query("SELECT * FROM audit_log WHERE resource = 'quotes' AND resource_id = $1", [quote.id])).rows;
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].action, 'create');
+    });
+
+    it('is restricted to sales', async () => {
+        const order = await submit();
+        assert.equal((await request(app).post(quotesOf(order.id)).send({})).status, 401);
+        assert.equal((await request(app).post(quotesOf(order.id)).set('Authorization', editor).send({})).status, 403);
+        assert.equal((await request(app).get(quotesOf(order.id)).set('Authorization', editor)).status, 403);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).get('/api/requests/1/quotes').set('Authorization', sales);
+        assert.equal(res.status, 500);
+    });
+
+    it('works out financial years, states and amounts in words', () => {
+        assert.equal(financialYear('2026-04-01'), '2026-27');
+        assert.equal(financialYear('2027-03-31'), '2026-27');
+        assert.equal(financialYear('2099-12-01'), '2099-00');
+        assert.equal(stateName('  tamil   NADU '), 'Tamil Nadu');
+        assert.equal(stateName('Pondicherry'), 'Puducherry');
+        assert.equal(stateName('Ontario'), null);
+        assert.equal(amountInWords(12345678.5), 'Indian Rupees One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight and Fifty Paise Only');
+        assert.equal(amountInWords(1000000000), 'Indian Rupees One Hundred Crore Only');
+        assert.equal(amountInWords(0.07), 'Indian Rupees Zero and Seven Paise Only');
+        assert.equal(quoteConfig({}).sellerState, 'Karnataka');
+        assert.throws(() => quoteConfig({ QUOTE_SELLER_STATE: 'Ontario' }), /Invalid QUOTE_SELLER_STATE/);
+        assert.throws(() => quoteConfig({ QUOTE_GST_RATE: '7' }), /Invalid QUOTE_GST_RATE/);
+    });
+
+    it('measures and wraps PDF text', () => {
+        assert.equal(textWidth('1,000', 10), 25.02);
+        assert.deepEqual(wrapText('one two three', textWidth('one two', 10), 10), ['one two', 'three']);
+        assert.deepEqual(wrapText('abcdefgh', textWidth('abc', 10), 10), ['abc', 'def', 'gh']);
+        assert.deepEqual(wrapText('first\nsecond', 500, 10), ['first', 'second']);
+    });
+});
@@ -0,0 +1,205 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startOfDay } = require("../lib/dates");
+const { periodsBetween, parseReportRange, reportTimeZone } = require("../lib/reports");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+// Reports count days in Asia/Kolkata (UTC+05:30) by default.
+const RANGE = 'from=2026-10-01&to=2026-10-14';
+
+describe('reports', () => {
+    let app;
+    let pool;
+    let admin;
+    let sales;
+    let editor;
+    let hr;
+
+    const submit = async (fields, requestDate) => {
+        const created = (await request(app).post('/api/requests').send({
+            full_name: 'Ravi Kumar', email: 'ravi@example.com', phone_number: '+91 98765 43210', ...fields,
+        }).expect(201)).body;
+        await pool.query('UPDATE requests SET request_date = $1 WHERE id = $2', [requestDate, created.id]);
+        return created;
+    };
+
+    const moveThrough = async (id, ...statuses) => {
+        for (const status of statuses) {
+            await request(app).patch(`/api/requests/${id}/status`).set('Authorization', sales).send({ status }).expect(200);
+        }
+    };
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        admin = bearer('admin', (await createUser(pool, 'admin')).id);
+        sales = bearer('sales', (await createUser(pool, 'sales')).id);
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        hr = bearer('hr', (await createUser(pool, 'hr')).id);
+
+        // 01:30 on 1 October in India, still 30 September in UTC.
+        const demo = await submit({ request_type: 'demo', product_name: 'Volt 25', country: 'India', state: 'Karnataka' }, '2026-09-30T20:00:00Z');
+        const order = await submit({ request_type: 'order', product_name: 'Volt 25', state: 'Karnataka', quantity: 5 }, '2026-10-01T10:00:00Z');
+        const other = await submit({ request_type: 'order', product_name: 'Volt 50', state: 'Punjab', quantity: 2 }, '2026-10-08T10:00:00Z');
+        await submit({ request_type: 'order', product_name: 'Volt 50', quantity: 9 }, '2026-09-15T10:00:00Z');
+        await moveThrough(demo.id, 'contacted', 'demo_scheduled', 'quoted', 'won');
+        await moveThrough(order.id, 'contacted', 'quoted', 'won');
+        await moveThrough(other.id, 'lost');
+
+        await pool.query(
+            `INSERT INTO subscribe (email, status, subscribed_at, confirmed_at) VALUES
+            ('one@example.com', 'active', '2026-10-02T10:00:00Z', '2026-10-03T10:00:00Z'),
+            ('two@example.com', 'pending', '2026-10-03T10:00:00Z', NULL)`
+        );
+        await pool.query(
+            `INSERT INTO email_suppressions (email, reason, created_at) VALUES
+            ('gone@example.com', 'unsubscribed', '2026-10-03T10:00:00Z'),
+            ('bounced@example.com', 'bounced', '2026-10-03T10:00:00Z')`
+        );
+
+        const job = (await pool.query("INSERT INTO jobs (title, description, status) VALUES ('Test Engineer', 'Role description', 'open') RETURNING *")).rows[0];
+        await pool.query(
+            `INSERT INTO apply (name, email, position, job_id, stage, created_at) VALUES
+            ('A', 'a@example.com', 'Test Engineer', $1, 'applied', '2026-10-02T10:00:00Z'),
+            ('B', 'b@example.com', 'Test Engineer', $1, 'interview', '2026-10-05T10:00:00Z'),
+            ('C', 'c@example.com', 'Designer', NULL, 'applied', '2026-10-06T10:00:00Z'),
+            ('D', 'd@example.com', 'Designer', NULL, 'applied', '2026-11-06T10:00:00Z')`,
+            [job.id]
+        );
+    });
+
+    const get = (path, token = admin) => request(app).get(`/api/admin/reports${path}`).set('Authorization', token);
+
+    it('counts leads per day in the reporting time zone, listing days without leads', async () => {
+        const res = await get(`/leads?${RANGE}`, sales).expect(200);
+        assert.equal(res.body.time_zone, 'Asia/Kolkata');
+        assert.equal(res.body.total, 3);
+        assert.equal(res.body.periods.length, 14);
+        assert.deepEqual(res.body.periods[0], { period: '2026-10-01', total: 2 });
+        assert.deepEqual(res.body.periods[1], { period: '2026-10-02', total: 0 });
+        assert.deepEqual(res.body.periods[7], { period: '2026-10-08', total: 1 });
+    });
+
+    it('counts leads per week and month, split by a column', async () => {
+        const weekly = await get(`/leads?${RANGE}&interval=week&group_by=request_type`).expect(200);
+        assert.deepEqual(weekly.body.groups, [{ group: 'order', count: 2 }, { group: 'demo', count: 1 }]);
+        assert.deepEqual(weekly.body.periods, [
+            { period: '2026-09-28', total: 2, groups: { demo: 1, order: 1 } },
+            { period: '2026-10-05', total: 1, groups: { demo: 0, order: 1 } },
+            { period: '2026-10-12', total: 0, groups: { demo: 0, order: 0 } },
+        ]);
+
+        const monthly = await get(`/leads?${RANGE}&interval=month&group_by=country`).expect(200);
+        assert.deepEqual(monthly.body.periods, [{ period: '2026-10-01', total: 3, groups: { India: 1, Unspecified: 2 } }]);
+    });
+
+    it('downloads leads as CSV with a column per group', async () => {
+        const res = await get(`/leads?${RANGE}&interval=week&group_by=state&format=csv`).expect(200);
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        assert.match(res.headers['content-disposition'], /leads_2026-10-01_2026-10-14\.csv/);
+        assert.equal(res.text, 'period,total,Karnataka,Punjab\r\n2026-09-28,2,2,0\r\n2026-10-05,1,0,1\r\n2026-10-12,0,0,0\r\n');
+    });
+
+    it('reports conversion between pipeline stages', async () => {
+        const res = await get(`/leads/conversion?${RANGE}`, sales).expect(200);
+        assert.equal(res.body.total, 3);
+        assert.deepEqual(res.body.stages, { new: 3, contacted: 2, demo_scheduled: 1, quoted: 2, won: 2, lost: 1 });
+        assert.deepEqual(res.body.steps.map(({ from_stage, to_stage, rate }) => [from_stage, to_stage, rate]), [
+            ['new', 'contacted', 0.6667],
+            ['contacted', 'demo_scheduled', 0.5],
+            ['contacted', 'quoted', 1],
+            ['demo_scheduled', 'quoted', 1],
+            ['quoted', 'won', 1],
+        ]);
+        assert.equal(res.body.win_rate, 0.6667);
+        assert.equal(res.body.loss_rate, 0.3333);
+
+        const orders = await get(`/leads/conversion?${RANGE}&request_type=order`).expect(200);
+        assert.equal(orders.body.total, 2);
+        assert.equal(orders.body.steps[1].rate, 0);
+
+        const empty = await get('/leads/conversion?from=2020-01-01&to=2020-01-31').expect(200);
+        assert.equal(empty.body.total, 0);
+        assert.equal(empty.body.win_rate, null);
+
+        const csv = await get(`/leads/conversion?${RANGE}&format=csv`).expect(200);
+        assert.equal(csv.text.split('\r\n')[1], 'new,contacted,3,2,0.6667');
+    });
+
+    it('totals the quantity ordered per product', async () => {
+        const res = await get(`/leads/orders?${RANGE}`, sales).expect(200);
+        assert.equal(res.body.total_orders, 2);
+        assert.equal(res.body.total_quantity, 7);
+        assert.deepEqual(res.body.products, [
+            { product_name: 'Volt 25', orders: 1, quantity: 5, won_orders: 1, won_quantity: 5 },
+            { product_name: 'Volt 50', orders: 1, quantity: 2, won_orders: 0, won_quantity: 0 },
+        ]);
+        const csv = await get(`/leads/orders?${RANGE}&format=csv`).expect(200);
+        assert.equal(csv.text, 'product_name,orders,quantity,won_orders,won_quantity\r\nVolt 25,1,5,1,5\r\nVolt 50,1,2,0,0\r\n');
+    });
+
+    it('reports subscriber growth', async () => {
+        const res = await get(`/subscribers?${RANGE}`, editor).expect(200);
+        assert.deepEqual(res.body.totals, { subscribed: 2, confirmed: 1, unsubscribed: 1, net: 0 });
+        assert.deepEqual(res.body.current, { active: 1, pending: 1 });
+        assert.deepEqual(res.body.periods[2], { period: '2026-10-03', subscribed: 1, confirmed: 1, unsubscribed: 1, net: 0 });
+        const csv = await get(`/subscribers?${RANGE}&interval=month&format=csv`, editor).expect(200);
+        assert.equal(csv.text, 'period,subscribed,confirmed,unsubscribed,net\r\n2026-10-01,2,1,1,0\r\n');
+    });
+
+    it('reports applications per position', async () => {
+        const res = await get(`/applications?${RANGE}`, hr).expect(200);
+        assert.equal(res.body.total, 3);
+        assert.equal(res.body.stages.applied, 2);
+        assert.deepEqual(res.body.positions.map(({ position, total, stages }) => [position, total, stages.interview]), [
+            ['Test Engineer', 2, 1],
+            ['Designer', 1, 0],
+        ]);
+        const csv = await get(`/applications?${RANGE}&format=csv`, hr).expect(200);
+        assert.equal(csv.text.split('\r\n')[0], 'position,job_id,total,applied,screening,interview,offer,hired,rejected');
+        assert.equal(csv.text.split('\r\n')[2], 'Designer,,1,1,0,0,0,0,0');
+    });
+
+    it('defaults to the last 30 days', async () => {
+        const res = await get('/leads').expect(200);
+        assert.equal(res.body.periods.length, 30);
+        assert.equal(res.body.to, res.body.periods[29].period);
+    });
+
+    it('rejects invalid parameters', async () => {
+        for (const query of [
+            'from=2026-02-30', 'to=yesterday', 'from=2026-10-14&to=2026-10-01', 'interval=year',
+            'group_by=email', 'format=xml', 'from=2010-01-01&to=2026-01-01',
+        ]) {
+            const res = await get(`/leads?${query}`);
+            assert.equal(res.status, 400, query);
+            assert.ok(res.body.error, query);
+        }
+    });
+
+    it('is restricted by role', async () => {
+        assert.equal((await request(app).get('/api/admin/reports/leads')).status, 401);
+        assert.equal((await get('/leads', editor)).status, 403);
+        assert.equal((await get('/subscribers', sales)).status, 403);
+        assert.equal((await get('/applications', sales)).status, 403);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).get('/api/admin/reports/leads').set('Authorization', admin);
+        assert.equal(res.status, 500);
+    });
+
+    it('works out days, weeks and months across time zones', () => {
+        assert.equal(startOfDay('2026-10-01', 'Asia/Kolkata').toISOString(), '2026-09-30T18:30:00.000Z');
+        // Daylight saving time starts on 8 March 2026 in New York.
+        assert.equal(startOfDay('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+        assert.equal(startOfDay('2026-03-09', 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+        assert.deepEqual(periodsBetween('2025-11-15', '2026-01-01', 'month'), ['2025-11-01', '2025-12-01', '2026-01-01']);
+        assert.deepEqual(periodsBetween('2026-01-01', '2026-01-12', 'week'), ['2025-12-29', '2026-01-05', '2026-01-12']);
+        const range = parseReportRange({}, 'UTC', new Date('2026-03-31T23:00:00Z'));
+        assert.deepEqual([range.from, range.to, range.interval], ['2026-03-02', '2026-03-31', 'day']);
+        assert.equal(reportTimeZone({}), 'Asia/Kolkata');
+        assert.throws(() => reportTimeZone({ REPORTS_TIME_ZONE: 'Mars/Olympus' }), /Invalid REPORTS_TIME_ZONE/);
+    });
+});
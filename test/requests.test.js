@@ -0,0 +1,152 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { createTestApp, createUser, bearer } = require("./helpers");
+
+const AADHAAR = '234123412346';
+const PAN = 'ABCPE1234F';
+
+const demoRequest = {
+    request_type: 'demo',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    pincode: '560001',
+    aadhar_number: AADHAAR,
+    pan_number: PAN,
+};
+
+crudContract({
+    path: '/api/requests',
+    writeRole: 'sales',
+    readRole: 'sales',
+    publicCreate: true,
+    paginated: true,
+    valid: demoRequest,
+    invalid: { ...demoRequest, request_type: 'quote', aadhar_number: '123412341234' },
+    patch: { company_name: 'Green Acres' },
+    notFound: 'Request not found',
+    deletedKey: 'deletedRequest',
+});
+
+describe('/api/requests', () => {
+    let app;
+    let pool;
+    let sales;
+    let salesUser;
+    let created;
+
+    before(async () => {
+        ({ app, pool } = await createTestApp());
+        salesUser = await createUser(pool, 'sales');
+        sales = bearer('sales', salesUser.id);
+        created = (await request(app).post('/api/requests').send(demoRequest).expect(201)).body;
+    });
+
+    it('masks Aadhaar/PAN in responses and encrypts them at rest', async () => {
+        assert.equal(created.aadhar_number, 'XXXX-XXXX-2346');
+        assert.equal(created.pan_number, 'XXXXXX234F');
+        assert.equal(created.status, 'new');
+        const stored = (await pool.query('SELECT aadhar_number, pan_number FROM requests WHERE id = $1', [created.id])).rows[0];
+        assert.match(stored.aadhar_number, /^enc:test:/);
+        assert.match(stored.pan_number, /^enc:test:/);
+    });
+
+    it('keeps the stored PII when a PUT sends the masked values or omits them', async () => {
+        const { aadhar_number, pan_number, ...rest } = demoRequest;
+        await request(app).put(`/api/requests/${created.id}`).set('Authorization', sales).send(rest).expect(200);
+        const res = await request(app).put(`/api/requests/${created.id}`).set('Authorization', sales)
+            .send({ ...rest, aadhar_number: created.aadhar_number, pan_number: created.pan_number });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.aadhar_number, 'XXXX-XXXX-2346');
+        const revealed = await request(app).post(`/api/requests/${created.id}/pii/reveal`).set('Authorization', sales).send({ reason: 'KYC check' });
+        assert.equal(revealed.body.aadhar_number, AADHAAR);
+    });
+
+    it('reveals PII only with a reason and logs every access', async () => {
+        assert.equal((await request(app).post(`/api/requests/${created.id}/pii/reveal`).set('Authorization', sales).send({})).status, 400);
+        assert.equal((await request(app).post('/api/requests/999999/pii/reveal').set('Authorization', sales).send({ reason: 'x' })).status, 404);
+        assert.equal((await request(app).post(`/api/requests/${created.id}/pii/reveal`).set('Authorization', bearer('editor')).send({ reason: 'x' })).status, 403);
+        const res = await request(app).post(`/api/requests/${created.id}/pii/reveal`).set('Authorization', sales).send({ reason: 'Order paperwork' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.pan_number, PAN);
+        const log = await pool.query('SELECT actor_id, reason FROM pii_access_log WHERE request_id = $1 ORDER BY id', [created.id]);
+        assert.deepEqual(log.rows.at(-1), { actor_id: salesUser.id, reason: 'Order paperwork' });
+    });
+
+    it('moves requests through the pipeline and rejects invalid transitions', async () => {
+        const skip = await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status: 'won' });
+        assert.equal(skip.status, 409);
+        assert.deepEqual(skip.body.allowed, ['contacted', 'lost']);
+        assert.equal((await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status: 'done' })).status, 400);
+        assert.equal((await request(app).patch('/api/requests/999999/status').set('Authorization', sales).send({ status: 'contacted' })).status, 404);
+        const res = await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status: 'contacted', note: 'Called' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'contacted');
+    });
+
+    it('assigns requests to active sales users only', async () => {
+        const editor = await createUser(pool, 'editor');
+        assert.equal((await request(app).patch(`/api/requests/${created.id}/assignee`).set('Authorization', sales).send({})).status, 400);
+        assert.equal((await request(app).patch(`/api/requests/${created.id}/assignee`).set('Authorization', sales).send({ assigned_to: editor.id })).status, 400);
+        const res = await request(app).patch(`/api/requests/${created.id}/assignee`).set('Authorization', sales).send({ assigned_to: salesUser.id });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.assigned_to, salesUser.id);
+        const filtered = await request(app).get(`/api/requests?assigned_to=${salesUser.id}`).set('Authorization', sales);
+        assert.deepEqual(filtered.body.data.map((row) => row.id), [created.id]);
+    });
+
+    it('sets and clears follow-up dates', async () => {
+        assert.equal((await request(app).patch(`/api/requests/${created.id}/follow-up`).set('Authorization', sales).send({ follow_up_at: 'soon' })).status, 400);
+        const res = await request(app).patch(`/api/requests/${created.id}/follow-up`).set('Authorization', sales).send({ follow_up_at: '2030-01-15T10:00:00Z' });
+        assert.equal(res.status, 200);
+        assert.equal(new Date(res.body.follow_up_at).toISOString(), '2030-01-15T10:00:00.000Z');
+        const cleared = await request(app).patch(`/api/requests/${created.id}/follow-up`).set('Authorization', sales).send({ follow_up_at: null });
+        assert.equal(cleared.body.follow_up_at, null);
+    });
+
+    it('filters by whole days of the reporting time zone', async () => {
+        const ids = [];
+        // Noon and 23:30 on 19 October in Asia/Kolkata, then 00:30 on the 20th.
+        for (const at of ['2026-10-19T06:30:00Z', '2026-10-19T18:00:00Z', '2026-10-19T19:00:00Z']) {
+            const row = (await request(app).post('/api/requests').send({ ...demoRequest, email: `day-${ids.length}@example.com` }).expect(201)).body;
+            await pool.query('UPDATE requests SET request_date = $1 WHERE id = $2', [at, row.id]);
+            ids.push(row.id);
+        }
+        const listed = async (query) =>
+            (await request(app).get(`/api/requests?${query}&sort=id&order=asc`).set('Authorization', sales).expect(200)).body.data
+                .map((row) => row.id).filter((id) => ids.includes(id));
+        assert.deepEqual(await listed('from=2026-10-19&to=2026-10-19'), ids.slice(0, 2));
+        assert.deepEqual(await listed('to=2026-10-18'), []);
+        assert.deepEqual(await listed('from=2026-10-20'), ids.slice(2));
+        // Instants are compared as given.
+        assert.deepEqual(await listed('to=2026-10-19T06:30:00Z'), ids.slice(0, 1));
+        await pool.query(`DELETE FROM requests WHERE id IN (${ids.join(', ')})`);
+    });
+
+    it('records notes and returns the activity history', async () => {
+        assert.equal((await request(app).post(`/api/requests/${created.id}/notes`).set('Authorization', sales).send({})).status, 400);
+        assert.equal((await request(app).post('/api/requests/999999/notes').set('Authorization', sales).send({ note: 'x' })).status, 404);
+        const note = await request(app).post(`/api/requests/${created.id}/notes`).set('Authorization', sales).send({ note: 'Wants a quote for two units' });
+        assert.equal(note.status, 201);
+        const activity = await request(app).get(`/api/requests/${created.id}/activity`).set('Authorization', sales);
+        assert.equal(activity.status, 200);
+        const types = activity.body.map((entry) => entry.activity_type);
+        for (const type of ['status_change', 'assignment', 'follow_up', 'note']) {
+            assert.ok(types.includes(type), `missing ${type}`);
+        }
+        assert.equal((await request(app).get('/api/requests/999999/activity').set('Authorization', sales)).status, 404);
+    });
+
+    it('summarises the pipeline per stage and product', async () => {
+        await request(app).post('/api/requests').send({ ...demoRequest, request_type: 'order', product_name: null, aadhar_number: null, pan_number: null }).expect(201);
+        const res = await request(app).get('/api/requests/pipeline').set('Authorization', sales);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.total, 2);
+        assert.equal(res.body.stages.contacted, 1);
+        assert.equal(res.body.stages.new, 1);
+        assert.deepEqual(res.body.byProduct.map((product) => product.product_name), ['Unspecified', 'Volt 25']);
+    });
+});
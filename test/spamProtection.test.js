@@ -0,0 +1,274 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createMemoryRateLimitStore } = require("../lib/rateLimit");
+const { createCaptcha } = require("../lib/captcha");
+const { spamConfig } = require("../middleware/spamGuard");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const demoRequest = {
+    request_type: 'demo',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    city: 'Mysuru',
+    state: 'Karnataka',
+    aadhar_number: '234123412346',
+};
+
+const OFF = { ...spamConfig({}), ipLimit: 0, emailLimit: 0, duplicateWindowMs: 0 };
+
+const insertJob = async (pool, title) =>
+    (await pool.query("INSERT INTO jobs (title, description, status) VALUES ($1, 'Role description', 'open') RETURNING *", [title])).rows[0];
+
+const blocked = async (pool) => (await pool.query('SELECT * FROM blocked_submissions ORDER BY id')).rows;
+
+describe('spam protection', () => {
+    describe('rate limits', () => {
+        it('limits submissions per IP address and form', async () => {
+            const { app, pool } = await createTestApp({ spam: { ...OFF, ipLimit: 2 } });
+            await request(app).post('/api/subscribe').send({ email: 'a@example.com' }).expect(201);
+            await request(app).post('/api/subscribe').send({ email: 'b@example.com' }).expect(201);
+            const limited = await request(app).post('/api/subscribe').send({ email: 'c@example.com' });
+            assert.equal(limited.status, 429);
+            assert.match(limited.body.error, /Too many submissions/);
+            const retryAfter = Number(limited.headers['retry-after']);
+            assert.ok(retryAfter > 3500 && retryAfter <= 3600);
+            assert.equal((await request(app).post('/api/subscribe').send({ email: 'd@example.com' })).status, 429);
+            assert.equal((await pool.query("SELECT * FROM subscribe WHERE email IN ('c@example.com', 'd@example.com')")).rows.length, 0);
+
+            // Other forms have their own counters.
+            await request(app).post('/api/requests').send(demoRequest).expect(201);
+
+            const log = await blocked(pool);
+            assert.equal(log.length, 1, 'only the first rejection of a window is logged');
+            assert.equal(log[0].form, 'subscribe');
+            assert.equal(log[0].reason, 'rate_limit_ip');
+            assert.equal(log[0].email, 'c@example.com');
+            assert.ok(log[0].ip);
+        });
+
+        it('checks the IP limit of applications before reading the resume, counting each application once', async () => {
+            process.env.RESUME_MAX_UPLOAD_MB = '0.001';
+            try {
+                const { app, pool } = await createTestApp({ spam: { ...OFF, ipLimit: 2 } });
+                const job = await insertJob(pool, 'Embedded Engineer');
+                const bigResume = () => request(app).post('/api/apply')
+                    .field('name', 'Asha').field('email', 'asha@example.com').field('job_id', String(job.id))
+                    .attach('resume', Buffer.alloc(4096), 'cv.pdf');
+                await request(app).post('/api/apply').send({ name: 'Asha', email: 'asha@example.com', job_id: job.id }).expect(201);
+                assert.equal((await bigResume()).status, 413);
+                // Over the limit, the upload is refused before it is read (so 429, not 413).
+                const limited = await bigResume();
+                assert.equal(limited.status, 429);
+                assert.deepEqual((await blocked(pool)).map((entry) => [entry.form, entry.reason]), [['apply', 'rate_limit_ip']]);
+            } finally {
+                delete process.env.RESUME_MAX_UPLOAD_MB;
+            }
+        });
+
+        it('limits submissions per email address, whatever its case', async () => {
+            const { app, pool } = await createTestApp({ spam: { ...OFF, emailLimit: 2 } });
+            await request(app).post('/api/requests').send({ ...demoRequest, product_name: 'Volt 25' }).expect(201);
+            await request(app).post('/api/requests').send({ ...demoRequest, product_name: 'Volt 40' }).expect(201);
+            const limited = await request(app).post('/api/requests').send({ ...demoRequest, email: ' Ravi@Example.com ', product_name: 'Volt 60' });
+            assert.equal(limited.status, 429);
+            await request(app).post('/api/requests').send({ ...demoRequest, email: 'someone@example.com' }).expect(201);
+            const [entry] = await blocked(pool);
+            assert.equal(entry.reason, 'rate_limit_email');
+            assert.equal(entry.email, 'ravi@example.com');
+        });
+
+        it('starts a new window once the current one ends', async () => {
+            let time = 0;
+            const store = createMemoryRateLimitStore({ now: () => time });
+            assert.deepEqual(await store.hit('k', 1000), { count: 1, resetAt: 1000 });
+            time = 999;
+            assert.deepEqual(await store.hit('k', 1000), { count: 2, resetAt: 1000 });
+            assert.deepEqual(await store.hit('other', 1000), { count: 1, resetAt: 1999 });
+            time = 1000;
+            assert.deepEqual(await store.hit('k', 1000), { count: 1, resetAt: 2000 });
+        });
+
+        it('uses a pluggable store', async () => {
+            const keys = [];
+            const store = { hit: async (key) => { keys.push(key); return { count: 1, resetAt: Date.now() + 1000 }; } };
+            const { app } = await createTestApp({ rateLimitStore: store, spam: { ...OFF, ipLimit: 5, emailLimit: 5 } });
+            await request(app).post('/api/subscribe').send({ email: 'Store@Example.com' }).expect(201);
+            assert.equal(keys.length, 2);
+            assert.match(keys[0], /^subscribe:ip:/);
+            assert.equal(keys[1], 'subscribe:email:store@example.com');
+        });
+    });
+
+    describe('honeypot', () => {
+        let app;
+        let pool;
+        let job;
+
+        before(async () => {
+            ({ app, pool } = await createTestApp());
+            job = await insertJob(pool, 'Embedded Engineer');
+        });
+
+        it('rejects submissions that fill in the honeypot field and logs them without identity numbers', async () => {
+            const res = await request(app).post('/api/requests').set('User-Agent', 'spambot/1.0').send({ ...demoRequest, website: 'http://spam.example.com' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Submission rejected');
+            assert.equal((await pool.query('SELECT * FROM requests')).rows.length, 0);
+            const [entry] = await blocked(pool);
+            assert.equal(entry.form, 'requests');
+            assert.equal(entry.reason, 'honeypot');
+            assert.equal(entry.user_agent, 'spambot/1.0');
+            assert.equal(entry.payload.website, 'http://spam.example.com');
+            assert.equal(entry.payload.full_name, 'Ravi Kumar');
+            assert.ok(!('aadhar_number' in entry.payload));
+        });
+
+        it('checks multipart forms too', async () => {
+            const res = await request(app).post('/api/apply')
+                .field('name', 'Bot').field('email', 'bot@example.com').field('job_id', String(job.id)).field('website', 'x')
+                .attach('resume', Buffer.from('%PDF-1.4\n'), 'cv.pdf');
+            assert.equal(res.status, 400);
+            assert.equal((await blocked(pool)).at(-1).form, 'apply');
+        });
+
+        it('lets people through when the field is empty', async () => {
+            await request(app).post('/api/subscribe').send({ email: 'human@example.com', website: '' }).expect(201);
+        });
+    });
+
+    describe('CAPTCHA', () => {
+        it('verifies tokens with the configured hook', async () => {
+            const { app, pool } = await createTestApp({ captcha: createCaptcha({ CAPTCHA_PROVIDER: 'stub' }) });
+            const missing = await request(app).post('/api/subscribe').send({ email: 'a@example.com' });
+            assert.equal(missing.status, 400);
+            assert.equal(missing.body.error, 'CAPTCHA verification failed');
+            assert.equal((await request(app).post('/api/subscribe').send({ email: 'a@example.com', captcha_token: 'wrong' })).status, 400);
+            await request(app).post('/api/subscribe').send({ email: 'a@example.com', captcha_token: 'captcha-ok' }).expect(201);
+            await request(app).post('/api/requests').set('X-Captcha-Token', 'captcha-ok').send(demoRequest).expect(201);
+
+            const log = await blocked(pool);
+            assert.deepEqual(log.map((entry) => entry.reason), ['captcha', 'captcha']);
+            assert.ok(!('captcha_token' in log[1].payload));
+        });
+
+        it('responds 500 when the provider cannot be reached', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const captcha = { verify: async () => { throw new Error('timeout'); } };
+            const { app } = await createTestApp({ captcha });
+            assert.equal((await request(app).post('/api/subscribe').send({ email: 'a@example.com', captcha_token: 'x' })).status, 500);
+        });
+
+        it('calls the provider siteverify endpoint', async () => {
+            const calls = [];
+            const answers = [{ success: true }, { success: false }];
+            const fetch = async (url, init) => {
+                calls.push({ url, body: new URLSearchParams(init.body) });
+                return Response.json(answers.shift());
+            };
+            const captcha = createCaptcha({ CAPTCHA_PROVIDER: 'turnstile', CAPTCHA_SECRET: 'sekret' }, { fetch });
+            assert.equal(await captcha.verify('token-1', '203.0.113.7'), true);
+            assert.equal(await captcha.verify('token-2', '203.0.113.7'), false);
+            assert.equal(await captcha.verify(undefined, '203.0.113.7'), false);
+            assert.equal(calls.length, 2);
+            assert.equal(calls[0].url, 'https://challenges.cloudflare.com/turnstile/v0/siteverify');
+            assert.deepEqual(Object.fromEntries(calls[0].body), { secret: 'sekret', response: 'token-1', remoteip: '203.0.113.7' });
+
+            const down = createCaptcha({ CAPTCHA_PROVIDER: 'hcaptcha', CAPTCHA_SECRET: 's' }, { fetch: async () => new Response('', { status: 502 }) });
+            await assert.rejects(down.verify('t', 'ip'), /HTTP 502/);
+        });
+
+        it('is configured from the environment', () => {
+            assert.equal(createCaptcha({}), null);
+            assert.throws(() => createCaptcha({ CAPTCHA_PROVIDER: 'recaptcha' }), /needs CAPTCHA_SECRET/);
+            assert.throws(() => createCaptcha({ CAPTCHA_PROVIDER: 'nope' }), /Unknown CAPTCHA_PROVIDER/);
+        });
+    });
+
+    describe('duplicates', () => {
+        let app;
+        let pool;
+
+        before(async () => {
+            ({ app, pool } = await createTestApp({ spam: { ...OFF, duplicateWindowMs: 24 * 60 * 60 * 1000 } }));
+        });
+
+        it('refuses the same request type and product from the same email within the window', async () => {
+            await request(app).post('/api/requests').send(demoRequest).expect(201);
+            const again = await request(app).post('/api/requests').send({ ...demoRequest, email: 'RAVI@example.com', full_name: 'Ravi K' });
+            assert.equal(again.status, 409);
+            assert.match(again.body.error, /already received/);
+            await request(app).post('/api/requests').send({ ...demoRequest, product_name: 'Volt 40' }).expect(201);
+            await request(app).post('/api/requests').send({ ...demoRequest, request_type: 'order', quantity: 1 }).expect(201);
+            const [entry] = await blocked(pool);
+            assert.equal(entry.reason, 'duplicate');
+            assert.equal(entry.email, 'ravi@example.com');
+        });
+
+        it('accepts the same request again once the window has passed', async () => {
+            await pool.query("UPDATE requests SET request_date = NOW() - INTERVAL '25 hours'");
+            await request(app).post('/api/requests').send(demoRequest).expect(201);
+        });
+
+        it('refuses applying twice for the same job', async () => {
+            const engineer = await insertJob(pool, 'Embedded Engineer');
+            const technician = await insertJob(pool, 'Service Technician');
+            const application = { name: 'Priya Nair', email: 'priya@example.com', job_id: engineer.id };
+            await request(app).post('/api/apply').send(application).expect(201);
+            assert.equal((await request(app).post('/api/apply').send(application)).status, 409);
+            await request(app).post('/api/apply').send({ ...application, job_id: technician.id }).expect(201);
+            // Invalid job ids are left to validation.
+            assert.equal((await request(app).post('/api/apply').send({ ...application, job_id: 'abc' })).status, 422);
+        });
+    });
+
+    describe('/api/admin/blocked-submissions', () => {
+        let app;
+        let pool;
+        let admin;
+        let entry;
+
+        before(async () => {
+            ({ app, pool } = await createTestApp());
+            admin = bearer('admin', (await createUser(pool, 'admin')).id);
+            await request(app).post('/api/requests').send({ ...demoRequest, website: 'x' }).expect(400);
+            await request(app).post('/api/subscribe').send({ email: 'bot@example.com', website: 'x' }).expect(400);
+        });
+
+        it('lists blocked submissions for review', async () => {
+            const res = await request(app).get('/api/admin/blocked-submissions').set('Authorization', admin);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.pagination.total, 2);
+            const filtered = await request(app).get('/api/admin/blocked-submissions?form=subscribe&reason=honeypot').set('Authorization', admin);
+            assert.deepEqual(filtered.body.data.map((row) => row.email), ['bot@example.com']);
+            entry = filtered.body.data[0];
+            const byEmail = await request(app).get('/api/admin/blocked-submissions?email=BOT@example.com').set('Authorization', admin);
+            assert.equal(byEmail.body.pagination.total, 1);
+        });
+
+        it('gets and deletes entries', async () => {
+            const res = await request(app).get(`/api/admin/blocked-submissions/${entry.id}`).set('Authorization', admin);
+            assert.equal(res.body.reason, 'honeypot');
+            const deleted = await request(app).delete(`/api/admin/blocked-submissions/${entry.id}`).set('Authorization', admin);
+            assert.equal(deleted.status, 200);
+            assert.equal(deleted.body.deletedSubmission.id, entry.id);
+            const audit = (await pool.query("SELECT * FROM audit_log WHERE resource = 'blocked_submissions' AND resource_id = $1", [entry.id])).rows;
+            assert.deepEqual(audit.map((row) => [row.action, row.before_values.email]), [['delete', 'bot@example.com']]);
+            assert.equal((await request(app).get(`/api/admin/blocked-submissions/${entry.id}`).set('Authorization', admin)).status, 404);
+            assert.equal((await request(app).delete('/api/admin/blocked-submissions/abc').set('Authorization', admin)).status, 404);
+        });
+
+        it('is restricted to admins', async () => {
+            assert.equal((await request(app).get('/api/admin/blocked-submissions')).status, 401);
+            assert.equal((await request(app).get('/api/admin/blocked-submissions').set('Authorization', bearer('sales'))).status, 403);
+        });
+
+        it('responds 500 when the database fails', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const res = await request(createFailingApp()).get('/api/admin/blocked-submissions').set('Authorization', admin);
+            assert.equal(res.status, 500);
+        });
+    });
+});
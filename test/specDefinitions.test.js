@@ -0,0 +1,57 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { createTestApp, bearer } = require("./helpers");
+
+crudContract({
+    path: '/api/spec-definitions',
+    writeRole: 'editor',
+    valid: { key: 'battery_kwh', label: 'Battery capacity', unit: 'kWh', group_name: 'Battery', data_type: 'number' },
+    invalid: { key: 'Battery Capacity', label: 'Battery capacity', data_type: 'decimal' },
+    patch: { unit: 'kW·h' },
+    notFound: 'Spec definition not found',
+    deletedKey: 'deletedSpecDefinition',
+});
+
+describe('/api/spec-definitions', () => {
+    let app;
+    const editor = bearer('editor');
+
+    before(async () => {
+        ({ app } = await createTestApp());
+    });
+
+    it('lists definitions by group, sort_order and key, ungrouped last', async () => {
+        for (const definition of [
+            { key: 'warranty', label: 'Warranty', data_type: 'text' },
+            { key: 'range_km', label: 'Range', unit: 'km', group_name: 'Battery', data_type: 'number', sort_order: 2 },
+            { key: 'battery_kwh', label: 'Battery', unit: 'kWh', group_name: 'Battery', data_type: 'number', sort_order: 1 },
+            { key: 'horsepower', label: 'Power', unit: 'HP', group_name: 'Performance', data_type: 'number' },
+        ]) {
+            await request(app).post('/api/spec-definitions').set('Authorization', editor).send(definition).expect(201);
+        }
+        const res = await request(app).get('/api/spec-definitions');
+        assert.deepEqual(res.body.map((definition) => definition.key), ['battery_kwh', 'range_km', 'horsepower', 'warranty']);
+    });
+
+    it('responds 409 for a duplicate key', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(app).post('/api/spec-definitions').set('Authorization', editor)
+            .send({ key: 'range_km', label: 'Range again', data_type: 'number' });
+        assert.equal(res.status, 409);
+    });
+
+    it('fixes the data_type once products have values', async () => {
+        const definitions = (await request(app).get('/api/spec-definitions')).body;
+        const warranty = definitions.find((definition) => definition.key === 'warranty');
+        await request(app).patch(`/api/spec-definitions/${warranty.id}`).set('Authorization', editor).send({ data_type: 'number' }).expect(200);
+        await request(app).patch(`/api/spec-definitions/${warranty.id}`).set('Authorization', editor).send({ data_type: 'text' }).expect(200);
+
+        const product = (await request(app).post('/api/products').set('Authorization', editor).send({ name: 'Volt 25' })).body;
+        await request(app).put(`/api/products/${product.id}/specs`).set('Authorization', editor).send({ specs: { warranty: '5 years' } }).expect(200);
+        const res = await request(app).patch(`/api/spec-definitions/${warranty.id}`).set('Authorization', editor).send({ data_type: 'number' });
+        assert.equal(res.status, 422);
+        assert.equal(res.body.errors[0].field, 'data_type');
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toValueColumns, valueOf, buildSpecFilter } = require("../lib/specs");
+
+// Collects bound parameters the way buildListQuery() does.
+const params = () => {
+    const values = [];
+    return { values, param: (value) => { values.push(value); return `$${values.length}`; } };
+};
+
+describe('lib/specs', () => {
+    it('stores values in the column for the data type', () => {
+        assert.deepEqual(toValueColumns({ data_type: 'number' }, '80').columns, { value_number: 80, value_text: null, value_boolean: null });
+        assert.deepEqual(toValueColumns({ data_type: 'boolean' }, true).columns, { value_number: null, value_text: null, value_boolean: true });
+        assert.equal(toValueColumns({ data_type: 'text' }, 'IP67').columns.value_text, 'IP67');
+        assert.ok(toValueColumns({ data_type: 'number' }, 'fast').error);
+        assert.ok(toValueColumns({ data_type: 'boolean' }, 'yes').error);
+    });
+
+    it('reads typed values back', () => {
+        assert.equal(valueOf({ value_number: '80.5', value_text: null, value_boolean: null }), 80.5);
+        assert.equal(valueOf({ value_number: null, value_text: null, value_boolean: false }), false);
+        assert.equal(valueOf({ value_number: null, value_text: 'IP67', value_boolean: null }), 'IP67');
+    });
+
+    it('builds one subquery per spec condition', () => {
+        const { values, param } = params();
+        const built = buildSpecFilter('range_km:gte:80,fast_charging:eq:true,warranty:eq:5 Years', param);
+        assert.equal(built.sql.match(/id IN \(SELECT/g).length, 3);
+        assert.deepEqual(values, ['80', 'range_km', true, 'fast_charging', '5 Years', 'warranty']);
+    });
+
+    it('rejects malformed conditions', () => {
+        for (const raw of ['range_km', 'range_km:gt:80', 'Range:gte:80', 'range_km:gte:far', 'range_km:eq:']) {
+            assert.ok(buildSpecFilter(raw, params().param).error, raw);
+        }
+    });
+});
@@ -0,0 +1,163 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { crudContract } = require("./crudContract");
+const { signNewsletterToken } = require("../lib/newsletter");
+const { createTestApp, createFailingApp, bearer } = require("./helpers");
+
+crudContract({
+    path: '/api/subscribe',
+    writeRole: 'editor',
+    readRole: 'editor',
+    publicCreate: true,
+    paginated: true,
+    valid: { email: 'farmer@example.com' },
+    invalid: { email: 'farmer-at-example.com' },
+    patch: { email: 'farmer2@example.com' },
+    notFound: 'Subscription not found',
+    deletedKey: 'deletedSubscription',
+});
+
+// The token in a link of the form ...?token=<token>
+const tokenIn = (text, path) => new URL(text.match(new RegExp(`https?://[^\\s<>]+${path}\\?token=[^\\s<>]+`))[0]).searchParams.get('token');
+
+describe('/api/subscribe', () => {
+    let app;
+    let mailer;
+    let outbox;
+    const editor = bearer('editor');
+
+    before(async () => {
+        ({ app, mailer, outbox } = await createTestApp());
+    });
+
+    it('keeps new subscriptions pending and emails a confirmation link', async () => {
+        const res = await request(app).post('/api/subscribe').send({ email: 'Ravi@Example.com', topics: ['blogs', 'offers', 'blogs'] });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.status, 'pending');
+        assert.equal(res.body.confirmed_at, null);
+        assert.deepEqual(res.body.topics, ['blogs', 'offers']);
+
+        assert.deepEqual(await outbox.deliverDue(), { sent: 1, retrying: 0, failed: 0 });
+        const message = mailer.sent.at(-1);
+        assert.equal(message.to, 'ravi@example.com');
+        assert.match(message.text, /\/api\/subscribe\/confirm\?token=/);
+        assert.match(message.headers['List-Unsubscribe'], /^<http:\/\/localhost:\d+\/api\/subscribe\/unsubscribe\?token=.+>$/);
+        assert.equal(message.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+    });
+
+    it('resends the confirmation while pending', async () => {
+        const count = mailer.sent.length;
+        const res = await request(app).post('/api/subscribe').send({ email: 'ravi@example.com' });
+        assert.equal(res.status, 200);
+        await outbox.deliverDue();
+        assert.equal(mailer.sent.length, count + 1);
+    });
+
+    it('confirms through the emailed link and sends a welcome email once', async () => {
+        const token = tokenIn(mailer.sent.at(-1).text, '/api/subscribe/confirm');
+        const res = await request(app).get(`/api/subscribe/confirm?token=${token}`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { message: 'Subscription confirmed', email: 'ravi@example.com', topics: ['blogs', 'offers'] });
+        // Confirming twice is harmless.
+        await request(app).post('/api/subscribe/confirm').send({ token }).expect(200);
+        await outbox.deliverDue();
+        assert.deepEqual(mailer.sent.filter((message) => /Welcome/.test(message.subject)).map((message) => message.to), ['ravi@example.com']);
+
+        const list = await request(app).get('/api/subscribe?status=active').set('Authorization', editor);
+        assert.deepEqual(list.body.data.map((row) => row.email), ['ravi@example.com']);
+        assert.ok(list.body.data[0].confirmed_at);
+
+        const again = await request(app).post('/api/subscribe').send({ email: 'ravi@example.com' });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error, 'This email is already subscribed');
+    });
+
+    it('rejects invalid, expired and wrong-purpose tokens', async () => {
+        assert.equal((await request(app).get('/api/subscribe/confirm?token=garbage')).status, 400);
+        assert.equal((await request(app).get('/api/subscribe/confirm')).status, 400);
+        const manage = signNewsletterToken('ravi@example.com', 'manage');
+        assert.equal((await request(app).get(`/api/subscribe/confirm?token=${manage}`)).status, 400);
+        const confirm = signNewsletterToken('ravi@example.com', 'confirm');
+        assert.equal((await request(app).get(`/api/subscribe/unsubscribe?token=${confirm}`)).status, 400);
+        const unknown = signNewsletterToken('nobody@example.com', 'confirm');
+        assert.equal((await request(app).get(`/api/subscribe/confirm?token=${unknown}`)).status, 404);
+    });
+
+    it('lets subscribers manage their topics with the link token', async () => {
+        const token = tokenIn(mailer.sent.at(-1).headers['List-Unsubscribe'], '/api/subscribe/unsubscribe');
+        const current = await request(app).get(`/api/subscribe/preferences?token=${token}`);
+        assert.equal(current.status, 200);
+        assert.deepEqual(current.body.topics, ['blogs', 'offers']);
+        assert.ok(current.body.available_topics.includes('product_launches'));
+
+        const res = await request(app).put('/api/subscribe/preferences').send({ token, topics: ['product_launches'] });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.topics, ['product_launches']);
+        const empty = await request(app).put('/api/subscribe/preferences').send({ token, topics: [] });
+        assert.equal(empty.status, 422);
+        const unknownTopic = await request(app).put('/api/subscribe/preferences').send({ token, topics: ['gossip'] });
+        assert.equal(unknownTopic.status, 422);
+        assert.equal((await request(app).put('/api/subscribe/preferences').send({ token: 'x', topics: ['blogs'] })).status, 400);
+    });
+
+    it('exports confirmed subscribers as CSV', async () => {
+        await request(app).post('/api/subscribe').send({ email: 'pending@example.com' }).expect(201);
+        const res = await request(app).get('/api/subscribe/export').set('Authorization', editor);
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        assert.match(res.headers['content-disposition'], /subscribers\.csv/);
+        const lines = res.text.trim().split('\r\n');
+        assert.equal(lines[0], 'email,topics,subscribed_at,confirmed_at');
+        assert.deepEqual(lines.slice(1).map((line) => line.split(',').slice(0, 2)), [['ravi@example.com', 'product_launches']]);
+
+        const filtered = await request(app).get('/api/subscribe/export?topic=blogs').set('Authorization', editor);
+        assert.equal(filtered.text.trim().split('\r\n').length, 1);
+        assert.equal((await request(app).get('/api/subscribe/export?topic=gossip').set('Authorization', editor)).status, 400);
+        assert.equal((await request(app).get('/api/subscribe/export')).status, 401);
+    });
+
+    it('unsubscribes in one click and suppresses the address', async () => {
+        const token = tokenIn(mailer.sent.find((message) => message.to === 'ravi@example.com').headers['List-Unsubscribe'], '/api/subscribe/unsubscribe');
+        const res = await request(app).post(`/api/subscribe/unsubscribe?token=${token}`).type('form').send('List-Unsubscribe=One-Click');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.email, 'ravi@example.com');
+        // Unsubscribing twice is harmless.
+        await request(app).get(`/api/subscribe/unsubscribe?token=${token}`).expect(200);
+        assert.equal((await request(app).get(`/api/subscribe/preferences?token=${token}`)).status, 404);
+
+        const readd = await request(app).post('/api/subscribe').send({ email: 'ravi@example.com' });
+        assert.equal(readd.status, 409);
+        assert.equal(readd.body.error, 'This email has unsubscribed from the newsletter');
+
+        const suppressions = await request(app).get('/api/subscribe/suppressions').set('Authorization', editor);
+        assert.deepEqual(suppressions.body.data.map((row) => [row.email, row.reason]), [['ravi@example.com', 'unsubscribed']]);
+        await request(app).delete(`/api/subscribe/suppressions/${suppressions.body.data[0].id}`).set('Authorization', editor).expect(200);
+        assert.equal((await request(app).delete('/api/subscribe/suppressions/abc').set('Authorization', editor)).status, 404);
+        await request(app).post('/api/subscribe').send({ email: 'ravi@example.com' }).expect(201);
+    });
+
+    it('responds 409 when an update collides with another subscription', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        await request(app).post('/api/subscribe').send({ email: 'dup@example.com' }).expect(201);
+        const other = await request(app).post('/api/subscribe').send({ email: 'other@example.com' }).expect(201);
+        const res = await request(app).patch(`/api/subscribe/${other.body.id}`).set('Authorization', editor).send({ email: 'dup@example.com' });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'This email is already subscribed to another entry');
+    });
+
+    it('still subscribes when the confirmation email fails, and retries it later', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { app: failingMail, outbox: queue, pool } = await createTestApp({ mailer: { send: () => Promise.reject(new Error('SMTP down')) } });
+        const res = await request(failingMail).post('/api/subscribe').send({ email: 'late@example.com' });
+        assert.equal(res.status, 201);
+        assert.deepEqual(await queue.deliverDue(), { sent: 0, retrying: 1, failed: 0 });
+        const queued = (await pool.query('SELECT status, attempts, last_error FROM email_outbox')).rows;
+        assert.deepEqual(queued, [{ status: 'pending', attempts: 1, last_error: 'SMTP down' }]);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal((await request(createFailingApp()).post('/api/subscribe').send({ email: 'a@example.com' })).status, 500);
+    });
+});
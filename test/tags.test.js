@@ -0,0 +1,64 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+describe('/api/tags', () => {
+    let app;
+    let editor;
+    let draft;
+
+    before(async () => {
+        let pool;
+        ({ app, pool } = await createTestApp());
+        editor = bearer('editor', (await createUser(pool, 'editor')).id);
+        for (const [slug, tags] of [['one', ['Battery', 'TCO']], ['two', ['battery ', 'BATTERY', 'Charging']]]) {
+            const post = (await request(app).post('/api/blogs').set('Authorization', editor)
+                .send({ title: slug, slug, content: 'x', author: 'Team', tags })).body;
+            await request(app).patch(`/api/blogs/${post.id}/status`).set('Authorization', editor).send({ status: 'published' }).expect(200);
+        }
+        draft = (await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'Draft', slug: 'draft', content: 'x', author: 'Team', tags: ['Monsoon', 'battery'] })).body;
+    });
+
+    it('resolves tags by slug, keeping the first spelling', async () => {
+        assert.deepEqual(draft.tags, ['Monsoon', 'Battery']);
+        const two = await request(app).get('/api/blogs/slug/two');
+        assert.deepEqual(two.body.tags, ['Battery', 'Charging']);
+    });
+
+    it('lists tags of published posts with their post counts', async () => {
+        const res = await request(app).get('/api/tags');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map((tag) => [tag.slug, tag.name, tag.post_count]), [
+            ['battery', 'Battery', 2],
+            ['charging', 'Charging', 1],
+            ['tco', 'TCO', 1],
+        ]);
+    });
+
+    it('lists every tag, counting every post, for editors', async () => {
+        const res = await request(app).get('/api/tags').set('Authorization', editor);
+        assert.deepEqual(res.body.map((tag) => [tag.slug, tag.post_count]), [['battery', 3], ['charging', 1], ['monsoon', 1], ['tco', 1]]);
+    });
+
+    it('follows tag changes and deleted posts', async () => {
+        await request(app).patch(`/api/blogs/${draft.id}`).set('Authorization', editor).send({ tags: ['monsoon'] }).expect(200);
+        await request(app).delete(`/api/blogs/${draft.id}`).set('Authorization', editor).expect(200);
+        const res = await request(app).get('/api/tags').set('Authorization', editor);
+        assert.deepEqual(res.body.map((tag) => [tag.slug, tag.post_count]), [['battery', 2], ['charging', 1], ['tco', 1], ['monsoon', 0]]);
+    });
+
+    it('rejects tags without letters or digits', async () => {
+        const res = await request(app).post('/api/blogs').set('Authorization', editor)
+            .send({ title: 'x', slug: 'x', content: 'x', author: 'x', tags: ['ok', '!!'] });
+        assert.equal(res.status, 422);
+        assert.deepEqual(res.body.errors, [{ field: 'tags', message: 'each tag must contain a letter or digit' }]);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).get('/api/tags');
+        assert.equal(res.status, 500);
+    });
+});
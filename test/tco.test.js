@@ -0,0 +1,150 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { checkInputs, calculateTco } = require("../lib/tco");
+const { spamConfig } = require("../middleware/spamGuard");
+const { createTestApp, bearer } = require("./helpers");
+
+// NUMERIC columns come back from pg as strings.
+const params = {
+    energy_kwh_per_hour: '3.000',
+    energy_kwh_per_km: null,
+    battery_replacement_hours: 5000,
+    battery_replacement_cost: '100000.00',
+    maintenance_cost_per_hour: '10.00',
+    annual_maintenance_cost: null,
+    diesel_purchase_price: '500000.00',
+    diesel_litres_per_hour: '2.500',
+    diesel_litres_per_km: null,
+    diesel_maintenance_cost_per_hour: '50.00',
+    diesel_annual_maintenance_cost: null,
+};
+const scenario = { hours_per_year: 1000, diesel_price: 100, electricity_price: 8, years: 5 };
+
+describe('lib/tco', () => {
+    it('builds yearly costs, cumulative curves and breakeven', () => {
+        const result = calculateTco('600000.00', params, scenario);
+        assert.equal(result.years.length, 6);
+        assert.deepEqual(result.years[0].cumulative, { electric: 600000, diesel: 500000 });
+        assert.deepEqual(result.years[1].electric, { purchase: 0, energy: 24000, maintenance: 10000, battery: 0, total: 34000 });
+        assert.deepEqual(result.years[1].diesel, { purchase: 0, fuel: 250000, maintenance: 50000, total: 300000 });
+        assert.equal(result.years[5].electric.battery, 100000);
+        assert.deepEqual(result.totals, { electric: 870000, diesel: 2000000, savings: 1130000 });
+        // 100000 behind at purchase, 266000 gained per year -> crosses after 0.38 years.
+        assert.deepEqual(result.breakeven, { year: 1, months: 5 });
+    });
+
+    it('escalates prices and applies baseline overrides', () => {
+        const result = calculateTco(600000, params, {
+            ...scenario, diesel_price_escalation_pct: 10, baseline: { purchase_price: 700000, litres_per_hour: 2 },
+        });
+        assert.equal(result.years[0].diesel.purchase, 700000);
+        assert.equal(result.years[1].diesel.fuel, 200000);
+        assert.equal(result.years[2].diesel.fuel, 220000);
+        assert.deepEqual(result.breakeven, { year: 0, months: 0 });
+    });
+
+    it('reports no breakeven when the electric product never catches up', () => {
+        const result = calculateTco(5000000, params, { ...scenario, years: 2 });
+        assert.deepEqual(result.breakeven, { year: null, months: null });
+        assert.ok(result.totals.savings < 0);
+    });
+
+    it('rejects usage the parameters cannot price', () => {
+        assert.deepEqual(checkInputs(600000, params, scenario), []);
+        assert.deepEqual(checkInputs(600000, params, { ...scenario, hours_per_year: 0, km_per_year: 100 }).map((error) => error.field), ['km_per_year']);
+        assert.deepEqual(checkInputs(null, { ...params, diesel_purchase_price: null }, scenario).map((error) => error.field), ['product', 'baseline.purchase_price']);
+        assert.deepEqual(checkInputs(600000, params, { ...scenario, hours_per_year: 0 }).map((error) => error.field), ['hours_per_year']);
+    });
+});
+
+describe('/api/products/:id/tco', () => {
+    let app;
+    let product;
+    const editor = bearer('editor');
+
+    before(async () => {
+        ({ app } = await createTestApp());
+        product = (await request(app).post('/api/products').set('Authorization', editor).send({ name: 'Volt 25', price: 600000 })).body;
+    });
+
+    it('responds 409 until TCO parameters are configured', async () => {
+        const res = await request(app).post(`/api/products/${product.id}/tco`).send(scenario);
+        assert.equal(res.status, 409);
+        assert.equal((await request(app).get(`/api/products/${product.id}/tco-params`)).status, 404);
+    });
+
+    it('creates and replaces TCO parameters with If-Match', async () => {
+        const { energy_kwh_per_hour, ...rest } = params;
+        const created = await request(app).put(`/api/products/${product.id}/tco-params`).set('Authorization', editor).send(rest);
+        assert.equal(created.status, 200);
+        assert.equal(created.headers.etag, '"1"');
+        assert.equal(created.body.energy_kwh_per_hour, null);
+
+        const replaced = await request(app).put(`/api/products/${product.id}/tco-params`).set('Authorization', editor).set('If-Match', '"1"').send(params);
+        assert.equal(replaced.headers.etag, '"2"');
+        const stale = await request(app).put(`/api/products/${product.id}/tco-params`).set('Authorization', editor).set('If-Match', '"1"').send(params);
+        assert.equal(stale.status, 412);
+
+        const res = await request(app).get(`/api/products/${product.id}/tco-params`);
+        assert.equal(Number(res.body.energy_kwh_per_hour), 3);
+        assert.equal(res.headers.etag, '"2"');
+    });
+
+    it('validates parameters and restricts writes to editors', async () => {
+        assert.equal((await request(app).put(`/api/products/${product.id}/tco-params`).set('Authorization', editor).send({ battery_replacement_hours: 0 })).status, 422);
+        assert.equal((await request(app).put(`/api/products/${product.id}/tco-params`).set('Authorization', bearer('sales')).send(params)).status, 403);
+        assert.equal((await request(app).put('/api/products/999999/tco-params').set('Authorization', editor).send(params)).status, 404);
+    });
+
+    it('calculates without saving by default', async () => {
+        const res = await request(app).post(`/api/products/${product.id}/tco`).send(scenario);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.calculation_id, null);
+        assert.equal(res.body.product.name, 'Volt 25');
+        assert.deepEqual(res.body.breakeven, { year: 1, months: 5 });
+        assert.equal(res.body.years.length, 6);
+    });
+
+    it('validates the scenario', async () => {
+        const invalid = await request(app).post(`/api/products/${product.id}/tco`).send({ hours_per_year: 9000, years: 0, baseline: { purchase_price: -1 } });
+        assert.equal(invalid.status, 422);
+        assert.deepEqual(invalid.body.errors.map((error) => error.field), ['hours_per_year', 'diesel_price', 'electricity_price', 'years', 'baseline']);
+        const unpriced = await request(app).post(`/api/products/${product.id}/tco`).send({ ...scenario, hours_per_year: 0, km_per_year: 5000 });
+        assert.equal(unpriced.status, 422);
+        assert.equal((await request(app).post('/api/products/999999/tco').send(scenario)).status, 404);
+    });
+
+    it('saves calculations and attaches them to requests', async () => {
+        const saved = await request(app).post(`/api/products/${product.id}/tco`).send({ ...scenario, save: true });
+        assert.equal(saved.status, 201);
+        assert.ok(saved.body.calculation_id);
+
+        const lead = { request_type: 'demo', product_name: 'Volt 25', full_name: 'Ravi', email: 'ravi@example.com', phone_number: '9876543210' };
+        const broken = await request(app).post('/api/requests').send({ ...lead, tco_calculation_id: 999999 });
+        assert.equal(broken.status, 422);
+        assert.equal(broken.body.errors[0].field, 'tco_calculation_id');
+
+        const created = await request(app).post('/api/requests').send({ ...lead, tco_calculation_id: saved.body.calculation_id });
+        assert.equal(created.status, 201);
+        const res = await request(app).get(`/api/requests/${created.body.id}?expand=tco`).set('Authorization', bearer('sales'));
+        assert.equal(res.body.tco_calculation.id, saved.body.calculation_id);
+        assert.deepEqual(res.body.tco_calculation.result.breakeven, { year: 1, months: 5 });
+        assert.deepEqual(res.body.tco_calculation.inputs, scenario);
+        assert.equal(Number(res.body.tco_calculation.parameters.diesel_purchase_price), 500000);
+    });
+
+    it('spam-protects saving, not calculating', async () => {
+        const { app: limited, pool } = await createTestApp({ spam: { ...spamConfig({}), ipLimit: 1, emailLimit: 0, duplicateWindowMs: 0 } });
+        const volt = (await request(limited).post('/api/products').set('Authorization', editor).send({ name: 'Volt 25', price: 600000 })).body;
+        await request(limited).put(`/api/products/${volt.id}/tco-params`).set('Authorization', editor).send(params).expect(200);
+        const calculate = (fields) => request(limited).post(`/api/products/${volt.id}/tco`).send({ ...scenario, ...fields });
+
+        assert.equal((await calculate({ save: true, website: 'http://spam.example.com' })).status, 400);
+        assert.equal((await calculate({ save: true })).status, 429);
+        assert.equal((await calculate({})).status, 200);
+        assert.equal((await pool.query('SELECT * FROM tco_calculations')).rows.length, 0);
+        const blocked = (await pool.query('SELECT form, reason FROM blocked_submissions ORDER BY id')).rows;
+        assert.deepEqual(blocked, [{ form: 'tco', reason: 'honeypot' }, { form: 'tco', reason: 'rate_limit_ip' }]);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate } = require("../lib/validation");
+
+const schema = {
+    name: { type: 'string', required: true, maxLength: 5 },
+    email: { type: 'email' },
+    count: { type: 'integer', min: 1 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    kind: { type: 'string', enum: ['a', 'b'] },
+};
+
+describe('lib/validation', () => {
+    it('returns only declared fields, coerced and normalised', () => {
+        const { value, errors } = validate(schema, { name: 'Asha', email: 'ASHA@Example.com', count: '3', extra: true, kind: '' });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { name: 'Asha', email: 'asha@example.com', count: 3, kind: null });
+    });
+
+    it('collects an error per failing field', () => {
+        const { errors } = validate(schema, { name: 'Too long', email: 'nope', count: 0, tags: ['a', 'b', 'c'], kind: 'c' });
+        assert.deepEqual(errors.map((error) => error.field), ['name', 'email', 'count', 'tags', 'kind']);
+    });
+
+    it('requires fields unless validating a partial update', () => {
+        assert.deepEqual(validate(schema, {}).errors, [{ field: 'name', message: 'is required' }]);
+        assert.deepEqual(validate(schema, {}, { partial: true }).errors, []);
+        assert.deepEqual(validate(schema, { name: null }, { partial: true }).errors, [{ field: 'name', message: 'is required' }]);
+    });
+});
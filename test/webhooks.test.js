@@ -0,0 +1,247 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { signWebhook, retryDelayMs } = require("../lib/webhooks");
+const { createTestApp, createFailingApp, createUser, bearer } = require("./helpers");
+
+const SECRET = 'whsec-test-0123456789';
+
+const demoRequest = {
+    request_type: 'demo',
+    product_name: 'Volt 25',
+    full_name: 'Ravi Kumar',
+    email: 'ravi@example.com',
+    phone_number: '+91 98765 43210',
+    city: 'Mysuru',
+    state: 'Karnataka',
+    aadhar_number: '234123412346',
+};
+
+// A fetch that records each call and answers with the next queued status (default 200).
+const createFakeFetch = () => {
+    const calls = [];
+    const statuses = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, ...init });
+        const status = statuses.length > 0 ? statuses.shift() : 200;
+        if (status instanceof Error) throw status;
+        return new Response(status === 200 ? 'ok' : 'nope', { status });
+    };
+    return { calls, statuses, fetch };
+};
+
+describe('/api/admin/webhooks', () => {
+    let app;
+    let pool;
+    let webhooks;
+    let fake;
+    let admin;
+    let sales;
+    let crm;
+
+    before(async () => {
+        fake = createFakeFetch();
+        ({ app, pool, webhooks } = await createTestApp({ fetch: fake.fetch }));
+        admin = bearer('admin', (await createUser(pool, 'admin')).id);
+        sales = bearer('sales', (await createUser(pool, 'sales')).id);
+    });
+
+    // Makes every queued delivery due now, as if its retry delay had passed.
+    const makeDue = () => pool.query("UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 second' WHERE status = 'pending'");
+
+    const deliveriesOf = async (webhook) =>
+        (await request(app).get(`/api/admin/webhooks/${webhook.id}/deliveries?sort=id&order=asc`).set('Authorization', admin).expect(200)).body.data;
+
+    it('creates webhooks without ever returning the secret', async () => {
+        const res = await request(app).post('/api/admin/webhooks').set('Authorization', admin)
+            .send({ url: 'https://crm.example.com/hooks/bullwork', secret: SECRET, events: ['request.created', 'request.status_changed', 'request.created'], description: 'CRM' });
+        assert.equal(res.status, 201);
+        crm = res.body;
+        assert.deepEqual(crm.events, ['request.created', 'request.status_changed']);
+        assert.equal(crm.active, true);
+        assert.ok(!('secret' in crm));
+
+        const fetched = await request(app).get(`/api/admin/webhooks/${crm.id}`).set('Authorization', admin);
+        assert.ok(!('secret' in fetched.body));
+        const list = await request(app).get('/api/admin/webhooks?event=request.created').set('Authorization', admin);
+        assert.deepEqual(list.body.data.map((webhook) => webhook.id), [crm.id]);
+        assert.ok(list.body.data.every((webhook) => !('secret' in webhook)));
+
+        const active = async (value) => request(app).get(`/api/admin/webhooks?active=${value}`).set('Authorization', admin);
+        assert.deepEqual((await active('true')).body.data.map((webhook) => webhook.id), [crm.id]);
+        assert.deepEqual((await active('false')).body.data, []);
+        const invalid = await active('foo');
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.error, /active/);
+    });
+
+    it('validates webhooks', async () => {
+        const missing = await request(app).post('/api/admin/webhooks').set('Authorization', admin).send({ url: 'https://crm.example.com', events: ['apply.created'] });
+        assert.equal(missing.status, 422);
+        assert.deepEqual(missing.body.errors.map((error) => error.field), ['secret']);
+        const invalid = await request(app).post('/api/admin/webhooks').set('Authorization', admin)
+            .send({ url: 'not a url', secret: 'short', events: ['order.shipped'] });
+        assert.equal(invalid.status, 422);
+        assert.deepEqual(invalid.body.errors.map((error) => error.field).sort(), ['events', 'secret', 'url']);
+        const none = await request(app).post('/api/admin/webhooks').set('Authorization', admin).send({ url: 'https://crm.example.com', secret: SECRET, events: [] });
+        assert.equal(none.status, 422);
+    });
+
+    it('keeps the secret and active flag when a PUT omits them', async () => {
+        const res = await request(app).put(`/api/admin/webhooks/${crm.id}`).set('Authorization', admin)
+            .send({ url: crm.url, events: [...crm.events, 'apply.created'], description: 'CRM (sales)' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.active, true);
+        const stored = await pool.query('SELECT secret FROM webhooks WHERE id = $1', [crm.id]);
+        assert.equal(stored.rows[0].secret, SECRET);
+    });
+
+    it('lists the event names', async () => {
+        const res = await request(app).get('/api/admin/webhooks/events').set('Authorization', admin);
+        assert.ok(res.body.includes('product.updated'));
+    });
+
+    it('is restricted to admins', async () => {
+        assert.equal((await request(app).get('/api/admin/webhooks')).status, 401);
+        assert.equal((await request(app).get('/api/admin/webhooks').set('Authorization', sales)).status, 403);
+        assert.equal((await request(app).get(`/api/admin/webhooks/${crm.id}/deliveries`).set('Authorization', sales)).status, 403);
+    });
+
+    it('queues events for active subscribed webhooks and delivers them signed', async () => {
+        const paused = (await request(app).post('/api/admin/webhooks').set('Authorization', admin)
+            .send({ url: 'https://paused.example.com', secret: SECRET, events: ['request.created'], active: false })).body;
+        const products = (await request(app).post('/api/admin/webhooks').set('Authorization', admin)
+            .send({ url: 'https://shop.example.com', secret: SECRET, events: ['product.updated'] })).body;
+
+        const created = (await request(app).post('/api/requests').send(demoRequest).expect(201)).body;
+        assert.equal((await deliveriesOf(crm)).length, 1);
+        assert.equal((await deliveriesOf(paused)).length, 0);
+        assert.equal((await deliveriesOf(products)).length, 0);
+
+        assert.deepEqual(await webhooks.deliverDue(), { delivered: 1, retrying: 0, failed: 0 });
+        const [call] = fake.calls.splice(0);
+        assert.equal(call.url, 'https://crm.example.com/hooks/bullwork');
+        assert.equal(call.method, 'POST');
+        assert.equal(call.headers['X-Webhook-Event'], 'request.created');
+        const timestamp = Number(call.headers['X-Webhook-Timestamp']);
+        assert.ok(Math.abs(timestamp - Date.now() / 1000) < 60);
+        assert.equal(call.headers['X-Webhook-Signature'], signWebhook(SECRET, timestamp, call.body));
+
+        const body = JSON.parse(call.body);
+        assert.equal(String(body.id), call.headers['X-Webhook-Delivery']);
+        assert.equal(body.event, 'request.created');
+        assert.equal(body.data.id, created.id);
+        assert.equal(body.data.aadhar_number, 'XXXX-XXXX-2346');
+        assert.ok(!call.body.includes('234123412346'), 'Aadhaar must not leave the server');
+
+        const [delivery] = await deliveriesOf(crm);
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.response_status, 200);
+        assert.equal(delivery.attempts, 1);
+    });
+
+    it('sends status changes with the previous status', async () => {
+        const created = (await request(app).post('/api/requests').send(demoRequest).expect(201)).body;
+        await request(app).patch(`/api/requests/${created.id}/status`).set('Authorization', sales).send({ status: 'contacted' }).expect(200);
+        await webhooks.deliverDue();
+        const events = fake.calls.splice(0).map((call) => JSON.parse(call.body));
+        const changed = events.find((event) => event.event === 'request.status_changed');
+        assert.equal(changed.data.status, 'contacted');
+        assert.equal(changed.data.previous_status, 'new');
+    });
+
+    it('retries failed deliveries with backoff and marks them failed after the last attempt', async () => {
+        const flaky = (await request(app).post('/api/admin/webhooks').set('Authorization', admin)
+            .send({ url: 'https://flaky.example.com', secret: SECRET, events: ['product.updated'] })).body;
+        const product = (await request(app).post('/api/products').set('Authorization', admin).send({ name: 'Volt 25' })).body;
+        await request(app).patch(`/api/products/${product.id}`).set('Authorization', admin).send({ price: 250000 }).expect(200);
+        fake.calls.splice(0);
+
+        // The shop.example.com webhook (created first) succeeds, the flaky one fails and is retried.
+        fake.statuses.push(200, 503);
+        const before = Date.now();
+        assert.deepEqual(await webhooks.deliverDue(), { delivered: 1, retrying: 1, failed: 0 });
+        let [delivery] = await deliveriesOf(flaky);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.response_status, 503);
+        assert.match(delivery.last_error, /^HTTP 503/);
+        const delay = new Date(delivery.next_attempt_at).getTime() - before;
+        assert.ok(delay >= retryDelayMs(1) - 1000 && delay <= retryDelayMs(1) + 5000);
+        assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, retrying: 0, failed: 0 }, 'not due yet');
+
+        assert.equal(retryDelayMs(2), 2 * retryDelayMs(1));
+        for (let attempt = 2; attempt <= 8; attempt += 1) {
+            await makeDue();
+            fake.statuses.push(attempt % 2 ? 500 : new Error('connect ECONNREFUSED'));
+            await webhooks.deliverDue();
+        }
+        [delivery] = await deliveriesOf(flaky);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 8);
+        assert.equal(delivery.last_error, 'connect ECONNREFUSED');
+        assert.equal(Number(JSON.parse(fake.calls.at(-1).body).data.price), 250000);
+
+        const failedOnly = await request(app).get(`/api/admin/webhooks/${flaky.id}/deliveries?status=failed`).set('Authorization', admin);
+        assert.equal(failedOnly.body.pagination.total, 1);
+    });
+
+    it('treats redirects as failures', async () => {
+        await request(app).post('/api/requests').send(demoRequest).expect(201);
+        fake.statuses.push(302);
+        assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, retrying: 1, failed: 0 });
+        assert.equal(fake.calls.at(-1).redirect, 'manual');
+        await makeDue();
+        await webhooks.deliverDue();
+    });
+
+    it('replays failed deliveries', async () => {
+        const flaky = (await request(app).get('/api/admin/webhooks?sort=id&order=desc&limit=1').set('Authorization', admin)).body.data[0];
+        const [failed] = await deliveriesOf(flaky);
+
+        const delivered = (await deliveriesOf(crm))[0];
+        const refused = await request(app).post(`/api/admin/webhooks/${crm.id}/deliveries/${delivered.id}/replay`).set('Authorization', admin);
+        assert.equal(refused.status, 409);
+        assert.equal((await request(app).post(`/api/admin/webhooks/${crm.id}/deliveries/${failed.id}/replay`).set('Authorization', admin)).status, 404);
+        assert.equal((await request(app).post(`/api/admin/webhooks/${crm.id}/deliveries/abc/replay`).set('Authorization', admin)).status, 404);
+
+        const res = await request(app).post(`/api/admin/webhooks/${flaky.id}/deliveries/${failed.id}/replay`).set('Authorization', admin);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'pending');
+        assert.equal(res.body.attempts, 0);
+        assert.deepEqual(await webhooks.deliverDue(), { delivered: 1, retrying: 0, failed: 0 });
+        const replayed = JSON.parse(fake.calls.at(-1).body);
+        assert.equal(replayed.id, failed.id);
+        assert.equal((await deliveriesOf(flaky))[0].status, 'delivered');
+    });
+
+    it('replays every failed delivery of a webhook', async () => {
+        await pool.query("UPDATE webhook_deliveries SET status = 'failed' WHERE webhook_id = $1", [crm.id]);
+        const res = await request(app).post(`/api/admin/webhooks/${crm.id}/deliveries/replay`).set('Authorization', admin);
+        assert.equal(res.status, 200);
+        assert.ok(res.body.replayed >= 3);
+        assert.ok(res.body.deliveries.every((delivery) => delivery.status === 'pending' && delivery.webhook_id === crm.id));
+        assert.equal((await request(app).post('/api/admin/webhooks/999999/deliveries/replay').set('Authorization', admin)).status, 404);
+    });
+
+    it('emits product updates from spec changes too', async () => {
+        const shop = (await request(app).get('/api/admin/webhooks?event=product.updated&sort=id&order=asc').set('Authorization', admin)).body.data[0];
+        const product = (await request(app).post('/api/products').set('Authorization', admin).send({ name: 'Volt 40' })).body;
+        const count = (await deliveriesOf(shop)).length;
+        await request(app).put(`/api/products/${product.id}/specs`).set('Authorization', admin).send({ specs: {} }).expect(200);
+        assert.equal((await deliveriesOf(shop)).length, count + 1);
+    });
+
+    it('deletes webhooks with their delivery log', async () => {
+        const res = await request(app).delete(`/api/admin/webhooks/${crm.id}`).set('Authorization', admin);
+        assert.equal(res.status, 200);
+        assert.ok(!('secret' in res.body.deletedWebhook));
+        assert.equal((await pool.query('SELECT * FROM webhook_deliveries WHERE webhook_id = $1', [crm.id])).rows.length, 0);
+        assert.equal((await request(app).get(`/api/admin/webhooks/${crm.id}/deliveries`).set('Authorization', admin)).status, 404);
+    });
+
+    it('responds 500 when the database fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const res = await request(createFailingApp()).get('/api/admin/webhooks').set('Authorization', admin);
+        assert.equal(res.status, 500);
+    });
+});